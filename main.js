@@ -1,284 +1,497 @@
 // Puppeteer Actor for DataPred - Analyzes Data Sources for Shrimp Price Forecasting
 // Uses Puppeteer for dynamic content extraction
+// Target URLs, keyword taxonomies, selectors and crawl rules come from a profile (src/profiles)
 
+const path = require('path');
 const { Actor } = require('apify');
-const { PuppeteerCrawler, Dataset, KeyValueStore } = require('crawlee');
+const { PuppeteerCrawler, Dataset, KeyValueStore, log, sleep } = require('crawlee');
+const { createNetworkCapture, payloadFileType, normalizeRoute, buildEndpointCatalog } = require('./src/network');
+const { extractTablesFromPage, tableToCsv } = require('./src/tables');
+const { extractChartsFromPage } = require('./src/charts');
+const { extractDataSources, extractMarkets, extractMethodologyLinks, extractCommodityContent } = require('./src/extractors');
+const { loadProfile } = require('./src/profiles');
+const { createAuthenticator } = require('./src/auth');
+const { createSessionPool } = require('./src/sessions');
+const { createFrontier, discoverLinks, installRouteRecorder } = require('./src/frontier');
+const { isExplorable, exploreInteractiveStates } = require('./src/explorer');
+const { writeReports } = require('./src/report');
+const { buildKnowledgeBase, collectProviderEvidence, networkEvidence, resolveProviders, genericTerms } = require('./src/providers');
+const { DOC_LINK_BOOST, isDocumentationUrl, extractMainContent, extractFacts, summarizeFacts } = require('./src/docs');
+const { createHarRecorder, redactHar, loadHarEntries, createHarReplay } = require('./src/har');
+const { waitForPageReady, summarizeTimings } = require('./src/readiness');
+const { FINDING_KEYS, findingId, createProvenanceRecorder, mergeFindings } = require('./src/provenance');
+const { parseExchangeRates, exchangeRatesFromPayload, exchangeRatesFromInput, createRateTable, normalizeFindings } = require('./src/normalize');
+const { seriesFromPayload, seriesFromCsvPayload, collectSeries, loadSqlite, writeSeriesExports } = require('./src/series');
+const { extractForecastMetadata, forecastMetadataFromPayload, forecastViewsFromCharts, hasForecastMetadata, buildForecastingSection } = require('./src/forecasting');
+const { loadPreviousReport, saveReportToHistory, diffReports, describeChanges, REPORT_KEY } = require('./src/diff');
+const { validateInput } = require('./src/input');
+const { parseCliArgs, cliUsage, exportOutputs } = require('./src/cli');
+const { crawlError, statusOf, classifyError, resolveRetryPolicies, retryDecision, maxRetries, createErrorLog } = require('./src/errors');
+const { fingerprint, removeMatching, createCheckpoint } = require('./src/checkpoint');
+const { storageValues, createRedactor, redactConsole, maskedScreenshot } = require('./src/redaction');
+const { FORMAT_CONTENT_TYPES, downloadSignature, harvestDownloads, redactWorkbook, parseDownloadedFile } = require('./src/downloads');
+
+// Command-line run (node main.js --start-url ... --out ./report); without flags the Actor input is used
+let cli = null;
+try {
+    cli = parseCliArgs(process.argv.slice(2));
+} catch (error) {
+    console.error(`${error.message}\nRun "node main.js --help" for the list of flags.`);
+    process.exit(1);
+}
+if (cli && cli.help) {
+    console.log(cliUsage());
+    process.exit(0);
+}
 
 Actor.main(async () => {
-    const input = await Actor.getInput();
+    // Input comes from the CLI flags or the Actor input; either way it is checked against INPUT_SCHEMA.json
+    // and comes back with the schema defaults filled in
+    const input = validateInput(cli ? cli.input : await Actor.getInput());
     const {
-        startUrl = 'https://app.datapred.com/',
-        loginUrl = 'https://app.datapred.com/login',
-        username = '',  // Your DataPred username
-        password = '',  // Your DataPred password
-        maxPages = 20,
-        waitForTimeout = 5000,
-        screenshotEnabled = true,
-        extractDataSources = true,
-        extractMarkets = true,
-        extractMethodology = true,
-    } = input || {};
+        profile: profileReference,  // Built-in name or path to a .json/.js file
+        inlineProfile,  // Full profile object; takes precedence over profile
+        startUrl: inputStartUrl,  // Overrides the profile's startUrl
+        loginUrl: inputLoginUrl,  // Overrides the profile's loginUrl
+        username,  // Your DataPred username
+        password,  // Your DataPred password
+        loginSelectors,  // Overrides profile login selectors (username, password, submit, next, error, ...)
+        successSelector,  // Element only present when logged in
+        sessionCookieNames,  // Cookie names that prove a logged-in session
+        cookies,  // Session cookies to inject (Puppeteer cookie objects)
+        localStorage,  // localStorage to inject: { key: value } or { origin: { key: value } }
+        persistSession,  // Save the session to the Key-Value store and reuse it on later runs
+        sessionStoreName,
+        loginTimeout,
+        maxReLogins,
+        compareWithPrevious,  // Diff against the previous report
+        previousReport,  // Inline report object or { storeName | storeId, key }; defaults to the run history
+        historyStoreName,
+        maxPages,
+        maxDepth,  // Link hops from startUrl
+        maxConcurrency,  // Pages crawled in parallel over the shared login session
+        includeGlobs,  // URL globs to crawl (default: everything under the startUrl origin)
+        excludeGlobs,  // URL globs never to crawl, e.g. "**/settings/**"
+        readinessTimeout,  // Longest wait for network quiet, spinners, ready selectors and DOM settling per page
+        networkQuietMs,
+        domQuietMs,
+        waitForTimeout,  // Extra fixed wait after the page is ready
+        screenshotEnabled,
+        maxElementScreenshots,  // Cropped screenshots of the elements findings were read from, per page (0 = none)
+        generateReports,  // Write report.html and report.md to the Key-Value store
+        embedScreenshots,  // Inline screenshots in report.html (otherwise link to the stored PNGs)
+        extractDataSources,
+        minProviderConfidence,  // Providers scoring below this are listed as possible, not likely
+        extractMarkets,
+        extractMethodology,  // Collect methodology / docs links, then read those pages and mine their text for facts
+        maxDocPages,  // Documentation pages queued per run
+        capturePayloads,  // Store JSON/CSV response bodies of data calls
+        maxPayloadBytes,
+        maxPayloadsPerEndpoint,
+        extractTables,
+        maxTableRows,
+        dateOrder,  // How to read ambiguous dates like 03/04/2024 ('mdy' or 'dmy')
+        extractCharts,
+        extractForecasting,  // Read forecast horizon, intervals, accuracy, models, drivers and last-updated from pages, payloads and charts
+        normalizePrices,  // Read currency, unit, count grade, species and form from price labels and convert prices
+        baseCurrency,
+        baseUnit,
+        exchangeRates,  // { "USD/INR": 83.2 }; overrides rates found on pages and in payloads
+        exportSeries,  // Write every numeric time series as long rows (CSV / NDJSON / columnar JSON / SQLite)
+        seriesFormats,
+        seriesStoreName,  // Named store of earlier runs' rows to upsert into; empty for this run only
+        exploreInteractions,  // Step through selects, tabs, toggles and date pickers, re-extracting after each change
+        maxInteractionStates,  // UI states explored per page
+        maxOptionsPerControl,
+        interactionSettleMs,  // Wait after each state change (after network idle)
+        recordHar,  // Store each page's network trace as HAR 1.2
+        harBodies,  // Response bodies kept in the HAR: 'none', 'data', 'text' or 'all'
+        harMaxBodyBytes,
+        harBodyGlobs,  // Only keep bodies of URLs matching these globs
+        replayHar,  // Serve requests from a saved HAR instead of the network
+        retryPolicies: retryPolicyOverrides,  // { timeout: { retries, backoffMs } } per error kind, over the defaults
+        resumeInterruptedRun,  // Continue an interrupted run of the same crawl from its saved state and request queue
+        redactSecrets,  // Extra strings to remove from every output (the login, cookie and localStorage values always are)
+        redactPatterns,  // Regular expressions to remove, e.g. customer names
+        redactEmails,
+        maskSelectors,  // Elements blanked in screenshots, on top of the profile's privacy.maskSelectors
+        harvestDownloads: downloadFiles,  // Fetch file links and click export buttons, store the files and parse CSV/XLSX into tables
+        downloadFormats,
+        maxDownloadsPerPage,
+        maxDownloadBytes,
+        storeUnredactedDownloads,  // Also store files that cannot be redacted (PDF) as downloaded
+    } = input;
+
+    // Redaction: credentials, tokens, emails and configured secrets never reach the stores or the log
+    const redactor = createRedactor({
+        secrets: [username, password, ...(cookies || []).map(cookie => cookie.value), ...storageValues(localStorage), ...redactSecrets],
+        patterns: redactPatterns,
+        emails: redactEmails,
+    });
+    redactConsole(redactor);
+    const pushData = item => Dataset.pushData(redactor.value(item));
 
     // Store found data
     const dataSourcesFound = [];
     const marketsAnalyzed = [];
     const methodologyInfo = [];
     const forecastingModels = [];
+    const forecastSignatures = new Map();  // signature -> page number
+    const payloadSeries = [];
     const apiEndpoints = [];
-    const dataProviders = [];
-
-    // Common shrimp-related keywords to look for
-    const shrimpKeywords = [
-        'shrimp', 'prawn', 'vannamei', 'whiteleg', 'black tiger', 'monodon',
-        'aquaculture', 'seafood', 'marine', 'farming', 'pond', 'harvest'
-    ];
-
-    // Potential data source keywords
-    const dataSourceKeywords = [
-        'bloomberg', 'reuters', 'usda', 'fao', 'noaa', 'globefish',
-        'undercurrent', 'seafood source', 'infofish', 'vietnam customs',
-        'india export', 'ecuador export', 'thailand', 'indonesia',
-        'weather', 'satellite', 'commodity', 'futures', 'exchange rate',
-        'api', 'data provider', 'source', 'feed', 'integration'
-    ];
-
-    // Market-related keywords
-    const marketKeywords = [
-        'usa', 'europe', 'china', 'japan', 'vietnam', 'india', 'ecuador',
-        'thailand', 'indonesia', 'wholesale', 'retail', 'import', 'export',
-        'price', 'forecast', 'prediction', 'trend', 'market', 'analysis'
-    ];
-
-    // Function to perform login
-    async function performLogin(page) {
-        if (!username || !password) {
-            console.log('⚠️ No credentials provided. Will analyze public areas only.');
-            return false;
-        }
+    const networkCaptures = [];
+    const storedPayloadCounts = new Map();
+    let tablesExtracted = 0;
+    const pageTableCounts = new Map();  // page number -> tables stored, for per-page CSV keys
+    const tableSignatures = new Map();  // signature -> page number
+    const explorations = [];
+    const pageReports = [];
+    const harKeys = [];
+    const documents = [];
+    const chartsFound = [];
+    const commodityMatches = [];
+    const providerEvidence = [];
+    const exchangeRatesFound = [];
+    const downloadsFound = [];
+    const downloadSignatures = new Map();  // signature of a file link or export button -> page number
+    // Every list of findings, each item tagged with the page that found it (checkpointed by name)
+    const findings = {
+        dataSourcesFound, providerEvidence, marketsAnalyzed, methodologyInfo, chartsFound, forecastingModels,
+        documents, commodityMatches, explorations, networkCaptures, apiEndpoints, payloadSeries, exchangeRatesFound,
+        downloadsFound,
+    };
+    const finishedPages = new Set();
+    const errorLog = createErrorLog();
+    const retryPolicies = resolveRetryPolicies(retryPolicyOverrides);
 
-        console.log('🔐 Attempting to login to DataPred...');
-        
-        try {
-            await page.goto(loginUrl, { waitUntil: 'networkidle2' });
-            
-            // Wait for login form
-            await page.waitForSelector('input[type="email"], input[type="text"], input[name="username"], input[name="email"]', { timeout: 10000 });
-            
-            // Find and fill username field
-            const usernameSelectors = [
-                'input[type="email"]',
-                'input[name="username"]',
-                'input[name="email"]',
-                'input[type="text"]:first-of-type'
-            ];
-            
-            for (const selector of usernameSelectors) {
-                if (await page.$(selector)) {
-                    await page.type(selector, username);
-                    break;
-                }
-            }
-            
-            // Find and fill password field
-            const passwordSelectors = [
-                'input[type="password"]',
-                'input[name="password"]',
-                'input[name="pwd"]'
-            ];
-            
-            for (const selector of passwordSelectors) {
-                if (await page.$(selector)) {
-                    await page.type(selector, password);
-                    break;
-                }
-            }
-            
-            // Submit form
-            const submitSelectors = [
-                'button[type="submit"]',
-                'input[type="submit"]',
-                'button:contains("Login")',
-                'button:contains("Sign in")'
-            ];
-            
-            for (const selector of submitSelectors) {
-                if (await page.$(selector)) {
-                    await Promise.all([
-                        page.click(selector),
-                        page.waitForNavigation({ waitUntil: 'networkidle2' })
-                    ]);
-                    break;
-                }
-            }
-            
-            // Check if login was successful
-            await page.waitForTimeout(3000);
-            const currentUrl = page.url();
-            
-            if (currentUrl.includes('dashboard') || currentUrl.includes('app') || !currentUrl.includes('login')) {
-                console.log('✅ Login successful!');
-                return true;
-            }
-            
-            console.log('⚠️ Login might have failed. Will continue with limited access.');
-            return false;
-            
-        } catch (error) {
-            console.error('❌ Login error:', error.message);
-            return false;
-        }
+    // Fail before crawling when the SQLite export cannot be written or an input exchange rate is malformed
+    if (exportSeries && seriesFormats.includes('sqlite')) loadSqlite();
+    const inputRates = exchangeRatesFromInput(exchangeRates).map(rate => ({ ...rate, source: 'input', url: null }));
+
+    // Resolve the target profile (keyword taxonomies, URLs, selectors, crawl rules)
+    const profile = loadProfile(inlineProfile || profileReference);
+    const screenshotMasks = [...new Set([...profile.privacy.maskSelectors, ...maskSelectors])];
+    const startUrl = inputStartUrl || profile.startUrl;
+    const loginUrl = inputLoginUrl || profile.loginUrl;
+    const {
+        commodity: commodityKeywords,
+        dataSources: dataSourceKeywords,
+        markets: marketKeywords,
+    } = profile.taxonomies;
+    const knowledgeBase = buildKnowledgeBase(profile);
+
+    // Authentication: saved/injected session first, then configured credential login
+    const auth = createAuthenticator({
+        profile,
+        startUrl,
+        loginUrl,
+        username,
+        password,
+        selectors: loginSelectors,
+        successSelector,
+        sessionCookieNames,
+        cookies,
+        localStorage,
+        persistSession,
+        sessionStoreName,
+        loginTimeout,
+        log,
+    });
+    await auth.restoreSession();
+    const sessions = createSessionPool({ auth, maxReLogins, log });
+
+    // Replay mode: every request is answered from a saved HAR, so there is no login and no live traffic
+    const replay = replayHar ? createHarReplay(await loadHarEntries(replayHar), { log, redact: redactor.text }) : null;
+    if (replay) {
+        log.info(`📼 Replaying ${replay.stats.entries} recorded requests instead of the network`);
+    }
+
+    // Previous report for change detection (explicit reference or this profile's run history)
+    const history = { historyStoreName, historyKey: `latest-${profile.name}` };
+    const previous = compareWithPrevious
+        ? await loadPreviousReport({ previousReport, ...history })
+        : { report: null, source: null };
+    if (previous.report) {
+        log.info(`🔄 Comparing with previous report from ${previous.report.analysisDate} (${previous.source})`);
     }
 
     // Function to extract data sources from page
     async function extractDataSourcesFromPage(page) {
-        const sources = await page.evaluate((keywords) => {
-            const foundSources = [];
-            const allText = document.body.innerText.toLowerCase();
-            
-            // Look for data source mentions
-            keywords.forEach(keyword => {
-                if (allText.includes(keyword)) {
-                    // Try to find context around the keyword
-                    const regex = new RegExp(`.{0,50}${keyword}.{0,50}`, 'gi');
-                    const matches = allText.match(regex);
-                    if (matches) {
-                        matches.forEach(match => {
-                            foundSources.push({
-                                source: keyword,
-                                context: match.trim(),
-                                found: true
-                            });
-                        });
-                    }
-                }
-            });
-            
-            // Look for API endpoints
-            const scripts = Array.from(document.querySelectorAll('script'));
-            scripts.forEach(script => {
-                const content = script.innerText;
-                const apiMatches = content.match(/(?:api|endpoint|feed|source).*?(?:url|uri|path).*?['"](.*?)['"]/gi);
-                if (apiMatches) {
-                    apiMatches.forEach(match => {
-                        foundSources.push({
-                            type: 'api',
-                            endpoint: match,
-                            found: true
-                        });
-                    });
-                }
-            });
-            
-            // Look for data provider logos/images
-            const images = Array.from(document.querySelectorAll('img'));
-            images.forEach(img => {
-                const src = img.src?.toLowerCase() || '';
-                const alt = img.alt?.toLowerCase() || '';
-                const title = img.title?.toLowerCase() || '';
-                
-                keywords.forEach(keyword => {
-                    if (src.includes(keyword) || alt.includes(keyword) || title.includes(keyword)) {
-                        foundSources.push({
-                            type: 'logo/image',
-                            source: keyword,
-                            imageSrc: img.src,
-                            found: true
-                        });
-                    }
-                });
-            });
-            
-            return foundSources;
-        }, dataSourceKeywords);
-        
-        return sources;
+        return extractDataSources(page, dataSourceKeywords);
     }
 
     // Function to extract market information
     async function extractMarketInfo(page) {
-        const markets = await page.evaluate((keywords) => {
-            const foundMarkets = [];
-            
-            // Look for market-related elements
-            const selectors = [
-                'select', 'dropdown', '.market', '.region', '.country',
-                '[data-market]', '[data-region]', '[data-country]'
-            ];
-            
-            selectors.forEach(selector => {
-                const elements = document.querySelectorAll(selector);
-                elements.forEach(el => {
-                    const text = el.innerText || el.value || '';
-                    keywords.forEach(keyword => {
-                        if (text.toLowerCase().includes(keyword)) {
-                            foundMarkets.push({
-                                market: keyword,
-                                element: selector,
-                                text: text.substring(0, 100),
-                                found: true
-                            });
-                        }
-                    });
-                });
-            });
-            
-            // Look for charts and graphs
-            const chartElements = document.querySelectorAll('canvas, svg, .chart, .graph, [class*="chart"], [id*="chart"]');
-            if (chartElements.length > 0) {
-                foundMarkets.push({
-                    type: 'visualization',
-                    count: chartElements.length,
-                    message: `Found ${chartElements.length} chart/graph elements`
-                });
+        return extractMarkets(page, marketKeywords, profile.selectors.markets);
+    }
+
+    // Function to download the page's files and export buttons, store each file, and record the
+    // tables parsed from CSV and XLSX files; a link or button already tried on another page is skipped
+    async function storeDownloads(page, pageIndex, provenance, log) {
+        const files = await harvestDownloads(page, {
+            formats: downloadFormats,
+            exportKeywords: profile.downloads.exportKeywords,
+            skipKeywords: profile.downloads.skipKeywords,
+            maxDownloads: maxDownloadsPerPage,
+            maxBytes: maxDownloadBytes,
+            skip: target => downloadSignatures.has(fingerprint(downloadSignature(target))),
+        });
+        const store = await KeyValueStore.open();
+        const entries = [];
+
+        for (const [n, file] of files.entries()) {
+            const { buffer, location, ...metadata } = file;
+            const entry = { ...metadata, fileKey: null, tables: [], parseError: null, location };
+            downloadSignatures.set(fingerprint(downloadSignature(file)), pageIndex);
+
+            if (buffer) {
+                try {
+                    // Text files are redacted like payloads and XLSX files cell by cell; PDF files cannot
+                    // be redacted and are only stored on request
+                    let content = null;
+                    if (file.format === 'csv' || file.format === 'json') content = redactor.body(buffer.toString('utf8'), file.format);
+                    else if (file.format === 'xlsx') content = redactWorkbook(buffer, redactor.text);
+                    else if (storeUnredactedDownloads) content = buffer;
+                    if (content !== null) {
+                        entry.fileKey = `download_${pageIndex}_${n + 1}.${file.format}`;
+                        const contentType = file.format === 'xlsx' ? FORMAT_CONTENT_TYPES.xlsx : file.contentType || FORMAT_CONTENT_TYPES[file.format];
+                        await store.setValue(entry.fileKey, content, { contentType });
+                    }
+
+                    const tables = parseDownloadedFile(file, { maxRows: maxTableRows, dateOrder })
+                        .map(table => ({ ...table, sourceFile: entry.fileKey, location }));
+                    entry.tables = (await recordTables(tables, pageIndex, provenance)).map(table => table.csvKey);
+                } catch (error) {
+                    entry.parseError = error.message;
+                    log.warning(`Could not read ${file.fileName || entry.fileKey}: ${error.message}`);
+                }
             }
-            
-            return foundMarkets;
-        }, marketKeywords);
-        
-        return markets;
+            entries.push(entry);
+        }
+
+        const recorded = await provenance.attach(entries, { extractor: 'downloads', kind: 'download' });
+        downloadsFound.push(...recorded);
+        for (const entry of recorded) {
+            await pushData({ type: 'download', ...entry });
+        }
+        return recorded;
     }
 
-    // Function to intercept network requests
-    async function interceptNetworkRequests(page) {
-        const requests = [];
-        
-        page.on('request', request => {
-            const url = request.url();
-            const method = request.method();
-            
-            // Look for API calls and data endpoints
-            if (url.includes('api') || url.includes('data') || url.includes('forecast') || 
-                url.includes('price') || url.includes('shrimp')) {
-                requests.push({
-                    url: url,
-                    method: method,
-                    type: request.resourceType(),
-                    timestamp: new Date().toISOString()
-                });
+    // Function to persist captured payload bodies and keep their metadata for the catalog
+    async function storeNetworkCaptures(networkCapture, pageUrl, pageIndex) {
+        await networkCapture.settle();
+        const store = await KeyValueStore.open();
+        let stored = 0;
+
+        for (const record of networkCapture.captures) {
+            const { body, ...capture } = record;
+            capture.page = pageIndex;
+
+            if (body) {
+                const { host, route } = normalizeRoute(capture.url);
+                const routeKey = `${capture.method} ${host}${route}`;
+                const storedCount = storedPayloadCounts.get(routeKey) || 0;
+
+                if (storedCount < maxPayloadsPerEndpoint) {
+                    const { extension, contentType } = payloadFileType(capture.format);
+                    stored++;
+                    capture.payloadKey = `payload_${pageIndex}_${stored}.${extension}`;
+                    await store.setValue(capture.payloadKey, redactor.body(body, capture.format), { contentType });
+                    storedPayloadCounts.set(routeKey, storedCount + 1);
+                }
             }
-        });
-        
-        page.on('response', response => {
-            const url = response.url();
-            const status = response.status();
-            
+
+            networkCaptures.push(capture);
+
+            // Forecast metadata (horizon, bounds, metrics, model, drivers) and time series carried by payloads
+            if (body && !capture.parseError && (capture.format === 'json' || capture.format === 'csv')) {
+                const json = capture.format === 'json' ? JSON.parse(body) : null;
+                if (extractForecasting && json) {
+                    const view = forecastMetadataFromPayload(json, { url: capture.url, uiState: capture.uiState });
+                    recordForecastView({
+                        id: findingId('forecast_view', FINDING_KEYS.forecast_view(view)),
+                        ...view,
+                        page: pageIndex,
+                        sourceDetail: capture.payloadKey || `${capture.method} ${capture.url}`,
+                        provenance: { pageUrl, uiState: capture.uiState || null, extractor: 'network', requestUrl: capture.url, payloadKey: capture.payloadKey || null },
+                    });
+                }
+                if (normalizePrices && json) {
+                    exchangeRatesFound.push(...exchangeRatesFromPayload(json).map(rate => ({ ...rate, source: 'api', url: capture.url, page: pageIndex })));
+                }
+                if (exportSeries || normalizePrices) {
+                    const series = json ? seriesFromPayload(json, { dateOrder }) : seriesFromCsvPayload(body, { dateOrder });
+                    if (series.length > 0) payloadSeries.push({ url: capture.url, pageUrl, page: pageIndex, uiState: capture.uiState, series });
+                }
+            }
+
             // Track successful data responses
-            if (status === 200 && (url.includes('api') || url.includes('data'))) {
+            if (capture.status === 200 && (capture.url.includes('api') || capture.url.includes('data'))) {
                 apiEndpoints.push({
-                    url: url,
-                    status: status,
-                    timestamp: new Date().toISOString()
+                    url: capture.url,
+                    status: capture.status,
+                    timestamp: capture.timestamp,
+                    page: pageIndex,
                 });
             }
+        }
+    }
+
+    // Function to keep a forecast view that carries metadata, skipping ones already seen
+    function recordForecastView(view) {
+        if (!view || !hasForecastMetadata(view)) return false;
+        const { id, url, uiState, sourceDetail, page, provenance, ...content } = view;
+        const signature = fingerprint([url, content]);
+        if (forecastSignatures.has(signature)) return false;
+        forecastSignatures.set(signature, page);
+        forecastingModels.push(view);
+        return true;
+    }
+
+    // Function to store extracted tables (CSV, Dataset, report entry) with their provenance, skipping
+    // ones already seen on the page; returns the recorded entries. Tables parsed from a downloaded
+    // file carry the file's key (sourceFile) and the location of its link or button.
+    async function recordTables(tables, pageIndex, provenance, uiState = null) {
+        const store = await KeyValueStore.open();
+        const recorded = [];
+
+        for (const table of tables) {
+            const signature = fingerprint([table.url, table.headers, table.rows]);
+            if (tableSignatures.has(signature)) continue;
+            tableSignatures.set(signature, pageIndex);
+
+            tablesExtracted++;
+            const tableNumber = (pageTableCounts.get(pageIndex) || 0) + 1;
+            pageTableCounts.set(pageIndex, tableNumber);
+            const csvKey = `table_${pageIndex}_${tableNumber}.csv`;
+            await store.setValue(csvKey, redactor.text(tableToCsv(table)), { contentType: 'text/csv' });
+            const { location, ...content } = table;
+            await pushData({ type: 'data_table', csvKey, uiState, ...content });
+
+            const [entry] = await provenance.attach([{
+                type: 'data_table',
+                index: table.index,
+                caption: table.caption,
+                headers: table.headers,
+                rowCount: table.rowCount,
+                url: table.url,
+                uiState,
+                isTimeSeries: table.isTimeSeries,
+                isPriceTable: table.isPriceTable,
+                series: table.series,
+                csvKey,
+                ...(table.sourceFile ? { sourceFile: table.sourceFile } : {}),
+                location: table.location || await provenance.locate(table.selector),
+            }], { extractor: table.sourceFile ? 'downloads' : 'tables', kind: 'table', uiState });
+            methodologyInfo.push(entry);
+            recorded.push(entry);
+        }
+
+        return recorded;
+    }
+
+    // Function to finish a page in the frontier and queue the next candidates (with parallel pages,
+    // the next batch once the current one is done), then checkpoint the run; a page run again after
+    // a resume is only finished once
+    async function queueNextPages(log, pageIndex) {
+        if (!finishedPages.has(pageIndex)) {
+            finishedPages.add(pageIndex);
+            const added = frontier.done();
+            if (added > 0) {
+                log.info(`🧭 Queued ${added} new candidate pages`);
+            }
+        }
+        await crawler.addRequests(frontier.next());
+        await saveCheckpoint();
+    }
+
+    // Function to forget what an earlier attempt of a page found, so a retried page does not count twice
+    function forgetPage(pageIndex) {
+        removeMatching(Object.values(findings), item => item.page === pageIndex);
+        [tableSignatures, forecastSignatures, downloadSignatures].forEach(signatures => {
+            [...signatures].filter(([, page]) => page === pageIndex).forEach(([signature]) => signatures.delete(signature));
         });
-        
-        return requests;
+        pageTableCounts.delete(pageIndex);
+    }
+
+    // Function to classify a page error once and count it against the request's attempts of that kind
+    function classifyAttempt(request, error) {
+        if (!error.classified) {
+            const kind = classifyError(error, { stage: request.userData.stage });
+            const attempts = request.userData.errorAttempts || {};
+            const attempt = (attempts[kind] || 0) + 1;
+            request.userData.errorAttempts = { ...attempts, [kind]: attempt };
+            error.classified = { kind, attempt, statusCode: statusOf(error) };
+        }
+        return error.classified;
     }
 
-    // Configure Puppeteer crawler
+    // Function to save the run's partial state (see src/checkpoint.js); what pages said is redacted,
+    // the frontier keeps URLs as crawled so the crawl can continue
+    async function saveCheckpoint() {
+        await checkpoint.save({
+            frontier: frontier.snapshot(),
+            finishedPages: [...finishedPages],
+            ...redactor.value({ pageReports, findings, errors: errorLog.entries() }),
+            harKeys,
+            storedPayloadCounts: [...storedPayloadCounts],
+            pageTableCounts: [...pageTableCounts],
+            tableSignatures: [...tableSignatures],
+            forecastSignatures: [...forecastSignatures],
+            downloadSignatures: [...downloadSignatures],
+        });
+    }
+
+    // Function to continue from a saved state: everything of finished pages is kept, and pages that
+    // were still running are dropped (the request queue runs them again)
+    function restoreCheckpoint(state) {
+        frontier.restore(state.frontier);
+        state.finishedPages.forEach(page => finishedPages.add(page));
+        const finished = page => finishedPages.has(page);
+        state.pageReports.forEach((report, index) => {
+            if (report && finished(report.index)) pageReports[index] = report;
+        });
+        Object.entries(findings).forEach(([name, list]) => list.push(...(state.findings[name] || [])));
+        removeMatching(Object.values(findings), item => !finished(item.page));
+        harKeys.push(...state.harKeys.filter(key => finished(Number(key.match(/\d+/)[0]))));
+        state.storedPayloadCounts.forEach(([route, count]) => storedPayloadCounts.set(route, count));
+        state.pageTableCounts.filter(([page]) => finished(page)).forEach(([page, count]) => pageTableCounts.set(page, count));
+        state.tableSignatures.filter(([, page]) => finished(page)).forEach(([signature, page]) => tableSignatures.set(signature, page));
+        state.forecastSignatures.filter(([, page]) => finished(page)).forEach(([signature, page]) => forecastSignatures.set(signature, page));
+        (state.downloadSignatures || []).filter(([, page]) => finished(page)).forEach(([signature, page]) => downloadSignatures.set(signature, page));
+        errorLog.restore(state.errors);
+    }
+
+    // Crawl frontier: link discovery, URL canonicalization, scope rules and relevance ordering
+    const frontier = createFrontier({
+        startUrl,
+        profile,
+        includeGlobs,
+        excludeGlobs,
+        excludeUrls: [loginUrl],
+        maxDepth,
+        maxPages,
+        maxDocPages,
+        concurrency: maxConcurrency,
+    });
+
+    // Pick up an interrupted run of the same crawl (its request queue still holds the unfinished pages)
+    const checkpoint = createCheckpoint({ store: await KeyValueStore.open(), identity: { startUrl, profile: profile.name } });
+    const savedState = resumeInterruptedRun === false ? null : await checkpoint.load();
+    const resumed = Boolean(savedState);
+    if (resumed) {
+        restoreCheckpoint(savedState);
+        console.log(`♻️ Resuming an interrupted run: ${finishedPages.size} pages already done`);
+    }
+
+    // Configure Puppeteer crawler; parallel pages share the browser's cookies and storage, so the
+    // session pool (not Crawlee's per-session cookie store) decides which login they use
     const crawler = new PuppeteerCrawler({
         maxRequestsPerCrawl: maxPages,
-        maxConcurrency: 1,  // Single browser instance for session consistency
+        maxConcurrency,
+        persistCookiesPerSession: false,
+        // Each error kind has its own retry limit (see errorHandler); this is the most any kind allows
+        maxRequestRetries: maxRetries(retryPolicies),
         
         launchContext: {
             launchOptions: {
@@ -288,56 +501,145 @@ Actor.main(async () => {
         },
         
         preNavigationHooks: [
-            async ({ page, request }) => {
-                // Set up network interception
-                await interceptNetworkRequests(page);
+            async (crawlingContext, gotoOptions) => {
+                const { page, request } = crawlingContext;
+                request.userData.stage = 'navigation';
+
+                // Set up network capture, read back in requestHandler
+                crawlingContext.networkCapture = createNetworkCapture(page, {
+                    capturePayloads,
+                    maxPayloadBytes,
+                });
+                
+                // Serve the page from the saved HAR, or record its traffic as HAR
+                if (replay) {
+                    await replay.attach(page);
+                } else if (recordHar) {
+                    crawlingContext.harRecorder = createHarRecorder(page, {
+                        bodies: harBodies,
+                        maxBodyBytes: harMaxBodyBytes,
+                        bodyGlobs: harBodyGlobs,
+                    });
+                }
+                
+                // Record SPA route changes (history.pushState, hash routes) for the frontier
+                await installRouteRecorder(page);
+                
+                // Inject the live login session (or saved/input cookies and localStorage), logging in
+                // first when this is the crawl's first page; parallel pages wait for that login
+                await sessions.prepare(page);
+                if (!replay) {
+                    await sessions.authenticate(page, request.url);
+                }
                 
                 // Set viewport
                 await page.setViewport({ width: 1920, height: 1080 });
+
+                // The crawler's navigation only waits for the DOM; waitForPageReady does the rest
+                gotoOptions.waitUntil = 'domcontentloaded';
+                crawlingContext.navigationStartedAt = Date.now();
             },
         ],
         
-        async requestHandler({ request, page, log }) {
+        async requestHandler({ request, response, page, log, networkCapture, harRecorder, navigationStartedAt }) {
+            const handlerStartedAt = Date.now();
             log.info(`Processing ${request.url}...`);
+            // One report entry per page, numbered in dispatch order and replaced when the request is retried;
+            // everything the page finds is tagged with that number so parallel pages never mix findings
+            const pageIndex = request.userData.pageNumber;
+            const pageReport = { index: pageIndex, url: request.url, depth: request.userData.depth || 0, discoveredFrom: request.userData.discoveredFrom || null };
+            pageReports[pageIndex - 1] = pageReport;
+            const tag = item => ({ ...item, page: pageIndex });
+            const onThisPage = item => item.page === pageIndex;
+            forgetPage(pageIndex);
             
-            // Login on first request if credentials provided
-            if (request.url === startUrl && username && password) {
-                const loginSuccess = await performLogin(page);
-                if (loginSuccess) {
-                    // Navigate back to main app after login
-                    await page.goto(startUrl, { waitUntil: 'networkidle2' });
-                }
-            } else {
-                await page.goto(request.url, { waitUntil: 'networkidle2' });
+            const status = response ? response.status() : null;
+            if (status >= 400) {
+                throw crawlError(status >= 500 ? 'http_5xx' : 'http_4xx', `${request.url} returned HTTP ${status}`, { statusCode: status });
             }
             
-            // Wait for dynamic content
-            await page.waitForTimeout(waitForTimeout);
+            // Wait until the page has rendered: network quiet, spinners gone, ready selectors, DOM settled
+            const readinessOptions = { timeout: readinessTimeout, networkQuietMs, domQuietMs, ...profile.readiness };
+            let readiness = await waitForPageReady(page, readinessOptions);
+            
+            // Rebuild the session when this page shows it was logged out (redirect to login, failed login check),
+            // then load the page again
+            if (!replay && !(await sessions.isHealthy(page))) {
+                log.warning(`🔁 Logged out on ${request.url}`);
+                if (!(await sessions.recover(page))) {
+                    throw crawlError('auth_expired', `Logged out on ${request.url} and logging in again failed`);
+                }
+                await page.goto(request.url, { waitUntil: 'domcontentloaded' });
+                readiness = { ...await waitForPageReady(page, readinessOptions), reloadedAfterLogin: true };
+            }
+            if (readiness.timedOut.length > 0) {
+                log.info(`⏳ Not fully ready after ${readiness.readyMs} ms (${readiness.timedOut.join(', ')} timed out)${readiness.pendingSelectors ? `, waiting for ${readiness.pendingSelectors.join('; ')}` : ''}`);
+            }
+            if (waitForTimeout > 0) {
+                await page.waitForTimeout(waitForTimeout);
+            }
+            const readyAt = Date.now();
+            request.userData.stage = 'extraction';
+            pageReport.timing = {
+                navigationMs: navigationStartedAt ? handlerStartedAt - navigationStartedAt : null,
+                readiness,
+            };
             
-            // Take screenshot if enabled
+            // Take screenshot if enabled, with the account menu and other masked elements blanked
+            pageReport.finalUrl = page.url();
+            pageReport.title = await page.title();
             if (screenshotEnabled) {
-                const screenshotBuffer = await page.screenshot({ fullPage: true });
+                const { buffer: screenshotBuffer, masked } = await maskedScreenshot(page, screenshotMasks, () => page.screenshot({ fullPage: true }));
+                pageReport.maskedElements = masked;
                 const store = await KeyValueStore.open();
+                pageReport.screenshotKey = `screenshot_${pageIndex}.png`;
                 await store.setValue(
-                    `screenshot_${Date.now()}.png`,
+                    pageReport.screenshotKey,
                     screenshotBuffer,
                     { contentType: 'image/png' }
                 );
             }
             
+            // Every finding below gets a stable ID and a provenance record: page, extractor, element
+            // selector/XPath, time, and a cropped screenshot of the element
+            const provenance = createProvenanceRecorder({
+                page,
+                pageNumber: pageIndex,
+                pageUrl: request.url,
+                pageTitle: pageReport.title,
+                depth: pageReport.depth,
+                screenshotKey: pageReport.screenshotKey || null,
+                store: maxElementScreenshots > 0 ? await KeyValueStore.open() : null,
+                maxElementScreenshots,
+                maskSelectors: screenshotMasks,
+            });
+            
             // Extract data sources
+            const pageSourceIds = new Set();
             if (extractDataSources) {
-                const sources = await extractDataSourcesFromPage(page);
+                const sources = await provenance.attach(await extractDataSourcesFromPage(page), { extractor: 'dataSources', kind: 'data_source' });
                 dataSourcesFound.push(...sources);
+                sources.forEach(source => pageSourceIds.add(source.id));
+                providerEvidence.push(...await provenance.attach(await collectProviderEvidence(page, knowledgeBase), { extractor: 'providers', kind: 'provider_evidence' }));
                 
                 if (sources.length > 0) {
                     log.info(`📊 Found ${sources.length} data source references`);
                 }
             }
             
+            // Exchange rates quoted on the page ("USD/INR 83.20"), for price normalization
+            if (normalizePrices) {
+                const pageText = await page.evaluate(() => (document.body ? document.body.innerText : ''));
+                const rates = parseExchangeRates(pageText);
+                exchangeRatesFound.push(...rates.map(rate => tag({ ...rate, source: 'page', url: request.url })));
+                if (rates.length > 0) {
+                    log.info(`💱 Found exchange rates: ${rates.map(r => `${r.base}/${r.quote} ${r.rate}`).join(', ')}`);
+                }
+            }
+            
             // Extract market information
             if (extractMarkets) {
-                const markets = await extractMarketInfo(page);
+                const markets = await provenance.attach((await extractMarketInfo(page)).map(market => ({ ...market, url: request.url })), { extractor: 'markets', kind: 'market' });
                 marketsAnalyzed.push(...markets);
                 
                 if (markets.length > 0) {
@@ -345,184 +647,417 @@ Actor.main(async () => {
                 }
             }
             
-            // Look for methodology or about pages
-            if (extractMethodology) {
-                const methodologyLinks = await page.evaluate(() => {
-                    const links = [];
-                    const anchors = document.querySelectorAll('a');
-                    anchors.forEach(a => {
-                        const href = a.href?.toLowerCase() || '';
-                        const text = a.innerText?.toLowerCase() || '';
-                        if (text.includes('methodology') || text.includes('about') || 
-                            text.includes('how it works') || text.includes('data source') ||
-                            href.includes('methodology') || href.includes('about')) {
-                            links.push({
-                                url: a.href,
-                                text: a.innerText,
-                                type: 'methodology_link'
-                            });
-                        }
-                    });
-                    return links;
-                });
+            // Extract chart series from chart library state or SVG geometry
+            if (extractCharts) {
+                const extracted = await extractChartsFromPage(page);
+                const located = [];
+                for (const chart of extracted.charts) {
+                    located.push({ ...chart, location: await provenance.locate(chart.selector) });
+                }
+                const charts = await provenance.attach(located, { extractor: 'charts', kind: 'chart' });
+                const { unreadCanvases } = extracted;
+                chartsFound.push(...charts);
+
+                for (const chart of charts) {
+                    await pushData({ type: 'chart', ...chart });
+                }
                 
+                if (charts.length > 0) {
+                    const seriesCount = charts.reduce((sum, c) => sum + c.series.length, 0);
+                    log.info(`📈 Extracted ${charts.length} charts with ${seriesCount} series`);
+                }
+                if (unreadCanvases > 0) {
+                    log.info(`🖼️ ${unreadCanvases} canvas charts without readable library state`);
+                }
+                if (extractForecasting) {
+                    (await provenance.attach(forecastViewsFromCharts(charts, { url: request.url }), { extractor: 'charts', kind: 'forecast_view' }))
+                        .forEach(recordForecastView);
+                }
+            }
+
+            // Read the forecast panel: horizon, confidence intervals, backtest figures, model, drivers, last updated
+            // (documentation pages describe forecasts in prose; their facts go to the methodology section)
+            const isDocsPage = request.userData.kind === 'docs' || isDocumentationUrl(request.url, profile.docs.linkKeywords);
+            if (extractForecasting && !isDocsPage) {
+                const view = await extractForecastMetadata(page, { dateOrder });
+                const [attached] = view ? await provenance.attach([{ ...view, sourceDetail: 'page' }], { extractor: 'forecastPanel', kind: 'forecast_view' }) : [];
+                if (view && recordForecastView(attached)) {
+                    log.info(`🔮 Read forecast metadata${view.horizon ? ` (horizon ${view.horizon.value})` : ''}${view.models.length > 0 ? `, models: ${view.models.join(', ')}` : ''}`);
+                }
+            }
+            
+            // Look for methodology, about, help and docs pages: queue them, and mine this page if it is one
+            if (extractMethodology) {
+                const methodologyLinks = await provenance.attach(await extractMethodologyLinks(page, profile.docs.linkKeywords), { extractor: 'methodologyLinks', kind: 'methodology_link' });
                 methodologyInfo.push(...methodologyLinks);
+                frontier.offer(
+                    methodologyLinks.map(link => ({ url: link.url, text: link.text, source: 'docs', kind: 'docs', boost: DOC_LINK_BOOST })),
+                    { pageUrl: page.url(), depth: request.userData.depth || 0 },
+                );
+
+                if (isDocsPage) {
+                    const content = await extractMainContent(page);
+                    const facts = extractFacts(content.text, { knowledgeBase, dataTypes: profile.docs.dataTypes });
+                    const textKey = `doc_${pageIndex}.txt`;
+                    const store = await KeyValueStore.open();
+                    await store.setValue(textKey, redactor.text(content.text), { contentType: 'text/plain; charset=utf-8' });
+
+                    const [documentEntry] = await provenance.attach([{ url: request.url, title: content.heading || content.title, wordCount: content.wordCount, textKey, facts }],
+                        { extractor: 'documentation', kind: 'document' });
+                    const existing = documents.findIndex(d => d.url === request.url);
+                    if (existing === -1) documents.push(documentEntry);
+                    else documents[existing] = documentEntry;
+                    pageReport.documentation = { wordCount: content.wordCount, textKey };
+
+                    providerEvidence.push(...await provenance.attach(facts.providers.map(fact => ({
+                        provider: fact.provider, kind: 'documented', matched: fact.matched, context: fact.sentence, url: page.url(), uiState: null,
+                    })), { extractor: 'documentation', kind: 'provider_evidence' }));
+                    const factCount = Object.values(facts).reduce((sum, list) => sum + list.length, 0);
+                    log.info(`📚 Read documentation (${content.wordCount} words, ${factCount} facts): ${documentEntry.title}`);
+                }
             }
             
-            // Look for specific shrimp-related content
-            const shrimpContent = await page.evaluate((keywords) => {
-                const content = [];
-                const allText = document.body.innerText.toLowerCase();
-                
-                keywords.forEach(keyword => {
-                    if (allText.includes(keyword)) {
-                        content.push({
-                            keyword: keyword,
-                            found: true,
-                            url: window.location.href
-                        });
-                    }
-                });
-                
-                return content;
-            }, shrimpKeywords);
+            // Look for commodity-specific content (e.g. shrimp)
+            const commodityContent = await provenance.attach(await extractCommodityContent(page, commodityKeywords), { extractor: 'commodity', kind: 'commodity' });
             
-            if (shrimpContent.length > 0) {
-                log.info(`🦐 Found shrimp-related content: ${shrimpContent.map(c => c.keyword).join(', ')}`);
+            if (commodityContent.length > 0) {
+                commodityMatches.push(...commodityContent);
+                log.info(`${profile.emoji || '🔎'} Found ${profile.commodity}-related content: ${commodityContent.map(c => c.keyword).join(', ')}`);
             }
             
-            // Extract visible data tables
-            const tables = await page.evaluate(() => {
-                const tableData = [];
-                const tables = document.querySelectorAll('table');
-                
-                tables.forEach((table, index) => {
-                    const headers = Array.from(table.querySelectorAll('th')).map(th => th.innerText.trim());
-                    const rows = table.querySelectorAll('tbody tr').length || table.querySelectorAll('tr').length;
-                    
-                    if (headers.length > 0 || rows > 0) {
-                        tableData.push({
-                            index: index,
-                            headers: headers,
-                            rowCount: rows,
-                            url: window.location.href
-                        });
-                    }
-                });
-                
-                return tableData;
-            });
-            
-            if (tables.length > 0) {
-                log.info(`📋 Found ${tables.length} data tables`);
-                methodologyInfo.push(...tables.map(t => ({ ...t, type: 'data_table' })));
+            // Extract visible data tables with their cell values
+            if (extractTables) {
+                const tables = await extractTablesFromPage(page, { maxRows: maxTableRows, dateOrder });
+
+                if (tables.length > 0) {
+                    const timeSeriesCount = tables.filter(t => t.isTimeSeries).length;
+                    log.info(`📋 Found ${tables.length} data tables (${timeSeriesCount} date-indexed)`);
+                    await recordTables(tables, pageIndex, provenance);
+                }
             }
             
-            // Look for navigation elements to find more pages
-            const navigationLinks = await page.evaluate(() => {
-                const links = [];
-                const selectors = ['nav a', '.menu a', '.sidebar a', '[role="navigation"] a'];
-                
-                selectors.forEach(selector => {
-                    const elements = document.querySelectorAll(selector);
-                    elements.forEach(el => {
-                        if (el.href && !el.href.includes('logout') && !el.href.includes('#')) {
-                            links.push({
-                                url: el.href,
-                                text: el.innerText.trim()
-                            });
+            // Step through the page's controls and re-run the extractors in each UI state (not on settings pages)
+            if (exploreInteractions && isExplorable(page.url(), profile.explore.excludePatterns)) {
+                const exploration = await exploreInteractiveStates(page, {
+                    maxStates: maxInteractionStates,
+                    maxOptionsPerControl,
+                    settleMs: interactionSettleMs,
+                    toggleSelectors: profile.explore.toggleSelectors,
+                    log,
+                    onState: async (uiState) => {
+                        networkCapture.setUiState(uiState.label);
+                        if (harRecorder) harRecorder.setUiState(uiState.label);
+                        uiState.newFindings = { dataSources: 0, tables: 0, forecasts: 0 };
+
+                        if (extractDataSources) {
+                            const sources = (await provenance.attach(await extractDataSourcesFromPage(page), { extractor: 'dataSources', kind: 'data_source', uiState: uiState.label }))
+                                .filter(source => !pageSourceIds.has(source.id));
+                            sources.forEach(source => pageSourceIds.add(source.id));
+                            dataSourcesFound.push(...sources.map(source => ({ ...source, uiState: uiState.label })));
+                            uiState.newFindings.dataSources = sources.length;
+                            providerEvidence.push(...await provenance.attach(await collectProviderEvidence(page, knowledgeBase, uiState.label),
+                                { extractor: 'providers', kind: 'provider_evidence', uiState: uiState.label }));
                         }
-                    });
+
+                        if (extractTables) {
+                            const tables = await extractTablesFromPage(page, { maxRows: maxTableRows, dateOrder });
+                            uiState.newFindings.tables = (await recordTables(tables, pageIndex, provenance, uiState.label)).length;
+                        }
+
+                        if (extractForecasting) {
+                            const view = await extractForecastMetadata(page, { dateOrder });
+                            const [attached] = view
+                                ? await provenance.attach([{ ...view, uiState: uiState.label, sourceDetail: 'page' }], { extractor: 'forecastPanel', kind: 'forecast_view', uiState: uiState.label })
+                                : [];
+                            if (view && recordForecastView(attached)) {
+                                uiState.newFindings.forecasts = 1;
+                            }
+                        }
+                    },
+                    // Traffic while the controls are reset belongs to the page's default state
+                    onRestore: () => {
+                        networkCapture.setUiState(null);
+                        if (harRecorder) harRecorder.setUiState(null);
+                    },
                 });
-                
-                return links;
-            });
+
+                explorations.push({ page: pageIndex, url: request.url, ...exploration });
+                if (exploration.controls.length > 0) {
+                    log.info(`🖱️ Explored ${exploration.states.length} UI states across ${exploration.controls.length} controls`);
+                }
+            }
             
-            // Add relevant navigation links to crawl
-            for (const link of navigationLinks) {
-                const relevantKeywords = ['data', 'source', 'market', 'price', 'forecast', 
-                                        'shrimp', 'seafood', 'analysis', 'report', 'insight'];
-                
-                if (relevantKeywords.some(keyword => link.text.toLowerCase().includes(keyword))) {
-                    await crawler.addRequests([link.url]);
+            // Download linked files and exports, and read CSV/XLSX files as tables
+            if (downloadFiles) {
+                const downloads = await storeDownloads(page, pageIndex, provenance, log);
+                const downloaded = downloads.filter(d => !d.error);
+                if (downloads.length > 0) {
+                    log.info(`📥 Downloaded ${downloaded.length} files (${downloaded.reduce((sum, d) => sum + d.tables.length, 0)} tables)${downloads.length > downloaded.length ? `, ${downloads.length - downloaded.length} failed` : ''}`);
                 }
             }
+            
+            // Discover links (anchors, router config, pushState routes) and offer them to the frontier
+            const discoveredLinks = await discoverLinks(page, profile);
+            frontier.offer(discoveredLinks, { pageUrl: page.url(), depth: request.userData.depth || 0 });
+
+            // Persist captured API payloads for the endpoint catalog
+            await storeNetworkCaptures(networkCapture, request.url, pageIndex);
+
+            // Store this page's network trace
+            if (harRecorder) {
+                await harRecorder.settle();
+                pageReport.harKey = `network_${pageIndex}.har`;
+                const har = harRecorder.toHar({ id: `page_${pageIndex}`, title: pageReport.title });
+                const store = await KeyValueStore.open();
+                await store.setValue(pageReport.harKey, JSON.stringify(redactHar(har, redactor)), { contentType: 'application/json' });
+                if (!harKeys.includes(pageReport.harKey)) harKeys.push(pageReport.harKey);
+                log.info(`📼 Recorded ${har.log.entries.length} requests to ${pageReport.harKey}`);
+            }
+
+            // Summarize what this page contributed, for the per-page report section
+            const exploration = explorations.find(onThisPage);
+            pageReport.findings = {
+                providers: [...new Set(providerEvidence.filter(onThisPage).map(e => e.provider))]
+                    .map(id => knowledgeBase.find(p => p.id === id).name),
+                markets: [...new Set(marketsAnalyzed.filter(onThisPage).filter(m => m.market).map(m => m.market))],
+                commodityKeywords: commodityContent.map(c => c.keyword),
+                tables: methodologyInfo.filter(m => onThisPage(m) && m.type === 'data_table')
+                    .map(t => ({ caption: t.caption, rowCount: t.rowCount, csvKey: t.csvKey, uiState: t.uiState || null })),
+                charts: chartsFound.filter(onThisPage).map(c => ({ library: c.library, title: c.title, seriesCount: c.series.length })),
+                downloads: downloadsFound.filter(onThisPage)
+                    .map(d => ({ id: d.id, fileName: d.fileName, format: d.format, fileKey: d.fileKey, tables: d.tables, error: d.error || null })),
+                forecasts: forecastingModels.filter(onThisPage).length,
+                apiCalls: networkCaptures.filter(onThisPage).length,
+                uiStatesExplored: exploration ? exploration.states.length : 0,
+            };
+
+            pageReport.evidence = provenance.stats();
+
+            pageReport.timing.extractionMs = Date.now() - readyAt;
+            pageReport.timing.totalMs = Date.now() - (navigationStartedAt || handlerStartedAt);
+
+            // Write this page's result now, so an interrupted run still has the pages it finished
+            await pushData({ type: 'page_result', ...pageReport });
+
+            // Free this page's slot and hand the highest-scoring candidates to the crawler
+            sessions.release(page);
+            await queueNextPages(log, pageIndex);
         },
         
-        failedRequestHandler({ request, log }) {
-            log.error(`Request ${request.url} failed.`);
+        // Retry the page after the backoff of its error kind, or give it up when that kind is out of retries
+        async errorHandler({ request, log }, error) {
+            const { kind, attempt, statusCode } = classifyAttempt(request, error);
+            const { retry, backoffMs } = retryDecision(kind, { attempt, statusCode, policies: retryPolicies });
+            errorLog.record({ url: request.url, page: request.userData.pageNumber, kind, message: error.message, statusCode, attempt, retry, backoffMs });
+            if (!retry) {
+                request.noRetry = true;
+                return;
+            }
+            log.warning(`🔁 ${kind} on ${request.url} (attempt ${attempt}), retrying in ${backoffMs} ms`);
+            if (backoffMs > 0) await sleep(backoffMs);
+        },
+        
+        async failedRequestHandler({ request, log }, error) {
+            const { kind, attempt, statusCode } = classifyAttempt(request, error);
+            const pageIndex = request.userData.pageNumber;
+            // errorHandler already recorded errors whose kind ran out of retries, but not one that hit the crawler's overall limit
+            if (!errorLog.entries().some(e => e.page === pageIndex && e.attempt === attempt && e.kind === kind && !e.retried)) {
+                errorLog.record({ url: request.url, page: pageIndex, kind, message: error.message, statusCode, attempt, retry: false });
+            }
+            log.error(`Request ${request.url} failed (${kind}): ${error.message.split('\n')[0]}`);
+            forgetPage(pageIndex);
+            const pageReport = { ...(pageReports[pageIndex - 1] || { index: pageIndex, url: request.url }), failed: true, errorKind: kind, error: error.message.split('\n')[0] };
+            pageReports[pageIndex - 1] = pageReport;
+            await pushData({ type: 'crawl_error', page: pageIndex, url: request.url, kind, statusCode, message: pageReport.error });
+            await queueNextPages(log, pageIndex);
         },
     });
 
     // Run the crawler
-    console.log('\n🚀 Starting DataPred analysis...\n');
-    await crawler.run([startUrl]);
+    console.log(`\n🚀 Starting ${profile.platform} analysis (profile: ${profile.name})...\n`);
+    Actor.on('persistState', saveCheckpoint);
+    Actor.on('migrating', saveCheckpoint);
+    await crawler.run(resumed ? [] : [frontier.seed(startUrl)]);
+    Actor.off('persistState', saveCheckpoint);
+    Actor.off('migrating', saveCheckpoint);
 
-    // Process and deduplicate results
-    const uniqueDataSources = [...new Set(dataSourcesFound.map(s => JSON.stringify(s)))].map(s => JSON.parse(s));
-    const uniqueMarkets = [...new Set(marketsAnalyzed.map(m => JSON.stringify(m)))].map(m => JSON.parse(m));
+    // Put findings in page order (pages finish in any order when crawled in parallel); the sort is
+    // stable, so findings of one page keep the order the page produced them in
+    for (const list of Object.values(findings)) {
+        list.sort((a, b) => (a.page || 0) - (b.page || 0));
+    }
+    harKeys.sort((a, b) => a.localeCompare(b, 'en', { numeric: true }));
+    const crawledPages = pageReports.filter(Boolean);
+
+    // Merge findings by ID (the same source text on several pages is one source) and keep where each was seen
+    const uniqueDataSources = mergeFindings(dataSourcesFound);
+    const uniqueMarkets = mergeFindings(marketsAnalyzed);
     const uniqueAPIs = [...new Set(apiEndpoints.map(a => a.url))].map(url => 
         apiEndpoints.find(a => a.url === url)
     );
+    const endpointCatalog = buildEndpointCatalog(networkCaptures);
+    const methodologyLinks = [...new Map(methodologyInfo.filter(m => m.type === 'methodology_link').map(l => [l.url, l])).values()];
+    const documentationFacts = summarizeFacts(documents);
+    const timeSeriesEndpoints = endpointCatalog.filter(e => e.looksLikeTimeSeries);
 
-    // Identify specific data providers
-    const identifiedProviders = new Set();
-    uniqueDataSources.forEach(source => {
-        if (source.source) {
-            identifiedProviders.add(source.source);
-        }
-    });
+    // Read grades, species and forms from price labels and convert prices to the base currency and unit
+    // (input rates override captured ones); converted points get a normalizedValue
+    const normalization = normalizePrices ? normalizeFindings({
+        tables: methodologyInfo.filter(m => m.type === 'data_table'),
+        charts: chartsFound,
+        payloads: payloadSeries,
+        profile,
+        rates: createRateTable([...exchangeRatesFound, ...inputRates]),
+        baseCurrency,
+        baseUnit,
+    }) : null;
+
+    // Resolve provider entities from page evidence and API hostnames; keep generic keywords apart
+    const providers = resolveProviders([...providerEvidence, ...networkEvidence(networkCaptures, knowledgeBase)], knowledgeBase);
+    const likelyProviders = providers.filter(p => p.confidence >= minProviderConfidence);
+    const possibleProviders = providers.filter(p => p.confidence < minProviderConfidence);
+    const genericDataTerms = genericTerms(uniqueDataSources, knowledgeBase);
 
     // Generate analysis results
     const results = {
         analysisDate: new Date().toISOString(),
-        platform: 'DataPred',
+        platform: profile.platform,
+        profile: profile.name,
         url: startUrl,
-        authenticated: username && password ? true : false,
+        authenticated: auth.state.authenticated,
+        authentication: {
+            method: auth.state.method,
+            sessionRestored: auth.state.sessionRestored,
+            loginAttempts: auth.state.loginAttempts,
+            reLogins: auth.state.reLogins,
+            lastError: auth.state.lastError,
+            sessions: sessions.stats(),
+        },
         
         dataSources: {
-            identified: Array.from(identifiedProviders),
+            identified: likelyProviders.map(p => p.name),
+            providers,
+            genericTerms: genericDataTerms,
             total: uniqueDataSources.length,
-            details: uniqueDataSources.slice(0, 50),  // Limit to first 50 for readability
+            details: uniqueDataSources,
             apiEndpoints: uniqueAPIs,
         },
         
+        crawl: { concurrency: maxConcurrency, ...frontier.stats(), timing: summarizeTimings(crawledPages) },
+        pages: crawledPages,
+        crawlErrors: errorLog.summarize(crawledPages),
+        
+        networkTrace: {
+            recorded: Boolean(recordHar && !replay),
+            bodies: harBodies,
+            harKeys,
+            replay: replay ? replay.stats : null,
+        },
+        
+        endpointCatalog: {
+            total: endpointCatalog.length,
+            totalCalls: networkCaptures.length,
+            timeSeriesCandidates: timeSeriesEndpoints.map(e => `${e.method} ${e.host}${e.route}`),
+            endpoints: endpointCatalog,
+        },
+        
+        charts: {
+            total: chartsFound.length,
+            byLibrary: chartsFound.reduce((counts, c) => ({ ...counts, [c.library]: (counts[c.library] || 0) + 1 }), {}),
+            forecastSeries: chartsFound.reduce((sum, c) => sum + c.series.filter(s => s.forecastPointCount > 0).length, 0),
+            items: chartsFound,
+        },
+        
+        forecasting: buildForecastingSection(forecastingModels),
+
+        downloads: {
+            enabled: downloadFiles,
+            total: downloadsFound.filter(d => !d.error).length,
+            stored: downloadsFound.filter(d => d.fileKey).length,
+            failed: downloadsFound.filter(d => d.error).length,
+            byFormat: downloadsFound.filter(d => !d.error).reduce((counts, d) => ({ ...counts, [d.format]: (counts[d.format] || 0) + 1 }), {}),
+            tables: downloadsFound.reduce((sum, d) => sum + d.tables.length, 0),
+            files: mergeFindings(downloadsFound),
+        },
+
+        exploration: {
+            enabled: exploreInteractions,
+            statesExplored: explorations.reduce((sum, e) => sum + e.states.length, 0),
+            findingsFromInteraction: {
+                dataSources: uniqueDataSources.filter(s => s.evidence.every(e => e.uiState)).length,
+                tables: methodologyInfo.filter(m => m.type === 'data_table' && m.uiState).length,
+                apiCalls: networkCaptures.filter(c => c.uiState).length,
+            },
+            pages: explorations,
+        },
+        
         markets: {
             identified: [...new Set(uniqueMarkets.filter(m => m.market).map(m => m.market))],
             total: uniqueMarkets.length,
-            details: uniqueMarkets.slice(0, 30),
+            details: uniqueMarkets,
         },
         
         methodology: {
-            links: methodologyInfo.filter(m => m.type === 'methodology_link'),
+            links: methodologyLinks,
             dataTables: methodologyInfo.filter(m => m.type === 'data_table'),
+            documents,
+            facts: documentationFacts,
         },
         
-        shrimpSpecific: {
-            hasShrimpContent: shrimpKeywords.some(keyword => 
-                dataSourcesFound.some(s => s.context?.includes(keyword)) ||
-                marketsAnalyzed.some(m => m.text?.includes(keyword))
-            ),
-            shrimpKeywordsFound: shrimpKeywords.filter(keyword =>
-                uniqueDataSources.some(s => s.context?.includes(keyword))
+        commoditySpecific: {
+            commodity: profile.commodity,
+            hasCommodityContent: commodityMatches.length > 0 || commodityKeywords.some(({ term, synonyms }) =>
+                [term, ...synonyms].some(variant =>
+                    dataSourcesFound.some(s => s.context?.includes(variant)) ||
+                    marketsAnalyzed.some(m => m.text?.toLowerCase().includes(variant))
+                )
             ),
+            keywordsFound: [...new Set(commodityMatches.map(c => c.keyword))],
+            pagesWithContent: [...new Set(commodityMatches.map(c => c.url))],
         },
         
         summary: {
             likelyDataProviders: [],
+            possibleDataProviders: possibleProviders.map(p => p.name),
+            genericTerms: genericDataTerms.map(t => t.term),
             marketsCovered: [],
-            dataTypes: [],
-            updateFrequency: 'Unknown - requires authenticated access',
+            dataTypes: documentationFacts.dataTypes.map(t => t.type),
+            updateFrequency: documentationFacts.updateFrequencies.length > 0
+                ? documentationFacts.updateFrequencies.map(f => f.value).join(', ')
+                : (documents.length > 0 ? 'Unknown - not stated in documentation' : 'Unknown - requires authenticated access'),
         },
         
+        normalization,
+
+        seriesExport: null,
+
         recommendations: []
     };
 
+    // Export every numeric time series as long rows, upserting into the rows of earlier runs
+    if (exportSeries) {
+        const series = collectSeries({ tables: results.methodology.dataTables, charts: chartsFound, payloads: payloadSeries, profile, dateOrder });
+        results.seriesExport = await writeSeriesExports(redactor.value(series), {
+            store: await KeyValueStore.open(),
+            stateStore: seriesStoreName ? await KeyValueStore.open(seriesStoreName) : null,
+            stateKey: `series-${profile.name}`,
+            formats: seriesFormats,
+            runDate: results.analysisDate,
+        });
+        log.info(`🧾 Exported ${results.seriesExport.seriesThisRun} series (${results.seriesExport.added} new and ${results.seriesExport.updated} changed points, ${results.seriesExport.rows} rows in total): ${results.seriesExport.keys.join(', ')}`);
+    }
+
     // Analyze findings and generate insights
-    if (identifiedProviders.size > 0) {
-        results.summary.likelyDataProviders = Array.from(identifiedProviders);
+    if (likelyProviders.length > 0) {
+        results.summary.likelyDataProviders = likelyProviders.map(({ id, name, category, confidence }) => ({ id, name, category, confidence }));
         results.recommendations.push(
-            `✅ Identified ${identifiedProviders.size} potential data providers: ${Array.from(identifiedProviders).join(', ')}`
+            `✅ Identified ${likelyProviders.length} likely data providers: ${likelyProviders.map(p => `${p.name} (${p.confidence})`).join(', ')}`
+        );
+    }
+
+    if (possibleProviders.length > 0) {
+        results.recommendations.push(
+            `❔ Weak evidence for ${possibleProviders.length} more providers: ${possibleProviders.map(p => p.name).join(', ')}`
         );
     }
 
@@ -539,18 +1074,148 @@ Actor.main(async () => {
         );
     }
 
-    if (!results.shrimpSpecific.hasShrimpContent) {
+    if (documents.length > 0) {
+        const { updateFrequencies, forecastHorizons, modelFamilies, accuracyMetrics } = documentationFacts;
+        const stated = [
+            updateFrequencies.length > 0 && `updated ${updateFrequencies.map(f => f.value).join('/')}`,
+            forecastHorizons.length > 0 && `horizons ${forecastHorizons.map(h => h.value).join(', ')}`,
+            modelFamilies.length > 0 && `models: ${modelFamilies.map(m => m.family).join(', ')}`,
+            accuracyMetrics.length > 0 && `accuracy: ${accuracyMetrics.map(m => (m.values.length > 0 ? `${m.metric} ${m.values.join('/')}` : m.metric)).join(', ')}`,
+        ].filter(Boolean);
+        results.recommendations.push(
+            `📚 Read ${documents.length} documentation pages${stated.length > 0 ? ` - ${stated.join('; ')}` : ', no methodology facts stated'}`
+        );
+    }
+
+    const priceTables = results.methodology.dataTables.filter(t => t.isPriceTable);
+    if (priceTables.length > 0) {
+        results.recommendations.push(
+            `💲 Extracted ${priceTables.length} date-indexed price tables (see table_*.csv in the Key-Value store)`
+        );
+    }
+
+    if (results.charts.forecastSeries > 0) {
+        results.recommendations.push(
+            `🔮 Recovered ${results.charts.forecastSeries} forecast series from ${results.charts.total} charts`
+        );
+    }
+
+    const { forecasting } = results;
+    if (forecasting.views > 0) {
+        const described = [
+            forecasting.horizons.length > 0 && `horizon ${forecasting.horizons.join(' / ')}`,
+            forecasting.confidenceLevels.length > 0 && `${forecasting.confidenceLevels.map(level => `${level}%`).join(' / ')} intervals`,
+            forecasting.accuracy.length > 0 && `${forecasting.accuracy.length} accuracy figures`,
+            forecasting.models.length > 0 && `models: ${forecasting.models.slice(0, 5).join(', ')}`,
+            forecasting.drivers.length > 0 && `${forecasting.drivers.length} drivers`,
+        ].filter(Boolean);
+        results.recommendations.push(
+            `🧮 Forecast metadata from ${forecasting.views} views - ${described.join('; ')}${forecasting.lastUpdated ? ` (last updated ${forecasting.lastUpdated})` : ''}`
+        );
+    } else if (extractForecasting && results.charts.forecastSeries > 0) {
+        results.recommendations.push(
+            '🧮 Forecast series found but no horizon, interval, accuracy or model details - check the forecast view for an info panel or tooltip'
+        );
+    }
+
+    if (results.seriesExport && results.seriesExport.seriesThisRun > 0) {
+        results.recommendations.push(
+            `🧾 ${results.seriesExport.seriesThisRun} time series exported in long format (${results.seriesExport.keys.join(', ')}) - load series.csv or series.sqlite into the modeling pipeline`
+        );
+    }
+
+    if (normalization && normalization.priceSeries > 0) {
+        results.recommendations.push(
+            `💱 ${normalization.converted} of ${normalization.priceSeries} price series converted to ${baseCurrency}/${baseUnit}` +
+            (normalization.unconverted.length > 0
+                ? ` - ${normalization.unconverted.length} left as reported (e.g. ${normalization.unconverted[0].name}: ${normalization.unconverted[0].reason}); add the missing rates to exchangeRates`
+                : '')
+        );
+    }
+
+    if (results.downloads.total > 0) {
+        const formats = Object.entries(results.downloads.byFormat).map(([format, count]) => `${count} ${format.toUpperCase()}`).join(', ');
+        results.recommendations.push(
+            `📥 Downloaded ${results.downloads.total} files (${formats}) with ${results.downloads.tables} tables - ${results.downloads.stored} stored as download_*.* in the Key-Value store`
+        );
+    }
+    if (results.downloads.failed > 0) {
+        const failed = downloadsFound.find(d => d.error);
+        results.recommendations.push(
+            `📥 ${results.downloads.failed} downloads failed (e.g. ${failed.fileName || failed.label}: ${failed.error}); raise maxDownloadBytes or check the export buttons`
+        );
+    }
+
+    const interactionFindings = results.exploration.findingsFromInteraction;
+    if (results.exploration.statesExplored > 0) {
+        results.recommendations.push(
+            `🖱️ Explored ${results.exploration.statesExplored} UI states: ${interactionFindings.tables} tables, ` +
+            `${interactionFindings.dataSources} data source references and ${interactionFindings.apiCalls} API calls only appeared after interaction`
+        );
+    }
+
+    if (timeSeriesEndpoints.length > 0) {
+        results.recommendations.push(
+            `📈 ${timeSeriesEndpoints.length} API endpoints return time-series payloads: ${results.endpointCatalog.timeSeriesCandidates.slice(0, 5).join(', ')}`
+        );
+    }
+
+    if (!results.commoditySpecific.hasCommodityContent) {
+        results.recommendations.push(
+            `⚠️ Limited ${profile.commodity}-specific content found. May need authenticated access to view ${profile.commodity} forecasting features.`
+        );
+    }
+
+    const timing = results.crawl.timing;
+    if (timing && timing.pages > 0) {
+        const timedOutSteps = Object.entries(timing.timeouts).filter(([, count]) => count > 0);
+        if (timedOutSteps.length > 0) {
+            results.recommendations.push(
+                `⏳ Pages were extracted before they were fully ready (${timedOutSteps.map(([step, count]) => `${step}: ${count} pages`).join(', ')}). Raise readinessTimeout or adjust the profile's readiness rules.`
+            );
+        }
+    }
+
+    if (replay && replay.stats.missed > 0) {
         results.recommendations.push(
-            '⚠️ Limited shrimp-specific content found. May need authenticated access to view shrimp forecasting features.'
+            `📼 ${replay.stats.missed} requests were not in the replayed HAR (e.g. ${replay.stats.missedUrls[0]}). Record with harBodies "text" or "all" to replay pages completely.`
         );
     }
 
-    if (!username || !password) {
+    if (!results.authenticated && auth.state.lastError) {
+        results.recommendations.push(
+            `🔐 Login failed (${auth.state.lastError}). Check the login selectors, successSelector or sessionCookieNames for this profile.`
+        );
+    } else if (!results.authenticated && !replay) {
         results.recommendations.push(
             '🔐 Analysis was limited to public areas. Provide credentials for comprehensive data source analysis.'
         );
     }
 
+    // Redact the report before it is compared, stored or pushed (the previous report was redacted the same way)
+    results.redaction = {
+        emails: redactEmails,
+        secretCount: redactSecrets.length,
+        patterns: redactPatterns.length,
+        maskSelectors: screenshotMasks,
+        maskedElements: crawledPages.reduce((sum, page) => sum + (page.maskedElements || 0), 0),
+    };
+    Object.assign(results, redactor.value(results));
+
+    // Compare with the previous run
+    if (previous.report) {
+        results.changes = { source: previous.source, ...diffReports(previous.report, results) };
+        results.recommendations.push(...describeChanges(results.changes));
+    } else {
+        results.changes = { source: null, comparedTo: null, firstRun: true };
+    }
+
+    if (results.crawlErrors.failedPages > 0) {
+        results.recommendations.push(
+            `🧯 ${results.crawlErrors.failedPages} pages failed after retries (${Object.entries(results.crawlErrors.byKind).map(([kind, count]) => `${kind}: ${count}`).join(', ')}); adjust retryPolicies or check the crawlErrors section`
+        );
+    }
+
     results.recommendations.push(
         '💡 To get complete data source information, look for: Settings > Data Sources, About > Methodology, or API Documentation sections when logged in.'
     );
@@ -560,22 +1225,40 @@ Actor.main(async () => {
 
     // Save detailed JSON report
     const store = await KeyValueStore.open();
-    await store.setValue('analysis_report.json', JSON.stringify(results, null, 2));
+    await store.setValue(REPORT_KEY, JSON.stringify(results, null, 2));
+    if (compareWithPrevious) await saveReportToHistory(results, history);
+    await checkpoint.clear();
+    if (generateReports) {
+        const keys = await writeReports(results, { store, embedScreenshots });
+        log.info(`📝 Reports written: ${keys.join(', ')}`);
+    }
 
     // Log summary
     console.log('\n' + '='.repeat(60));
-    console.log('📋 DATAPRED ANALYSIS COMPLETE');
+    console.log(`📋 ${profile.platform.toUpperCase()} ANALYSIS COMPLETE`);
     console.log('='.repeat(60));
     console.log(`🔐 Authentication: ${results.authenticated ? 'YES ✅' : 'NO ❌'}`);
     console.log(`📊 Data sources identified: ${results.dataSources.identified.length}`);
     console.log(`🌍 Markets identified: ${results.markets.identified.length}`);
     console.log(`📡 API endpoints found: ${results.dataSources.apiEndpoints.length}`);
-    console.log(`🦐 Shrimp-specific content: ${results.shrimpSpecific.hasShrimpContent ? 'YES ✅' : 'LIMITED ⚠️'}`);
+    console.log(`📈 Charts extracted: ${results.charts.total} (${results.charts.forecastSeries} forecast series)`);
+    console.log(`🧮 Forecast views: ${results.forecasting.views}${results.forecasting.horizons.length > 0 ? ` (horizon ${results.forecasting.horizons.join(' / ')})` : ''}`);
+    if (results.downloads.total > 0) {
+        console.log(`📥 Files downloaded: ${results.downloads.total} (${results.downloads.tables} tables)`);
+    }
+    if (results.crawl.timing) {
+        console.log(`⏱️ Page ready in ${results.crawl.timing.averageReadyMs} ms on average (max ${results.crawl.timing.maxReadyMs} ms)`);
+    }
+    if (results.crawlErrors.total > 0) {
+        console.log(`🧯 Crawl errors: ${results.crawlErrors.total} (${results.crawlErrors.recoveredPages} pages recovered, ${results.crawlErrors.failedPages} failed)`);
+    }
+    console.log(`🗂️ Endpoint routes cataloged: ${results.endpointCatalog.total} (${timeSeriesEndpoints.length} time-series)`);
+    console.log(`${profile.emoji || '🔎'} ${profile.commodity}-specific content: ${results.commoditySpecific.hasCommodityContent ? 'YES ✅' : 'LIMITED ⚠️'}`);
 
     if (results.dataSources.identified.length > 0) {
         console.log('\n📊 IDENTIFIED DATA SOURCES:');
-        results.dataSources.identified.forEach(source => {
-            console.log(`  - ${source}`);
+        likelyProviders.forEach(provider => {
+            console.log(`  - ${provider.name} (confidence ${provider.confidence}, ${provider.evidence.length} pieces of evidence)`);
         });
     }
 
@@ -586,6 +1269,12 @@ Actor.main(async () => {
         });
     }
 
+    if (results.changes.comparedTo) {
+        const { summary } = results.changes;
+        console.log(`\n🔄 CHANGES SINCE ${results.changes.comparedTo}:`);
+        console.log(`  +${summary.added} added, -${summary.removed} removed, ~${summary.changed} changed`);
+    }
+
     if (results.recommendations.length > 0) {
         console.log('\n💡 INSIGHTS & RECOMMENDATIONS:');
         results.recommendations.forEach(rec => console.log(`  ${rec}`));
@@ -594,4 +1283,9 @@ Actor.main(async () => {
     console.log('\n' + '='.repeat(60));
     console.log('📂 Full analysis report saved to Key-Value store');
     console.log('='.repeat(60) + '\n');
+
+    if (cli) {
+        const written = await exportOutputs(cli.outDir);
+        console.log(`📁 ${written.length} files written to ${path.resolve(cli.outDir)}`);
+    }
 });
@@ -0,0 +1,373 @@
+// Authentication - configurable (multi-step / SSO) login, success checks and session persistence
+// Sessions (cookies + localStorage) are saved to a named KeyValueStore so later runs reuse them.
+
+const crypto = require('crypto');
+const { KeyValueStore } = require('crawlee');
+
+const MAX_LOGIN_STEPS = 6;
+const POLL_INTERVAL = 500;
+
+// Function to wait for a number of milliseconds
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Function to strip query/hash and trailing slashes so URLs can be compared by location
+function urlLocation(url) {
+    try {
+        const parsed = new URL(url);
+        return `${parsed.origin}${parsed.pathname.replace(/\/+$/, '')}`;
+    } catch (error) {
+        return url;
+    }
+}
+
+// Function to return the first visible element matching any of the selectors
+async function findVisible(page, selectors) {
+    for (const selector of selectors || []) {
+        let handles;
+        try {
+            handles = await page.$$(selector);
+        } catch (error) {
+            continue;  // Invalid selector in configuration: skip it
+        }
+        for (const handle of handles) {
+            if (await handle.boundingBox()) return handle;
+        }
+    }
+    return null;
+}
+
+// Function to find a visible button/link whose text matches one of the given labels
+async function findButtonByText(page, labels) {
+    if (!labels || labels.length === 0) return null;
+
+    const handle = await page.evaluateHandle((texts) => {
+        const candidates = document.querySelectorAll('button, input[type="submit"], input[type="button"], a[role="button"], [role="button"]');
+        return Array.from(candidates).find(el => {
+            const text = (el.innerText || el.value || '').trim().toLowerCase();
+            const rect = el.getBoundingClientRect();
+            return rect.width > 0 && rect.height > 0 && texts.some(t => text === t || text.startsWith(t));
+        }) || null;
+    }, labels.map(label => label.toLowerCase()));
+
+    const element = handle.asElement();
+    if (!element) await handle.dispose();
+    return element;
+}
+
+// Function to replace an input's value by typing, skipping fields that already hold it
+async function fillField(handle, value) {
+    const current = await handle.evaluate(el => el.value);
+    if (current === value) return;
+    await handle.click({ clickCount: 3 });
+    await handle.type(value, { delay: 20 });
+}
+
+// Function to click an element and wait for any navigation it triggers (SPA logins may not navigate)
+async function clickAndSettle(page, handle, timeout) {
+    await Promise.all([
+        page.waitForNavigation({ waitUntil: 'networkidle2', timeout }).catch(() => null),
+        handle.click(),
+    ]);
+}
+
+// Function to create an authenticator bound to the run's profile and input
+function createAuthenticator(options) {
+    const {
+        profile,
+        startUrl,
+        loginUrl,
+        username = '',
+        password = '',
+        selectors: selectorOverrides = {},
+        successSelector = (profile.auth || {}).successSelector || null,
+        sessionCookieNames = (profile.auth || {}).sessionCookieNames || [],
+        ssoHosts = (profile.auth || {}).ssoHosts || [],
+        cookies: inputCookies = [],
+        localStorage: inputLocalStorage = {},
+        persistSession = true,
+        sessionStoreName = 'auth-sessions',
+        loginTimeout = 30000,
+        log = console,
+    } = options;
+
+    const selectors = { ...profile.selectors.login, ...selectorOverrides };
+    const appUrl = startUrl || loginUrl;
+    const sessionKey = `session-${profile.name}-${crypto.createHash('sha256').update(username || 'anonymous').digest('hex').slice(0, 12)}`;
+
+    const state = {
+        authenticated: false,
+        attempted: false,
+        method: 'none',
+        sessionRestored: false,
+        loginAttempts: 0,
+        reLogins: 0,
+        lastError: null,
+    };
+
+    let session = null;
+    let loginInProgress = null;
+
+    // Function to check whether a URL is the login page or an SSO identity provider
+    function isLoginRedirect(url) {
+        if (loginUrl && urlLocation(url) === urlLocation(loginUrl)) return true;
+        try {
+            const { hostname } = new URL(url);
+            return ssoHosts.some(host => hostname === host || (host.startsWith('.') && hostname.endsWith(host)));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Function to check login success: expected element, session cookie, or (fallback) no login form
+    async function isAuthenticated(page) {
+        const url = page.url();
+        if (isLoginRedirect(url)) return false;
+
+        const checks = [];
+        if (successSelector) {
+            checks.push(async () => Boolean(await page.$(successSelector)));
+        }
+        if (sessionCookieNames.length > 0) {
+            checks.push(async () => {
+                const pageCookies = await page.cookies();
+                return pageCookies.some(cookie => sessionCookieNames.includes(cookie.name));
+            });
+        }
+
+        if (checks.length === 0) {
+            return !(await findVisible(page, selectors.password)) && !(await findVisible(page, ['input[type="email"]']));
+        }
+
+        for (const check of checks) {
+            if (await check()) return true;
+        }
+        return false;
+    }
+
+    // Function to load a saved session from the KeyValueStore and merge cookies/localStorage from input
+    async function restoreSession() {
+        let saved = null;
+        if (persistSession) {
+            const store = await KeyValueStore.open(sessionStoreName);
+            saved = await store.getValue(sessionKey);
+        }
+
+        const now = Date.now() / 1000;
+        const savedCookies = ((saved && saved.cookies) || []).filter(cookie => !cookie.expires || cookie.expires < 0 || cookie.expires > now);
+
+        // Input cookies without a domain/url apply to the app; flat localStorage input applies to its origin
+        const cookies = inputCookies.map(cookie => (cookie.domain || cookie.url ? cookie : { ...cookie, url: appUrl }));
+        const isPerOrigin = Object.values(inputLocalStorage).every(value => value && typeof value === 'object');
+        const storage = isPerOrigin ? inputLocalStorage : { [new URL(appUrl).origin]: inputLocalStorage };
+
+        session = {
+            cookies: [...savedCookies, ...cookies],
+            localStorage: { ...((saved && saved.localStorage) || {}), ...storage },
+        };
+
+        state.sessionRestored = session.cookies.length > 0 || Object.keys(session.localStorage).length > 0;
+        if (saved) {
+            log.info(`🍪 Loaded saved session from ${saved.savedAt} (${savedCookies.length} cookies)`);
+        }
+        return state.sessionRestored;
+    }
+
+    // Function to inject session cookies and localStorage into a page before it navigates
+    async function applySession(page) {
+        if (!session) return;
+
+        if (session.cookies.length > 0) {
+            await page.setCookie(...session.cookies);
+        }
+
+        // localStorage is keyed by origin: { "https://app.example.com": { key: value } }
+        const entries = session.localStorage;
+        if (Object.keys(entries).length > 0) {
+            await page.evaluateOnNewDocument((storage) => {
+                const items = storage[window.location.origin];
+                if (!items) return;
+                Object.keys(items).forEach(key => {
+                    if (window.localStorage.getItem(key) === null) {
+                        window.localStorage.setItem(key, typeof items[key] === 'string' ? items[key] : JSON.stringify(items[key]));
+                    }
+                });
+            }, entries);
+        }
+    }
+
+    // Function to capture the browser session and persist it for later runs
+    async function saveSession(page) {
+        const client = await page.target().createCDPSession();
+        const { cookies } = await client.send('Network.getAllCookies');
+        await client.detach();
+
+        const origin = new URL(page.url()).origin;
+        const storage = await page.evaluate(() => Object.assign({}, window.localStorage));
+
+        session = {
+            cookies,
+            localStorage: { ...(session ? session.localStorage : {}), [origin]: storage },
+        };
+
+        if (persistSession) {
+            const store = await KeyValueStore.open(sessionStoreName);
+            await store.setValue(sessionKey, { ...session, savedAt: new Date().toISOString(), profile: profile.name });
+            log.info(`💾 Session saved to Key-Value store "${sessionStoreName}"`);
+        }
+    }
+
+    // Function to run one pass of the login form: fill what is visible, then submit or advance
+    async function loginStep(page) {
+        const usernameField = await findVisible(page, selectors.username);
+        const passwordField = await findVisible(page, selectors.password);
+
+        if (usernameField) await fillField(usernameField, username);
+
+        if (passwordField) {
+            await fillField(passwordField, password);
+            const submit = await findVisible(page, selectors.submit) || await findButtonByText(page, selectors.submitText);
+            if (submit) {
+                await clickAndSettle(page, submit, loginTimeout);
+            } else {
+                await Promise.all([
+                    page.waitForNavigation({ waitUntil: 'networkidle2', timeout: loginTimeout }).catch(() => null),
+                    passwordField.press('Enter'),
+                ]);
+            }
+            return 'submitted';
+        }
+
+        if (usernameField) {
+            // Multi-step login: email first, then the password on the next screen
+            const next = await findVisible(page, selectors.next) || await findButtonByText(page, selectors.nextText) ||
+                await findVisible(page, selectors.submit) || await findButtonByText(page, selectors.submitText);
+            if (next) {
+                await clickAndSettle(page, next, loginTimeout);
+            } else {
+                await usernameField.press('Enter');
+            }
+            return 'advanced';
+        }
+
+        return 'waiting';
+    }
+
+    // Function to perform a full login with credentials, following SSO redirects
+    async function performLogin(page) {
+        state.loginAttempts++;
+        log.info(`🔐 Attempting to login to ${profile.platform}...`);
+
+        try {
+            await page.goto(loginUrl, { waitUntil: 'networkidle2' });
+            const deadline = Date.now() + loginTimeout;
+            let steps = 0;
+            let lastStepUrl = null;
+            let lastStepAt = 0;
+
+            while (Date.now() < deadline) {
+                if (await isAuthenticated(page)) {
+                    state.authenticated = true;
+                    state.method = 'credentials';
+                    log.info('✅ Login successful!');
+                    await saveSession(page);
+                    return true;
+                }
+
+                if (selectors.error && await findVisible(page, [selectors.error])) {
+                    const message = await page.$eval(selectors.error, el => el.innerText.trim()).catch(() => '');
+                    throw new Error(`Login rejected${message ? `: ${message}` : ''}`);
+                }
+
+                // Act again only once the page moved on or the previous step had time to land
+                const settled = page.url() !== lastStepUrl || Date.now() - lastStepAt > 5000;
+                if (steps < MAX_LOGIN_STEPS && settled) {
+                    const result = await loginStep(page);
+                    if (result !== 'waiting') {
+                        steps++;
+                        lastStepUrl = page.url();
+                        lastStepAt = Date.now();
+                    }
+                }
+                await delay(POLL_INTERVAL);
+            }
+
+            throw new Error(`Login did not succeed within ${loginTimeout} ms (still at ${page.url()})`);
+        } catch (error) {
+            state.authenticated = false;
+            state.lastError = error.message;
+            log.error(`❌ Login error: ${error.message}`);
+            return false;
+        }
+    }
+
+    return {
+        state,
+        isLoginRedirect,
+        isAuthenticated,
+        restoreSession,
+        applySession,
+        saveSession,
+
+        hasCredentials() {
+            return Boolean(username && password);
+        },
+
+        // True when the profile or input names a success element or session cookie to check
+        hasSuccessCheck() {
+            return Boolean(successSelector || sessionCookieNames.length > 0);
+        },
+
+        // True until the first authentication attempt when credentials or a session are available
+        shouldAuthenticate() {
+            return !state.attempted && (this.hasCredentials() || state.sessionRestored);
+        },
+
+        // Function to reuse a restored session if still valid, otherwise log in with credentials
+        async ensureAuthenticated(page, checkUrl) {
+            state.attempted = true;
+
+            if (state.sessionRestored) {
+                await page.goto(checkUrl, { waitUntil: 'networkidle2' });
+                if (await isAuthenticated(page)) {
+                    state.authenticated = true;
+                    state.method = 'session';
+                    log.info('✅ Reused saved session');
+                    return true;
+                }
+                log.info('⚠️ Saved session is no longer valid');
+            }
+
+            if (!this.hasCredentials()) {
+                log.info('⚠️ No credentials provided. Will analyze public areas only.');
+                return false;
+            }
+
+            return this.login(page);
+        },
+
+        // Function to log in, sharing one attempt between concurrent callers
+        async login(page) {
+            if (!loginInProgress) {
+                loginInProgress = performLogin(page).finally(() => {
+                    loginInProgress = null;
+                });
+            }
+            return loginInProgress;
+        },
+
+        // Function to log in again after the app bounced a page back to the login URL
+        async relogin(page) {
+            state.reLogins++;
+            state.authenticated = false;
+            return this.login(page);
+        },
+    };
+}
+
+module.exports = {
+    createAuthenticator,
+    findVisible,
+    findButtonByText,
+};
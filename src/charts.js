@@ -0,0 +1,589 @@
+// Chart extractor - recovers series data from chart library state in the page
+// (Highcharts, ECharts, Chart.js, Plotly, amCharts) and, for plain SVG charts,
+// reverse-maps path/point coordinates through the axis tick labels.
+
+const { parseNumber, parseDate, extractCurrency } = require('./parsers');
+
+// Series/marker labels that identify forecast, actual and interval data
+const FORECAST_PATTERN = /forecast|predict|prevision|prévision|pronóstico|projection|projected|estimate|expected|outlook/i;
+const ACTUAL_PATTERN = /actual|historic|observed|realized|realised|réel|real\b|spot|past/i;
+const INTERVAL_PATTERN = /confidence|interval|upper|lower|band|range|bound|quantile|percentile|p10|p90|min\b|max\b/i;
+const BOUNDARY_PATTERN = /forecast|prevision|prévision|prediction|today|now|aujourd/i;
+
+// Function to read chart library state and raw SVG geometry from the page (runs in the browser)
+function readChartsInPage() {
+    const charts = [];
+    const claimed = [];
+
+    const safe = (fn, fallback) => {
+        try {
+            const value = fn();
+            return value === undefined || value === null ? fallback : value;
+        } catch (error) {
+            return fallback;
+        }
+    };
+    const plain = value => (value instanceof Date ? value.toISOString() : value);
+    const describe = el => {
+        if (!el) return null;
+        if (el.id) return `#${el.id}`;
+        const className = typeof el.className === 'string' ? el.className.trim().split(/\s+/)[0] : '';
+        return className ? `${el.tagName.toLowerCase()}.${className}` : el.tagName.toLowerCase();
+    };
+    const titleText = title => (typeof title === 'string' ? title : safe(() => title.text, ''));
+
+    // Highcharts keeps every chart in Highcharts.charts
+    safe(() => window.Highcharts.charts, []).filter(Boolean).forEach(chart => {
+        const xAxis = safe(() => chart.xAxis[0], {});
+        const categories = safe(() => xAxis.categories, null);
+        claimed.push(chart.renderTo);
+
+        charts.push({
+            library: 'highcharts',
+            selector: describe(chart.renderTo),
+            title: safe(() => chart.title.textStr, ''),
+            yAxisTitle: safe(() => chart.yAxis[0].options.title.text, ''),
+            xType: safe(() => xAxis.options.type, ''),
+            markers: [
+                ...safe(() => xAxis.options.plotLines, []).map(line => ({ value: line.value, label: safe(() => line.label.text, '') })),
+                ...safe(() => xAxis.options.plotBands, []).map(band => ({ value: band.from, to: band.to, label: safe(() => band.label.text, '') })),
+            ],
+            series: safe(() => chart.series, []).map(series => {
+                const xData = safe(() => series.xData, []);
+                const yData = safe(() => series.yData, []);
+                const points = xData.length ? xData.map((x, i) => {
+                    const y = yData[i];
+                    const label = categories && categories[x] !== undefined ? categories[x] : x;
+                    return Array.isArray(y) ? { x: label, low: y[0], high: y[y.length - 1] } : { x: label, y };
+                }) : safe(() => series.points, []).map(point => ({ x: point.category !== undefined ? point.category : point.x, y: point.y, low: point.low, high: point.high }));
+
+                return {
+                    name: series.name,
+                    type: series.type,
+                    dashed: Boolean(safe(() => series.options.dashStyle, 'Solid') !== 'Solid'),
+                    valuePrefix: safe(() => series.tooltipOptions.valuePrefix, ''),
+                    valueSuffix: safe(() => series.tooltipOptions.valueSuffix, ''),
+                    zoneAxis: safe(() => series.options.zoneAxis, 'y'),
+                    zones: safe(() => series.options.zones, []).map(zone => ({
+                        value: zone.value,
+                        dashed: Boolean(zone.dashStyle && zone.dashStyle !== 'Solid'),
+                    })),
+                    points,
+                };
+            }),
+        });
+    });
+
+    // ECharts instances are attached to DOM nodes carrying _echarts_instance_
+    if (window.echarts) {
+        document.querySelectorAll('[_echarts_instance_]').forEach(el => {
+            const instance = safe(() => window.echarts.getInstanceByDom(el), null);
+            if (!instance) return;
+            const option = safe(() => instance.getOption(), null);
+            if (!option) return;
+            const xAxis = safe(() => option.xAxis[0], {});
+            const categories = (xAxis.data || []).map(c => (c && typeof c === 'object' ? c.value : c));
+            const markers = [];
+            claimed.push(el);
+
+            const series = safe(() => option.series, []).map(s => {
+                safe(() => s.markLine.data, []).forEach(line => {
+                    const entry = Array.isArray(line) ? line[0] : line;
+                    if (entry && entry.xAxis !== undefined) markers.push({ value: entry.xAxis, label: entry.name || '' });
+                });
+                safe(() => s.markArea.data, []).forEach(area => {
+                    if (Array.isArray(area) && area[0]) {
+                        markers.push({ value: area[0].xAxis, to: area[1] && area[1].xAxis, label: area[0].name || '' });
+                    }
+                });
+
+                return {
+                    name: s.name,
+                    type: s.type,
+                    stack: s.stack || null,
+                    dashed: Boolean(safe(() => s.lineStyle.type, 'solid') !== 'solid'),
+                    points: (s.data || []).map((d, i) => {
+                        const value = d && typeof d === 'object' && !Array.isArray(d) ? d.value : d;
+                        if (Array.isArray(value)) return { x: plain(value[0]), y: value[value.length - 1] };
+                        return { x: categories[i] !== undefined ? categories[i] : i, y: value };
+                    }),
+                };
+            });
+
+            charts.push({
+                library: 'echarts',
+                selector: describe(el),
+                title: safe(() => option.title[0].text, ''),
+                yAxisTitle: safe(() => option.yAxis[0].name, ''),
+                xType: xAxis.type || '',
+                markers,
+                series,
+            });
+        });
+    }
+
+    // Chart.js registers instances on Chart.instances (keyed object in v3+, array-like in v2)
+    Object.values(safe(() => window.Chart.instances, {})).forEach(chart => {
+        const data = chart.data || safe(() => chart.config.data, {});
+        const labels = data.labels || [];
+        const canvas = chart.canvas || safe(() => chart.chart.canvas, null);
+        const options = chart.options || {};
+        claimed.push(canvas);
+
+        charts.push({
+            library: 'chartjs',
+            selector: describe(canvas),
+            title: titleText(safe(() => options.plugins.title.text, safe(() => options.title.text, ''))),
+            yAxisTitle: safe(() => options.scales.y.title.text, safe(() => options.scales.yAxes[0].scaleLabel.labelString, '')),
+            xType: safe(() => options.scales.x.type, safe(() => options.scales.xAxes[0].type, '')),
+            markers: [],
+            series: (data.datasets || []).map(dataset => ({
+                name: dataset.label,
+                type: dataset.type || safe(() => chart.config.type, ''),
+                dashed: Array.isArray(dataset.borderDash) && dataset.borderDash.length > 0,
+                points: (dataset.data || []).map((d, i) => (d !== null && typeof d === 'object'
+                    ? { x: plain(d.x !== undefined ? d.x : labels[i]), y: d.y }
+                    : { x: plain(labels[i]), y: d })),
+            })),
+        });
+    });
+
+    // Plotly stores traces and layout on the graph div
+    document.querySelectorAll('.js-plotly-plot').forEach(el => {
+        if (!Array.isArray(el.data)) return;
+        const layout = el.layout || {};
+        claimed.push(el);
+
+        charts.push({
+            library: 'plotly',
+            selector: describe(el),
+            title: titleText(layout.title),
+            yAxisTitle: titleText(safe(() => layout.yaxis.title, '')),
+            xType: safe(() => layout.xaxis.type, ''),
+            markers: (layout.shapes || [])
+                .filter(shape => shape.x0 !== undefined && (shape.type === 'line' || shape.type === 'rect'))
+                .map(shape => ({ value: plain(shape.x0), to: shape.type === 'rect' ? plain(shape.x1) : undefined, label: safe(() => shape.label.text, shape.name || '') })),
+            series: el.data.map(trace => {
+                const xs = trace.x ? Array.from(trace.x) : [];
+                return {
+                    name: trace.name,
+                    type: trace.type,
+                    fill: trace.fill || null,
+                    dashed: Boolean(safe(() => trace.line.dash, 'solid') !== 'solid'),
+                    points: Array.from(trace.y || []).map((y, i) => ({ x: plain(xs.length ? xs[i] : i), y })),
+                };
+            }),
+        });
+    });
+
+    // amCharts 4 keeps sprites in am4core.registry.baseSprites
+    safe(() => window.am4core.registry.baseSprites, []).forEach(chart => {
+        if (!chart.series || !chart.series.values) return;
+        const container = safe(() => chart.svgContainer.htmlElement, null);
+        claimed.push(container);
+
+        charts.push({
+            library: 'amcharts4',
+            selector: describe(container),
+            title: safe(() => chart.titles.values[0].text, ''),
+            yAxisTitle: safe(() => chart.yAxes.values[0].title.text, ''),
+            xType: safe(() => (chart.xAxes.values[0].className === 'DateAxis' ? 'datetime' : ''), ''),
+            markers: [],
+            series: chart.series.values.map(series => {
+                const fields = series.dataFields || {};
+                const xField = fields.dateX || fields.categoryX || fields.valueX;
+                const yField = fields.valueY || fields.openValueY;
+                const rows = series.data && series.data.length ? series.data : (chart.data || []);
+                return {
+                    name: series.name,
+                    type: series.className,
+                    dashed: Boolean(series.strokeDasharray),
+                    points: rows.map(row => ({ x: plain(row[xField]), y: row[yField] })),
+                };
+            }),
+        });
+    });
+
+    // amCharts 5 keeps roots in am5.registry.rootElements
+    safe(() => window.am5.registry.rootElements, []).forEach(root => {
+        safe(() => root.container.children.values, []).forEach(chart => {
+            if (!chart.series || !chart.series.values) return;
+            claimed.push(root.dom);
+
+            charts.push({
+                library: 'amcharts5',
+                selector: describe(root.dom),
+                title: '',
+                yAxisTitle: '',
+                xType: '',
+                markers: [],
+                series: chart.series.values.map(series => {
+                    const xField = series.get('valueXField') || series.get('categoryXField');
+                    const yField = series.get('valueYField');
+                    return {
+                        name: series.get('name'),
+                        type: series.className,
+                        dashed: Boolean(safe(() => series.strokes.template.get('strokeDasharray'), null)),
+                        points: safe(() => series.data.values, []).map(row => ({ x: plain(row[xField]), y: row[yField] })),
+                    };
+                }),
+            });
+        });
+    });
+
+    // Parse path data into absolute vertex coordinates (curve control points are skipped)
+    const parsePath = d => {
+        const tokens = (d || '').match(/[a-zA-Z]|-?\d*\.?\d+(?:e[-+]?\d+)?/g) || [];
+        const points = [];
+        let command = null;
+        let x = 0;
+        let y = 0;
+        let i = 0;
+        const next = () => parseFloat(tokens[i++]);
+        const arity = { m: 2, l: 2, h: 1, v: 1, c: 6, s: 4, q: 4, t: 2, a: 7, z: 0 };
+
+        while (i < tokens.length) {
+            if (/[a-zA-Z]/.test(tokens[i])) command = tokens[i++];
+            if (!command) break;
+            const lower = command.toLowerCase();
+            const relative = command !== command.toUpperCase();
+            if (lower === 'z') continue;
+            if (i + arity[lower] > tokens.length) break;
+
+            const args = [];
+            for (let a = 0; a < arity[lower]; a++) args.push(next());
+            if (args.some(isNaN)) break;
+
+            if (lower === 'h') x = relative ? x + args[0] : args[0];
+            else if (lower === 'v') y = relative ? y + args[0] : args[0];
+            else {
+                const ex = args[args.length - 2];
+                const ey = args[args.length - 1];
+                x = relative ? x + ex : ex;
+                y = relative ? y + ey : ey;
+            }
+            points.push([x, y]);
+            if (lower === 'm') command = relative ? 'l' : 'L';
+        }
+        return points;
+    };
+
+    const isClaimed = el => claimed.some(container => container && container.contains(el));
+
+    // Plain SVG charts: collect tick label positions and series geometry in screen coordinates
+    document.querySelectorAll('svg').forEach(svg => {
+        if (isClaimed(svg) || (svg.parentElement && svg.parentElement.closest('svg'))) return;
+        const box = svg.getBoundingClientRect();
+        if (box.width < 150 || box.height < 80) return;
+
+        const toScreen = (el, px, py) => {
+            const matrix = el.getScreenCTM();
+            const point = svg.createSVGPoint();
+            point.x = px;
+            point.y = py;
+            return matrix ? point.matrixTransform(matrix) : point;
+        };
+        const skip = /grid|axis|tick|domain|legend|tooltip|crosshair|background/i;
+        const context = el => `${el.getAttribute('class') || ''} ${safe(() => el.parentElement.getAttribute('class'), '')}`;
+
+        const ticks = Array.from(svg.querySelectorAll('text')).map(t => {
+            const rect = t.getBoundingClientRect();
+            return { text: t.textContent.trim(), x: rect.left + rect.width / 2, right: rect.right, y: rect.top + rect.height / 2 };
+        }).filter(t => t.text);
+
+        const paths = Array.from(svg.querySelectorAll('path, polyline')).map(el => {
+            if (skip.test(context(el))) return null;
+            const style = window.getComputedStyle(el);
+            if (!style.stroke || style.stroke === 'none') return null;
+            const local = el.tagName.toLowerCase() === 'polyline'
+                ? ((el.getAttribute('points') || '').trim().split(/[\s,]+/).reduce((acc, v, idx, arr) => (idx % 2 ? acc : acc.concat([[parseFloat(v), parseFloat(arr[idx + 1])]])), []))
+                : parsePath(el.getAttribute('d'));
+            return {
+                name: el.getAttribute('aria-label') || el.getAttribute('data-name') || el.getAttribute('data-series') || '',
+                stroke: style.stroke,
+                filled: style.fill !== 'none' && style.fill !== 'rgba(0, 0, 0, 0)',
+                dashed: Boolean(style.strokeDasharray && style.strokeDasharray !== 'none'),
+                points: local.map(([px, py]) => {
+                    const p = toScreen(el, px, py);
+                    return [p.x, p.y];
+                }),
+            };
+        }).filter(path => path && path.points.length >= 2);
+
+        // Point markers grouped by their parent group and fill colour
+        const groups = {};
+        Array.from(svg.querySelectorAll('circle')).forEach(circle => {
+            if (skip.test(context(circle))) return;
+            const fill = window.getComputedStyle(circle).fill;
+            const key = `${describe(circle.parentElement)}|${fill}`;
+            const p = toScreen(circle, parseFloat(circle.getAttribute('cx')) || 0, parseFloat(circle.getAttribute('cy')) || 0);
+            (groups[key] = groups[key] || { name: circle.parentElement.getAttribute('aria-label') || '', stroke: fill, filled: false, dashed: false, markers: true, points: [] })
+                .points.push([p.x, p.y]);
+        });
+        Object.values(groups).filter(group => group.points.length >= 2).forEach(group => paths.push(group));
+
+        if (paths.length > 0) {
+            charts.push({
+                library: 'svg',
+                selector: describe(svg),
+                title: svg.getAttribute('aria-label') || safe(() => svg.querySelector('title').textContent, ''),
+                plot: { left: box.left, top: box.top, width: box.width, height: box.height },
+                ticks,
+                paths,
+            });
+        }
+    });
+
+    const unreadCanvases = Array.from(document.querySelectorAll('canvas')).filter(canvas => !isClaimed(canvas)).length;
+    return { charts, unreadCanvases, url: window.location.href };
+}
+
+// Function to convert an x value into an ISO date where it is a timestamp or date label
+function normalizeX(x, xType) {
+    if (x === null || x === undefined) return null;
+    if (typeof x === 'number') {
+        const isTimeAxis = ['datetime', 'time', 'date', 'timeseries'].includes(xType);
+        if (isTimeAxis || (x > 1e11 && x < 4.1e12)) return new Date(x).toISOString().slice(0, 10);
+        return x;
+    }
+    const text = String(x).trim();
+    return parseDate(text) || parseDate(text.slice(0, 10)) || text;
+}
+
+// Function to pull a unit (e.g. "USD/kg", "%") from axis titles, series names and tooltips
+function detectUnit(texts) {
+    for (const raw of texts) {
+        if (!raw) continue;
+        const text = String(raw);
+        const perUnit = text.match(/(US\$|\$|€|£|[A-Z]{3})\s*(?:\/|per)\s*(kg|lbs?|t|mt|tons?|tonnes?)\b/i);
+        if (perUnit) {
+            const { currency } = extractCurrency(perUnit[1]);
+            return `${currency || perUnit[1].toUpperCase()}/${perUnit[2].toLowerCase()}`;
+        }
+        const bracketed = text.match(/[([]([^()[\]]{1,20})[)\]]/);
+        if (bracketed && /kg|lb|ton|%|index|usd|eur|\$|€|£|¥|₹|₫|฿/i.test(bracketed[1])) return bracketed[1].trim();
+        if (text.trim() === '%' || /percent|%/.test(text)) return '%';
+        const { currency } = extractCurrency(text);
+        if (currency) return currency;
+    }
+    return null;
+}
+
+// Function to decide whether a series is actual, forecast or an interval band
+function classifySeriesRole(series) {
+    const name = series.name || '';
+    if (INTERVAL_PATTERN.test(name) || series.fill === 'tonexty' || (series.filled && !series.markers)) return 'interval';
+    if (FORECAST_PATTERN.test(name)) return 'forecast';
+    if (ACTUAL_PATTERN.test(name)) return 'actual';
+    if (series.dashed) return 'forecast';
+    return 'unknown';
+}
+
+// Function to find where the forecast starts from chart markers or dashed Highcharts zones
+function findForecastStart(chart, series) {
+    const zones = (series && series.zones) || [];
+    if (series && series.zoneAxis === 'x') {
+        for (let i = 0; i < zones.length - 1; i++) {
+            if (!zones[i].dashed && zones[i + 1].dashed && zones[i].value !== undefined) {
+                return normalizeX(zones[i].value, chart.xType);
+            }
+        }
+    }
+
+    const marker = (chart.markers || []).find(m => BOUNDARY_PATTERN.test(m.label || '') && m.value !== undefined);
+    return marker ? normalizeX(marker.value, chart.xType) : null;
+}
+
+// Function to compare two normalized x values (ISO date strings or numbers)
+function isAtOrAfter(x, boundary) {
+    if (x === null || boundary === null) return false;
+    if (typeof x === 'number' && typeof boundary === 'number') return x >= boundary;
+    return String(x) >= String(boundary);
+}
+
+// Function to normalize library series points and tag each point as forecast or actual
+function normalizeLibraryChart(raw) {
+    const chartUnit = detectUnit([raw.yAxisTitle, raw.title]);
+
+    const series = raw.series.map(s => {
+        const role = classifySeriesRole(s);
+        const forecastStart = findForecastStart(raw, s);
+        const points = (s.points || [])
+            .map(point => {
+                const y = parseNumber(point.y);
+                const low = parseNumber(point.low);
+                const high = parseNumber(point.high);
+                const x = normalizeX(point.x, raw.xType);
+                const entry = { x, y: y ? y.value : null };
+                if (low) entry.low = low.value;
+                if (high) entry.high = high.value;
+                entry.isForecast = role === 'forecast' || isAtOrAfter(x, forecastStart);
+                return entry;
+            })
+            .filter(point => point.y !== null || point.low !== undefined);
+        const forecastPointCount = points.filter(point => point.isForecast).length;
+
+        return {
+            name: s.name || null,
+            type: s.type || null,
+            role: role === 'unknown' && forecastPointCount > 0 ? 'actual+forecast' : role,
+            unit: detectUnit([s.name, s.valueSuffix, s.valuePrefix]) || chartUnit,
+            forecastStart,
+            pointCount: points.length,
+            forecastPointCount,
+            points,
+        };
+    }).filter(s => s.points.length > 0);
+
+    return {
+        library: raw.library,
+        method: 'library-state',
+        approximate: false,
+        selector: raw.selector,
+        title: raw.title || null,
+        unit: chartUnit,
+        series,
+    };
+}
+
+// Function to fit value = a * pixel + b by least squares
+function fitLinear(pairs) {
+    const n = pairs.length;
+    const meanP = pairs.reduce((sum, [p]) => sum + p, 0) / n;
+    const meanV = pairs.reduce((sum, [, v]) => sum + v, 0) / n;
+    const num = pairs.reduce((sum, [p, v]) => sum + (p - meanP) * (v - meanV), 0);
+    const den = pairs.reduce((sum, [p]) => sum + (p - meanP) ** 2, 0);
+    if (den === 0) return null;
+    const a = num / den;
+    return { a, b: meanV - a * meanP };
+}
+
+// Function to group tick labels into an axis: labels sharing one coordinate, spread on the other
+function findAxis(ticks, fixed, spread, parse) {
+    const groups = {};
+    ticks.forEach(tick => {
+        const value = parse(tick.text);
+        if (value === null) return;
+        const key = Math.round(tick[fixed] / 8);
+        (groups[key] = groups[key] || []).push({ pixel: tick[spread], value, tick });
+    });
+
+    return Object.values(groups)
+        .filter(group => new Set(group.map(t => Math.round(t.pixel))).size >= 2)
+        .sort((a, b) => b.length - a.length)[0] || null;
+}
+
+// Function to reverse-map SVG geometry into data points through the axis tick labels
+function mapSvgChart(raw) {
+    const numberOf = text => {
+        const parsed = parseNumber(text);
+        return parsed ? parsed.value : null;
+    };
+    const timeOf = text => {
+        const date = parseDate(text);
+        if (!date || /Q/.test(date)) return null;
+        return Date.parse(date.length === 7 ? `${date}-01` : date);
+    };
+
+    // Y tick labels are usually right-aligned, so group them by their right edge
+    const yTicks = findAxis(raw.ticks, 'right', 'y', numberOf);
+    if (!yTicks) return null;
+    const yFit = fitLinear(yTicks.map(t => [t.pixel, t.value]));
+    if (!yFit) return null;
+
+    const dateTicks = findAxis(raw.ticks, 'y', 'x', timeOf);
+    const remainingTicks = raw.ticks.filter(tick => !yTicks.some(y => y.tick === tick));
+    const numericXTicks = dateTicks ? null : findAxis(remainingTicks, 'y', 'x', numberOf);
+    const categoryTicks = dateTicks || numericXTicks ? null : findAxis(remainingTicks, 'y', 'x', text => (numberOf(text) === null ? text : null));
+
+    let toX;
+    if (dateTicks || numericXTicks) {
+        const fit = fitLinear((dateTicks || numericXTicks).map(t => [t.pixel, t.value]));
+        if (!fit) return null;
+        toX = px => {
+            const value = fit.a * px + fit.b;
+            return dateTicks ? new Date(value).toISOString().slice(0, 10) : Number(value.toFixed(4));
+        };
+    } else if (categoryTicks) {
+        toX = px => categoryTicks.reduce((best, t) => (Math.abs(t.pixel - px) < Math.abs(best.pixel - px) ? t : best)).value;
+    } else {
+        return null;
+    }
+
+    // Round to the precision of the y tick labels plus two digits
+    const decimals = Math.min(6, 2 + Math.max(0, ...yTicks.map(t => (String(t.value).split('.')[1] || '').length)));
+    const chartUnit = detectUnit([raw.title]);
+
+    const series = raw.paths.map((path, index) => {
+        const xs = path.points.map(([px]) => px);
+        const ys = path.points.map(([, py]) => py);
+        const flat = Math.max(...ys) - Math.min(...ys) < 0.5 || Math.max(...xs) - Math.min(...xs) < 0.5;
+        if (flat) return null;
+
+        const role = classifySeriesRole(path);
+        const seen = new Set();
+        const points = path.points.map(([px, py]) => ({
+            x: toX(px),
+            y: Number((yFit.a * py + yFit.b).toFixed(decimals)),
+            isForecast: role === 'forecast',
+        })).filter(point => {
+            const key = `${point.x}|${point.y}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+
+        return {
+            name: path.name || `series_${index + 1} (${path.stroke})`,
+            type: path.markers ? 'scatter' : (path.filled ? 'area' : 'line'),
+            role,
+            unit: detectUnit([path.name]) || chartUnit,
+            forecastStart: null,
+            pointCount: points.length,
+            forecastPointCount: points.filter(point => point.isForecast).length,
+            points,
+        };
+    }).filter(s => s && s.points.length >= 2);
+
+    if (series.length === 0) return null;
+
+    // A dashed line that starts where a solid one ends marks the forecast boundary
+    const forecastSeries = series.find(s => s.role === 'forecast');
+    if (forecastSeries) {
+        series.filter(s => s.role === 'unknown').forEach(s => {
+            s.role = 'actual';
+        });
+    }
+
+    return {
+        library: 'svg',
+        method: 'svg-reverse-mapped',
+        approximate: true,
+        selector: raw.selector,
+        title: raw.title || null,
+        unit: chartUnit,
+        series,
+    };
+}
+
+// Function to extract chart series from the current page
+async function extractChartsFromPage(page) {
+    const { charts, unreadCanvases, url } = await page.evaluate(readChartsInPage);
+
+    const extracted = charts
+        .map(raw => (raw.library === 'svg' ? mapSvgChart(raw) : normalizeLibraryChart(raw)))
+        .filter(chart => chart && chart.series.length > 0)
+        .map(chart => ({ ...chart, url }));
+
+    return { charts: extracted, unreadCanvases };
+}
+
+module.exports = {
+    readChartsInPage,
+    normalizeX,
+    detectUnit,
+    classifySeriesRole,
+    normalizeLibraryChart,
+    mapSvgChart,
+    extractChartsFromPage,
+};
@@ -0,0 +1,53 @@
+// Crawl checkpoint - saves the run's partial state (frontier, page reports, findings, error log)
+// to the Key-Value store as pages finish and when the platform migrates the run, so a restarted
+// run picks up from the persisted request queue instead of starting over. Findings carry their
+// page number; those of pages that had not finished are dropped on resume, because the request
+// queue runs those pages again.
+
+const crypto = require('crypto');
+
+const CHECKPOINT_KEY = 'CRAWL_STATE';
+const CHECKPOINT_VERSION = 1;
+
+// Function to fingerprint a value for deduplication (the fingerprints are checkpointed, the content is not)
+function fingerprint(value) {
+    return crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex');
+}
+
+// Function to remove, in place, the items of several lists that match a predicate
+function removeMatching(lists, predicate) {
+    lists.forEach(list => {
+        const kept = list.filter(item => !predicate(item));
+        list.splice(0, list.length, ...kept);
+    });
+}
+
+// Function to create the checkpoint for a run; identity ({ startUrl, profile }) must match for a
+// saved state to be resumed
+function createCheckpoint({ store, key = CHECKPOINT_KEY, identity }) {
+    return {
+        // Function to load the state of an interrupted run of the same crawl, if any
+        async load() {
+            const state = await store.getValue(key);
+            if (!state || state.version !== CHECKPOINT_VERSION) return null;
+            const sameCrawl = Object.entries(identity).every(([field, value]) => state.identity[field] === value);
+            return sameCrawl ? state : null;
+        },
+
+        async save(state) {
+            await store.setValue(key, { version: CHECKPOINT_VERSION, identity, savedAt: new Date().toISOString(), ...state });
+        },
+
+        // Function to drop the state once the run has finished
+        async clear() {
+            await store.setValue(key, null);
+        },
+    };
+}
+
+module.exports = {
+    CHECKPOINT_KEY,
+    fingerprint,
+    removeMatching,
+    createCheckpoint,
+};
@@ -0,0 +1,162 @@
+// Command-line entry - maps `--kebab-case` flags onto the actor input (typed by INPUT_SCHEMA.json)
+// and copies the run's outputs from local storage into a plain directory.
+//
+//   node main.js --start-url https://app.datapred.com/ --profile datapred-shrimp --out ./report
+
+const fs = require('fs');
+const path = require('path');
+const { KeyValueStore, Dataset } = require('crawlee');
+
+const { INPUT_SCHEMA } = require('./input');
+
+const DEFAULT_OUT_DIR = './report';
+
+// Secret fields can come from the environment so they stay out of shell history
+const SECRET_ENV = {
+    username: 'DATAPRED_USERNAME',
+    password: 'DATAPRED_PASSWORD',
+};
+
+// Function to convert a flag name to an input field name ("start-url" -> "startUrl")
+function flagToField(flag) {
+    return flag.replace(/-([a-z0-9])/g, (_, char) => char.toUpperCase());
+}
+
+// Function to convert an input field name to a flag name ("startUrl" -> "start-url")
+function fieldToFlag(field) {
+    return field.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`);
+}
+
+// Function to read a JSON flag value given inline or as @path/to/file.json
+function parseJsonValue(flag, value) {
+    const text = value.startsWith('@') ? fs.readFileSync(path.resolve(value.slice(1)), 'utf8') : value;
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`--${flag} expects JSON or @file.json: ${error.message}`);
+    }
+}
+
+// Function to convert a flag's text value to the field's schema type (invalid values are left for validation)
+function coerceValue(flag, value, property) {
+    switch (property && property.type) {
+        case 'boolean':
+            return value === 'true' ? true : value === 'false' ? false : value;
+        case 'integer':
+        case 'number':
+            return value.trim() !== '' && !Number.isNaN(Number(value)) ? Number(value) : value;
+        case 'object':
+            return parseJsonValue(flag, value);
+        default:
+            return value;
+    }
+}
+
+// Function to parse command-line flags into { input, outDir, help }; returns null when there are no flags
+function parseCliArgs(argv, schema = INPUT_SCHEMA) {
+    if (argv.length === 0) return null;
+
+    const result = { input: {}, outDir: DEFAULT_OUT_DIR, help: false };
+    let baseInput = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') {
+            result.help = true;
+            continue;
+        }
+        if (!arg.startsWith('--')) {
+            throw new Error(`Unexpected argument "${arg}" (flags look like --start-url https://...)`);
+        }
+
+        let [flag, value] = arg.slice(2).split(/=(.*)/s);
+        const negated = flag.startsWith('no-') && schema.properties[flagToField(flag.slice(3))];
+        const field = flagToField(negated ? flag.slice(3) : flag);
+        const property = schema.properties[field];
+
+        if (negated || (property && property.type === 'boolean' && value === undefined)) {
+            result.input[field] = !negated;
+            continue;
+        }
+        if (value === undefined) {
+            value = argv[i + 1];
+            if (value === undefined || value.startsWith('--')) throw new Error(`--${flag} needs a value`);
+            i++;
+        }
+
+        if (flag === 'out') {
+            result.outDir = value;
+        } else if (flag === 'input') {
+            baseInput = parseJsonValue(flag, value.startsWith('@') ? value : `@${value}`);
+        } else if (property && property.type === 'array') {
+            // Repeat the flag for several values, or pass a JSON array
+            const values = value.startsWith('[') ? parseJsonValue(flag, value) : [value];
+            result.input[field] = [...(result.input[field] || []), ...values];
+        } else {
+            result.input[field] = coerceValue(flag, value, property);
+        }
+    }
+
+    Object.keys(SECRET_ENV).forEach(field => {
+        if (result.input[field] === undefined && process.env[SECRET_ENV[field]]) {
+            result.input[field] = process.env[SECRET_ENV[field]];
+        }
+    });
+
+    result.input = { ...baseInput, ...result.input };
+    return result;
+}
+
+// Function to describe the flags, generated from the input schema
+function cliUsage(schema = INPUT_SCHEMA) {
+    const lines = Object.keys(schema.properties).map(field => {
+        const property = schema.properties[field];
+        const type = property.type === 'boolean' ? '' : ` <${property.enum ? property.enum.join('|') : property.type}>`;
+        const fallback = property.default !== undefined && property.type !== 'object' && property.type !== 'array'
+            ? ` (default ${JSON.stringify(property.default)})` : '';
+        const env = SECRET_ENV[field] ? ` [env ${SECRET_ENV[field]}]` : '';
+        return `  --${fieldToFlag(field)}${type}\n      ${property.description}${fallback}${env}`;
+    });
+
+    return [
+        'Usage: node main.js [flags]',
+        '',
+        '  --out <dir>          Directory for the report, screenshots, tables and payloads (default ./report)',
+        '  --input <file.json>  Read input from a JSON file; flags override it',
+        '  --help               Show this help',
+        '',
+        'Input flags (boolean flags also accept --no-<flag>; arrays repeat the flag; objects take JSON or @file.json):',
+        ...lines,
+    ].join('\n');
+}
+
+// Function to copy the default Key-Value store records and Dataset items into a directory
+async function exportOutputs(outDir) {
+    fs.mkdirSync(outDir, { recursive: true });
+    const store = await KeyValueStore.open();
+    const written = [];
+
+    await store.forEachKey(async (key) => {
+        if (key === 'INPUT') return;
+        const value = await store.getValue(key);
+        const data = Buffer.isBuffer(value) || typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+        const fileName = path.extname(key) ? key : `${key}.json`;
+        fs.writeFileSync(path.join(outDir, fileName), data);
+        written.push(fileName);
+    });
+
+    const dataset = await Dataset.open();
+    const { items } = await dataset.getData();
+    fs.writeFileSync(path.join(outDir, 'dataset.json'), JSON.stringify(items, null, 2));
+    written.push('dataset.json');
+
+    return written;
+}
+
+module.exports = {
+    flagToField,
+    fieldToFlag,
+    parseCliArgs,
+    cliUsage,
+    exportOutputs,
+};
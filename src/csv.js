@@ -0,0 +1,86 @@
+// CSV helpers shared by the network capture and table extractors
+
+// Function to parse CSV text into an array of rows (arrays of cell strings)
+function parseCsv(text, delimiter) {
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    const sep = delimiter || detectDelimiter(source);
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === sep) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+// Function to guess the delimiter from the first line of CSV text
+function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0] || '';
+    const candidates = [',', ';', '\t', '|'];
+    let best = ',';
+    let bestCount = 0;
+
+    candidates.forEach(candidate => {
+        const count = firstLine.split(candidate).length - 1;
+        if (count > bestCount) {
+            best = candidate;
+            bestCount = count;
+        }
+    });
+
+    return best;
+}
+
+// Function to quote a single CSV cell when needed
+function escapeCsvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Function to serialize an array of rows (arrays of cells) into CSV text
+function toCsv(rows) {
+    return rows.map(row => row.map(escapeCsvCell).join(',')).join('\n') + '\n';
+}
+
+module.exports = {
+    parseCsv,
+    detectDelimiter,
+    escapeCsvCell,
+    toCsv,
+};
@@ -0,0 +1,250 @@
+// Run-over-run change detection - compares this run's report with a previous one
+// Providers, markets, API endpoints, tables and extracted series values are diffed by stable keys.
+
+const { KeyValueStore } = require('crawlee');
+
+const REPORT_KEY = 'analysis_report.json';
+const MAX_VALUE_CHANGES_PER_SERIES = 200;
+
+// Function to parse a stored report that may have been saved as a JSON string
+function parseStoredReport(value) {
+    if (!value) return null;
+    if (Buffer.isBuffer(value)) return JSON.parse(value.toString('utf8'));
+    if (typeof value === 'string') return JSON.parse(value);
+    return value;
+}
+
+// Function to load the previous report from an inline object, a store reference or the run history
+async function loadPreviousReport({ previousReport, historyStoreName, historyKey }) {
+    if (previousReport && previousReport.analysisDate) {
+        return { report: previousReport, source: 'input' };
+    }
+
+    if (previousReport && (previousReport.storeName || previousReport.storeId)) {
+        const store = await KeyValueStore.open(previousReport.storeId || previousReport.storeName);
+        const key = previousReport.key || REPORT_KEY;
+        const report = parseStoredReport(await store.getValue(key));
+        if (!report) {
+            throw new Error(`Previous report not found: key "${key}" in store "${previousReport.storeId || previousReport.storeName}"`);
+        }
+        return { report, source: `${previousReport.storeId || previousReport.storeName}/${key}` };
+    }
+
+    if (historyStoreName) {
+        const store = await KeyValueStore.open(historyStoreName);
+        const report = parseStoredReport(await store.getValue(historyKey));
+        if (report) return { report, source: `${historyStoreName}/${historyKey}` };
+    }
+
+    return { report: null, source: null };
+}
+
+// Function to save this run's report as the latest entry of the run history
+async function saveReportToHistory(report, { historyStoreName, historyKey }) {
+    const store = await KeyValueStore.open(historyStoreName);
+    await store.setValue(historyKey, report);
+}
+
+// Function to list the field paths of an inferred schema (e.g. "series[].date")
+function schemaFieldPaths(schema, prefix = '') {
+    if (!schema) return [];
+    if (schema.type === 'union') {
+        return [...new Set(schema.anyOf.flatMap(variant => schemaFieldPaths(variant, prefix)))];
+    }
+    if (schema.type === 'array') {
+        return schemaFieldPaths(schema.items, `${prefix}[]`);
+    }
+    if (schema.type === 'object') {
+        return Object.keys(schema.fields).flatMap(key => {
+            const path = prefix ? `${prefix}.${key}` : key;
+            const nested = schemaFieldPaths(schema.fields[key], path);
+            return nested.length > 0 ? nested : [path];
+        });
+    }
+    return [];
+}
+
+// Function to read provider names from either plain strings or resolved provider entities
+function providerNames(report) {
+    const summary = (report.summary && report.summary.likelyDataProviders) || [];
+    const identified = (report.dataSources && report.dataSources.identified) || [];
+    const list = summary.length > 0 ? summary : identified;
+    return list.map(provider => (typeof provider === 'string' ? provider : provider.name)).filter(Boolean);
+}
+
+// Function to key a table by page, UI state and caption, so the same caption in two UI states stays apart
+function tableKey(table) {
+    const state = table.uiState ? ` [${table.uiState}]` : '';
+    return `${table.url}${state} | table ${table.caption || table.index}`;
+}
+
+// Function to collect every extracted series (tables and charts) keyed by page, source and name
+function collectSeries(report) {
+    const series = {};
+
+    ((report.methodology && report.methodology.dataTables) || []).forEach(table => {
+        (table.series || []).forEach(s => {
+            if (!s || !s.points) return;
+            const key = `${tableKey(table)} | ${s.name}`;
+            series[key] = s.points.map(point => ({ x: point.date, y: point.value }));
+        });
+    });
+
+    ((report.charts && report.charts.items) || []).forEach(chart => {
+        chart.series.forEach(s => {
+            const key = `${chart.url} | chart ${chart.title || chart.selector} | ${s.name}`;
+            series[key] = s.points.map(point => ({ x: point.x, y: point.y }));
+        });
+    });
+
+    return series;
+}
+
+// Function to reduce a report to keyed collections that can be compared between runs
+function snapshotReport(report) {
+    const endpoints = {};
+    ((report.endpointCatalog && report.endpointCatalog.endpoints) || []).forEach(endpoint => {
+        endpoints[`${endpoint.method} ${endpoint.host}${endpoint.route}`] = schemaFieldPaths(endpoint.schema).sort();
+    });
+
+    const tables = {};
+    ((report.methodology && report.methodology.dataTables) || []).forEach(table => {
+        tables[tableKey(table)] = {
+            headers: table.headers || [],
+            rowCount: table.rowCount,
+        };
+    });
+
+    return {
+        providers: [...new Set(providerNames(report))],
+        markets: [...new Set((report.markets && report.markets.identified) || [])],
+        endpoints,
+        tables,
+        series: collectSeries(report),
+    };
+}
+
+// Function to diff two lists of names
+function diffLists(previous, current) {
+    return {
+        added: current.filter(item => !previous.includes(item)),
+        removed: previous.filter(item => !current.includes(item)),
+    };
+}
+
+// Function to diff two series' points by x value
+function diffPoints(previous, current) {
+    const before = new Map(previous.map(point => [String(point.x), point.y]));
+    const after = new Map(current.map(point => [String(point.x), point.y]));
+
+    const addedPoints = [...after.keys()].filter(x => !before.has(x));
+    const removedPoints = [...before.keys()].filter(x => !after.has(x));
+    const changedPoints = [...after.keys()]
+        .filter(x => before.has(x) && before.get(x) !== after.get(x))
+        .map(x => ({ x, from: before.get(x), to: after.get(x) }));
+
+    return { addedPoints, removedPoints, changedPoints };
+}
+
+// Function to compute the structured diff between a previous and a current report
+function diffReports(previousReport, currentReport) {
+    const previous = snapshotReport(previousReport);
+    const current = snapshotReport(currentReport);
+
+    const endpoints = diffLists(Object.keys(previous.endpoints), Object.keys(current.endpoints));
+    endpoints.changed = Object.keys(current.endpoints)
+        .filter(key => previous.endpoints[key])
+        .map(key => ({ endpoint: key, ...diffLists(previous.endpoints[key], current.endpoints[key]) }))
+        .filter(change => change.added.length > 0 || change.removed.length > 0)
+        .map(change => ({ endpoint: change.endpoint, fieldsAdded: change.added, fieldsRemoved: change.removed }));
+
+    const tables = diffLists(Object.keys(previous.tables), Object.keys(current.tables));
+    tables.changed = Object.keys(current.tables)
+        .filter(key => previous.tables[key])
+        .map(key => {
+            const before = previous.tables[key];
+            const after = current.tables[key];
+            const headers = diffLists(before.headers, after.headers);
+            return {
+                table: key,
+                headersAdded: headers.added,
+                headersRemoved: headers.removed,
+                rowCount: before.rowCount !== after.rowCount ? { from: before.rowCount, to: after.rowCount } : null,
+            };
+        })
+        .filter(change => change.headersAdded.length > 0 || change.headersRemoved.length > 0 || change.rowCount);
+
+    const series = diffLists(Object.keys(previous.series), Object.keys(current.series));
+    series.changed = Object.keys(current.series)
+        .filter(key => previous.series[key])
+        .map(key => {
+            const change = diffPoints(previous.series[key], current.series[key]);
+            return {
+                series: key,
+                addedPoints: change.addedPoints,
+                removedPoints: change.removedPoints,
+                changedPointCount: change.changedPoints.length,
+                changedPoints: change.changedPoints.slice(0, MAX_VALUE_CHANGES_PER_SERIES),
+            };
+        })
+        .filter(change => change.addedPoints.length > 0 || change.removedPoints.length > 0 || change.changedPointCount > 0);
+
+    const diff = {
+        comparedTo: previousReport.analysisDate || null,
+        providers: diffLists(previous.providers, current.providers),
+        markets: diffLists(previous.markets, current.markets),
+        endpoints,
+        tables,
+        series,
+    };
+
+    const sections = ['providers', 'markets', 'endpoints', 'tables', 'series'];
+    diff.summary = {
+        added: sections.reduce((sum, section) => sum + diff[section].added.length, 0),
+        removed: sections.reduce((sum, section) => sum + diff[section].removed.length, 0),
+        changed: ['endpoints', 'tables', 'series'].reduce((sum, section) => sum + diff[section].changed.length, 0),
+    };
+    diff.hasChanges = diff.summary.added + diff.summary.removed + diff.summary.changed > 0;
+
+    return diff;
+}
+
+// Function to describe a diff as one-line recommendations
+function describeChanges(diff) {
+    if (!diff.hasChanges) {
+        return [`🔄 No changes since the previous run (${diff.comparedTo})`];
+    }
+
+    const lines = [];
+    const list = items => items.slice(0, 5).join(', ') + (items.length > 5 ? `, +${items.length - 5} more` : '');
+
+    [['providers', '🏢'], ['markets', '🌍'], ['endpoints', '📡'], ['tables', '📋'], ['series', '📈']].forEach(([section, icon]) => {
+        const { added, removed } = diff[section];
+        if (added.length > 0) lines.push(`🔄 ${icon} New ${section} since ${diff.comparedTo}: ${list(added)}`);
+        if (removed.length > 0) lines.push(`🔄 ${icon} ${section[0].toUpperCase()}${section.slice(1)} no longer found since ${diff.comparedTo}: ${list(removed)}`);
+    });
+
+    if (diff.endpoints.changed.length > 0) {
+        lines.push(`🔄 📡 ${diff.endpoints.changed.length} API endpoints changed payload schema: ${list(diff.endpoints.changed.map(c => c.endpoint))}`);
+    }
+    if (diff.tables.changed.length > 0) {
+        lines.push(`🔄 📋 ${diff.tables.changed.length} tables changed headers or row counts`);
+    }
+    if (diff.series.changed.length > 0) {
+        const values = diff.series.changed.reduce((sum, c) => sum + c.changedPointCount, 0);
+        const points = diff.series.changed.reduce((sum, c) => sum + c.addedPoints.length, 0);
+        lines.push(`🔄 📈 ${diff.series.changed.length} series updated: ${points} new points, ${values} revised values`);
+    }
+
+    return lines;
+}
+
+module.exports = {
+    REPORT_KEY,
+    loadPreviousReport,
+    saveReportToHistory,
+    schemaFieldPaths,
+    snapshotReport,
+    diffReports,
+    describeChanges,
+};
@@ -0,0 +1,303 @@
+// Documentation mining - finds methodology / about / help / docs pages, extracts their main content
+// (readability-style: navigation, sidebars and other boilerplate removed, densest text block kept)
+// and pulls structured facts from the text: data providers named as sources, update frequencies,
+// forecast horizons, model families, accuracy metrics and the kinds of data used.
+
+const DOC_LINK_BOOST = 2;  // Added to a documentation link's frontier score so it is crawled early
+const MAX_SENTENCE_LENGTH = 300;
+
+// Sentences that say where data comes from
+const SOURCING_CUE = /\b(source[sd]?|sourcing|data from|provided by|supplied by|powered by|courtesy of|obtained from|comes? from|based on|we use|using|partner(s|ship)?|licen[cs]ed)\b/i;
+
+// Sentences that talk about refresh cadence
+const UPDATE_CUE = /\b(updat|refresh|publish|releas|revis|re-?run|re-?train|recalculat|recomput|generat|deliver|available|new data)/i;
+
+// Sentences that talk about inputs
+const DATA_CUE = /\b(data|source|input|feed|variable|indicator|series|dataset|driver|factor|model|signal|statistic|assessment|supplied|provid|collected)/i;
+
+// Update frequencies, most specific first ("bi-weekly" before "weekly")
+const FREQUENCIES = [
+    { value: 'hourly', pattern: /\b(hourly|every hour)\b/i },
+    { value: 'bi-weekly', pattern: /\b(bi-?weekly|fortnightly|every (two|2|other) weeks?)\b/i },
+    { value: 'daily', pattern: /\b(daily|every (business |working |trading )?day|each day|once a day)\b/i },
+    { value: 'weekly', pattern: /(?<!bi-?)\b(weekly|every week|each week|once a week|every (monday|tuesday|wednesday|thursday|friday|saturday|sunday))\b/i },
+    { value: 'monthly', pattern: /\b(monthly|every month|each month|once a month)\b/i },
+    { value: 'quarterly', pattern: /\b(quarterly|every quarter|each quarter)\b/i },
+    { value: 'yearly', pattern: /\b(yearly|annually|every year|once a year)\b/i },
+];
+
+// Forecasting model families and the terms that name them
+const MODEL_FAMILIES = [
+    { family: 'ARIMA', terms: ['arima', 'sarima', 'sarimax', 'arimax', 'box-jenkins', 'autoregressive integrated moving average'] },
+    { family: 'Exponential smoothing', terms: ['exponential smoothing', 'holt-winters', 'holt winters'] },
+    { family: 'Gradient boosting', terms: ['gradient boosting', 'gradient-boosted', 'gradient boosted', 'xgboost', 'lightgbm', 'catboost', 'gbm'] },
+    { family: 'Random forest', terms: ['random forest', 'random forests'] },
+    { family: 'Neural networks', terms: ['neural network', 'neural networks', 'neural net', 'neural nets', 'deep learning', 'lstm', 'rnn', 'recurrent neural', 'temporal fusion transformer', 'n-beats', 'deepar'] },
+    { family: 'Linear regression', terms: ['linear regression', 'ridge regression', 'lasso', 'elastic net'] },
+    { family: 'Prophet', terms: ['prophet'] },
+    { family: 'Vector autoregression', terms: ['vector autoregression', 'vecm'] },
+    { family: 'Bayesian models', terms: ['bayesian'] },
+    { family: 'Ensembles', terms: ['ensemble', 'ensembles', 'model averaging', 'stacking'] },
+    { family: 'Machine learning (unspecified)', terms: ['machine learning'] },
+];
+
+// Forecast accuracy metrics
+const ACCURACY_METRICS = [
+    { metric: 'MAPE', terms: ['mape', 'mean absolute percentage error'] },
+    { metric: 'sMAPE', terms: ['smape', 'symmetric mape'] },
+    { metric: 'RMSE', terms: ['rmse', 'root mean square error', 'root mean squared error'] },
+    { metric: 'MAE', terms: ['mae', 'mean absolute error'] },
+    { metric: 'MASE', terms: ['mase', 'mean absolute scaled error'] },
+    { metric: 'R²', terms: ['r²', 'r2', 'r-squared', 'coefficient of determination'] },
+    { metric: 'Directional accuracy', terms: ['directional accuracy', 'direction accuracy', 'hit rate'] },
+];
+
+// Kinds of data a platform may use (profiles add more with docs.dataTypes)
+const DATA_TYPES = {
+    'prices': ['price', 'prices', 'pricing', 'price assessments', 'quotations'],
+    'export volumes': ['export volume', 'export volumes', 'exports', 'export statistics', 'export data'],
+    'import volumes': ['import volume', 'import volumes', 'imports', 'import statistics', 'import data'],
+    'customs statistics': ['customs statistics', 'customs data', 'trade flows', 'trade data'],
+    'production': ['production', 'harvest', 'harvests', 'stocking'],
+    'exchange rates': ['exchange rate', 'exchange rates', 'fx rates', 'currency rates'],
+    'weather': ['weather', 'rainfall', 'temperature', 'precipitation', 'climate'],
+    'satellite imagery': ['satellite', 'remote sensing', 'earth observation'],
+    'futures': ['futures', 'futures contracts'],
+    'freight': ['freight', 'shipping rates', 'container rates'],
+    'feed costs': ['feed price', 'feed prices', 'feed cost', 'feed costs', 'fishmeal', 'soybean meal'],
+    'disease reports': ['disease', 'outbreak', 'outbreaks', 'white spot', 'wssv'],
+    'inventories': ['inventory', 'inventories', 'cold storage'],
+    'news & sentiment': ['news', 'sentiment'],
+    'macroeconomic indicators': ['gdp', 'inflation', 'interest rate', 'interest rates', 'macroeconomic'],
+};
+
+const NUMBER_WORDS = {
+    one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+    eleven: 11, twelve: 12, eighteen: 18, 'twenty-four': 24, thirty: 30,
+};
+const UNIT_DAYS = { day: 1, week: 7, month: 30, quarter: 91, year: 365 };
+const NUMBER = `(\\d+|${Object.keys(NUMBER_WORDS).join('|')})`;
+const UNIT = '(day|week|month|quarter|year)s?';
+
+// Forecast horizon phrasings: "6-month-ahead", "12 weeks ahead", "3-month forecast", "horizon of up to 6 months"
+const HORIZON_PATTERNS = [
+    new RegExp(`\\b${NUMBER}[-\\s]${UNIT}[-\\s](ahead|forward|out)\\b`, 'gi'),
+    new RegExp(`\\b${NUMBER}[-\\s]${UNIT}\\s+(forecasts?|horizons?|predictions?|outlooks?|projections?)\\b`, 'gi'),
+    new RegExp(`\\b(horizons?|forecasts?|predictions?|outlooks?|projections?)\\b[^.]{0,40}?\\b(up to|of|over|for|covering|through|next)\\s+(the next\\s+)?${NUMBER}\\s+${UNIT}`, 'gi'),
+];
+
+// Function to escape a string for use in a regular expression
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Function to build a whole-word, case-insensitive pattern for a term
+function wordPattern(term) {
+    return new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term)}(?=$|[^\\p{L}\\p{N}])`, 'iu');
+}
+
+// Function to check whether a URL's path looks like a documentation page
+function isDocumentationUrl(url, keywords) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(url).pathname).toLowerCase();
+    } catch (error) {
+        return false;
+    }
+    return keywords.some(keyword => pathname.includes(keyword.toLowerCase().replace(/\s+/g, '-')));
+}
+
+// Function to extract the main content of the page (runs in the browser)
+function readMainContentInPage({ minParagraphChars }) {
+    const BOILERPLATE_SELECTORS = [
+        'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'form', 'button', 'select',
+        'nav', 'header', 'footer', 'aside', '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]',
+        '[role="complementary"]', '[aria-hidden="true"]', '[hidden]',
+    ].join(', ');
+    const BOILERPLATE_NAMES = /(^|[\s_-])(nav|navbar|menu|sidebar|breadcrumbs?|footer|header|cookie|cookies|banner|share|social|promo|related|newsletter|modal|popup|toolbar)([\s_-]|$)/i;
+    const BLOCK_TAGS = ['P', 'LI', 'PRE', 'BLOCKQUOTE', 'DD', 'DT', 'TD', 'TH', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'FIGCAPTION'];
+    const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+
+    const root = document.body.cloneNode(true);
+    root.querySelectorAll(BOILERPLATE_SELECTORS).forEach(el => el.remove());
+    root.querySelectorAll('[class], [id]').forEach(el => {
+        if (BOILERPLATE_NAMES.test(`${el.getAttribute('class') || ''} ${el.id || ''}`)) el.remove();
+    });
+
+    // Score containers by the paragraphs they hold (readability-style: parent gets the full score, grandparent half)
+    const scores = new Map();
+    root.querySelectorAll('p, pre, li, td, blockquote, dd').forEach(block => {
+        const text = clean(block.textContent);
+        if (text.length < minParagraphChars) return;
+        const score = 1 + (text.match(/,/g) || []).length + Math.min(3, Math.floor(text.length / 100));
+        const parent = block.parentElement;
+        if (parent) scores.set(parent, (scores.get(parent) || 0) + score);
+        if (parent && parent.parentElement) scores.set(parent.parentElement, (scores.get(parent.parentElement) || 0) + score / 2);
+    });
+
+    let best = null;
+    let bestScore = 0;
+    scores.forEach((score, el) => {
+        const textLength = clean(el.textContent).length || 1;
+        const linkLength = [...el.querySelectorAll('a')].reduce((sum, a) => sum + clean(a.textContent).length, 0);
+        const adjusted = score * (1 - linkLength / textLength);
+        if (adjusted > bestScore) {
+            best = el;
+            bestScore = adjusted;
+        }
+    });
+    const content = best || root;
+
+    // Text of the innermost blocks in document order, headings kept as their own lines
+    const blocks = [...content.querySelectorAll(BLOCK_TAGS.join(', '))]
+        .filter(el => !el.querySelector(BLOCK_TAGS.join(', ')))
+        .map(el => clean(el.textContent))
+        .filter(Boolean);
+    const text = blocks.length > 0 ? blocks.join('\n') : clean(content.textContent);
+    const heading = content.querySelector('h1, h2') || root.querySelector('h1');
+
+    return {
+        title: document.title,
+        heading: heading ? clean(heading.textContent) : null,
+        text,
+        wordCount: text.split(/\s+/).filter(Boolean).length,
+    };
+}
+
+// Function to extract the main content of a documentation page
+async function extractMainContent(page, { minParagraphChars = 25 } = {}) {
+    return page.evaluate(readMainContentInPage, { minParagraphChars });
+}
+
+// Function to split text into sentences (line breaks always end a sentence)
+function splitSentences(text) {
+    return (text || '')
+        .split(/\n+/)
+        .flatMap(line => line.split(/(?<=[.!?])\s+(?=[A-Z0-9"“(])/))
+        .map(sentence => sentence.trim())
+        .filter(Boolean);
+}
+
+// Function to shorten a sentence for use as evidence
+function clip(sentence) {
+    return sentence.length > MAX_SENTENCE_LENGTH ? `${sentence.slice(0, MAX_SENTENCE_LENGTH)}…` : sentence;
+}
+
+// Function to read a number written as digits or a word
+function readNumber(value) {
+    const lower = value.toLowerCase();
+    return NUMBER_WORDS[lower] || Number(lower);
+}
+
+// Function to find forecast horizons in a sentence
+function findHorizons(sentence) {
+    const horizons = [];
+    HORIZON_PATTERNS.forEach(pattern => {
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(sentence))) {
+            const groups = match.slice(1).filter(Boolean);
+            const unitIndex = groups.findIndex(g => /^(day|week|month|quarter|year)$/i.test(g));
+            const amount = readNumber(groups[unitIndex - 1]);
+            const unit = groups[unitIndex].toLowerCase();
+            if (!amount) continue;
+            horizons.push({ value: `${amount} ${unit}${amount > 1 ? 's' : ''}`, days: amount * UNIT_DAYS[unit] });
+        }
+    });
+    return horizons;
+}
+
+// Function to find an accuracy figure stated right after a metric name ("MAPE of 4.2%")
+function findMetricValue(sentence, term) {
+    const match = wordPattern(term).exec(sentence);
+    if (!match) return null;
+    const tail = sentence.slice(match.index + match[0].length, match.index + match[0].length + 40);
+    const value = /^[^\d.]{0,25}?(\d+(?:\.\d+)?)\s*(%|percent\b)?/i.exec(tail);
+    if (!value) return null;
+    return { value: Number(value[1]), unit: value[2] ? '%' : null };
+}
+
+// Function to pull structured facts from documentation text
+function extractFacts(text, { knowledgeBase = [], dataTypes = {} } = {}) {
+    const facts = { providers: [], updateFrequencies: [], forecastHorizons: [], modelFamilies: [], accuracyMetrics: [], dataTypes: [] };
+    const allDataTypes = { ...DATA_TYPES, ...dataTypes };
+    const add = (list, key, fact) => {
+        if (!list.some(existing => existing[key] === fact[key])) list.push(fact);
+    };
+
+    splitSentences(text).forEach(sentence => {
+        const evidence = clip(sentence);
+
+        if (SOURCING_CUE.test(sentence)) {
+            knowledgeBase.forEach(provider => {
+                const matched = provider.aliases.find(alias => wordPattern(alias).test(sentence));
+                if (matched) add(facts.providers, 'provider', { provider: provider.id, name: provider.name, matched, sentence: evidence });
+            });
+        }
+
+        if (UPDATE_CUE.test(sentence)) {
+            FREQUENCIES.forEach(({ value, pattern }) => {
+                if (pattern.test(sentence)) add(facts.updateFrequencies, 'value', { value, sentence: evidence });
+            });
+        }
+
+        findHorizons(sentence).forEach(horizon => add(facts.forecastHorizons, 'value', { ...horizon, sentence: evidence }));
+
+        MODEL_FAMILIES.forEach(({ family, terms }) => {
+            const matched = terms.find(term => wordPattern(term).test(sentence));
+            if (matched) add(facts.modelFamilies, 'family', { family, matched, sentence: evidence });
+        });
+
+        ACCURACY_METRICS.forEach(({ metric, terms }) => {
+            const matched = terms.find(term => wordPattern(term).test(sentence));
+            if (matched) add(facts.accuracyMetrics, 'metric', { metric, ...(findMetricValue(sentence, matched) || { value: null, unit: null }), sentence: evidence });
+        });
+
+        if (DATA_CUE.test(sentence)) {
+            Object.keys(allDataTypes).forEach(type => {
+                const matched = allDataTypes[type].find(term => wordPattern(term).test(sentence));
+                if (matched) add(facts.dataTypes, 'type', { type, matched, sentence: evidence });
+            });
+        }
+    });
+
+    return facts;
+}
+
+// Function to merge per-document facts into counts with the documents that state them
+function summarizeFacts(documents) {
+    const tally = (kind, key, extra = () => ({})) => {
+        const byValue = new Map();
+        documents.forEach(doc => {
+            doc.facts[kind].forEach(fact => {
+                if (!byValue.has(fact[key])) byValue.set(fact[key], { [key]: fact[key], ...extra(fact), documents: [] });
+                const entry = byValue.get(fact[key]);
+                if (!entry.documents.includes(doc.url)) entry.documents.push(doc.url);
+            });
+        });
+        return [...byValue.values()].sort((a, b) => b.documents.length - a.documents.length);
+    };
+
+    return {
+        providers: tally('providers', 'provider', fact => ({ name: fact.name })),
+        updateFrequencies: tally('updateFrequencies', 'value'),
+        forecastHorizons: tally('forecastHorizons', 'value', fact => ({ days: fact.days })).sort((a, b) => a.days - b.days),
+        modelFamilies: tally('modelFamilies', 'family'),
+        accuracyMetrics: tally('accuracyMetrics', 'metric').map(entry => ({
+            ...entry,
+            values: documents.flatMap(doc => doc.facts.accuracyMetrics.filter(f => f.metric === entry.metric && f.value !== null).map(f => `${f.value}${f.unit || ''}`)),
+        })),
+        dataTypes: tally('dataTypes', 'type'),
+    };
+}
+
+module.exports = {
+    DOC_LINK_BOOST,
+    DATA_TYPES,
+    isDocumentationUrl,
+    readMainContentInPage,
+    extractMainContent,
+    splitSentences,
+    extractFacts,
+    summarizeFacts,
+};
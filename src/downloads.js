@@ -0,0 +1,349 @@
+// Downloads - finds file links (.csv, .xlsx, .pdf, .json, ...) and export buttons ("Export CSV",
+// "Download Excel", ...), fetches the linked files with the page's session and clicks the buttons
+// through the browser's download handling, then parses CSV and XLSX files into the same
+// structured tables the page-table extractor produces.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { evaluateWithLocator } = require('./provenance');
+const { parseCsv } = require('./csv');
+const { structureTable } = require('./tables');
+
+const DOWNLOAD_FORMATS = ['csv', 'xlsx', 'pdf', 'json'];
+
+// File extensions and content types per format (xls is read like xlsx)
+const FORMAT_EXTENSIONS = { csv: ['csv', 'tsv'], xlsx: ['xlsx', 'xls'], pdf: ['pdf'], json: ['json'] };
+const FORMAT_CONTENT_TYPES = {
+    csv: 'text/csv',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    pdf: 'application/pdf',
+    json: 'application/json',
+};
+const CONTENT_TYPE_PATTERNS = { csv: /csv|tab-separated/i, xlsx: /spreadsheet|excel/i, pdf: /pdf/i, json: /json/i };
+
+// Words in a button label that name a format
+const FORMAT_LABELS = { csv: /\bcsv\b/i, xlsx: /\b(excel|xlsx?)\b/i, pdf: /\bpdf\b/i, json: /\bjson\b/i };
+
+// Function to list export buttons and file links on the page (runs in the browser)
+function readDownloadTargetsInPage(extensions, exportKeywords, skipKeywords, formatWords, describe = () => null) {
+    const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+    const visible = el => Boolean(el.offsetWidth || el.offsetHeight || el.getClientRects().length);
+    const extensionOf = url => {
+        try {
+            const parsed = new URL(url, window.location.href);
+            const fromPath = (parsed.pathname.match(/\.([a-z0-9]+)$/i) || [])[1];
+            const fromQuery = parsed.searchParams.get('format') || parsed.searchParams.get('export') || parsed.searchParams.get('type');
+            return [fromPath, fromQuery].map(ext => (ext || '').toLowerCase()).find(ext => extensions.includes(ext)) || null;
+        } catch (error) {
+            return null;
+        }
+    };
+    const targets = [];
+
+    document.querySelectorAll('a[href]').forEach(a => {
+        const href = a.getAttribute('href');
+        if (!href || href.startsWith('#') || href.startsWith('javascript:')) return;
+        const extension = extensionOf(a.href);
+        if (!extension && !a.hasAttribute('download')) return;
+        targets.push({ trigger: 'link', label: clean(a.innerText || a.getAttribute('aria-label') || a.title), url: a.href, extension, location: describe(a) });
+    });
+
+    const buttons = 'button, [role="button"], [role="menuitem"], input[type="button"], a:not([href]), a[href="#"], a[href^="javascript:"]';
+    document.querySelectorAll(buttons).forEach(el => {
+        const label = clean(el.innerText || el.value || el.getAttribute('aria-label') || el.title);
+        const lower = label.toLowerCase();
+        if (!label || !visible(el) || el.disabled) return;
+        if (skipKeywords.some(keyword => lower.includes(keyword))) return;
+        const isExport = exportKeywords.some(keyword => lower.includes(keyword));
+        // Items of an opened export menu are often just the format ("CSV", "Excel")
+        const isFormatItem = el.getAttribute('role') === 'menuitem' && formatWords.some(word => new RegExp(`\\b${word}\\b`, 'i').test(lower));
+        if (!isExport && !isFormatItem) return;
+        targets.push({ trigger: 'button', label, url: null, extension: null, location: describe(el) });
+    });
+
+    return targets;
+}
+
+// Function to find the page's download targets for the wanted formats
+async function findDownloadTargets(page, { formats = DOWNLOAD_FORMATS, exportKeywords = [], skipKeywords = [] } = {}) {
+    const extensions = formats.flatMap(format => FORMAT_EXTENSIONS[format] || []);
+    const formatWords = ['csv', 'excel', 'xlsx', 'pdf', 'json'];
+    const targets = await evaluateWithLocator(page, readDownloadTargetsInPage, [extensions, exportKeywords, skipKeywords, formatWords]);
+    return targets.filter(target => {
+        if (target.trigger === 'link') return true;
+        const named = Object.keys(FORMAT_LABELS).filter(format => FORMAT_LABELS[format].test(target.label));
+        return named.length === 0 || named.some(format => formats.includes(format));
+    });
+}
+
+// Function to identify a download target across pages: a link by its URL, a button by its label
+// and selector (a shared header "Export" button is the same button on every page)
+function downloadSignature(target) {
+    return target.trigger === 'link' ? target.url : `${target.label} @ ${target.location ? target.location.selector : ''}`;
+}
+
+// Function to decide a file's format from its name, URL and content type
+function detectFormat({ fileName = '', url = '', contentType = '' }) {
+    const extension = [fileName, url ? new URL(url, 'http://localhost').pathname : '']
+        .map(name => (String(name).match(/\.([a-z0-9]+)$/i) || [])[1])
+        .filter(Boolean)
+        .map(ext => ext.toLowerCase())[0];
+    const byExtension = Object.keys(FORMAT_EXTENSIONS).find(format => FORMAT_EXTENSIONS[format].includes(extension));
+    if (byExtension) return byExtension;
+    return Object.keys(CONTENT_TYPE_PATTERNS).find(format => CONTENT_TYPE_PATTERNS[format].test(contentType || '')) || null;
+}
+
+// Function to read the file name of a Content-Disposition header
+function dispositionFileName(header) {
+    if (!header) return null;
+    const encoded = header.match(/filename\*=(?:UTF-8'')?([^;]+)/i);
+    if (encoded) return decodeURIComponent(encoded[1].replace(/"/g, ''));
+    const plain = header.match(/filename="?([^";]+)"?/i);
+    return plain ? plain[1] : null;
+}
+
+// Function to read a response body up to maxBytes (rejecting a larger Content-Length up front);
+// returns null as soon as the body passes the limit, without reading the rest
+async function readLimited(response, maxBytes) {
+    if (Number(response.headers.get('content-length')) > maxBytes) {
+        await response.body.cancel().catch(() => {});
+        return null;
+    }
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body) {
+        size += chunk.length;
+        if (size > maxBytes) return null;  // leaving the loop cancels the stream
+        chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks);
+}
+
+// Function to fetch a linked file with the page's cookies (in the page, so the session applies;
+// from Node with the page's cookies when the page may not read it, e.g. another origin); both
+// give up after timeout ms and stop reading once the file passes maxBytes
+async function fetchLinkedFile(page, url, { maxBytes, timeout }) {
+    const inPage = await page.evaluate(async (fileUrl, limit, ms) => {
+        const response = await fetch(fileUrl, { credentials: 'include', signal: AbortSignal.timeout(ms) });
+        const result = {
+            status: response.status,
+            url: response.url,
+            contentType: response.headers.get('content-type'),
+            disposition: response.headers.get('content-disposition'),
+            base64: null,
+        };
+        if (!response.ok) return result;
+        if (Number(response.headers.get('content-length')) > limit) {
+            await response.body.cancel();
+            return result;
+        }
+        const reader = response.body.getReader();
+        const chunks = [];
+        let size = 0;
+        for (let read = await reader.read(); !read.done; read = await reader.read()) {
+            size += read.value.length;
+            if (size > limit) {
+                await reader.cancel();
+                return result;
+            }
+            chunks.push(read.value);
+        }
+        const dataUrl = await new Promise((resolve, reject) => {
+            const fileReader = new FileReader();
+            fileReader.onload = () => resolve(fileReader.result);
+            fileReader.onerror = () => reject(fileReader.error);
+            fileReader.readAsDataURL(new Blob(chunks));
+        });
+        result.base64 = dataUrl.slice(dataUrl.indexOf(',') + 1);
+        return result;
+    }, url, maxBytes, timeout).catch(() => null);
+
+    let result = inPage;
+    if (!result) {
+        const cookies = await page.cookies(url);
+        const response = await fetch(url, {
+            headers: { cookie: cookies.map(c => `${c.name}=${c.value}`).join('; ') },
+            signal: AbortSignal.timeout(timeout),
+        });
+        const buffer = response.ok ? await readLimited(response, maxBytes) : null;
+        result = {
+            status: response.status,
+            url: response.url,
+            contentType: response.headers.get('content-type'),
+            disposition: response.headers.get('content-disposition'),
+            base64: buffer ? buffer.toString('base64') : null,
+        };
+    }
+
+    if (result.status >= 400) throw new Error(`HTTP ${result.status}`);
+    if (result.base64 === null) throw new Error(`File is over the ${maxBytes} byte limit`);
+    return {
+        buffer: Buffer.from(result.base64, 'base64'),
+        url: result.url || url,
+        contentType: (result.contentType || '').split(';')[0] || null,
+        fileName: dispositionFileName(result.disposition) || decodeURIComponent(new URL(result.url || url).pathname.split('/').pop() || '') || null,
+    };
+}
+
+// Function to click an export button and wait for the download it starts (null when it starts none)
+async function clickDownload(page, selector, { timeout, maxBytes }) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'downloads-'));
+    const client = await page.target().createCDPSession();
+    const progress = new Map();  // guid -> last state
+    try {
+        await client.send('Page.enable');  // download events are only sent to sessions with the Page domain on
+        await client.send('Page.setDownloadBehavior', { behavior: 'allow', downloadPath: dir });
+        const started = new Promise(resolve => client.once('Page.downloadWillBegin', resolve));
+        client.on('Page.downloadProgress', event => progress.set(event.guid, event.state));
+
+        const handle = await page.$(selector);
+        if (!handle) throw new Error(`Export button ${selector} is gone`);
+        await handle.click();
+        await handle.dispose();
+
+        const begin = await Promise.race([started, new Promise(resolve => setTimeout(() => resolve(null), Math.min(timeout, 5000)))]);
+        if (!begin) return null;
+
+        const deadline = Date.now() + timeout;
+        while (!['completed', 'canceled'].includes(progress.get(begin.guid))) {
+            if (Date.now() > deadline) throw new Error(`Download of ${begin.suggestedFilename} did not finish within ${timeout} ms`);
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        if (progress.get(begin.guid) === 'canceled') throw new Error(`Download of ${begin.suggestedFilename} was canceled`);
+
+        const file = path.join(dir, begin.suggestedFilename);
+        const { size } = fs.statSync(file);
+        if (size > maxBytes) throw new Error(`File is ${size} bytes, over the ${maxBytes} byte limit`);
+        return {
+            buffer: fs.readFileSync(file),
+            url: begin.url.startsWith('blob:') || begin.url.startsWith('data:') ? null : begin.url,
+            contentType: null,
+            fileName: begin.suggestedFilename,
+        };
+    } finally {
+        await client.send('Page.setDownloadBehavior', { behavior: 'deny' }).catch(() => {});
+        await client.detach().catch(() => {});
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+// Function to download the page's files: links first, then export buttons, then the items of
+// export menus the buttons opened; skip(target) leaves out files already downloaded (the same
+// link on several pages). Failures are kept on the file entry instead of failing the page.
+async function harvestDownloads(page, options = {}) {
+    const { formats = DOWNLOAD_FORMATS, maxDownloads = 5, maxBytes = 20 * 1024 * 1024, timeout = 30000, skip = () => false } = options;
+    const pageUrl = page.url();
+    const files = [];
+    const tried = new Set();
+
+    for (let round = 0; round < 2 && files.length < maxDownloads; round++) {
+        const targets = (await findDownloadTargets(page, options))
+            .filter(target => !tried.has(target.url || target.location.selector) && !skip(target));
+        for (const target of targets) {
+            if (files.length >= maxDownloads) break;
+            tried.add(target.url || target.location.selector);
+            const file = { trigger: target.trigger, label: target.label, url: target.url, location: target.location };
+            try {
+                const downloaded = target.trigger === 'link'
+                    ? await fetchLinkedFile(page, target.url, { maxBytes, timeout })
+                    : await clickDownload(page, target.location.selector, { timeout, maxBytes });
+                // A button that opened a page instead of a file: go back for the remaining targets
+                if (page.url() !== pageUrl) await page.goto(pageUrl, { waitUntil: 'domcontentloaded' });
+                if (!downloaded) continue;
+                Object.assign(file, downloaded, { url: target.url || downloaded.url, bytes: downloaded.buffer.length });
+                file.format = detectFormat(file) || target.extension;
+                if (!formats.includes(file.format)) continue;
+            } catch (error) {
+                file.error = error.message.split('\n')[0];
+            }
+            files.push(file);
+        }
+    }
+
+    return files;
+}
+
+// SheetJS release to install, under the xlsx name: the registry's own xlsx package stops at 0.18.5,
+// which has known advisories (prototype pollution, ReDoS) and would parse untrusted downloaded
+// files; @e965/xlsx republishes the SheetJS releases on the npm registry
+const XLSX_PACKAGE = 'xlsx@npm:@e965/xlsx@0.20.3';
+
+// Function to load the optional XLSX reader
+function loadXlsx() {
+    try {
+        return require('xlsx');
+    } catch (error) {
+        throw new Error(`Reading XLSX files needs the xlsx package (npm install ${XLSX_PACKAGE}): ${error.message}`);
+    }
+}
+
+// Function to turn one sheet's rows into a structured table (the first row holds the headers)
+function fileTable(file, caption, rows, index, options) {
+    const maxRows = options.maxRows || 5000;
+    return structureTable({
+        index,
+        kind: file.format,
+        selector: null,
+        caption,
+        headerRows: rows.slice(0, 1),
+        bodyRows: rows.slice(1, maxRows + 1),
+        totalRows: Math.max(0, rows.length - 1),
+        url: file.url,
+    }, options);
+}
+
+// Function to rewrite an XLSX workbook with every text cell passed through redact (comments,
+// link targets and document properties such as the author are dropped or redacted too)
+function redactWorkbook(buffer, redact) {
+    const XLSX = loadXlsx();
+    const workbook = XLSX.read(buffer, { type: 'buffer' });
+    workbook.SheetNames.forEach(name => {
+        const sheet = workbook.Sheets[name];
+        Object.keys(sheet).filter(ref => !ref.startsWith('!')).forEach(ref => {
+            const cell = sheet[ref];
+            if (typeof cell.v === 'string') {
+                const value = redact(cell.v);
+                if (value !== cell.v) Object.assign(cell, { v: value, w: value, h: undefined, r: undefined });
+            }
+            if (cell.l && cell.l.Target) cell.l.Target = redact(cell.l.Target);
+            delete cell.c;
+        });
+    });
+    delete workbook.Props;
+    delete workbook.Custprops;
+    return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+// Function to parse a downloaded CSV or XLSX file into structured tables (one per sheet); other formats have none
+function parseDownloadedFile(file, options = {}) {
+    if (file.format === 'csv') {
+        const rows = parseCsv(file.buffer.toString('utf8')).map(row => row.map(cell => cell.trim()));
+        return rows.length > 0 ? [fileTable(file, file.fileName, rows, 'file-1', options)] : [];
+    }
+    if (file.format === 'xlsx') {
+        const XLSX = loadXlsx();
+        const workbook = XLSX.read(file.buffer, { type: 'buffer' });
+        return workbook.SheetNames.map((name, sheet) => {
+            const rows = XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, raw: false, defval: '', blankrows: false })
+                .map(row => row.map(cell => String(cell).trim()));
+            return rows.length > 0 ? fileTable(file, `${file.fileName} / ${name}`, rows, `file-${sheet + 1}`, options) : null;
+        }).filter(Boolean);
+    }
+    return [];
+}
+
+module.exports = {
+    DOWNLOAD_FORMATS,
+    FORMAT_CONTENT_TYPES,
+    readDownloadTargetsInPage,
+    findDownloadTargets,
+    downloadSignature,
+    detectFormat,
+    dispositionFileName,
+    fetchLinkedFile,
+    harvestDownloads,
+    redactWorkbook,
+    parseDownloadedFile,
+};
@@ -0,0 +1,128 @@
+// Crawl errors - sorts page failures into kinds (expired login, timeout, HTTP 4xx/5xx, blocked
+// navigation, extractor exception), picks a retry policy with exponential backoff for each kind,
+// and keeps the log of every error for the report's crawlErrors section.
+
+const ERROR_KINDS = ['auth_expired', 'timeout', 'http_4xx', 'http_5xx', 'navigation_blocked', 'extractor', 'unknown'];
+
+// Retries and first backoff per kind (the backoff doubles on each retry, up to MAX_BACKOFF_MS)
+const DEFAULT_RETRY_POLICIES = {
+    auth_expired: { retries: 2, backoffMs: 0 },  // The next attempt logs in again
+    timeout: { retries: 2, backoffMs: 2000 },
+    http_4xx: { retries: 0, backoffMs: 0 },  // Except 408 and 429, see RATE_LIMIT_POLICY
+    http_5xx: { retries: 3, backoffMs: 5000 },
+    navigation_blocked: { retries: 1, backoffMs: 5000 },
+    extractor: { retries: 1, backoffMs: 0 },
+    unknown: { retries: 1, backoffMs: 1000 },
+};
+const RATE_LIMIT_POLICY = { retries: 3, backoffMs: 10000 };
+const RATE_LIMIT_STATUSES = [408, 429];
+const MAX_BACKOFF_MS = 60000;
+
+// Function to create an error of a known kind (thrown by the request handler)
+function crawlError(kind, message, details = {}) {
+    return Object.assign(new Error(message), { kind, ...details });
+}
+
+// Function to read an HTTP status from an error (ours, or Crawlee's "received 403 status code")
+function statusOf(error) {
+    if (typeof error.statusCode === 'number') return error.statusCode;
+    const match = String(error.message || '').match(/\b([45]\d\d) status code\b/);
+    return match ? Number(match[1]) : null;
+}
+
+// Function to sort an error into a kind; errors thrown while extracting (after the page was ready)
+// count as extractor exceptions unless they are timeouts
+function classifyError(error, { stage = null } = {}) {
+    if (error.kind && ERROR_KINDS.includes(error.kind)) return error.kind;
+    const message = String(error.message || error);
+    const status = statusOf(error);
+    if (status) return status >= 500 ? 'http_5xx' : 'http_4xx';
+    if (error.name === 'TimeoutError' || /timed? ?out|timeout/i.test(message)) return 'timeout';
+    if (/net::ERR_|blocked by|ERR_BLOCKED|ERR_ABORTED|Navigation failed/i.test(message)) return 'navigation_blocked';
+    if (stage === 'extraction') return 'extractor';
+    return 'unknown';
+}
+
+// Function to merge retry policy overrides ({ timeout: { retries: 3 } }) over the defaults
+function resolveRetryPolicies(overrides = {}) {
+    const policies = JSON.parse(JSON.stringify(DEFAULT_RETRY_POLICIES));
+    Object.entries(overrides || {}).forEach(([kind, override]) => {
+        if (!policies[kind]) {
+            throw new Error(`Unknown error kind "${kind}" in retryPolicies (expected one of ${ERROR_KINDS.join(', ')})`);
+        }
+        ['retries', 'backoffMs'].forEach(field => {
+            if (override[field] === undefined) return;
+            if (!Number.isInteger(override[field]) || override[field] < 0) {
+                throw new Error(`retryPolicies.${kind}.${field} must be a whole number >= 0, got ${JSON.stringify(override[field])}`);
+            }
+            policies[kind][field] = override[field];
+        });
+    });
+    return policies;
+}
+
+// Function to decide whether a request is tried again after an error, and after how long;
+// attempt is the number of errors of this kind the request has had so far (this one included)
+function retryDecision(kind, { attempt, statusCode = null, policies = DEFAULT_RETRY_POLICIES }) {
+    const policy = kind === 'http_4xx' && RATE_LIMIT_STATUSES.includes(statusCode) ? RATE_LIMIT_POLICY : policies[kind];
+    if (attempt > policy.retries) return { retry: false, backoffMs: 0 };
+    return { retry: true, backoffMs: Math.min(policy.backoffMs * 2 ** (attempt - 1), MAX_BACKOFF_MS) };
+}
+
+// Function to give the most retries any policy allows (the crawler's overall retry limit)
+function maxRetries(policies) {
+    return Math.max(RATE_LIMIT_POLICY.retries, ...Object.values(policies).map(policy => policy.retries));
+}
+
+// Function to create the run's error log
+function createErrorLog() {
+    const errors = [];
+
+    return {
+        // Function to record one error of a page attempt
+        record({ url, page, kind, message, statusCode = null, attempt, retry, backoffMs = 0 }) {
+            const entry = { url, page, kind, message: String(message).split('\n')[0].slice(0, 300), statusCode, attempt, retried: retry, backoffMs, at: new Date().toISOString() };
+            errors.push(entry);
+            return entry;
+        },
+
+        entries() {
+            return errors;
+        },
+
+        // Function to restore the entries of an interrupted run
+        restore(entries) {
+            errors.splice(0, errors.length, ...entries);
+        },
+
+        // Function to summarize the errors for the report, given the pages that ended up handled
+        summarize(pages) {
+            const failed = new Set(pages.filter(p => p.failed).map(p => p.index));
+            const byKind = {};
+            errors.forEach(e => {
+                byKind[e.kind] = (byKind[e.kind] || 0) + 1;
+            });
+            const pagesWithErrors = [...new Set(errors.map(e => e.page))];
+            return {
+                total: errors.length,
+                byKind,
+                retries: errors.filter(e => e.retried).length,
+                recoveredPages: pagesWithErrors.filter(page => !failed.has(page)).length,
+                failedPages: failed.size,
+                items: [...errors].sort((a, b) => (a.page || 0) - (b.page || 0)),
+            };
+        },
+    };
+}
+
+module.exports = {
+    ERROR_KINDS,
+    DEFAULT_RETRY_POLICIES,
+    crawlError,
+    statusOf,
+    classifyError,
+    resolveRetryPolicies,
+    retryDecision,
+    maxRetries,
+    createErrorLog,
+};
@@ -0,0 +1,334 @@
+// Interactive exploration - lists selects, tabs, toggles, date pickers and range presets on a
+// page, walks through their option combinations up to a budget and calls back after each state
+// change so the extractors can run against content that only appears after interaction.
+// Toggles often save account settings when clicked, so only those matched by the profile's
+// explore.toggleSelectors (and outside forms) are used.
+
+// Button labels used by chart/date-range preset groups ("1M", "6M", "YTD", "All", ...)
+const RANGE_PRESET_PATTERN = '^(\\d+\\s?[dwmy]|\\d+\\s?(day|week|month|year)s?|ytd|max|all|1an|tout)$';
+
+// Function to wait for a number of milliseconds
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Function to list interactive controls and their options (runs in the browser)
+function readControlsInPage({ maxOptions, presetPattern, toggleSelectors = [] }) {
+    const presetRegex = new RegExp(presetPattern, 'i');
+    const controls = [];
+    const clean = text => (text || '').replace(/\s+/g, ' ').trim().slice(0, 80);
+    const visible = el => {
+        const rect = el.getBoundingClientRect();
+        const style = window.getComputedStyle(el);
+        return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+    };
+    const cssPath = el => {
+        const parts = [];
+        let node = el;
+        while (node && node.nodeType === 1 && node !== document.body) {
+            if (node.id) {
+                parts.unshift(`#${CSS.escape(node.id)}`);
+                return parts.join(' > ');
+            }
+            let part = node.tagName.toLowerCase();
+            const siblings = Array.from(node.parentNode.children).filter(s => s.tagName === node.tagName);
+            if (siblings.length > 1) part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+            parts.unshift(part);
+            node = node.parentElement;
+        }
+        return ['body', ...parts].join(' > ');
+    };
+    const labelFor = el => {
+        const byFor = el.id && document.querySelector(`label[for="${CSS.escape(el.id)}"]`);
+        const wrapping = el.closest('label');
+        return clean(el.getAttribute('aria-label') || (byFor && byFor.innerText) || (wrapping && wrapping.innerText) ||
+            el.getAttribute('name') || el.getAttribute('placeholder') || el.getAttribute('title') || el.id);
+    };
+
+    // Native selects
+    document.querySelectorAll('select').forEach(select => {
+        if (!visible(select) || select.disabled || select.multiple) return;
+        const options = Array.from(select.options).filter(o => !o.disabled).slice(0, maxOptions)
+            .map(o => ({ label: clean(o.text), value: o.value }));
+        if (options.length < 2) return;
+        controls.push({
+            kind: 'select',
+            label: labelFor(select) || 'select',
+            selector: cssPath(select),
+            options,
+            defaultIndex: Math.max(0, options.findIndex(o => o.value === select.value)),
+        });
+    });
+
+    // Tab lists
+    document.querySelectorAll('[role="tablist"]').forEach(list => {
+        const tabs = Array.from(list.querySelectorAll('[role="tab"]')).filter(tab => visible(tab) && !tab.hasAttribute('disabled')).slice(0, maxOptions);
+        if (tabs.length < 2) return;
+        const active = tabs.findIndex(tab => tab.getAttribute('aria-selected') === 'true' || tab.classList.contains('active'));
+        controls.push({
+            kind: 'tabs',
+            label: clean(list.getAttribute('aria-label')) || 'tabs',
+            selector: cssPath(list),
+            options: tabs.map(tab => ({ label: clean(tab.innerText || tab.getAttribute('aria-label')), selector: cssPath(tab) })),
+            defaultIndex: Math.max(0, active),
+        });
+    });
+
+    // Date range preset button groups (siblings whose labels look like "1M", "1Y", "All")
+    const presetGroups = new Map();
+    document.querySelectorAll('button, [role="button"], [role="radio"]').forEach(button => {
+        if (!visible(button) || button.closest('[role="tablist"]')) return;
+        if (!presetRegex.test(clean(button.innerText))) return;
+        const group = button.parentElement;
+        if (!presetGroups.has(group)) presetGroups.set(group, []);
+        presetGroups.get(group).push(button);
+    });
+    presetGroups.forEach((buttons, group) => {
+        if (buttons.length < 2) return;
+        const active = buttons.findIndex(b => b.getAttribute('aria-pressed') === 'true' || b.getAttribute('aria-checked') === 'true' ||
+            b.classList.contains('active') || b.classList.contains('selected'));
+        controls.push({
+            kind: 'range-preset',
+            label: clean(group.getAttribute('aria-label')) || 'date range',
+            selector: cssPath(group),
+            options: buttons.slice(0, maxOptions).map(b => ({ label: clean(b.innerText), selector: cssPath(b) })),
+            defaultIndex: Math.max(0, active),
+        });
+    });
+
+    // Toggles: checkboxes, switches and pressed-state buttons inside an allowed chart/filter area, never in a form
+    const allowedToggle = toggle => toggleSelectors.some(selector => toggle.closest(selector));
+    document.querySelectorAll('input[type="checkbox"], [role="switch"], button[aria-pressed]').forEach(toggle => {
+        if (!visible(toggle) || toggle.disabled || toggle.closest('form') || !allowedToggle(toggle)) return;
+        if (toggle.getAttribute('aria-pressed') !== null && presetRegex.test(clean(toggle.innerText))) return;
+        const checked = toggle.type === 'checkbox' ? toggle.checked
+            : (toggle.getAttribute('aria-checked') || toggle.getAttribute('aria-pressed')) === 'true';
+        controls.push({
+            kind: 'toggle',
+            label: labelFor(toggle) || clean(toggle.innerText) || 'toggle',
+            selector: cssPath(toggle),
+            options: [{ label: 'off', value: false }, { label: 'on', value: true }],
+            defaultIndex: checked ? 1 : 0,
+        });
+    });
+
+    // Date pickers: current value plus the earliest/latest bounds the input allows
+    document.querySelectorAll('input[type="date"], input[type="month"], input[type="week"]').forEach(input => {
+        if (!visible(input) || input.disabled) return;
+        const values = [...new Set([input.value, input.min, input.max].filter(Boolean))];
+        if (values.length < 2) return;
+        controls.push({
+            kind: 'date',
+            label: labelFor(input) || 'date',
+            selector: cssPath(input),
+            options: values.map(value => ({ label: value, value })),
+            defaultIndex: 0,
+        });
+    });
+
+    return controls;
+}
+
+// Function to plan which option combinations to visit: every single-control change first,
+// then multi-control combinations in odometer order, up to the budget
+function planStates(controls, maxStates) {
+    const defaults = controls.map(control => control.defaultIndex);
+    const states = [];
+    const seen = new Set([defaults.join(',')]);
+    const add = state => {
+        const key = state.join(',');
+        if (seen.has(key) || states.length >= maxStates) return;
+        seen.add(key);
+        states.push(state);
+    };
+
+    controls.forEach((control, c) => {
+        control.options.forEach((option, o) => {
+            if (o === control.defaultIndex) return;
+            const state = [...defaults];
+            state[c] = o;
+            add(state);
+        });
+    });
+
+    const total = controls.reduce((product, control) => product * control.options.length, 1);
+    const counter = controls.map(() => 0);
+    for (let step = 0; step < total && states.length < maxStates; step++) {
+        const changed = counter.filter((o, c) => o !== defaults[c]).length;
+        if (changed > 1) add([...counter]);
+
+        for (let c = counter.length - 1; c >= 0; c--) {
+            counter[c]++;
+            if (counter[c] < controls[c].options.length) break;
+            counter[c] = 0;
+        }
+    }
+
+    return states;
+}
+
+// Function to describe a planned state by the controls that differ from their defaults
+function describeState(controls, state, index) {
+    const changes = controls
+        .map((control, c) => ({ control, option: control.options[state[c]], changed: state[c] !== control.defaultIndex }))
+        .filter(entry => entry.changed)
+        .map(entry => ({ kind: entry.control.kind, control: entry.control.label, value: entry.option.label }));
+
+    return {
+        id: `state-${index + 1}`,
+        label: changes.map(change => `${change.control}=${change.value}`).join('; '),
+        changes,
+    };
+}
+
+// Function to set one control to one of its options
+async function applyOption(page, control, option) {
+    if (control.kind === 'select') {
+        await page.select(control.selector, option.value);
+    } else if (control.kind === 'tabs' || control.kind === 'range-preset') {
+        await page.click(option.selector);
+    } else if (control.kind === 'toggle') {
+        const checked = await page.$eval(control.selector, el => (el.type === 'checkbox' ? el.checked
+            : (el.getAttribute('aria-checked') || el.getAttribute('aria-pressed')) === 'true'));
+        if (checked !== option.value) await page.click(control.selector);
+    } else if (control.kind === 'date') {
+        // Native value setter so frameworks that track input values (React) see the change
+        await page.$eval(control.selector, (el, value) => {
+            const setter = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value').set;
+            setter.call(el, value);
+            el.dispatchEvent(new Event('input', { bubbles: true }));
+            el.dispatchEvent(new Event('change', { bubbles: true }));
+        }, option.value);
+    }
+}
+
+// Function to wait until the page has reacted to a state change
+async function settle(page, settleMs) {
+    await page.waitForNetworkIdle({ idleTime: 500, timeout: 10000 }).catch(() => null);
+    await delay(settleMs);
+}
+
+// Function to strip query/hash so a navigation away from the explored page can be detected
+function pageLocation(url) {
+    const parsed = new URL(url);
+    return `${parsed.origin}${parsed.pathname}`;
+}
+
+// Function to put every control back to its default option, reloading the page when that fails,
+// so whatever runs after exploration sees the page as it loaded
+async function restoreDefaults(page, controls, current, { startUrl, settleMs, log }) {
+    if (controls.every((control, c) => current[c] === control.defaultIndex)) return 'unchanged';
+
+    try {
+        for (let c = 0; c < controls.length; c++) {
+            if (current[c] !== controls[c].defaultIndex) {
+                await applyOption(page, controls[c], controls[c].options[controls[c].defaultIndex]);
+                current[c] = controls[c].defaultIndex;
+            }
+        }
+        await settle(page, settleMs);
+        if (pageLocation(page.url()) === pageLocation(startUrl)) return 'controls';
+    } catch (error) {
+        log.warning(`⚠️ Could not reset the page's controls, reloading it: ${error.message}`);
+    }
+
+    try {
+        await page.goto(startUrl, { waitUntil: 'networkidle2' });
+        return 'reloaded';
+    } catch (error) {
+        log.warning(`⚠️ Could not reload the page after exploring it: ${error.message}`);
+        return 'failed';
+    }
+}
+
+// Function to tell whether a page's controls may be explored (not a settings or account page)
+function isExplorable(url, excludePatterns = []) {
+    const lower = String(url || '').toLowerCase();
+    return !excludePatterns.some(pattern => lower.includes(pattern.toLowerCase()));
+}
+
+// Function to explore the page's interactive states, calling onState after each one and
+// onRestore before the controls are put back to their defaults
+async function exploreInteractiveStates(page, options) {
+    const {
+        maxStates = 20,
+        maxOptionsPerControl = 10,
+        settleMs = 1500,
+        toggleSelectors = [],
+        onState,
+        onRestore = () => {},
+        log = console,
+    } = options;
+
+    const controls = await page.evaluate(readControlsInPage, { maxOptions: maxOptionsPerControl, presetPattern: RANGE_PRESET_PATTERN, toggleSelectors });
+    const summary = controls.map(control => ({
+        kind: control.kind,
+        label: control.label,
+        selector: control.selector,
+        options: control.options.map(option => option.label),
+    }));
+    if (controls.length === 0) return { controls: summary, states: [], failures: [], restored: 'unchanged' };
+
+    const startUrl = page.url();
+    const plan = planStates(controls, maxStates);
+    const current = controls.map(control => control.defaultIndex);
+    const states = [];
+    const failures = [];
+
+    // Function to reload the page so the next state starts from every control's default
+    const reload = async () => {
+        await page.goto(startUrl, { waitUntil: 'networkidle2' });
+        controls.forEach((control, c) => {
+            current[c] = control.defaultIndex;
+        });
+    };
+
+    for (let i = 0; i < plan.length; i++) {
+        const target = plan[i];
+        const uiState = describeState(controls, target, i);
+
+        try {
+            for (let c = 0; c < controls.length; c++) {
+                if (current[c] !== target[c]) {
+                    await applyOption(page, controls[c], controls[c].options[target[c]]);
+                    current[c] = target[c];
+                }
+            }
+            await settle(page, settleMs);
+
+            // A control that navigates away is not a UI state of this page
+            if (pageLocation(page.url()) !== pageLocation(startUrl)) {
+                failures.push({ ...uiState, error: `navigated to ${page.url()}` });
+                await reload();
+                continue;
+            }
+
+            await onState(uiState);
+            states.push(uiState);
+        } catch (error) {
+            log.warning(`⚠️ Could not explore UI state "${uiState.label}": ${error.message}`);
+            failures.push({ ...uiState, error: error.message });
+
+            // Some controls may have changed before the failure, so the page state is unknown
+            try {
+                await reload();
+            } catch (reloadError) {
+                log.warning(`⚠️ Stopped exploring: could not reload the page: ${reloadError.message}`);
+                break;
+            }
+        }
+    }
+
+    await onRestore();
+    const restored = await restoreDefaults(page, controls, current, { startUrl, settleMs, log });
+
+    return { controls: summary, states, failures, restored };
+}
+
+module.exports = {
+    readControlsInPage,
+    planStates,
+    describeState,
+    isExplorable,
+    exploreInteractiveStates,
+};
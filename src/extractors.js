@@ -0,0 +1,190 @@
+// Page extractors - keyword-based data source, market, methodology link and commodity content
+// extraction. Each `read*InPage` function runs in the browser; the `extract*` wrappers take the
+// profile taxonomies so they can be run (and tested) outside the actor. Every finding carries the
+// `location` (selector and XPath) of the element it was read from, for its provenance record.
+
+const { evaluateWithLocator, elementsWithTextInPage } = require('./provenance');
+
+// Function to find data source keyword mentions, API references in scripts and provider logos (runs in the browser)
+function readDataSourcesInPage(keywords, describe = () => null, elementsWithText = () => []) {
+    const foundSources = [];
+    const allText = document.body.innerText.toLowerCase();
+    const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    // Look for data source mentions (canonical term or any synonym)
+    keywords.forEach(({ term, synonyms, weight }) => {
+        [term, ...synonyms].forEach(variant => {
+            if (allText.includes(variant)) {
+                // Try to find context around the keyword
+                const regex = new RegExp(`.{0,50}${escape(variant)}.{0,50}`, 'gi');
+                const matches = allText.match(regex);
+                if (matches) {
+                    // The n-th mention is located in the n-th element whose text holds the variant
+                    const elements = elementsWithText(variant);
+                    matches.forEach((match, index) => {
+                        foundSources.push({
+                            source: term,
+                            matched: variant,
+                            weight: weight,
+                            context: match.trim(),
+                            found: true,
+                            location: describe(elements[Math.min(index, elements.length - 1)]),
+                        });
+                    });
+                }
+            }
+        });
+    });
+
+    // Look for API endpoints
+    const scripts = Array.from(document.querySelectorAll('script'));
+    scripts.forEach(script => {
+        const content = script.innerText;
+        const apiMatches = content.match(/(?:api|endpoint|feed|source).*?(?:url|uri|path).*?['"](.*?)['"]/gi);
+        if (apiMatches) {
+            apiMatches.forEach(match => {
+                foundSources.push({
+                    type: 'api',
+                    endpoint: match,
+                    found: true,
+                    location: describe(script),
+                });
+            });
+        }
+    });
+
+    // Look for data provider logos/images
+    const images = Array.from(document.querySelectorAll('img'));
+    images.forEach(img => {
+        const src = img.src?.toLowerCase() || '';
+        const alt = img.alt?.toLowerCase() || '';
+        const title = img.title?.toLowerCase() || '';
+
+        keywords.forEach(({ term, synonyms, weight }) => {
+            const variant = [term, ...synonyms].find(v => src.includes(v) || alt.includes(v) || title.includes(v));
+            if (variant) {
+                foundSources.push({
+                    type: 'logo/image',
+                    source: term,
+                    matched: variant,
+                    weight: weight,
+                    imageSrc: img.src,
+                    found: true,
+                    location: describe(img),
+                });
+            }
+        });
+    });
+
+    return foundSources;
+}
+
+// Function to find market keywords in market-related elements and count chart elements (runs in the browser)
+function readMarketsInPage(keywords, selectors, describe = () => null) {
+    const foundMarkets = [];
+
+    // Look for market-related elements
+    selectors.forEach(selector => {
+        const elements = document.querySelectorAll(selector);
+        elements.forEach(el => {
+            const text = el.innerText || el.value || '';
+            keywords.forEach(({ term, synonyms }) => {
+                if ([term, ...synonyms].some(v => text.toLowerCase().includes(v))) {
+                    foundMarkets.push({
+                        market: term,
+                        element: selector,
+                        text: text.substring(0, 100),
+                        found: true,
+                        location: describe(el),
+                    });
+                }
+            });
+        });
+    });
+
+    // Look for charts and graphs
+    const chartElements = document.querySelectorAll('canvas, svg, .chart, .graph, [class*="chart"], [id*="chart"]');
+    if (chartElements.length > 0) {
+        foundMarkets.push({
+            type: 'visualization',
+            count: chartElements.length,
+            message: `Found ${chartElements.length} chart/graph elements`,
+            location: describe(chartElements[0]),
+        });
+    }
+
+    return foundMarkets;
+}
+
+// Function to find links to methodology, about, help and docs pages by link text or URL (runs in the browser)
+function readMethodologyLinksInPage(keywords, describe = () => null) {
+    const links = [];
+    const anchors = document.querySelectorAll('a');
+    anchors.forEach(a => {
+        const href = a.href?.toLowerCase() || '';
+        const text = a.innerText?.toLowerCase() || '';
+        if (!href.startsWith('http')) return;
+        if (keywords.some(keyword => text.includes(keyword) || href.includes(keyword.replace(/\s+/g, '-')))) {
+            links.push({
+                url: a.href,
+                text: a.innerText,
+                type: 'methodology_link',
+                location: describe(a),
+            });
+        }
+    });
+    return links;
+}
+
+// Function to find commodity keywords in the page text (runs in the browser)
+function readCommodityContentInPage(keywords, describe = () => null, elementsWithText = () => []) {
+    const content = [];
+    const allText = document.body.innerText.toLowerCase();
+
+    keywords.forEach(({ term, synonyms, weight }) => {
+        const variant = [term, ...synonyms].find(v => allText.includes(v));
+        if (variant) {
+            content.push({
+                keyword: term,
+                matched: variant,
+                weight: weight,
+                found: true,
+                url: window.location.href,
+                location: describe(elementsWithText(variant)[0]),
+            });
+        }
+    });
+
+    return content;
+}
+
+// Function to extract data sources from page
+async function extractDataSources(page, keywords) {
+    return evaluateWithLocator(page, readDataSourcesInPage, [keywords], [elementsWithTextInPage]);
+}
+
+// Function to extract market information
+async function extractMarkets(page, keywords, selectors) {
+    return evaluateWithLocator(page, readMarketsInPage, [keywords, selectors]);
+}
+
+// Function to extract links to methodology, about, help and documentation pages
+async function extractMethodologyLinks(page, keywords) {
+    return evaluateWithLocator(page, readMethodologyLinksInPage, [keywords]);
+}
+
+// Function to extract commodity-specific content (e.g. shrimp)
+async function extractCommodityContent(page, keywords) {
+    return evaluateWithLocator(page, readCommodityContentInPage, [keywords], [elementsWithTextInPage]);
+}
+
+module.exports = {
+    readDataSourcesInPage,
+    readMarketsInPage,
+    readMethodologyLinksInPage,
+    readCommodityContentInPage,
+    extractDataSources,
+    extractMarkets,
+    extractMethodologyLinks,
+    extractCommodityContent,
+};
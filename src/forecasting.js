@@ -0,0 +1,388 @@
+// Forecast metadata - reads what a forecast view says about itself: horizon, confidence intervals,
+// backtest / accuracy figures, model names, drivers (feature importance) and when it was last
+// updated. Sources are the page DOM (label/value pairs, driver lists, page text), captured JSON
+// payloads and extracted chart series; each source becomes one "view" in the forecasting section.
+
+const { parseNumber, parseDate } = require('./parsers');
+const { extractFacts } = require('./docs');
+
+const MAX_PAYLOAD_DEPTH = 8;
+const MAX_DRIVERS = 30;
+
+// Label patterns for label/value pairs shown next to forecasts
+const LABELS = {
+    horizon: /horizon|forecast (period|range|window)|months? ahead|weeks? ahead/i,
+    interval: /confidence|interval|prediction band|uncertainty/i,
+    accuracy: /accuracy|backtest|back-test|error|mape|rmse|mae|mase|hit rate/i,
+    model: /^(model|models|algorithm|method|methodology|engine|approach)\b/i,
+    updated: /updated|as of|generated|run date|last run|refreshed|published|data through/i,
+};
+
+// Headings that introduce driver / feature importance lists
+const DRIVER_HEADING = /drivers?|feature importance|importance|contribution|explanatory|key (factors|variables)|factors/i;
+
+// Payload keys
+const PAYLOAD_KEYS = {
+    horizon: /^(forecast_?)?horizon(_?(days|weeks|months|steps))?$|^(steps|periods)_?ahead$/i,
+    level: /^(confidence|ci|interval|prediction_?interval)(_?level)?$/i,
+    lower: /^(lower|lo|low|lower_?bound|ci_?lower|yhat_?lower|p(5|10|025|05)|q(5|10|025|05))(_?\d{2})?$/i,
+    upper: /^(upper|hi|high|upper_?bound|ci_?upper|yhat_?upper|p(90|95|975)|q(90|95|975))(_?\d{2})?$/i,
+    metric: /^(mape|smape|rmse|mae|mase|r2|r_?squared|accuracy|hit_?rate|directional_?accuracy)$/i,
+    model: /^(model|model_?name|algorithm|estimator|method)$/i,
+    models: /^models$/i,
+    drivers: /^(drivers|features|feature_?importances?|importances?|contributions?|explanatory_?variables|factors)$/i,
+    updated: /^(last_?updated|updated_?at|updated|generated_?at|as_?of|run_?date|run_?at|published_?at|created_?at|timestamp)$/i,
+};
+
+const METRIC_NAMES = { mape: 'MAPE', smape: 'sMAPE', rmse: 'RMSE', mae: 'MAE', mase: 'MASE', r2: 'R²', rsquared: 'R²', accuracy: 'Accuracy', hitrate: 'Directional accuracy', directionalaccuracy: 'Directional accuracy' };
+
+const UNIT_DAYS = { day: 1, week: 7, month: 30, quarter: 91, year: 365 };
+
+// Function to read forecast labels, driver lists and text from the page (runs in the browser)
+function readForecastPanelsInPage({ labelPattern, driverPattern }) {
+    const labelRegex = new RegExp(labelPattern, 'i');
+    const driverRegex = new RegExp(driverPattern, 'i');
+    const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+    const visible = el => Boolean(el.offsetWidth || el.offsetHeight || el.getClientRects().length);
+    const pairs = [];
+    const addPair = (label, value) => {
+        label = clean(label).replace(/[:：]$/, '');
+        value = clean(value);
+        if (label && value && label.length <= 60 && value.length <= 200 && labelRegex.test(label)) {
+            if (!pairs.some(p => p.label === label && p.value === value)) pairs.push({ label, value });
+        }
+    };
+
+    // <dt>/<dd>, two-cell table rows, and "Label: value" text
+    document.querySelectorAll('dt').forEach(dt => {
+        const dd = dt.nextElementSibling;
+        if (dd && dd.tagName === 'DD') addPair(dt.textContent, dd.textContent);
+    });
+    document.querySelectorAll('tr').forEach(row => {
+        const cells = row.querySelectorAll('th, td');
+        if (cells.length === 2) addPair(cells[0].textContent, cells[1].textContent);
+    });
+    document.querySelectorAll('p, li, span, div, small, label, td').forEach(el => {
+        if (!visible(el) || el.children.length > 3) return;
+        const text = clean(el.innerText);
+        const match = text.match(/^([^:：]{2,60})[:：]\s*(.{1,200})$/);
+        if (match) addPair(match[1], match[2]);
+    });
+    // Label element followed by a value element (<span class="label">Horizon</span><span>1-6 months</span>)
+    document.querySelectorAll('[class*="label"], [class*="key"], [class*="title"], strong, b, th').forEach(el => {
+        const next = el.nextElementSibling;
+        if (next && el.children.length === 0 && next.children.length <= 2) addPair(el.textContent, next.textContent);
+    });
+
+    // Driver / feature importance lists under a matching heading
+    const driverLists = [];
+    document.querySelectorAll('h1, h2, h3, h4, h5, h6, caption, legend, strong, [class*="title"], [class*="heading"]').forEach(heading => {
+        const text = clean(heading.textContent);
+        if (!text || text.length > 80 || !driverRegex.test(text)) return;
+        let container = heading.tagName === 'CAPTION' ? heading.parentElement : heading.nextElementSibling;
+        for (let hops = 0; container && hops < 3 && !container.matches('ul, ol, table, dl'); hops++) {
+            container = container.querySelector('ul, ol, table, dl') || container.nextElementSibling;
+        }
+        if (!container) return;
+        const items = container.matches('table')
+            ? [...container.querySelectorAll('tbody tr, tr')].map(row => [...row.querySelectorAll('td, th')].map(cell => clean(cell.textContent)).join(' '))
+            : container.matches('dl')
+                ? [...container.querySelectorAll('dt')].map(dt => `${clean(dt.textContent)} ${clean(dt.nextElementSibling && dt.nextElementSibling.textContent)}`)
+                : [...container.querySelectorAll('li')].map(li => clean(li.textContent));
+        if (items.length > 0 && !driverLists.some(list => list.heading === text)) driverLists.push({ heading: text, items: items.filter(Boolean) });
+    });
+
+    const timestamps = [...document.querySelectorAll('time[datetime]')].map(el => ({ text: clean(el.textContent), datetime: el.getAttribute('datetime') }));
+    const text = (document.body.innerText || '').slice(0, 20000);
+
+    return {
+        pairs,
+        driverLists,
+        timestamps,
+        text,
+        isForecastView: /forecast|predict|prévision|prevision|pronóstico|outlook|projection/i.test(`${document.title} ${text}`),
+    };
+}
+
+// Function to parse a horizon value such as "1–6 months", "12 weeks" or "6"
+function parseHorizon(value, defaultUnit = 'month') {
+    const text = String(value).toLowerCase();
+    const unitMatch = text.match(/(day|week|month|quarter|year)s?/);
+    const unit = unitMatch ? unitMatch[1] : defaultUnit;
+    const range = text.match(/(\d+)\s*(?:–|—|-|to)\s*(\d+)/);
+    const single = text.match(/(\d+)/);
+    if (!range && !single) return null;
+
+    const min = range ? Number(range[1]) : null;
+    const max = Number(range ? range[2] : single[1]);
+    const plural = n => `${n} ${unit}${n === 1 ? '' : 's'}`;
+    return {
+        value: min !== null ? `${min}–${plural(max)}` : plural(max),
+        minDays: min !== null ? min * UNIT_DAYS[unit] : null,
+        days: max * UNIT_DAYS[unit],
+    };
+}
+
+// Function to read confidence levels ("80% / 95%", "95% confidence interval") from text
+function parseIntervalLevels(text) {
+    return [...new Set((String(text).match(/\b(\d{2}(?:\.\d)?)\s*%/g) || []).map(level => parseFloat(level)))]
+        .filter(level => level >= 50 && level < 100);
+}
+
+// Function to split "Name — 32%", "Name: 0.21" or "Name (12%)" into a driver entry
+function parseDriver(text) {
+    const match = String(text).match(/^(.*?)[\s:—–-]*\(?\s*([+-]?\d+(?:[.,]\d+)?)\s*(%)?\)?$/);
+    if (match && match[1].trim()) {
+        return { name: match[1].trim(), importance: Number(match[2].replace(',', '.')), unit: match[3] ? '%' : null };
+    }
+    return { name: String(text).trim(), importance: null, unit: null };
+}
+
+// Function to create an empty forecast view
+function emptyView(fields) {
+    return { horizon: null, confidenceIntervals: [], accuracy: [], models: [], drivers: [], lastUpdated: null, ...fields };
+}
+
+// Function to check whether a view found any forecast metadata
+function hasForecastMetadata(view) {
+    return Boolean(view.horizon || view.confidenceIntervals.length || view.accuracy.length || view.models.length || view.drivers.length);
+}
+
+// Function to turn what readForecastPanelsInPage found into a forecast view
+function parseForecastPanels(raw, { dateOrder = 'mdy', url = null, uiState = null } = {}) {
+    const view = emptyView({ source: 'page', url, uiState });
+    const facts = extractFacts(raw.text);
+
+    raw.pairs.forEach(({ label, value }) => {
+        if (LABELS.horizon.test(label) && !view.horizon) {
+            view.horizon = parseHorizon(value);
+        } else if (LABELS.interval.test(label)) {
+            parseIntervalLevels(value).forEach(level => view.confidenceIntervals.push({ level, source: `${label}: ${value}` }));
+        } else if (LABELS.accuracy.test(label)) {
+            const metric = (value.match(/\b(s?mape|rmse|mae|mase|r²|r2)\b/i) || label.match(/\b(s?mape|rmse|mae|mase|r²|r2)\b/i) || [])[1];
+            const number = parseNumber(value.replace(/^.*?(?=[\d.,]+\s*%?\s*$)/, ''));
+            view.accuracy.push({
+                metric: metric ? METRIC_NAMES[metric.toLowerCase().replace('²', '2')] || metric.toUpperCase() : label,
+                value: number ? number.value : null,
+                unit: /%/.test(value) ? '%' : null,
+                period: /backtest|back-test/i.test(label) ? label : null,
+                source: `${label}: ${value}`,
+            });
+        } else if (LABELS.model.test(label)) {
+            value.split(/\s*(?:,|;|\+|\/| and )\s*/).filter(Boolean).forEach(name => {
+                if (!view.models.includes(name)) view.models.push(name);
+            });
+        } else if (LABELS.updated.test(label) && !view.lastUpdated) {
+            view.lastUpdated = parseDate(value.replace(/\s+(at\s+)?\d{1,2}:\d{2}.*$/, ''), { dateOrder }) || value;
+        }
+    });
+
+    // Sentences in the page text fill what labels did not say
+    if (!view.horizon && facts.forecastHorizons.length > 0) {
+        const longest = [...facts.forecastHorizons].sort((a, b) => b.days - a.days)[0];
+        view.horizon = { value: longest.value, minDays: null, days: longest.days };
+    }
+    facts.accuracyMetrics.filter(m => !view.accuracy.some(a => a.metric === m.metric)).forEach(m => {
+        view.accuracy.push({ metric: m.metric, value: m.value, unit: m.unit, period: null, source: m.sentence });
+    });
+    facts.modelFamilies.forEach(m => {
+        if (!view.models.includes(m.family)) view.models.push(m.family);
+    });
+    if (view.confidenceIntervals.length === 0) {
+        (raw.text.match(/[^.\n]*\b(confidence|prediction) (interval|band)s?[^.\n]*/gi) || []).forEach(sentence => {
+            parseIntervalLevels(sentence).forEach(level => view.confidenceIntervals.push({ level, source: sentence.trim() }));
+        });
+    }
+
+    raw.driverLists.forEach(list => {
+        list.items.slice(0, MAX_DRIVERS).forEach(item => view.drivers.push({ ...parseDriver(item), list: list.heading }));
+    });
+
+    if (!view.lastUpdated && raw.timestamps.length > 0) {
+        view.lastUpdated = parseDate(raw.timestamps[0].datetime) || raw.timestamps[0].datetime;
+    }
+
+    return view;
+}
+
+// Function to read forecast metadata shown on the current page
+async function extractForecastMetadata(page, options = {}) {
+    const raw = await page.evaluate(readForecastPanelsInPage, {
+        labelPattern: Object.values(LABELS).map(pattern => pattern.source).join('|'),
+        driverPattern: DRIVER_HEADING.source,
+    });
+    return raw.isForecastView ? parseForecastPanels(raw, { ...options, url: page.url() }) : null;
+}
+
+// Function to read a timestamp value (ISO string or epoch seconds/milliseconds) as an ISO date
+function readTimestamp(value) {
+    if (typeof value === 'number') {
+        const ms = value < 1e12 ? value * 1000 : value;
+        return ms > 946684800000 ? new Date(ms).toISOString() : null;
+    }
+    if (typeof value === 'string' && !Number.isNaN(Date.parse(value))) return new Date(value).toISOString();
+    return null;
+}
+
+// Function to read a driver list from a payload value (array of objects/strings or a name -> weight map)
+function readPayloadDrivers(value) {
+    if (Array.isArray(value)) {
+        return value.slice(0, MAX_DRIVERS).map(item => {
+            if (typeof item === 'string') return { name: item, importance: null, unit: null };
+            if (!item || typeof item !== 'object') return null;
+            const name = item.name || item.feature || item.driver || item.variable || item.label;
+            const importance = [item.importance, item.weight, item.contribution, item.score, item.value].find(v => typeof v === 'number');
+            return name ? { name: String(name), importance: importance === undefined ? null : importance, unit: null } : null;
+        }).filter(Boolean);
+    }
+    if (value && typeof value === 'object') {
+        return Object.entries(value).filter(([, weight]) => typeof weight === 'number').slice(0, MAX_DRIVERS)
+            .map(([name, importance]) => ({ name, importance, unit: null }));
+    }
+    return [];
+}
+
+// Function to find forecast metadata in a JSON payload
+function forecastMetadataFromPayload(payload, { url = null, uiState = null } = {}) {
+    const view = emptyView({ source: 'api', url, uiState });
+    const intervalKeys = new Set();
+
+    const walk = (value, path, depth) => {
+        if (depth > MAX_PAYLOAD_DEPTH || value === null || typeof value !== 'object') return;
+
+        if (Array.isArray(value)) {
+            // Points with lower/upper fields are an interval band; sample the first few
+            value.slice(0, 5).forEach(item => walk(item, `${path}[]`, depth + 1));
+            return;
+        }
+
+        Object.entries(value).forEach(([key, item]) => {
+            const keyPath = path ? `${path}.${key}` : key;
+            const normalized = key.replace(/[-\s]/g, '_');
+
+            if (PAYLOAD_KEYS.horizon.test(normalized) && !view.horizon && (typeof item === 'number' || typeof item === 'string')) {
+                const unit = (normalized.match(/(day|week|month|step)s?$/i) || [])[1];
+                view.horizon = parseHorizon(item, unit && unit.toLowerCase() !== 'step' ? unit.toLowerCase() : 'month');
+                if (view.horizon) view.horizon.source = keyPath;
+            } else if (PAYLOAD_KEYS.level.test(normalized) && typeof item === 'number') {
+                const level = item < 1 ? item * 100 : item;
+                if (!view.confidenceIntervals.some(ci => ci.level === level)) view.confidenceIntervals.push({ level, source: keyPath });
+            } else if ((PAYLOAD_KEYS.lower.test(normalized) || PAYLOAD_KEYS.upper.test(normalized)) && typeof item === 'number') {
+                intervalKeys.add(`${path}|${key}`);
+            } else if (PAYLOAD_KEYS.metric.test(normalized) && typeof item === 'number') {
+                const metric = METRIC_NAMES[normalized.toLowerCase().replace(/_/g, '')] || key;
+                if (!view.accuracy.some(a => a.metric === metric && a.source === keyPath)) {
+                    view.accuracy.push({ metric, value: item, unit: null, period: /backtest|validation|test/i.test(path) ? path : null, source: keyPath });
+                }
+            } else if (PAYLOAD_KEYS.model.test(normalized) && typeof item === 'string') {
+                if (!view.models.includes(item)) view.models.push(item);
+            } else if (PAYLOAD_KEYS.models.test(normalized) && Array.isArray(item)) {
+                item.map(m => (typeof m === 'string' ? m : m && (m.name || m.model))).filter(Boolean).forEach(name => {
+                    if (!view.models.includes(name)) view.models.push(String(name));
+                });
+            } else if (PAYLOAD_KEYS.drivers.test(normalized) && typeof item === 'object') {
+                readPayloadDrivers(item).forEach(driver => view.drivers.push({ ...driver, list: keyPath }));
+            } else if (PAYLOAD_KEYS.updated.test(normalized) && !view.lastUpdated) {
+                view.lastUpdated = readTimestamp(item);
+            } else {
+                walk(item, keyPath, depth + 1);
+            }
+        });
+    };
+    walk(payload, '', 0);
+
+    // lower/upper fields on the same object describe a band; digits in the key give its level ("lower_80")
+    const bandPaths = new Map();
+    intervalKeys.forEach(entry => {
+        const [path, key] = entry.split('|');
+        const level = Number((key.match(/(\d{2})$/) || [])[1]) || null;
+        const band = `${path}|${level}`;
+        if (!bandPaths.has(band)) bandPaths.set(band, { path, level, keys: [] });
+        bandPaths.get(band).keys.push(key);
+    });
+    bandPaths.forEach(({ path, level, keys }) => {
+        if (keys.length < 2) return;
+        const existing = view.confidenceIntervals.find(ci => ci.level === level || (level === null && !ci.fields));
+        const fields = { lower: keys.find(k => PAYLOAD_KEYS.lower.test(k.replace(/[-\s]/g, '_'))), upper: keys.find(k => PAYLOAD_KEYS.upper.test(k.replace(/[-\s]/g, '_'))) };
+        if (existing) Object.assign(existing, { fields, series: path });
+        else view.confidenceIntervals.push({ level, fields, series: path, source: path });
+    });
+
+    return view;
+}
+
+// Function to derive forecast views from extracted charts (horizon from forecast points, interval series)
+function forecastViewsFromCharts(charts, { url = null, uiState = null } = {}) {
+    return charts.map(chart => {
+        const view = emptyView({ source: 'chart', url, uiState, chart: chart.title || chart.selector || null });
+        const forecastPoints = chart.series.filter(s => s.role !== 'interval').flatMap(s => s.points.filter(p => p.isForecast && typeof p.y === 'number'));
+
+        if (forecastPoints.length > 0) {
+            const xs = forecastPoints.map(p => p.x).sort();
+            const from = xs[0];
+            const to = xs[xs.length - 1];
+            const steps = new Set(xs).size;
+            const days = typeof from === 'string' && typeof to === 'string' && !Number.isNaN(Date.parse(from)) && !Number.isNaN(Date.parse(to))
+                ? Math.round((Date.parse(to) - Date.parse(from)) / 86400000)
+                : null;
+            view.horizon = { value: `${steps} steps (${from} to ${to})`, from, to, steps, days, minDays: null };
+        }
+
+        chart.series.forEach(s => {
+            const banded = s.role === 'interval' || s.points.some(p => p.low !== undefined && p.high !== undefined);
+            if (banded) {
+                const level = parseIntervalLevels(s.name || '')[0] || null;
+                view.confidenceIntervals.push({ level, series: s.name, source: `chart series "${s.name}"` });
+            }
+        });
+
+        return view;
+    }).filter(view => view.horizon || view.confidenceIntervals.length > 0);
+}
+
+// Function to merge forecast views into the report's forecasting section
+function buildForecastingSection(views) {
+    const unique = (values) => [...new Set(values.filter(v => v !== null && v !== undefined))];
+
+    const drivers = new Map();
+    views.forEach(view => view.drivers.forEach(driver => {
+        const key = driver.name.toLowerCase();
+        const existing = drivers.get(key);
+        if (!existing) {
+            drivers.set(key, { name: driver.name, importance: driver.importance, unit: driver.unit, views: 1 });
+        } else {
+            existing.views++;
+            if (driver.importance !== null && (existing.importance === null || driver.importance > existing.importance)) {
+                Object.assign(existing, { importance: driver.importance, unit: driver.unit });
+            }
+        }
+    }));
+
+    const horizons = views.filter(v => v.horizon);
+    const updates = unique(views.map(v => v.lastUpdated)).sort();
+
+    return {
+        views: views.length,
+        horizons: unique(horizons.map(v => v.horizon.value)),
+        maxHorizonDays: horizons.reduce((max, v) => Math.max(max, v.horizon.days || 0), 0) || null,
+        confidenceLevels: unique(views.flatMap(v => v.confidenceIntervals.map(ci => ci.level))).sort((a, b) => a - b),
+        hasIntervals: views.some(v => v.confidenceIntervals.length > 0),
+        accuracy: views.flatMap(v => v.accuracy.map(a => ({ ...a, url: v.url, source: a.source, view: v.source }))),
+        models: unique(views.flatMap(v => v.models)),
+        drivers: [...drivers.values()].sort((a, b) => (b.importance || 0) - (a.importance || 0)),
+        lastUpdated: updates.length > 0 ? updates[updates.length - 1] : null,
+        items: views,
+    };
+}
+
+module.exports = {
+    readForecastPanelsInPage,
+    parseHorizon,
+    parseDriver,
+    parseForecastPanels,
+    extractForecastMetadata,
+    forecastMetadataFromPayload,
+    forecastViewsFromCharts,
+    hasForecastMetadata,
+    buildForecastingSection,
+};
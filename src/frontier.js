@@ -0,0 +1,408 @@
+// Crawl frontier - discovers links across the page and SPA router state, canonicalizes URLs,
+// applies include/exclude globs and a depth limit, and hands out the highest-scoring pages first.
+// With parallel crawling, pages go out in batches and the links a batch found are merged in page URL
+// order once it finishes, so the pages picked (and their numbers) do not depend on finishing order.
+
+const { scoreText } = require('./profiles');
+
+// Query parameters that never change page content
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid|_ga|ref)$/i;
+
+// File extensions that are not pages
+const NON_PAGE_EXTENSIONS = /\.(png|jpe?g|gif|svg|webp|ico|css|js|mjs|map|woff2?|ttf|eot|mp4|mp3|zip|gz|pdf|csv|tsv|xlsx?|json)$/i;
+
+// Function to convert a glob (`**` any path, `*` one segment, `?` one char) into a RegExp
+function globToRegExp(glob) {
+    let pattern = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            pattern += '.*';
+            i++;
+        } else if (char === '*') {
+            pattern += '[^/]*';
+        } else if (char === '?') {
+            pattern += '.';
+        } else {
+            pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${pattern}$`, 'i');
+}
+
+// Function to reduce a hostname to its site (last two labels, e.g. app.datapred.com -> datapred.com)
+function siteOf(hostname) {
+    if (/^[\d.]+$/.test(hostname)) return hostname;
+    return hostname.split('.').slice(-2).join('.');
+}
+
+// Function to canonicalize a URL: resolve, lowercase host, drop default ports, tracking params and
+// plain fragments (hash routes such as #/markets are kept), sort the query and trim trailing slashes
+function canonicalizeUrl(url, base) {
+    let parsed;
+    try {
+        parsed = new URL(url, base);
+    } catch (error) {
+        return null;
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+
+    parsed.hostname = parsed.hostname.toLowerCase();
+    if ((parsed.protocol === 'http:' && parsed.port === '80') || (parsed.protocol === 'https:' && parsed.port === '443')) {
+        parsed.port = '';
+    }
+
+    const params = [...parsed.searchParams.entries()]
+        .filter(([key]) => !TRACKING_PARAMS.test(key))
+        .sort(([a], [b]) => a.localeCompare(b));
+    parsed.search = new URLSearchParams(params).toString();
+
+    const isHashRoute = /^#!?\//.test(parsed.hash);
+    if (isHashRoute) {
+        parsed.hash = parsed.hash.replace(/\/+$/, '').replace(/^#!\//, '#/') || '#/';
+    } else {
+        parsed.hash = '';
+    }
+
+    if (parsed.pathname.length > 1) {
+        parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+    }
+
+    return parsed.toString();
+}
+
+// Function to record history.pushState/replaceState and hash routes the app navigates to (before page scripts run)
+async function installRouteRecorder(page) {
+    await page.evaluateOnNewDocument(() => {
+        window.__frontierRoutes = [];
+        const record = url => {
+            if (url) window.__frontierRoutes.push(String(url));
+        };
+        ['pushState', 'replaceState'].forEach(method => {
+            const original = window.history[method];
+            window.history[method] = function (state, title, url) {
+                record(url);
+                return original.apply(this, arguments);
+            };
+        });
+        window.addEventListener('hashchange', () => record(window.location.href));
+    });
+}
+
+// Function to collect candidate links from the page: anchors, router attributes, router config and recorded pushState URLs (runs in the browser)
+function readLinksInPage(navSelectors) {
+    const links = [];
+    const clean = text => (text || '').replace(/\s+/g, ' ').trim().slice(0, 200);
+    const navElements = navSelectors.flatMap(selector => {
+        try {
+            return Array.from(document.querySelectorAll(selector));
+        } catch (error) {
+            return [];
+        }
+    });
+    const inNav = el => navElements.includes(el) || navElements.some(nav => nav !== el && nav.contains(el));
+
+    // Anchors and elements carrying router links
+    document.querySelectorAll('a[href], area[href], [routerlink], [ng-reflect-router-link], [data-href], [data-url], [data-route]').forEach(el => {
+        const href = el.getAttribute('href') || el.getAttribute('routerlink') || el.getAttribute('ng-reflect-router-link') ||
+            el.getAttribute('data-href') || el.getAttribute('data-url') || el.getAttribute('data-route');
+        if (!href || /^(javascript:|mailto:|tel:)/i.test(href)) return;
+        links.push({
+            url: href,
+            text: clean(el.innerText || el.getAttribute('aria-label') || el.getAttribute('title')),
+            inNav: inNav(el),
+            source: el.tagName === 'A' || el.tagName === 'AREA' ? 'anchor' : 'router-attribute',
+        });
+    });
+
+    // Vue Router (Vue 3 app or Vue 2 root instance)
+    try {
+        const root = document.querySelector('[data-v-app], #app, #root');
+        const vue3Router = root && root.__vue_app__ && root.__vue_app__.config.globalProperties.$router;
+        const vue2Router = root && root.__vue__ && root.__vue__.$router;
+        const routes = vue3Router ? vue3Router.getRoutes() : (vue2Router ? vue2Router.options.routes || [] : []);
+        const flatten = (list, prefix) => list.flatMap(route => {
+            const path = route.path.startsWith('/') ? route.path : `${prefix.replace(/\/$/, '')}/${route.path}`;
+            return [path, ...flatten(route.children || [], path)];
+        });
+        const mode = vue2Router ? vue2Router.mode : (window.location.hash.startsWith('#/') ? 'hash' : 'history');
+        flatten(routes, '/').forEach(path => {
+            if (path.includes(':') || path.includes('*')) return;
+            links.push({ url: mode === 'hash' ? `#${path}` : path, text: path, inNav: false, source: 'router-config' });
+        });
+    } catch (error) {
+        // Router internals differ between versions; nothing to add
+    }
+
+    // Next.js page manifest
+    try {
+        const pages = (window.__BUILD_MANIFEST && window.__BUILD_MANIFEST.sortedPages) || [];
+        pages.filter(p => !p.startsWith('/_') && !p.includes('[')).forEach(p => {
+            links.push({ url: p, text: p, inNav: false, source: 'router-config' });
+        });
+    } catch (error) {
+        // No manifest
+    }
+
+    // Route paths declared in inline router config ({ path: '/markets', ... })
+    document.querySelectorAll('script:not([src])').forEach(script => {
+        const matches = (script.textContent || '').match(/path\s*:\s*['"`](\/[\w\-/]*)['"`]/g) || [];
+        matches.forEach(match => {
+            const path = match.replace(/^path\s*:\s*['"`]|['"`]$/g, '');
+            const hashMode = window.location.hash.startsWith('#/');
+            links.push({ url: hashMode ? `#${path}` : path, text: path, inNav: false, source: 'router-config' });
+        });
+    });
+
+    // URLs the app navigated to through history.pushState or hash changes
+    (window.__frontierRoutes || []).forEach(url => {
+        links.push({ url, text: '', inNav: false, source: 'pushState' });
+    });
+
+    return links;
+}
+
+// Function to create the crawl frontier for a run
+function createFrontier(options) {
+    const {
+        startUrl,
+        profile,
+        includeGlobs = [],
+        excludeGlobs = [],
+        excludeUrls = [],
+        maxDepth = 3,
+        maxPages = 20,
+        maxDocPages = Infinity,  // Documentation links (kind 'docs') queued per run
+        concurrency = 1,  // Pages crawled in parallel (batch size)
+    } = options;
+
+    const origin = new URL(startUrl).origin;
+    const site = siteOf(new URL(startUrl).hostname);
+    const include = (includeGlobs.length > 0 ? includeGlobs : [`${origin}/**`, origin]).map(globToRegExp);
+    const exclude = excludeGlobs.map(globToRegExp);
+    const excludePatterns = profile.crawl.excludePatterns || [];
+    const excludedUrls = excludeUrls.map(url => canonicalizeUrl(url)).filter(Boolean);
+    const navBonus = typeof profile.crawl.navBonus === 'number' ? profile.crawl.navBonus : 1;
+
+    const seen = new Set();  // URLs queued or dispatched
+    const rejected = new Map();  // URL -> why it was skipped (counted once; a later, better link can still queue it)
+    const queue = [];
+    let dispatched = 0;
+    let finished = 0;
+    let batches = 0;
+    let docsQueued = 0;
+    let addedSinceDone = 0;
+    const pending = [];  // Offers waiting for the current batch to finish
+    const skipped = { outOfScope: 0, excluded: 0, tooDeep: 0, lowScore: 0 };
+
+    // Function to check include/exclude rules for a canonical URL
+    // (documentation links may also live on sibling hosts such as docs.<site> unless includeGlobs are set)
+    function isAllowed(url, isDocs = false) {
+        if (excludedUrls.includes(url)) return 'excluded';
+        if (NON_PAGE_EXTENSIONS.test(new URL(url).pathname)) return 'excluded';
+        if (excludePatterns.some(pattern => url.toLowerCase().includes(pattern.toLowerCase()))) return 'excluded';
+        if (exclude.some(regex => regex.test(url))) return 'excluded';
+        const onSiblingHost = isDocs && includeGlobs.length === 0 && siteOf(new URL(url).hostname) === site;
+        if (!include.some(regex => regex.test(url)) && !onSiblingHost) return 'outOfScope';
+        return null;
+    }
+
+    // Function to score a link by profile relevance of its text and URL path
+    function scoreLink(link, url) {
+        const { pathname, hash } = new URL(url);
+        const pathText = decodeURIComponent(`${pathname} ${hash}`).replace(/[/#_-]+/g, ' ');
+        const score = scoreText(link.text, profile.crawl.relevantKeywords) +
+            0.5 * scoreText(pathText, profile.crawl.relevantKeywords) +
+            (link.inNav ? navBonus : 0);
+        return Math.round(score * 100) / 100;
+    }
+
+    // Function to insert a candidate keeping the queue sorted (score desc, depth asc, URL)
+    function enqueue(candidate) {
+        const index = queue.findIndex(other => (
+            other.score < candidate.score ||
+            (other.score === candidate.score && other.depth > candidate.depth) ||
+            (other.score === candidate.score && other.depth === candidate.depth && other.url > candidate.url)
+        ));
+        if (index === -1) queue.push(candidate);
+        else queue.splice(index, 0, candidate);
+    }
+
+    // Function to count a URL as skipped for a reason (once per URL, moving it between reasons)
+    function reject(url, reason) {
+        const previous = rejected.get(url);
+        if (previous === reason) return;
+        if (previous) skipped[previous]--;
+        rejected.set(url, reason);
+        skipped[reason]++;
+    }
+
+    // Function to add links discovered on a page at the given depth; a URL skipped so far is queued
+    // when a link to it qualifies later, and a queued one takes a better score or shallower depth
+    function addLinks(links, { pageUrl, depth }) {
+        let added = 0;
+        links.forEach(link => {
+            const url = canonicalizeUrl(link.url, pageUrl);
+            if (!url) return;
+            const queued = queue.find(candidate => candidate.url === url);
+            if (seen.has(url) && !queued) return;
+            if (!queued && link.kind === 'docs' && docsQueued >= maxDocPages) return;
+
+            const blocked = isAllowed(url, link.kind === 'docs');
+            if (blocked) {
+                reject(url, blocked);
+                return;
+            }
+            if (depth + 1 > maxDepth) {
+                reject(url, 'tooDeep');
+                return;
+            }
+
+            const score = scoreLink(link, url) + (link.boost || 0);
+            if (score < profile.crawl.minScore) {
+                reject(url, 'lowScore');
+                return;
+            }
+
+            if (queued) {
+                if (score <= queued.score && depth + 1 >= queued.depth) return;
+                queue.splice(queue.indexOf(queued), 1);
+                if (score > queued.score) Object.assign(queued, { score, text: link.text, source: link.source, discoveredFrom: pageUrl });
+                queued.depth = Math.min(queued.depth, depth + 1);
+                enqueue(queued);
+                return;
+            }
+
+            if (rejected.has(url)) {
+                skipped[rejected.get(url)]--;
+                rejected.delete(url);
+            }
+            seen.add(url);
+            enqueue({ url, score, depth: depth + 1, text: link.text, source: link.source, kind: link.kind || null, discoveredFrom: pageUrl });
+            if (link.kind === 'docs') docsQueued++;
+            added++;
+        });
+        return added;
+    }
+
+    return {
+        canonicalize: canonicalizeUrl,
+
+        // Function to register the seed URL(s) of the crawl
+        seed(url) {
+            const canonical = canonicalizeUrl(url);
+            seen.add(canonical);
+            dispatched++;
+            batches++;
+            return { url, uniqueKey: canonical, userData: { pageNumber: dispatched, depth: 0, score: null, discoveredFrom: null } };
+        },
+
+        // Function to add links discovered on a page at the given depth (links may carry a score
+        // `boost` and a `kind`, e.g. 'docs', passed on in userData); while other pages of a parallel
+        // batch are still running, the links wait for the batch to finish
+        offer(links, { pageUrl, depth }) {
+            if (concurrency > 1) {
+                pending.push({ links, pageUrl, depth });
+                return 0;
+            }
+            const added = addLinks(links, { pageUrl, depth });
+            addedSinceDone += added;
+            return added;
+        },
+
+        // Function to hand out the best candidates for free crawl slots within the page budget
+        // (parallel crawls start the next batch only once the current one has finished); each page
+        // gets the next page number in dispatch order
+        next(slotCount = concurrency) {
+            const inFlight = dispatched - finished;
+            if (concurrency > 1 && inFlight > 0) return [];
+            const slots = Math.min(slotCount - inFlight, maxPages - dispatched, queue.length);
+            const batch = slots > 0 ? queue.splice(0, slots) : [];
+            if (batch.length > 0) batches++;
+
+            return batch.map(candidate => ({
+                url: candidate.url,
+                uniqueKey: candidate.url,
+                userData: {
+                    pageNumber: ++dispatched,
+                    depth: candidate.depth,
+                    score: candidate.score,
+                    linkText: candidate.text,
+                    discoveredVia: candidate.source,
+                    discoveredFrom: candidate.discoveredFrom,
+                    kind: candidate.kind,
+                },
+            }));
+        },
+
+        // Function to mark a page as finished (handled or failed), freeing its slot; returns how many
+        // new candidates were queued since the last call (at the end of a batch: the whole batch's,
+        // merged in page URL order)
+        done() {
+            finished++;
+            if (dispatched === finished && pending.length > 0) {
+                pending.splice(0).sort((a, b) => a.pageUrl.localeCompare(b.pageUrl)).forEach(offer => {
+                    addedSinceDone += addLinks(offer.links, offer);
+                });
+            }
+            const added = addedSinceDone;
+            addedSinceDone = 0;
+            return added;
+        },
+
+        // Function to capture the frontier's state, so an interrupted run can resume where it stopped
+        snapshot() {
+            return {
+                seen: [...seen],
+                rejected: [...rejected],
+                queue: queue.map(candidate => ({ ...candidate })),
+                dispatched,
+                finished,
+                batches,
+                docsQueued,
+                addedSinceDone,
+                pending: pending.map(offer => ({ ...offer })),
+                skipped: { ...skipped },
+            };
+        },
+
+        // Function to continue from a snapshot; pages dispatched but not finished are still in the
+        // request queue and finish normally
+        restore(state) {
+            seen.clear();
+            state.seen.forEach(url => seen.add(url));
+            rejected.clear();
+            (state.rejected || []).forEach(([url, reason]) => rejected.set(url, reason));
+            queue.splice(0, queue.length, ...state.queue);
+            pending.splice(0, pending.length, ...state.pending);
+            ({ dispatched, finished, batches, docsQueued, addedSinceDone } = state);
+            Object.assign(skipped, state.skipped);
+        },
+
+        stats() {
+            return {
+                discovered: seen.size + rejected.size,
+                dispatched,
+                finished,
+                batches,
+                queued: queue.length,
+                skipped: { ...skipped },
+                topUnvisited: queue.slice(0, 10).map(c => ({ url: c.url, score: c.score, depth: c.depth })),
+            };
+        },
+    };
+}
+
+// Function to discover candidate links on the current page
+async function discoverLinks(page, profile) {
+    return page.evaluate(readLinksInPage, profile.crawl.linkSelectors);
+}
+
+module.exports = {
+    globToRegExp,
+    canonicalizeUrl,
+    installRouteRecorder,
+    readLinksInPage,
+    discoverLinks,
+    createFrontier,
+};
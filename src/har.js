@@ -0,0 +1,429 @@
+// Network trace - records every request a page makes as a HAR 1.2 log (with redacted auth headers,
+// cookies and credentials) and replays saved HAR logs through Puppeteer request interception,
+// so extractors can be re-run against a past session without live access.
+
+const fs = require('fs');
+const path = require('path');
+const { KeyValueStore } = require('crawlee');
+
+const { isDataRequest, detectPayloadFormat } = require('./network');
+const { globToRegExp } = require('./frontier');
+const { REDACTED, SENSITIVE_PARAM_PATTERN, redactUrl, redactJson } = require('./redaction');
+const { name: creatorName, version: creatorVersion } = require('../package.json');
+
+const DEFAULT_HAR_MAX_BODY_BYTES = 5 * 1024 * 1024;
+const MAX_MISSED_URLS = 20;
+
+// Headers that carry credentials or session state
+const SENSITIVE_HEADERS = [
+    'authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key', 'x-auth-token',
+    'x-access-token', 'x-csrf-token', 'x-xsrf-token',
+];
+
+// Content types whose bodies are stored as text (anything else is binary)
+const TEXT_CONTENT_PATTERN = /^text\/|json|javascript|ecmascript|xml|csv|svg|graphql|x-www-form-urlencoded/i;
+
+// Function to redact credentials in a request body (form-encoded or JSON; other bodies are kept)
+function redactPostData(text, mimeType = '') {
+    if (!text) return text;
+    if (/x-www-form-urlencoded/i.test(mimeType)) {
+        const params = new URLSearchParams(text);
+        [...params.keys()].forEach(name => {
+            if (SENSITIVE_PARAM_PATTERN.test(name)) params.set(name, REDACTED);
+        });
+        return params.toString();
+    }
+    if (/json/i.test(mimeType)) {
+        try {
+            return JSON.stringify(redactJson(JSON.parse(text)));
+        } catch (error) {
+            return text;
+        }
+    }
+    return text;
+}
+
+// Function to turn a Puppeteer header object into HAR headers, redacting credentials
+// (Puppeteer joins repeated headers such as set-cookie with newlines)
+function harHeaders(headers) {
+    return Object.entries(headers || {}).flatMap(([name, value]) => String(value).split('\n').map(line => ({
+        name,
+        value: SENSITIVE_HEADERS.includes(name.toLowerCase()) ? REDACTED : line,
+    })));
+}
+
+// Function to list request cookies (from the Cookie header) with redacted values
+function requestCookies(headers) {
+    const header = Object.entries(headers || {}).find(([name]) => name.toLowerCase() === 'cookie');
+    if (!header) return [];
+    return header[1].split(/;\s*/).filter(Boolean).map(pair => ({ name: pair.split('=')[0], value: REDACTED }));
+}
+
+// Function to list response cookies (from Set-Cookie headers) with redacted values
+function responseCookies(headers) {
+    const header = Object.entries(headers || {}).find(([name]) => name.toLowerCase() === 'set-cookie');
+    if (!header) return [];
+    return header[1].split('\n').filter(Boolean).map(line => {
+        const [pair, ...attributes] = line.split(/;\s*/);
+        const cookie = { name: pair.split('=')[0], value: REDACTED };
+        attributes.forEach(attribute => {
+            const [key, ...rest] = attribute.split('=');
+            const lower = key.toLowerCase();
+            if (lower === 'path') cookie.path = rest.join('=');
+            if (lower === 'domain') cookie.domain = rest.join('=');
+            if (lower === 'expires') cookie.expires = rest.join('=');
+            if (lower === 'httponly') cookie.httpOnly = true;
+            if (lower === 'secure') cookie.secure = true;
+        });
+        return cookie;
+    });
+}
+
+// Function to build HAR timings from Chromium resource timing and the total duration
+function harTimings(timing, totalMs) {
+    const span = (start, end) => (start >= 0 && end >= 0 ? Math.round(end - start) : -1);
+    if (!timing) return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: totalMs, receive: 0 };
+
+    const send = Math.max(0, span(timing.sendStart, timing.sendEnd));
+    const wait = Math.max(0, span(timing.sendEnd, timing.receiveHeadersEnd));
+    return {
+        blocked: -1,
+        dns: span(timing.dnsStart, timing.dnsEnd),
+        connect: span(timing.connectStart, timing.connectEnd),
+        ssl: span(timing.sslStart, timing.sslEnd),
+        send,
+        wait,
+        receive: Math.max(0, totalMs - Math.round(timing.receiveHeadersEnd)),
+    };
+}
+
+// Function to sum HAR timings into the entry's total time
+function harTime(timings) {
+    return ['blocked', 'dns', 'connect', 'send', 'wait', 'receive'].reduce((sum, key) => sum + Math.max(0, timings[key]), 0);
+}
+
+// Function to attach request listeners to a page and record its traffic as HAR entries
+function createHarRecorder(page, options = {}) {
+    const {
+        bodies = 'text',  // 'none', 'data' (JSON/CSV data calls), 'text' (all text content) or 'all' (binary too)
+        maxBodyBytes = DEFAULT_HAR_MAX_BODY_BYTES,
+        bodyGlobs = [],  // Only store bodies of URLs matching these globs
+    } = options;
+    const bodyPatterns = bodyGlobs.map(globToRegExp);
+
+    const entries = [];
+    const started = new Map();
+    const pending = new Set();
+    let uiState = null;
+
+    page.on('request', request => {
+        started.set(request, { startedDateTime: new Date().toISOString(), start: Date.now(), uiState });
+    });
+    page.on('requestfinished', request => track(recordEntry(request)));
+    page.on('requestfailed', request => track(recordEntry(request)));
+
+    // Function to keep a body read in flight until settle()
+    function track(task) {
+        const guarded = task.catch(() => {});
+        pending.add(guarded);
+        guarded.finally(() => pending.delete(guarded));
+    }
+
+    // Function to decide whether a response body is stored, by mode, URL globs and content type
+    function wantsBody(request, mimeType) {
+        if (bodies === 'none') return false;
+        if (bodyPatterns.length > 0 && !bodyPatterns.some(pattern => pattern.test(request.url()))) return false;
+        if (bodies === 'data') {
+            return isDataRequest(request.url(), request.resourceType()) && Boolean(detectPayloadFormat(mimeType, request.url()));
+        }
+        return bodies === 'all' || TEXT_CONTENT_PATTERN.test(mimeType);
+    }
+
+    // Function to read a response body into HAR content (text or base64), within the size limit
+    async function readContent(request, response, mimeType) {
+        const content = { size: 0, mimeType };
+        const status = response.status();
+        if (status >= 300 && status < 400) return content;
+
+        const declaredLength = Number(response.headers()['content-length'] || 0);
+        if (!wantsBody(request, mimeType)) {
+            content.size = declaredLength;
+            return content;
+        }
+        if (declaredLength > maxBodyBytes) {
+            return { ...content, size: declaredLength, comment: `Body over ${maxBodyBytes} bytes not stored` };
+        }
+
+        let buffer;
+        try {
+            buffer = await response.buffer();
+        } catch (error) {
+            return { ...content, comment: `Body unavailable: ${error.message}` };
+        }
+        content.size = buffer.length;
+        if (buffer.length > maxBodyBytes) return { ...content, comment: `Body over ${maxBodyBytes} bytes not stored` };
+
+        if (TEXT_CONTENT_PATTERN.test(mimeType)) {
+            content.text = buffer.toString('utf8');
+        } else {
+            content.text = buffer.toString('base64');
+            content.encoding = 'base64';
+        }
+        return content;
+    }
+
+    // Function to build the HAR entry for a finished or failed request
+    async function recordEntry(request) {
+        const { startedDateTime, start, uiState: entryUiState } = started.get(request) || { startedDateTime: new Date().toISOString(), start: Date.now(), uiState };
+        started.delete(request);
+
+        const response = request.response();
+        const requestHeaders = request.headers();
+        const url = redactUrl(request.url());
+        const postData = request.postData();
+        const requestMimeType = requestHeaders['content-type'] || '';
+
+        const entry = {
+            startedDateTime,
+            time: 0,
+            request: {
+                method: request.method(),
+                url,
+                httpVersion: 'unknown',
+                cookies: requestCookies(requestHeaders),
+                headers: harHeaders(requestHeaders),
+                queryString: [...new URL(url).searchParams.entries()].map(([name, value]) => ({ name, value })),
+                ...(postData ? { postData: { mimeType: requestMimeType, text: redactPostData(postData, requestMimeType) } } : {}),
+                headersSize: -1,
+                bodySize: postData ? Buffer.byteLength(postData) : 0,
+            },
+            response: {
+                status: 0,
+                statusText: '',
+                httpVersion: 'unknown',
+                cookies: [],
+                headers: [],
+                content: { size: 0, mimeType: 'x-unknown' },
+                redirectURL: '',
+                headersSize: -1,
+                bodySize: -1,
+            },
+            cache: {},
+            timings: null,
+            _resourceType: request.resourceType(),
+            _uiState: entryUiState,
+        };
+
+        if (response) {
+            const headers = response.headers();
+            const mimeType = headers['content-type'] || 'x-unknown';
+            const content = await readContent(request, response, mimeType);
+            Object.assign(entry.response, {
+                status: response.status(),
+                statusText: response.statusText(),
+                cookies: responseCookies(headers),
+                headers: harHeaders(headers),
+                content,
+                redirectURL: headers.location ? redactUrl(new URL(headers.location, request.url()).toString()) : '',
+                bodySize: content.size,
+            });
+            if (response.fromCache()) entry.cache = { comment: 'Served from browser cache' };
+        } else {
+            const failure = request.failure();
+            entry.response._error = failure ? failure.errorText : 'No response';
+        }
+
+        entry.timings = harTimings(response ? response.timing() : null, Date.now() - start);
+        entry.time = harTime(entry.timings);
+        entries.push(entry);
+    }
+
+    return {
+        entries,
+        // Wait for body reads still in flight (call before the page closes)
+        async settle() {
+            await Promise.all([...pending]);
+        },
+        // Function to tag requests made from now on with a UI state label (null for the default state)
+        setUiState(label) {
+            uiState = label || null;
+        },
+        // Function to build the page's HAR log
+        toHar({ id = 'page_1', title = '', startedDateTime } = {}) {
+            const sorted = [...entries].sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime));
+            return {
+                log: {
+                    version: '1.2',
+                    creator: { name: creatorName, version: creatorVersion },
+                    pages: [{
+                        startedDateTime: startedDateTime || (sorted[0] ? sorted[0].startedDateTime : new Date().toISOString()),
+                        id,
+                        title,
+                        pageTimings: { onContentLoad: -1, onLoad: -1 },
+                    }],
+                    entries: sorted.map(entry => ({ pageref: id, ...entry })),
+                },
+            };
+        },
+    };
+}
+
+// Function to run a HAR through the run's redactor before it is stored; base64 bodies are binary
+// (images, fonts, ...) and are kept as recorded, as rewriting them would corrupt replayed responses
+function redactHar(har, redactor) {
+    const redacted = redactor.value(har);
+    har.log.entries.forEach((entry, i) => {
+        const content = entry.response && entry.response.content;
+        if (content && content.encoding === 'base64') redacted.log.entries[i].response.content.text = content.text;
+    });
+    return redacted;
+}
+
+// Function to parse a stored HAR value (object, JSON string or buffer)
+function parseHar(value, source) {
+    const har = Buffer.isBuffer(value) || typeof value === 'string' ? JSON.parse(value.toString()) : value;
+    if (!har || !har.log || !Array.isArray(har.log.entries)) {
+        throw new Error(`Not a HAR log: ${source}`);
+    }
+    return har;
+}
+
+// Function to load HAR entries from an inline HAR, a file or directory ({ path }),
+// or a Key-Value store ({ storeName | storeId, key }; without key every .har record is read)
+async function loadHarEntries(reference) {
+    if (reference && reference.log) return parseHar(reference, 'input').log.entries;
+
+    if (reference && reference.path) {
+        const target = path.resolve(reference.path);
+        if (!fs.existsSync(target)) throw new Error(`HAR not found: ${target}`);
+        const files = fs.statSync(target).isDirectory()
+            ? fs.readdirSync(target).filter(file => /\.har(\.json)?$/.test(file)).sort().map(file => path.join(target, file))
+            : [target];
+        if (files.length === 0) throw new Error(`No .har files in ${target}`);
+        return files.flatMap(file => parseHar(fs.readFileSync(file, 'utf8'), file).log.entries);
+    }
+
+    if (reference && (reference.storeId || reference.storeName)) {
+        const storeRef = reference.storeId || reference.storeName;
+        const store = await KeyValueStore.open(storeRef);
+        const keys = [];
+        if (reference.key) {
+            keys.push(reference.key);
+        } else {
+            await store.forEachKey(async (key) => {
+                if (key.endsWith('.har')) keys.push(key);
+            });
+        }
+        if (keys.length === 0) throw new Error(`No .har records in store "${storeRef}"`);
+
+        const entries = [];
+        for (const key of keys.sort()) {
+            const value = await store.getValue(key);
+            if (value === null) throw new Error(`HAR not found: key "${key}" in store "${storeRef}"`);
+            entries.push(...parseHar(value, `${storeRef}/${key}`).log.entries);
+        }
+        return entries;
+    }
+
+    throw new Error('replayHar must be a HAR object, { path } or { storeName | storeId, key }');
+}
+
+// Function to build the lookup key of a request for replay
+function replayKey(method, url, body = '') {
+    return `${method} ${url.split('#')[0]} ${body || ''}`;
+}
+
+// Function to serve page requests from recorded HAR entries instead of the network; redact is the
+// text redactor the HAR was saved through, so live URLs and bodies are keyed the way they were stored
+function createHarReplay(entries, { log, redact = text => text } = {}) {
+    // Lookup tables from most to least specific: method + URL + body, method + URL, method + URL without query
+    const tables = [new Map(), new Map(), new Map()];
+    const cursors = new Map();
+    const stats = { entries: entries.length, served: 0, missed: 0, missedUrls: [] };
+
+    const keysFor = (method, url, body) => [
+        replayKey(method, url, body),
+        replayKey(method, url),
+        replayKey(method, url.split('?')[0]),
+    ];
+
+    entries.filter(entry => entry.response && entry.response.status > 0).forEach(entry => {
+        const { method, url, postData } = entry.request;
+        keysFor(method, url, postData && postData.text).forEach((key, level) => {
+            if (!tables[level].has(key)) tables[level].set(key, []);
+            tables[level].get(key).push(entry);
+        });
+    });
+
+    // Function to pick the next recorded entry for a request (repeated requests walk through repeats, then stick to the last)
+    function findEntry(request) {
+        const body = request.postData() ? redact(redactPostData(request.postData(), request.headers()['content-type'] || '')) : '';
+        const keys = keysFor(request.method(), redact(redactUrl(request.url())), body);
+        for (let level = 0; level < tables.length; level++) {
+            const candidates = tables[level].get(keys[level]);
+            if (!candidates) continue;
+            const cursorKey = `${level} ${keys[level]}`;
+            const cursor = cursors.get(cursorKey) || 0;
+            cursors.set(cursorKey, cursor + 1);
+            return candidates[Math.min(cursor, candidates.length - 1)];
+        }
+        return null;
+    }
+
+    // Function to turn a HAR response into a Puppeteer respond() payload
+    function toResponse(entry) {
+        const headers = {};
+        entry.response.headers.forEach(({ name, value }) => {
+            const lower = name.toLowerCase();
+            if (value === REDACTED || ['content-encoding', 'content-length', 'transfer-encoding'].includes(lower)) return;
+            headers[lower] = headers[lower] ? `${headers[lower]}\n${value}` : value;
+        });
+        const { text, encoding } = entry.response.content || {};
+        return {
+            status: entry.response.status,
+            headers,
+            body: text ? Buffer.from(text, encoding === 'base64' ? 'base64' : 'utf8') : '',
+        };
+    }
+
+    // Function to answer one intercepted request from the HAR (404 when it was not recorded)
+    async function serve(request) {
+        if (request.isInterceptResolutionHandled()) return;
+        const entry = findEntry(request);
+        if (!entry) {
+            stats.missed++;
+            if (stats.missedUrls.length < MAX_MISSED_URLS && !stats.missedUrls.includes(request.url())) {
+                stats.missedUrls.push(request.url());
+            }
+            await request.respond({ status: 404, contentType: 'text/plain', body: 'Not recorded in HAR' });
+            return;
+        }
+        stats.served++;
+        await request.respond(toResponse(entry));
+    }
+
+    return {
+        stats,
+        // Function to route all of a page's requests through the recorded entries
+        async attach(page) {
+            await page.setRequestInterception(true);
+            page.on('request', request => {
+                serve(request).catch(error => {
+                    if (log) log.warning(`HAR replay failed for ${request.url()}: ${error.message}`);
+                });
+            });
+        },
+    };
+}
+
+module.exports = {
+    DEFAULT_HAR_MAX_BODY_BYTES,
+    REDACTED,
+    redactUrl,
+    redactPostData,
+    harHeaders,
+    createHarRecorder,
+    redactHar,
+    loadHarEntries,
+    createHarReplay,
+};
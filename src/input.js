@@ -0,0 +1,110 @@
+// Input validation - checks the actor input against INPUT_SCHEMA.json (types, ranges, patterns,
+// enums, unknown fields) and fills in schema defaults. All problems are reported in one error.
+
+const INPUT_SCHEMA = require('../INPUT_SCHEMA.json');
+
+// Function to compute the edit distance between two strings (for "did you mean" hints)
+function editDistance(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = previous[0];
+        previous[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = previous[j];
+            previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+            diagonal = above;
+        }
+    }
+    return previous[b.length];
+}
+
+// Function to suggest the closest known field name for a misspelled one
+function suggestField(name, fields) {
+    const lower = name.toLowerCase();
+    const best = fields
+        .map(field => ({ field, distance: editDistance(lower, field.toLowerCase()) }))
+        .sort((a, b) => a.distance - b.distance)[0];
+    return best && best.distance <= Math.max(2, Math.floor(name.length / 4)) ? best.field : null;
+}
+
+// Function to name the JSON type of a value as the schema does
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+// Function to check one field against its schema property; returns a list of problems
+function checkField(name, value, property) {
+    const actual = typeOf(value);
+    const typeMatches = actual === property.type || (property.type === 'number' && actual === 'integer');
+    if (!typeMatches) {
+        return [`"${name}" must be ${property.type === 'integer' || property.type === 'array' || property.type === 'object' ? 'an' : 'a'} ${property.type}, got ${actual} ${JSON.stringify(value)}`];
+    }
+
+    const problems = [];
+    if (property.enum && !property.enum.includes(value)) {
+        problems.push(`"${name}" must be one of ${property.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+    }
+    if (property.type === 'array' && property.items && property.items.enum) {
+        value.filter(item => !property.items.enum.includes(item)).forEach(item => {
+            problems.push(`"${name}" items must be one of ${property.items.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(item)}`);
+        });
+    }
+    if (property.pattern && !new RegExp(property.pattern).test(value)) {
+        problems.push(`"${name}" does not look valid (expected ${property.pattern}), got ${JSON.stringify(value)}`);
+    }
+    if (typeof property.minimum === 'number' && value < property.minimum) {
+        problems.push(`"${name}" must be at least ${property.minimum}, got ${value}`);
+    }
+    if (typeof property.maximum === 'number' && value > property.maximum) {
+        problems.push(`"${name}" must be at most ${property.maximum}, got ${value}`);
+    }
+    return problems;
+}
+
+// Function to validate the input and return it with schema defaults applied
+function validateInput(input, schema = INPUT_SCHEMA) {
+    if (input !== null && input !== undefined && typeOf(input) !== 'object') {
+        throw new Error(`Invalid input: expected a JSON object, got ${typeOf(input)}`);
+    }
+
+    const values = input || {};
+    const fields = Object.keys(schema.properties);
+    const problems = [];
+
+    Object.keys(values).forEach(name => {
+        const property = schema.properties[name];
+        if (!property) {
+            const suggestion = suggestField(name, fields);
+            problems.push(`Unknown field "${name}"${suggestion ? ` - did you mean "${suggestion}"?` : ''}`);
+            return;
+        }
+        // null means "not set", as the Apify console sends for cleared optional fields
+        if (values[name] === null) return;
+        problems.push(...checkField(name, values[name], property));
+    });
+
+    (schema.required || []).forEach(name => {
+        if (values[name] === undefined || values[name] === null) problems.push(`Missing required field "${name}"`);
+    });
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid input (${problems.length} problem${problems.length > 1 ? 's' : ''}):\n  - ${problems.join('\n  - ')}`);
+    }
+
+    const validated = {};
+    fields.forEach(name => {
+        const value = values[name] === null ? undefined : values[name];
+        const fallback = schema.properties[name].default;
+        validated[name] = value !== undefined ? value : (fallback !== undefined ? JSON.parse(JSON.stringify(fallback)) : undefined);
+    });
+    return validated;
+}
+
+module.exports = {
+    INPUT_SCHEMA,
+    suggestField,
+    validateInput,
+};
@@ -0,0 +1,397 @@
+// Network capture - records API response payloads and builds an endpoint catalog
+// Response bodies are captured for JSON/CSV data calls, a schema is inferred for each
+// payload and calls are grouped by normalized route template (e.g. /api/series/:id).
+
+const { parseCsv } = require('./csv');
+
+const DEFAULT_MAX_PAYLOAD_BYTES = 1024 * 1024;
+const MAX_SCHEMA_DEPTH = 8;
+const MAX_OBJECT_FIELDS = 200;
+const MAX_ARRAY_ITEMS_SAMPLED = 50;
+const MAX_SAMPLES = 3;
+
+// URL fragments that mark a request as a likely data call
+const DATA_URL_HINTS = ['api', 'data', 'forecast', 'price', 'series', 'graphql'];
+
+// File extension and content type a captured payload is stored with, by payload format
+const PAYLOAD_FILE_TYPES = {
+    json: { extension: 'json', contentType: 'application/json' },
+    csv: { extension: 'csv', contentType: 'text/csv' },
+    text: { extension: 'txt', contentType: 'text/plain' },
+};
+
+// Resource types that never carry data payloads
+const IGNORED_RESOURCE_TYPES = ['image', 'stylesheet', 'font', 'media', 'manifest'];
+
+// Function to decide whether a request looks like a data call worth capturing
+function isDataRequest(url, resourceType, hints = DATA_URL_HINTS) {
+    if (IGNORED_RESOURCE_TYPES.includes(resourceType)) return false;
+    if (resourceType === 'xhr' || resourceType === 'fetch') return true;
+
+    const lowerUrl = url.toLowerCase();
+    return hints.some(hint => lowerUrl.includes(hint));
+}
+
+// Function to classify a response body by content type and URL
+function detectPayloadFormat(contentType, url) {
+    const type = (contentType || '').toLowerCase();
+    const path = url.toLowerCase().split('?')[0];
+
+    if (type.includes('json') || path.endsWith('.json')) return 'json';
+    if (type.includes('csv') || path.endsWith('.csv')) return 'csv';
+    if (type.includes('text/plain')) return 'text';
+    return null;
+}
+
+// Function to pick the stored file type of a payload (plain text for unknown formats)
+function payloadFileType(format) {
+    return PAYLOAD_FILE_TYPES[format] || PAYLOAD_FILE_TYPES.text;
+}
+
+// Function to replace variable path segments with placeholders
+function normalizeSegment(segment) {
+    if (/^\d+$/.test(segment)) return ':id';
+    if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(segment)) return ':uuid';
+    if (/^\d{4}-\d{2}(-\d{2})?$/.test(segment)) return ':date';
+    if (/^[0-9a-f]{16,}$/i.test(segment)) return ':hash';
+    if (/^[A-Za-z0-9_-]{20,}$/.test(segment) && /\d/.test(segment)) return ':token';
+    return segment;
+}
+
+// Function to turn a concrete URL into a route template (e.g. /api/series/:id)
+function normalizeRoute(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return { host: '', route: url, queryParams: [] };
+    }
+
+    const segments = parsed.pathname.split('/').map(segment => (segment ? normalizeSegment(segment) : segment));
+
+    return {
+        host: parsed.host,
+        route: segments.join('/') || '/',
+        queryParams: [...new Set(parsed.searchParams.keys())].sort(),
+    };
+}
+
+// Function to check whether a string value looks like a date
+function looksLikeDate(value) {
+    return /^\d{4}-\d{2}-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(value) ||
+        /^\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}$/.test(value);
+}
+
+// Function to add a sample value to a schema node without duplicates
+function addSample(node, value) {
+    if (node.samples.length < MAX_SAMPLES && !node.samples.includes(value)) {
+        node.samples.push(value);
+    }
+}
+
+// Function to infer a schema (field names, types, sample values, array lengths) from a value
+function inferSchema(value, depth = 0) {
+    if (value === null || value === undefined) {
+        return { type: 'null' };
+    }
+
+    if (Array.isArray(value)) {
+        const node = { type: 'array', minLength: value.length, maxLength: value.length };
+        if (depth >= MAX_SCHEMA_DEPTH) return node;
+
+        value.slice(0, MAX_ARRAY_ITEMS_SAMPLED).forEach(item => {
+            const itemSchema = inferSchema(item, depth + 1);
+            node.items = node.items ? mergeSchemas(node.items, itemSchema) : itemSchema;
+        });
+        return node;
+    }
+
+    if (typeof value === 'object') {
+        const node = { type: 'object', fields: {} };
+        if (depth >= MAX_SCHEMA_DEPTH) return node;
+
+        Object.keys(value).slice(0, MAX_OBJECT_FIELDS).forEach(key => {
+            node.fields[key] = inferSchema(value[key], depth + 1);
+        });
+        return node;
+    }
+
+    if (typeof value === 'string') {
+        const node = { type: 'string', samples: [] };
+        if (looksLikeDate(value)) node.format = 'date';
+        addSample(node, value.length > 100 ? `${value.substring(0, 100)}…` : value);
+        return node;
+    }
+
+    const node = { type: typeof value, samples: [] };
+    addSample(node, value);
+    return node;
+}
+
+// Function to merge two inferred schemas into one that describes both
+function mergeSchemas(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+
+    if (a.type === 'union' || b.type === 'union' || a.type !== b.type) {
+        const variants = [...(a.type === 'union' ? a.anyOf : [a]), ...(b.type === 'union' ? b.anyOf : [b])];
+        const byType = {};
+        variants.forEach(variant => {
+            byType[variant.type] = mergeSchemas(byType[variant.type], variant);
+        });
+        const merged = Object.values(byType);
+        return merged.length === 1 ? merged[0] : { type: 'union', anyOf: merged };
+    }
+
+    if (a.type === 'array') {
+        return {
+            type: 'array',
+            minLength: Math.min(a.minLength, b.minLength),
+            maxLength: Math.max(a.maxLength, b.maxLength),
+            ...(a.items || b.items ? { items: mergeSchemas(a.items, b.items) } : {}),
+        };
+    }
+
+    if (a.type === 'object') {
+        const fields = { ...a.fields };
+        Object.keys(b.fields).forEach(key => {
+            fields[key] = mergeSchemas(fields[key], b.fields[key]);
+        });
+        return { type: 'object', fields };
+    }
+
+    if (a.type === 'null') return a;
+
+    const merged = { type: a.type, samples: [...a.samples] };
+    if (a.format && a.format === b.format) merged.format = a.format;
+    b.samples.forEach(sample => addSample(merged, sample));
+    return merged;
+}
+
+// Function to infer a column schema from parsed CSV text
+function inferCsvSchema(text) {
+    const rows = parseCsv(text);
+    if (rows.length === 0) return null;
+
+    const [headers, ...dataRows] = rows;
+    const records = dataRows.slice(0, MAX_ARRAY_ITEMS_SAMPLED).map(row => {
+        const record = {};
+        headers.forEach((header, index) => {
+            const cell = (row[index] || '').trim();
+            const numeric = cell !== '' && !isNaN(Number(cell)) ? Number(cell) : null;
+            record[header.trim()] = numeric !== null ? numeric : (cell || null);
+        });
+        return record;
+    });
+
+    const schema = inferSchema(records);
+    schema.minLength = dataRows.length;
+    schema.maxLength = dataRows.length;
+    return schema;
+}
+
+// Function to check whether a schema (or one of its union variants) has the given type
+function schemaHasType(schema, type) {
+    if (!schema) return false;
+    if (schema.type === 'union') return schema.anyOf.some(variant => variant.type === type);
+    return schema.type === type;
+}
+
+// Function to check whether a schema describes a list of dated numeric points
+function looksLikeTimeSeries(schema) {
+    if (!schema) return false;
+
+    if (schema.type === 'array' && schema.items) {
+        const items = schema.items;
+        if (items.type === 'object') {
+            const fields = Object.values(items.fields);
+            const hasDate = fields.some(field => field.format === 'date') ||
+                Object.keys(items.fields).some(key => /^(date|time|timestamp|period|x)$/i.test(key));
+            const hasNumber = fields.some(field => schemaHasType(field, 'number'));
+            return hasDate && hasNumber;
+        }
+        if (items.type === 'array' && items.items) {
+            return schemaHasType(items.items, 'number') || looksLikeTimeSeries(items);
+        }
+        return false;
+    }
+
+    if (schema.type === 'object') {
+        return Object.values(schema.fields).some(field => looksLikeTimeSeries(field));
+    }
+
+    return false;
+}
+
+// Function to attach request/response listeners to a page and capture data payloads
+function createNetworkCapture(page, options = {}) {
+    const {
+        maxPayloadBytes = DEFAULT_MAX_PAYLOAD_BYTES,
+        capturePayloads = true,
+        urlHints = DATA_URL_HINTS,
+    } = options;
+
+    const captures = [];
+    const pending = new Set();
+    let uiState = null;  // Label of the UI state the page is in while exploring controls
+
+    page.on('response', response => {
+        const request = response.request();
+        const url = response.url();
+        const resourceType = request.resourceType();
+
+        if (!isDataRequest(url, resourceType, urlHints)) return;
+
+        const task = captureResponse(response).catch(error => {
+            captures.push({ ...describeResponse(response), error: error.message });
+        });
+        pending.add(task);
+        task.finally(() => pending.delete(task));
+    });
+
+    // Function to build the metadata record for a response
+    function describeResponse(response) {
+        const request = response.request();
+        const headers = response.headers();
+
+        return {
+            url: response.url(),
+            method: request.method(),
+            status: response.status(),
+            resourceType: request.resourceType(),
+            contentType: headers['content-type'] || null,
+            postData: request.postData() || null,
+            pageUrl: page.url(),
+            uiState,
+            timestamp: new Date().toISOString(),
+        };
+    }
+
+    // Function to read, size-limit and parse a single response body
+    async function captureResponse(response) {
+        const record = describeResponse(response);
+        const format = detectPayloadFormat(record.contentType, record.url);
+        record.format = format;
+
+        const isRedirect = record.status >= 300 && record.status < 400;
+        if (!capturePayloads || !format || isRedirect) {
+            captures.push(record);
+            return;
+        }
+
+        const declaredLength = Number(response.headers()['content-length'] || 0);
+        if (declaredLength > maxPayloadBytes) {
+            captures.push({ ...record, size: declaredLength, truncated: true });
+            return;
+        }
+
+        const buffer = await response.buffer();
+        record.size = buffer.length;
+
+        if (buffer.length > maxPayloadBytes) {
+            captures.push({ ...record, truncated: true });
+            return;
+        }
+
+        const text = buffer.toString('utf8');
+        record.body = text;
+
+        try {
+            if (format === 'json') {
+                record.schema = inferSchema(JSON.parse(text));
+            } else if (format === 'csv') {
+                record.schema = inferCsvSchema(text);
+            }
+        } catch (error) {
+            record.parseError = error.message;
+        }
+
+        captures.push(record);
+    }
+
+    return {
+        captures,
+        // Wait for body reads still in flight (call before the page closes)
+        async settle() {
+            await Promise.all([...pending]);
+        },
+        // Function to tag calls made from now on with a UI state label (null for the default state)
+        setUiState(label) {
+            uiState = label || null;
+        },
+    };
+}
+
+// Function to group captured calls by route template into an endpoint catalog
+function buildEndpointCatalog(captures) {
+    const endpoints = new Map();
+
+    captures.forEach(capture => {
+        const { host, route, queryParams } = normalizeRoute(capture.url);
+        const key = `${capture.method} ${host}${route}`;
+
+        if (!endpoints.has(key)) {
+            endpoints.set(key, {
+                method: capture.method,
+                host,
+                route,
+                calls: 0,
+                statuses: [],
+                contentTypes: [],
+                formats: [],
+                queryParams: [],
+                exampleUrls: [],
+                pages: [],
+                maxPayloadBytes: 0,
+                truncatedPayloads: 0,
+                schema: null,
+                payloadKeys: [],
+                uiStates: [],
+            });
+        }
+
+        const endpoint = endpoints.get(key);
+        endpoint.calls++;
+
+        const addUnique = (list, value, limit = Infinity) => {
+            if (value !== null && value !== undefined && !list.includes(value) && list.length < limit) {
+                list.push(value);
+            }
+        };
+
+        addUnique(endpoint.statuses, capture.status);
+        addUnique(endpoint.contentTypes, capture.contentType);
+        addUnique(endpoint.formats, capture.format);
+        queryParams.forEach(param => addUnique(endpoint.queryParams, param));
+        addUnique(endpoint.exampleUrls, capture.url, 5);
+        addUnique(endpoint.pages, capture.pageUrl, 10);
+        addUnique(endpoint.payloadKeys, capture.payloadKey);
+        addUnique(endpoint.uiStates, capture.uiState, 20);
+
+        if (capture.size) endpoint.maxPayloadBytes = Math.max(endpoint.maxPayloadBytes, capture.size);
+        if (capture.truncated) endpoint.truncatedPayloads++;
+        if (capture.schema) endpoint.schema = mergeSchemas(endpoint.schema, capture.schema);
+    });
+
+    return [...endpoints.values()]
+        .map(endpoint => ({
+            ...endpoint,
+            looksLikeTimeSeries: looksLikeTimeSeries(endpoint.schema),
+        }))
+        .sort((a, b) => (b.looksLikeTimeSeries - a.looksLikeTimeSeries) || (b.calls - a.calls));
+}
+
+module.exports = {
+    DEFAULT_MAX_PAYLOAD_BYTES,
+    isDataRequest,
+    detectPayloadFormat,
+    payloadFileType,
+    normalizeSegment,
+    normalizeRoute,
+    inferSchema,
+    mergeSchemas,
+    inferCsvSchema,
+    looksLikeTimeSeries,
+    createNetworkCapture,
+    buildEndpointCatalog,
+};
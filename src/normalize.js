@@ -0,0 +1,324 @@
+// Price normalization - reads the currency, price unit, count grade (31/40 pcs/lb, U15, 50 count),
+// species and product form from the labels around a price series (table captions and headers, chart
+// titles, series names, API fields), then converts its values to a base currency and weight unit with
+// exchange rates captured during the crawl or given in the input. Every converted point gets a
+// normalizedValue next to its original value.
+
+const { CURRENCY_CODES, extractCurrency, parseNumber } = require('./parsers');
+const { matchTerms } = require('./profiles');
+
+// Kilograms per weight unit
+const WEIGHT_UNITS = {
+    kg: 1,
+    lb: 0.45359237,
+    t: 1000,
+    g: 0.001,
+};
+
+const UNIT_ALIASES = [
+    ['kg', /^(kgs?|kilos?|kilograms?)$/i],
+    ['lb', /^(lbs?|pounds?)$/i],
+    ['t', /^(t|mt|tons?|tonnes?)$/i],
+    ['g', /^(g|grams?)$/i],
+];
+
+const COUNT_WORDS = 'pcs|pc|pieces|count|ct|cnt';
+
+// Count ranges the shrimp trade quotes, accepted even where the label also talks about dates
+const KNOWN_GRADES = new Set(['8/12', '13/15', '16/20', '21/25', '26/30', '31/35', '31/40', '36/40', '41/50', '51/60', '61/70', '71/90', '91/110']);
+
+// Words that make a bare "12/25" right after them read as a date ("week of 12/25", "as of 3/15")
+const DATE_CONTEXT_PATTERN = /\b(week|wk|w\/e|ending|dated?|as of|on|since|from|to|until|through|updated|day|month|jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)\b[^\d]{0,12}$/i;
+const RATE_CODES = CURRENCY_CODES.filter(code => !['RMB', 'ECU'].includes(code));
+
+// Function to map a weight unit spelling to its canonical name (kg, lb, t, g)
+function canonicalUnit(text) {
+    const entry = UNIT_ALIASES.find(([, pattern]) => pattern.test(String(text || '').trim()));
+    return entry ? entry[0] : null;
+}
+
+// Function to find the weight unit a price is quoted per ("USD/kg", "per lb", "$/MT")
+function parseWeightUnit(text) {
+    const match = String(text || '').match(/(?:\/|\bper\s+)\s*(kgs?|kilos?|kilograms?|lbs?|pounds?|mt|t|tons?|tonnes?|g)\b/i);
+    return match ? canonicalUnit(match[1]) : null;
+}
+
+// Function to describe a count grade: pieces per lb or kg, with the range converted to pieces per kg
+function countGrade(min, max, basis) {
+    const perKg = count => (count === null ? null : Math.round((basis === 'lb' ? count / WEIGHT_UNITS.lb : count) * 10) / 10);
+    const range = min === null ? `U${max}` : (min === max ? String(min) : `${min}/${max}`);
+    return { label: `${range} pcs/${basis}`, min, max, basis, perKg: { min: perKg(min), max: perKg(max) } };
+}
+
+// Function to tell whether a bare range such as "12/25" is more likely a month/day date
+function looksLikeDate(min, max, before) {
+    return min <= 12 && max <= 31 && !KNOWN_GRADES.has(`${min}/${max}`) && DATE_CONTEXT_PATTERN.test(before);
+}
+
+// Function to find a count grade in a label and return it with the label minus the grade text
+// (ranges and U-grades are per lb unless stated, single counts such as "50 count" per kg; a bare
+// range after date words needs a count word or unit to count as a grade)
+function parseCountGrade(text) {
+    const value = String(text || '');
+    const basisOf = (suffix, fallback) => (suffix ? canonicalUnit(suffix) : fallback);
+
+    const ranges = value.matchAll(new RegExp(`(^|[^\\d/.-])(\\d{1,3})\\s*[/-]\\s*(\\d{1,3})(?![\\d/.-])(\\s*(?:${COUNT_WORDS})\\b)?(?:\\s*(?:\\/|per)\\s*(kgs?|lbs?)\\b)?`, 'gi'));
+    for (const range of ranges) {
+        const min = Number(range[2]);
+        const max = Number(range[3]);
+        const explicit = Boolean(range[4] || range[5]);
+        const before = value.slice(0, range.index + range[1].length);
+        if (min < max && (explicit || (min >= 4 && max <= min * 2.5 && !looksLikeDate(min, max, before)))) {
+            return { grade: countGrade(min, max, basisOf(range[5], 'lb')), rest: value.replace(range[0], range[1]) };
+        }
+    }
+
+    const under = value.match(/\bU\s*-?\s*(\d{1,2})\b(?:\s*(?:\/|per)\s*(kgs?|lbs?)\b)?/);
+    if (under) {
+        return { grade: countGrade(null, Number(under[1]), basisOf(under[2], 'lb')), rest: value.replace(under[0], ' ') };
+    }
+
+    const single = value.match(new RegExp(`\\b(\\d{1,3})\\s*(?:${COUNT_WORDS})\\b(?:\\s*(?:\\/|per)\\s*(kgs?|lbs?)\\b)?`, 'i'));
+    if (single) {
+        const count = Number(single[1]);
+        return { grade: countGrade(count, count, basisOf(single[2], 'kg')), rest: value.replace(single[0], ' ') };
+    }
+
+    return { grade: null, rest: value };
+}
+
+// Function to read currency, price unit, count grade, species and product form from price labels
+function parseProductLabels(texts, profile) {
+    const text = texts.filter(Boolean).map(String).join(' | ');
+    const { grade, rest } = parseCountGrade(text);
+    const [species] = matchTerms(text, profile.normalization.species);
+    const [form] = matchTerms(text, profile.normalization.forms);
+    return {
+        currency: extractCurrency(rest).currency,
+        unit: parseWeightUnit(rest),
+        grade,
+        species: species ? species.term : null,
+        form: form ? form.term : null,
+    };
+}
+
+// Function to read a rate quoted as text ("83.20", "83,2")
+function readRate(text) {
+    const parsed = parseNumber(text);
+    return parsed && parsed.value > 0 ? parsed.value : null;
+}
+
+// Function to find exchange rates quoted in page text ("USD/INR 83.20", "1 USD = 83.2 INR");
+// each rate is how many units of `quote` one unit of `base` buys
+function parseExchangeRates(text) {
+    const codes = RATE_CODES.join('|');
+    const rates = [];
+    const pair = new RegExp(`\\b(${codes})\\s*/\\s*(${codes})\\b[^\\d\\n]{0,15}?(\\d+(?:[.,]\\d+)?)`, 'g');
+    const equation = new RegExp(`\\b1\\s*(${codes})\\s*=\\s*(\\d+(?:[.,]\\d+)?)\\s*(${codes})\\b`, 'g');
+
+    for (const match of String(text || '').matchAll(pair)) {
+        const rate = readRate(match[3]);
+        if (rate && match[1] !== match[2]) rates.push({ base: match[1], quote: match[2], rate, text: match[0].trim() });
+    }
+    for (const match of String(text || '').matchAll(equation)) {
+        const rate = readRate(match[2]);
+        if (rate && match[1] !== match[3]) rates.push({ base: match[1], quote: match[3], rate, text: match[0].trim() });
+    }
+    return rates;
+}
+
+// Function to find exchange rates in a JSON payload: "USDINR"/"USD_INR" keys, { base, rates: { INR: 83.2 } }
+// maps and { from, to, rate } records
+function exchangeRatesFromPayload(payload) {
+    const rates = [];
+    const isCode = code => typeof code === 'string' && RATE_CODES.includes(code.toUpperCase());
+    const add = (base, quote, rate, text) => {
+        if (isCode(base) && isCode(quote) && typeof rate === 'number' && rate > 0 && base.toUpperCase() !== quote.toUpperCase()) {
+            rates.push({ base: base.toUpperCase(), quote: quote.toUpperCase(), rate, text });
+        }
+    };
+
+    const walk = (value, pathName, depth) => {
+        if (depth > 6 || value === null || typeof value !== 'object') return;
+        if (Array.isArray(value)) {
+            value.slice(0, 50).forEach((item, index) => walk(item, `${pathName}[${index}]`, depth + 1));
+            return;
+        }
+
+        const from = value.base || value.from || value.source;
+        const to = value.quote || value.to || value.target;
+        if (isCode(from) && isCode(to)) add(from, to, value.rate !== undefined ? value.rate : value.value, pathName);
+
+        Object.entries(value).forEach(([key, item]) => {
+            const keyPath = pathName ? `${pathName}.${key}` : key;
+            const pairKey = key.match(/^([A-Za-z]{3})[_/-]?([A-Za-z]{3})$/);
+            if (pairKey && typeof item === 'number') add(pairKey[1], pairKey[2], item, keyPath);
+            if (/^(fx|fx_?rates|exchange_?rates|rates)$/i.test(key) && item && typeof item === 'object' && !Array.isArray(item)) {
+                const base = isCode(item.base) ? item.base : (isCode(value.base) ? value.base : 'USD');
+                Object.entries(item.rates && typeof item.rates === 'object' ? item.rates : item)
+                    .forEach(([code, rate]) => add(base, code, rate, `${keyPath}.${code}`));
+                return;
+            }
+            walk(item, keyPath, depth + 1);
+        });
+    };
+    walk(payload, '', 0);
+
+    return rates;
+}
+
+// Function to read exchange rates given as input: { "USD/INR": 83.2 } or { "USDINR": 83.2 }
+function exchangeRatesFromInput(input) {
+    return Object.entries(input || {}).map(([pair, rate]) => {
+        const match = pair.trim().match(/^([A-Za-z]{3})\s*[/_-]?\s*([A-Za-z]{3})$/);
+        if (!match || typeof rate !== 'number' || rate <= 0) {
+            throw new Error(`Invalid exchange rate "${pair}": ${JSON.stringify(rate)} (expected e.g. { "USD/INR": 83.2 })`);
+        }
+        return { base: match[1].toUpperCase(), quote: match[2].toUpperCase(), rate, text: pair };
+    });
+}
+
+// Function to build a rate lookup from rate records (later records override earlier ones for a pair)
+function createRateTable(rates) {
+    const direct = new Map();
+    rates.forEach(record => direct.set(`${record.base}/${record.quote}`, record));
+
+    // Function to give the rate of one currency in another, directly or inverted
+    function lookup(from, to) {
+        if (from === to) return 1;
+        if (direct.has(`${from}/${to}`)) return direct.get(`${from}/${to}`).rate;
+        if (direct.has(`${to}/${from}`)) return 1 / direct.get(`${to}/${from}`).rate;
+        return null;
+    }
+
+    return {
+        rates: [...direct.values()],
+
+        // Function to convert: how many units of `to` one unit of `from` is worth (via a third currency if needed)
+        convert(from, to) {
+            const rate = lookup(from, to);
+            if (rate !== null) return rate;
+            const pivots = [...new Set([...direct.values()].flatMap(record => [record.base, record.quote]))];
+            for (const pivot of pivots) {
+                const first = lookup(from, pivot);
+                const second = lookup(pivot, to);
+                if (first !== null && second !== null) return first * second;
+            }
+            return null;
+        },
+    };
+}
+
+// Function to round a converted value without losing precision that matters for prices
+function round(value, digits = 4) {
+    const scale = 10 ** digits;
+    return Math.round(value * scale) / scale;
+}
+
+// Function to normalize one price series from its labels: conversion factor and normalized fields
+function normalizePriceSeries({ labels = [], currency = null, unit = null, percent = false }, { profile, rates, baseCurrency, baseUnit }) {
+    const parsed = parseProductLabels([...labels, unit, currency], profile);
+    const priceCurrency = currency || parsed.currency;
+    const normalization = {
+        currency: priceCurrency,
+        unit: parsed.unit,
+        grade: parsed.grade,
+        species: parsed.species,
+        form: parsed.form,
+        baseCurrency,
+        baseUnit,
+        normalizedUnit: null,
+        exchangeRate: null,
+        factor: null,
+        convertible: false,
+        reason: null,
+    };
+
+    if (percent || (!priceCurrency && !parsed.unit)) {
+        normalization.reason = 'no currency or weight unit';
+        return normalization;
+    }
+    if (priceCurrency) {
+        normalization.exchangeRate = rates.convert(priceCurrency, baseCurrency);
+        if (normalization.exchangeRate === null) {
+            normalization.reason = `no ${priceCurrency}/${baseCurrency} exchange rate`;
+            return normalization;
+        }
+    }
+
+    const unitFactor = parsed.unit ? WEIGHT_UNITS[baseUnit] / WEIGHT_UNITS[parsed.unit] : 1;
+    normalization.exchangeRate = normalization.exchangeRate === null ? null : round(normalization.exchangeRate, 8);
+    normalization.factor = round((normalization.exchangeRate || 1) * unitFactor, 8);
+    normalization.normalizedUnit = [priceCurrency ? baseCurrency : null, parsed.unit ? baseUnit : null].filter(Boolean).join('/');
+    normalization.convertible = true;
+    return normalization;
+}
+
+// Function to attach normalized fields to a series and normalizedValue to each of its points
+// (chart interval points get normalizedLow / normalizedHigh)
+function applyNormalization(series, normalization, valueKey) {
+    series.normalization = normalization;
+    if (!normalization.convertible) return;
+    series.points.forEach(point => {
+        if (typeof point[valueKey] === 'number') point.normalizedValue = round(point[valueKey] * normalization.factor);
+        if (typeof point.low === 'number') point.normalizedLow = round(point.low * normalization.factor);
+        if (typeof point.high === 'number') point.normalizedHigh = round(point.high * normalization.factor);
+    });
+}
+
+// Function to normalize every price series of the run's tables, charts and API payloads (in place)
+// and summarize the result for the report
+function normalizeFindings({ tables = [], charts = [], payloads = [], profile, rates, baseCurrency = 'USD', baseUnit = 'kg' }) {
+    const options = { profile, rates, baseCurrency, baseUnit };
+    const items = [];
+    const add = (source, where, series, normalization) => {
+        items.push({ source, where, name: series.name, ...normalization });
+    };
+
+    tables.forEach(table => (table.series || []).forEach(s => {
+        const normalization = normalizePriceSeries({ labels: [s.name, table.caption], currency: s.currency, unit: s.unit, percent: s.percent }, options);
+        applyNormalization(s, normalization, 'value');
+        add('table', table.csvKey || table.url, s, normalization);
+    }));
+
+    charts.forEach(chart => chart.series.forEach(s => {
+        const normalization = normalizePriceSeries({ labels: [s.name, chart.title], unit: s.unit || chart.unit }, options);
+        applyNormalization(s, normalization, 'y');
+        if (s.role !== 'interval') add('chart', `${chart.title || chart.selector} (${chart.url})`, s, normalization);
+    }));
+
+    payloads.forEach(payload => payload.series.forEach(s => {
+        const normalization = normalizePriceSeries({ labels: [s.name, ...(s.labels || [])], unit: s.unit }, options);
+        applyNormalization(s, normalization, 'value');
+        add('api', payload.url, s, normalization);
+    }));
+
+    const prices = items.filter(item => item.currency || item.unit);
+    const unique = values => [...new Set(values.filter(Boolean))];
+    return {
+        baseCurrency,
+        baseUnit,
+        exchangeRates: rates.rates,
+        priceSeries: prices.length,
+        converted: prices.filter(item => item.convertible).length,
+        unconverted: prices.filter(item => !item.convertible).map(({ source, where, name, reason }) => ({ source, where, name, reason })),
+        currencies: unique(prices.map(item => item.currency)),
+        grades: unique(items.map(item => item.grade && item.grade.label)),
+        species: unique(items.map(item => item.species)),
+        forms: unique(items.map(item => item.form)),
+        items: prices,
+    };
+}
+
+module.exports = {
+    WEIGHT_UNITS,
+    parseWeightUnit,
+    parseCountGrade,
+    parseProductLabels,
+    parseExchangeRates,
+    exchangeRatesFromPayload,
+    exchangeRatesFromInput,
+    createRateTable,
+    normalizePriceSeries,
+    normalizeFindings,
+};
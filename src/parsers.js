@@ -0,0 +1,211 @@
+// Value parsers - numbers and dates as they appear in tables, labels and payloads
+// Handles thousand separators, percentages, currency symbols/codes and locale date formats.
+
+// Currency symbols and prefixes mapped to ISO codes (longest first when matching)
+const CURRENCY_SYMBOLS = {
+    'US$': 'USD',
+    'R$': 'BRL',
+    'CN¥': 'CNY',
+    'Rp': 'IDR',
+    'Rs': 'INR',
+    '$': 'USD',
+    '€': 'EUR',
+    '£': 'GBP',
+    '¥': 'JPY',
+    '₹': 'INR',
+    '₫': 'VND',
+    '฿': 'THB',
+    '₱': 'PHP',
+    '₩': 'KRW',
+};
+
+const CURRENCY_CODES = [
+    'USD', 'EUR', 'GBP', 'JPY', 'CNY', 'RMB', 'INR', 'VND', 'THB', 'IDR', 'ECU',
+    'BRL', 'MXN', 'CLP', 'PEN', 'NOK', 'CAD', 'AUD', 'CHF', 'PHP', 'KRW', 'MYR',
+];
+
+// Month names and abbreviations (English, Spanish, French, Portuguese)
+const MONTHS = {
+    jan: 1, january: 1, ene: 1, enero: 1, janv: 1, janvier: 1, janeiro: 1,
+    feb: 2, february: 2, febrero: 2, fev: 2, 'fév': 2, fevr: 2, 'févr': 2, 'février': 2, fevereiro: 2,
+    mar: 3, march: 3, marzo: 3, mars: 3, 'março': 3,
+    apr: 4, april: 4, abr: 4, abril: 4, avr: 4, avril: 4,
+    may: 5, mayo: 5, mai: 5, maio: 5,
+    jun: 6, june: 6, junio: 6, juin: 6, junho: 6,
+    jul: 7, july: 7, julio: 7, juil: 7, juillet: 7, julho: 7,
+    aug: 8, august: 8, ago: 8, agosto: 8, aout: 8, 'août': 8,
+    sep: 9, sept: 9, september: 9, septiembre: 9, set: 9, septembre: 9, setembro: 9,
+    oct: 10, october: 10, octubre: 10, octobre: 10, out: 10, outubro: 10,
+    nov: 11, november: 11, noviembre: 11, novembre: 11, novembro: 11,
+    dec: 12, december: 12, dic: 12, diciembre: 12, 'déc': 12, 'décembre': 12, dez: 12, dezembro: 12,
+};
+
+const EMPTY_VALUES = ['', '-', '–', '—', 'n/a', 'na', 'n.a.', 'nan', 'null', '--'];
+
+// Function to detect and strip a currency symbol or ISO code from a value
+function extractCurrency(text) {
+    const symbols = Object.keys(CURRENCY_SYMBOLS).sort((a, b) => b.length - a.length);
+    for (const symbol of symbols) {
+        if (text.includes(symbol)) {
+            return { currency: CURRENCY_SYMBOLS[symbol], rest: text.replace(symbol, ' ') };
+        }
+    }
+
+    const codeMatch = text.match(new RegExp(`\\b(${CURRENCY_CODES.join('|')})\\b`, 'i'));
+    if (codeMatch) {
+        const code = codeMatch[1].toUpperCase();
+        return { currency: code === 'RMB' ? 'CNY' : code, rest: text.replace(codeMatch[0], ' ') };
+    }
+
+    return { currency: null, rest: text };
+}
+
+// Function to guess which character is the decimal separator in a numeric string
+function detectDecimalSeparator(numeric, hint) {
+    const lastComma = numeric.lastIndexOf(',');
+    const lastDot = numeric.lastIndexOf('.');
+
+    if (lastComma !== -1 && lastDot !== -1) return lastComma > lastDot ? ',' : '.';
+    if (lastComma !== -1) {
+        if ((numeric.match(/,/g) || []).length > 1) return '.';
+        if (/^\d{1,3},\d{3}$/.test(numeric.replace(/^-/, ''))) return hint === ',' ? ',' : '.';
+        return ',';
+    }
+    if (lastDot !== -1) {
+        if ((numeric.match(/\./g) || []).length > 1) return ',';
+        if (/^\d{1,3}\.\d{3}$/.test(numeric.replace(/^-/, '')) && hint === ',') return ',';
+        return '.';
+    }
+    return hint || '.';
+}
+
+// Function to parse a formatted number ("$1,234.50", "12,5 %", "(3.2)", "1.234.567 VND")
+function parseNumber(text, options = {}) {
+    if (typeof text === 'number') {
+        return Number.isFinite(text) ? { value: text, currency: null, percent: false, unit: null } : null;
+    }
+    if (text === null || text === undefined) return null;
+
+    const raw = String(text).trim();
+    if (EMPTY_VALUES.includes(raw.toLowerCase())) return null;
+
+    const percent = raw.includes('%');
+    const { currency, rest } = extractCurrency(raw.replace(/%/g, ' '));
+
+    let working = rest.replace(/[−‒–]/g, '-').trim();
+    const parenthesized = /^\(.*\)$/.test(working);
+    if (parenthesized) working = working.slice(1, -1).trim();
+
+    const match = working.match(/[-+]?\d[\d.,' \u00a0\u202f\u2009]*/);
+    if (!match) return null;
+
+    const numeric = match[0].trim().replace(/[' \u00a0\u202f\u2009]/g, '');
+    const prefix = working.slice(0, match.index).trim();
+    const residual = working.slice(match.index + match[0].length).trim();
+
+    // Anything beyond a short unit suffix means this is text that merely contains a number
+    if (prefix || !/^[a-zA-Z/. ]{0,12}$/.test(residual)) return null;
+
+    const decimal = detectDecimalSeparator(numeric, options.decimalSeparator);
+    const thousands = decimal === ',' ? '.' : ',';
+    const normalized = numeric.split(thousands).join('').replace(decimal, '.');
+    let value = Number(normalized);
+    if (!Number.isFinite(value)) return null;
+
+    if (parenthesized) value = -Math.abs(value);
+
+    const unit = residual || null;
+
+    return { value, currency, percent, unit };
+}
+
+// Function to build an ISO date string from year/month/day parts, validating ranges
+function formatDate(year, month, day) {
+    let y = Number(year);
+    if (y < 100) y += y < 70 ? 2000 : 1900;
+    const m = Number(month);
+    if (y < 1900 || y > 2100 || m < 1 || m > 12) return null;
+
+    const mm = String(m).padStart(2, '0');
+    if (day === undefined || day === null) return `${y}-${mm}`;
+
+    const d = Number(day);
+    const daysInMonth = new Date(Date.UTC(y, m, 0)).getUTCDate();
+    if (d < 1 || d > daysInMonth) return null;
+    return `${y}-${mm}-${String(d).padStart(2, '0')}`;
+}
+
+// Function to look up a month name or abbreviation
+function monthFromName(name) {
+    const key = name.toLowerCase().replace(/\.$/, '');
+    return MONTHS[key] || null;
+}
+
+// Function to parse a date in ISO, numeric (d/m/y or m/d/y), month-name or quarter form
+function parseDate(text, options = {}) {
+    if (text === null || text === undefined) return null;
+    const raw = String(text).trim();
+    if (!raw || raw.length > 40) return null;
+
+    const dateOrder = options.dateOrder || 'mdy';
+    let match;
+
+    // 2024-03-15, 2024-03, 2024-03-15T00:00:00Z
+    match = raw.match(/^(\d{4})-(\d{1,2})(?:-(\d{1,2}))?(?:[T ][\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/);
+    if (match) return formatDate(match[1], match[2], match[3]);
+
+    // 2024/03/15, 2024.03.15
+    match = raw.match(/^(\d{4})[/.](\d{1,2})[/.](\d{1,2})$/);
+    if (match) return formatDate(match[1], match[2], match[3]);
+
+    // 15/03/2024, 03/15/2024, 15.03.24
+    match = raw.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+    if (match) {
+        const [, first, second, year] = match;
+        const order = Number(first) > 12 ? 'dmy' : Number(second) > 12 ? 'mdy' : dateOrder;
+        return order === 'dmy' ? formatDate(year, second, first) : formatDate(year, first, second);
+    }
+
+    // 03/2024
+    match = raw.match(/^(\d{1,2})[/.-](\d{4})$/);
+    if (match) return formatDate(match[2], match[1]);
+
+    // Q1 2024, 2024 Q1, 2024-Q1
+    match = raw.match(/^Q([1-4])[\s-]*(\d{4})$/i) || raw.match(/^(\d{4})[\s-]*Q([1-4])$/i);
+    if (match) {
+        const [quarter, year] = /^Q/i.test(raw) ? [match[1], match[2]] : [match[2], match[1]];
+        return `${year}-Q${quarter}`;
+    }
+
+    const words = raw.replace(/,/g, ' ').replace(/[-/]/g, ' ').split(/\s+/).filter(Boolean);
+
+    // Jan 2024, Jan 24, 15 Jan 2024, Jan 15 2024, 2024 Jan, 15 de enero de 2024
+    const cleaned = words.filter(word => !['de', 'del', 'of'].includes(word.toLowerCase()));
+    const monthIndex = cleaned.findIndex(word => monthFromName(word));
+    if (monthIndex === -1 || cleaned.length > 3) return null;
+
+    const month = monthFromName(cleaned[monthIndex]);
+    const numbers = cleaned.filter((word, index) => index !== monthIndex);
+    if (!numbers.every(word => /^\d{1,4}(st|nd|rd|th|er)?$/i.test(word))) return null;
+    const values = numbers.map(word => parseInt(word, 10));
+
+    if (values.length === 1) {
+        const year = numbers[0].length === 4 || monthIndex === 0 ? values[0] : null;
+        return year !== null ? formatDate(year, month) : null;
+    }
+    if (values.length === 2) {
+        const yearIndex = numbers.findIndex(word => word.length === 4);
+        if (yearIndex === -1) return formatDate(values[1], month, values[0]);
+        return formatDate(values[yearIndex], month, values[1 - yearIndex]);
+    }
+    return null;
+}
+
+module.exports = {
+    CURRENCY_SYMBOLS,
+    CURRENCY_CODES,
+    extractCurrency,
+    detectDecimalSeparator,
+    parseNumber,
+    parseDate,
+};
@@ -0,0 +1,144 @@
+// Built-in profile: DataPred shrimp price forecasting (the actor's default target)
+
+module.exports = {
+    name: 'datapred-shrimp',
+    description: 'DataPred platform, shrimp price forecasting',
+    platform: 'DataPred',
+    commodity: 'shrimp',
+    emoji: '🦐',
+    startUrl: 'https://app.datapred.com/',
+    loginUrl: 'https://app.datapred.com/login',
+
+    selectors: {
+        login: {
+            form: 'input[type="email"], input[type="text"], input[name="username"], input[name="email"]',
+            username: [
+                'input[type="email"]',
+                'input[name="username"]',
+                'input[name="email"]',
+                'input[type="text"]:first-of-type'
+            ],
+            password: [
+                'input[type="password"]',
+                'input[name="password"]',
+                'input[name="pwd"]'
+            ],
+            submit: [
+                'button[type="submit"]',
+                'input[type="submit"]'
+            ],
+            // Fallback: visible buttons whose text starts with one of these labels
+            submitText: ['login', 'log in', 'sign in', 'connexion', 'se connecter'],
+            // Multi-step logins (email first, then password)
+            next: ['button[data-action="next"]', '#identifierNext', '#idSIButton9'],
+            nextText: ['next', 'continue', 'suivant', 'continuer'],
+            error: '.error, .alert-danger, [role="alert"]',
+        },
+        markets: [
+            'select', 'dropdown', '.market', '.region', '.country',
+            '[data-market]', '[data-region]', '[data-country]'
+        ],
+    },
+
+    auth: {
+        // Success checks: an element only shown to logged-in users and/or a session cookie name
+        successSelector: null,
+        sessionCookieNames: [],
+        // Identity providers the login may redirect through
+        ssoHosts: ['accounts.google.com', 'login.microsoftonline.com', '.okta.com', '.auth0.com', '.onelogin.com'],
+    },
+
+    taxonomies: {
+        // Commodity-related keywords to look for
+        commodity: [
+            { term: 'shrimp', synonyms: ['camarón', 'camarones', 'crevette', 'tôm'], weight: 3 },
+            { term: 'prawn', weight: 3 },
+            { term: 'vannamei', synonyms: ['whiteleg', 'white leg', 'l. vannamei'], weight: 3 },
+            { term: 'black tiger', synonyms: ['monodon', 'p. monodon'], weight: 3 },
+            'aquaculture', 'seafood', 'marine', 'farming', 'pond', 'harvest'
+        ],
+
+        // Potential data source keywords
+        dataSources: [
+            'bloomberg', 'reuters', 'usda', 'fao', 'noaa', 'globefish',
+            'undercurrent', 'seafood source', 'infofish', 'vietnam customs',
+            'india export', 'ecuador export', 'thailand', 'indonesia',
+            'weather', 'satellite', 'commodity', 'futures', 'exchange rate',
+            'api', 'data provider', 'source', 'feed', 'integration'
+        ],
+
+        // Market-related keywords
+        markets: [
+            'usa', 'europe', 'china', 'japan', 'vietnam', 'india', 'ecuador',
+            'thailand', 'indonesia', 'wholesale', 'retail', 'import', 'export',
+            'price', 'forecast', 'prediction', 'trend', 'market', 'analysis'
+        ],
+    },
+
+    crawl: {
+        linkSelectors: ['nav a', '.menu a', '.sidebar a', '[role="navigation"] a'],
+        // Links get this score bonus when matched by linkSelectors (navigation menus)
+        navBonus: 1,
+        // URL substrings never to follow
+        excludePatterns: ['logout', 'log-out', 'signout', 'sign-out'],
+        minScore: 1,
+        relevantKeywords: [
+            'data', 'source', 'market', 'price', 'forecast',
+            'shrimp', 'seafood', 'analysis', 'report', 'insight'
+        ],
+    },
+
+    normalization: {
+        // Species and product forms named in price labels (first match in list order wins)
+        species: [
+            { term: 'vannamei', synonyms: ['l. vannamei', 'litopenaeus vannamei', 'p. vannamei', 'whiteleg', 'white leg', 'pacific white'] },
+            { term: 'monodon', synonyms: ['p. monodon', 'penaeus monodon', 'black tiger', 'tiger shrimp', 'tiger prawn'] },
+        ],
+        forms: [
+            { term: 'cooked', synonyms: ['cooked peeled', 'cpto', 'cpd'] },
+            { term: 'peeled', synonyms: ['peeled deveined', 'peeled undeveined', 'pd', 'pud', 'pdto', 'p&d'] },
+            { term: 'headless', synonyms: ['head off', 'head-off', 'hlso', 'shell-on headless'] },
+            { term: 'head-on', synonyms: ['head on', 'hoso', 'whole'] },
+        ],
+    },
+
+    readiness: {
+        // A page is ready once every element matching `when` matches or contains `ready`
+        selectors: [
+            { when: 'table', ready: 'td' },
+            { when: '.highcharts-container, .echarts, [_echarts_instance_], .recharts-wrapper, [data-chart]', ready: 'svg, canvas' },
+        ],
+        // Loading indicators to wait out (until the readiness timeout)
+        spinnerSelectors: ['.spinner', '.loader', '.loading', '.skeleton', '[aria-busy="true"]'],
+    },
+
+    privacy: {
+        // Elements blanked in screenshots (signed-in account name and email)
+        maskSelectors: ['.account-menu', '.user-menu', '[data-testid="user-menu"]', '[aria-label="Account"]', '.avatar'],
+    },
+
+    downloads: {
+        // Button labels that start a file export ("Export CSV", "Download Excel", ...)
+        exportKeywords: ['export', 'download'],
+        // Export-like buttons that do not produce a file here
+        skipKeywords: ['email', 'share', 'schedule', 'print', 'subscribe'],
+    },
+
+    explore: {
+        // Areas whose checkboxes, switches and pressed buttons only change the view (chart series
+        // and filter toggles); toggles elsewhere are not clicked, as they may save account settings
+        toggleSelectors: ['.chart-toolbar', '.chart-legend', '.filters', '[role="toolbar"]'],
+        // URL substrings of pages whose controls are never explored
+        excludePatterns: ['settings', 'account', 'preferences', 'notifications', 'billing', 'admin'],
+    },
+
+    docs: {
+        // Link text or URL fragments that lead to methodology, about, help and documentation pages
+        linkKeywords: [
+            'methodology', 'about', 'how it works', 'data source', 'help', 'docs',
+            'documentation', 'faq', 'guide', 'knowledge base'
+        ],
+        // Extra data types to recognize in documentation text: { 'feed costs': ['feed price', ...] }
+        dataTypes: {},
+    },
+};
@@ -0,0 +1,185 @@
+// Target profiles - keyword taxonomies, URLs, selectors and crawl rules per platform/commodity
+// A profile is chosen by name (built-in), by path to a JSON/JS file, or supplied inline.
+// Inline and file profiles may set `extends` to start from another profile.
+
+const fs = require('fs');
+const path = require('path');
+
+const datapredShrimp = require('./datapred-shrimp');
+
+const DEFAULT_PROFILE = 'datapred-shrimp';
+
+// Button labels that start a file export, when a profile lists none
+const DEFAULT_EXPORT_KEYWORDS = ['export', 'download'];
+
+const BUILT_IN_PROFILES = {
+    [datapredShrimp.name]: datapredShrimp,
+};
+
+// Function to normalize a taxonomy entry ("fao" or { term, synonyms, weight })
+function normalizeTerm(entry) {
+    if (typeof entry === 'string') {
+        return { term: entry.toLowerCase(), synonyms: [], weight: 1 };
+    }
+    if (!entry || typeof entry.term !== 'string') {
+        throw new Error(`Invalid taxonomy entry ${JSON.stringify(entry)}: expected a string or { term, synonyms, weight }`);
+    }
+    return {
+        term: entry.term.toLowerCase(),
+        synonyms: (entry.synonyms || []).map(s => String(s).toLowerCase()),
+        weight: typeof entry.weight === 'number' ? entry.weight : 1,
+    };
+}
+
+// Function to merge a profile over its base (objects merge, arrays and scalars replace)
+function mergeProfiles(base, override) {
+    const merged = { ...base };
+    Object.keys(override).forEach(key => {
+        const value = override[key];
+        const isObject = value && typeof value === 'object' && !Array.isArray(value);
+        const baseIsObject = base[key] && typeof base[key] === 'object' && !Array.isArray(base[key]);
+        merged[key] = isObject && baseIsObject ? mergeProfiles(base[key], value) : value;
+    });
+    return merged;
+}
+
+// Function to read a profile definition from a .json or .js file
+function readProfileFile(profilePath) {
+    const resolved = path.resolve(process.cwd(), profilePath);
+    if (!fs.existsSync(resolved)) {
+        throw new Error(`Profile file not found: ${resolved}`);
+    }
+    if (resolved.endsWith('.json')) {
+        return JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    }
+    return require(resolved);
+}
+
+// Function to resolve a profile reference (name, file path or inline object) to a raw definition
+function resolveProfileDefinition(reference, seen = []) {
+    let definition;
+
+    if (!reference) {
+        definition = BUILT_IN_PROFILES[DEFAULT_PROFILE];
+    } else if (typeof reference === 'object') {
+        definition = reference;
+    } else if (BUILT_IN_PROFILES[reference]) {
+        definition = BUILT_IN_PROFILES[reference];
+    } else if (/\.(json|js)$/.test(reference)) {
+        definition = readProfileFile(reference);
+    } else {
+        throw new Error(
+            `Unknown profile "${reference}". Built-in profiles: ${Object.keys(BUILT_IN_PROFILES).join(', ')}; ` +
+            'or pass a path to a .json/.js profile file or an inline profile object.'
+        );
+    }
+
+    if (!definition.extends) return definition;
+
+    if (seen.includes(definition.extends)) {
+        throw new Error(`Profile "extends" cycle: ${[...seen, definition.extends].join(' -> ')}`);
+    }
+    const base = resolveProfileDefinition(definition.extends, [...seen, definition.extends]);
+    const { extends: _extends, ...rest } = definition;
+    return mergeProfiles(base, rest);
+}
+
+// Function to load and normalize a profile; inline objects without `extends` build on the default
+function loadProfile(reference) {
+    const isInline = reference && typeof reference === 'object';
+    const raw = isInline && !reference.extends
+        ? mergeProfiles(BUILT_IN_PROFILES[DEFAULT_PROFILE], reference)
+        : resolveProfileDefinition(reference);
+
+    const taxonomies = {};
+    Object.keys(raw.taxonomies || {}).forEach(name => {
+        taxonomies[name] = (raw.taxonomies[name] || []).map(normalizeTerm);
+    });
+
+    ['commodity', 'dataSources', 'markets'].forEach(name => {
+        if (!taxonomies[name]) {
+            throw new Error(`Profile "${raw.name}" is missing the "${name}" taxonomy`);
+        }
+    });
+
+    const crawl = raw.crawl || {};
+    const docs = raw.docs || {};
+    const readiness = raw.readiness || {};
+    const normalization = raw.normalization || {};
+    const privacy = raw.privacy || {};
+    const downloads = raw.downloads || {};
+    const explore = raw.explore || {};
+
+    (readiness.selectors || []).forEach(rule => {
+        if (!rule || typeof rule.when !== 'string' || typeof rule.ready !== 'string') {
+            throw new Error(`Invalid readiness rule ${JSON.stringify(rule)} in profile "${raw.name}": expected { when, ready } selectors`);
+        }
+    });
+
+    return {
+        ...raw,
+        taxonomies,
+        crawl: {
+            ...crawl,
+            linkSelectors: crawl.linkSelectors || ['a'],
+            excludePatterns: crawl.excludePatterns || [],
+            minScore: typeof crawl.minScore === 'number' ? crawl.minScore : 1,
+            relevantKeywords: (crawl.relevantKeywords || []).map(normalizeTerm),
+        },
+        docs: {
+            linkKeywords: (docs.linkKeywords || []).map(keyword => String(keyword).toLowerCase()),
+            dataTypes: docs.dataTypes || {},
+        },
+        normalization: {
+            species: (normalization.species || []).map(normalizeTerm),
+            forms: (normalization.forms || []).map(normalizeTerm),
+        },
+        readiness: {
+            selectors: readiness.selectors || [],
+            spinnerSelectors: readiness.spinnerSelectors || [],
+        },
+        privacy: {
+            maskSelectors: privacy.maskSelectors || [],
+        },
+        downloads: {
+            exportKeywords: (downloads.exportKeywords || DEFAULT_EXPORT_KEYWORDS).map(keyword => String(keyword).toLowerCase()),
+            skipKeywords: (downloads.skipKeywords || []).map(keyword => String(keyword).toLowerCase()),
+        },
+        explore: {
+            toggleSelectors: explore.toggleSelectors || [],
+            excludePatterns: explore.excludePatterns || [],
+        },
+    };
+}
+
+// Function to list every spelling of a taxonomy entry
+function termVariants(entry) {
+    return [entry.term, ...entry.synonyms];
+}
+
+// Function to find the taxonomy entries mentioned in text (whole words, taxonomy order)
+function matchTerms(text, taxonomy) {
+    const lower = (text || '').toLowerCase();
+    return taxonomy.filter(entry => termVariants(entry).some(variant => (
+        new RegExp(`(^|[^\\p{L}])${variant.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[^\\p{L}])`, 'u').test(lower)
+    )));
+}
+
+// Function to score text against a taxonomy: sum of weights of the entries it mentions
+function scoreText(text, taxonomy) {
+    const lower = (text || '').toLowerCase();
+    return taxonomy.reduce((score, entry) => (
+        termVariants(entry).some(variant => lower.includes(variant)) ? score + entry.weight : score
+    ), 0);
+}
+
+module.exports = {
+    DEFAULT_PROFILE,
+    BUILT_IN_PROFILES,
+    normalizeTerm,
+    mergeProfiles,
+    loadProfile,
+    termVariants,
+    matchTerms,
+    scoreText,
+};
@@ -0,0 +1,186 @@
+// Provenance - where each finding came from. Extractors report the element they read (a unique CSS
+// selector and an XPath); the actor adds the page (URL, title, crawl depth, UI state, full-page
+// screenshot), the extractor name, a timestamp and a cropped screenshot of the element. Findings
+// get stable IDs from what they say, so the same finding on several pages or in several UI states
+// is merged into one entry that keeps every piece of evidence.
+
+const crypto = require('crypto');
+
+const { maskedScreenshot } = require('./redaction');
+
+// Values that identify a finding of each kind: the same values on another page or in another UI
+// state are the same finding
+const FINDING_KEYS = {
+    data_source: f => [f.type || 'mention', f.source, f.matched, f.context || f.endpoint || f.imageSrc],
+    market: f => [f.type || 'element', f.market, f.element, f.text || f.message],
+    methodology_link: f => [f.url],
+    commodity: f => [f.keyword, f.matched],
+    provider_evidence: f => [f.provider, f.kind, f.matched, f.context, f.url],
+    table: f => [f.url, f.caption, f.headers],
+    chart: f => [f.url, f.library, f.title, f.series.map(s => s.name)],
+    forecast_view: f => [f.url, f.horizon && f.horizon.value, f.models, f.lastUpdated],
+    document: f => [f.url],
+    download: f => [f.trigger, f.url || f.label, f.fileName],
+};
+
+// Function to describe an element by a unique CSS selector and an absolute XPath (runs in the browser;
+// passed into the extractors' in-page functions)
+function describeElementInPage(el) {
+    if (!el || el.nodeType !== 1) return { selector: null, xpath: null };
+    const cssEscape = value => (window.CSS && CSS.escape ? CSS.escape(value) : value.replace(/[^\w-]/g, '\\$&'));
+
+    const xpathParts = [];
+    for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+        const name = node.tagName.toLowerCase();
+        const sameName = node.parentElement ? Array.from(node.parentElement.children).filter(c => c.tagName === node.tagName) : [node];
+        xpathParts.unshift(sameName.length > 1 ? `${name}[${sameName.indexOf(node) + 1}]` : name);
+    }
+
+    const selectorParts = [];
+    for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+        if (node.id && document.querySelectorAll(`#${cssEscape(node.id)}`).length === 1) {
+            selectorParts.unshift(`#${cssEscape(node.id)}`);
+            break;
+        }
+        const name = node.tagName.toLowerCase();
+        if (name === 'html' || name === 'body') {
+            selectorParts.unshift(name);
+            break;
+        }
+        const sameName = Array.from(node.parentElement.children).filter(c => c.tagName === node.tagName);
+        selectorParts.unshift(sameName.length > 1 ? `${name}:nth-of-type(${sameName.indexOf(node) + 1})` : name);
+    }
+
+    return { selector: selectorParts.join(' > '), xpath: `/${xpathParts.join('/')}` };
+}
+
+// Function to list the elements whose own text contains a (lowercase) phrase, in document order (runs in the browser)
+function elementsWithTextInPage(phrase) {
+    const elements = [];
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        if (node.textContent.toLowerCase().includes(phrase) && node.parentElement && !elements.includes(node.parentElement)) {
+            elements.push(node.parentElement);
+        }
+    }
+    return elements;
+}
+
+// Function to call an in-page extractor with its arguments, then the element describer and any
+// in-page helpers (functions cannot be passed to page.evaluate, so the call is sent as an expression)
+function evaluateWithLocator(page, readInPage, args = [], helpers = []) {
+    const serialized = args.map(arg => JSON.stringify(arg === undefined ? null : arg));
+    return page.evaluate(`(${readInPage})(${[...serialized, describeElementInPage, ...helpers].join(', ')})`);
+}
+
+// Function to locate the only element matching a selector (tables and charts report descriptive
+// selectors); returns nulls when it matches none or several
+async function locateSelector(page, selector) {
+    if (!selector) return { selector: null, xpath: null };
+    const handles = await page.$$(selector).catch(() => []);
+    const location = handles.length === 1
+        ? await handles[0].evaluate(describeElementInPage).catch(() => null)
+        : null;
+    await Promise.all(handles.map(handle => handle.dispose().catch(() => {})));
+    return location || { selector: null, xpath: null };
+}
+
+// Function to give a finding a stable ID from its kind and the values that identify it
+function findingId(kind, parts) {
+    const normalized = parts.map(part => (typeof part === 'string' ? part.replace(/\s+/g, ' ').trim().toLowerCase() : part));
+    return `${kind}_${crypto.createHash('sha1').update(JSON.stringify(normalized)).digest('hex').slice(0, 12)}`;
+}
+
+// Function to create the provenance recorder for one page: attach() moves an extractor's element
+// location into a provenance record and crops the element (up to maxElementScreenshots per page,
+// with maskSelectors blanked)
+function createProvenanceRecorder({ page, pageNumber, pageUrl, pageTitle, depth, screenshotKey = null, store = null, maxElementScreenshots = 0, maskSelectors = [] }) {
+    const crops = new Map();  // selector -> stored key (or null when the element could not be captured)
+
+    // Function to store a cropped screenshot of the element; the same element is cropped once
+    async function cropElement(selector) {
+        if (!store || !selector) return null;
+        if (crops.has(selector)) return crops.get(selector);
+        if (crops.size >= maxElementScreenshots) return null;
+
+        let key = null;
+        const handle = await page.$(selector).catch(() => null);
+        if (handle) {
+            // hidden elements cannot be captured
+            const { buffer } = await maskedScreenshot(page, maskSelectors, () => handle.screenshot().catch(() => null));
+            if (buffer) {
+                key = `element_${pageNumber}_${crops.size + 1}.png`;
+                await store.setValue(key, buffer, { contentType: 'image/png' });
+            }
+            await handle.dispose().catch(() => {});
+        }
+        crops.set(selector, key);
+        return key;
+    }
+
+    return {
+        // Function to locate an element on this page by a descriptive selector (see locateSelector)
+        locate(selector) {
+            return locateSelector(page, selector);
+        },
+
+        // Function to attach an ID (see FINDING_KEYS) and a provenance record to each finding
+        async attach(items, { extractor, kind, uiState = null }) {
+            const attached = [];
+            for (const item of items) {
+                const { location, ...finding } = item;
+                const { selector = null, xpath = null } = location || {};
+                attached.push({
+                    id: findingId(kind, FINDING_KEYS[kind](finding)),
+                    ...finding,
+                    page: pageNumber,
+                    provenance: {
+                        pageUrl,
+                        pageTitle,
+                        depth,
+                        uiState,
+                        extractor,
+                        selector,
+                        xpath,
+                        extractedAt: new Date().toISOString(),
+                        screenshotKey,
+                        elementScreenshotKey: await cropElement(selector),
+                    },
+                });
+            }
+            return attached;
+        },
+
+        stats() {
+            return { elementScreenshots: [...crops.values()].filter(Boolean).length };
+        },
+    };
+}
+
+// Function to merge findings with the same ID into one entry that keeps every provenance record
+function mergeFindings(findings) {
+    const merged = new Map();
+    findings.forEach(({ page, provenance, uiState, ...finding }) => {
+        if (!merged.has(finding.id)) {
+            merged.set(finding.id, { ...finding, occurrences: 0, pages: [], evidence: [] });
+        }
+        const entry = merged.get(finding.id);
+        entry.occurrences++;
+        if (provenance) {
+            if (!entry.pages.includes(provenance.pageUrl)) entry.pages.push(provenance.pageUrl);
+            entry.evidence.push(provenance);
+        }
+    });
+    return [...merged.values()];
+}
+
+module.exports = {
+    FINDING_KEYS,
+    describeElementInPage,
+    elementsWithTextInPage,
+    evaluateWithLocator,
+    locateSelector,
+    findingId,
+    createProvenanceRecorder,
+    mergeFindings,
+};
@@ -0,0 +1,268 @@
+// Provider entity resolution - a knowledge base of data providers (canonical names, aliases,
+// domains, logo patterns) and the matching that turns text mentions, logos, outbound links,
+// embeds and API hostnames into resolved provider entities with a confidence score and evidence.
+// Profiles can add or override entries with a `providers` list (same `id` replaces).
+
+const { evaluateWithLocator, elementsWithTextInPage, findingId } = require('./provenance');
+
+// Built-in knowledge base: sources commonly behind seafood / commodity price forecasts
+const KNOWLEDGE_BASE = [
+    { id: 'usda', name: 'USDA', category: 'government', aliases: ['usda', 'u.s. department of agriculture', 'us department of agriculture', 'foreign agricultural service'], domains: ['usda.gov'], logoPatterns: ['usda'] },
+    { id: 'noaa', name: 'NOAA Fisheries', category: 'government', aliases: ['noaa', 'noaa fisheries', 'national marine fisheries service', 'nmfs'], domains: ['noaa.gov', 'fisheries.noaa.gov'], logoPatterns: ['noaa'] },
+    { id: 'us-census', name: 'U.S. Census Bureau (trade data)', category: 'government', aliases: ['census bureau', 'usa trade online'], domains: ['census.gov'], logoPatterns: ['census'] },
+    { id: 'fao', name: 'FAO', category: 'intergovernmental', aliases: ['fao', 'food and agriculture organization', 'faostat', 'fishstat'], domains: ['fao.org'], logoPatterns: ['fao'] },
+    { id: 'globefish', name: 'FAO GLOBEFISH', category: 'intergovernmental', aliases: ['globefish'], domains: ['globefish.org'], logoPatterns: ['globefish'] },
+    { id: 'un-comtrade', name: 'UN Comtrade', category: 'intergovernmental', aliases: ['comtrade', 'un comtrade'], domains: ['comtrade.un.org', 'comtradeplus.un.org'], logoPatterns: ['comtrade'] },
+    { id: 'eurostat', name: 'Eurostat', category: 'government', aliases: ['eurostat', 'eumofa'], domains: ['ec.europa.eu', 'eumofa.eu'], logoPatterns: ['eurostat', 'eumofa'] },
+    { id: 'ecb', name: 'European Central Bank', category: 'government', aliases: ['european central bank', 'ecb reference rate'], domains: ['ecb.europa.eu'], logoPatterns: ['ecb'] },
+    { id: 'vietnam-customs', name: 'Vietnam Customs', category: 'government', aliases: ['vietnam customs', 'general department of vietnam customs'], domains: ['customs.gov.vn'], logoPatterns: [] },
+    { id: 'vasep', name: 'VASEP', category: 'industry-association', aliases: ['vasep', 'vietnam association of seafood exporters'], domains: ['vasep.com.vn'], logoPatterns: ['vasep'] },
+    { id: 'mpeda', name: 'MPEDA (India)', category: 'government', aliases: ['mpeda', 'marine products export development authority'], domains: ['mpeda.gov.in'], logoPatterns: ['mpeda'] },
+    { id: 'cna-ecuador', name: 'Cámara Nacional de Acuacultura (Ecuador)', category: 'industry-association', aliases: ['cámara nacional de acuacultura', 'camara nacional de acuacultura', 'cna ecuador'], domains: ['cna-ecuador.com'], logoPatterns: ['cna-ecuador', 'cna_logo'] },
+    { id: 'bcb-ecuador', name: 'Banco Central del Ecuador', category: 'government', aliases: ['banco central del ecuador'], domains: ['bce.fin.ec'], logoPatterns: [] },
+    { id: 'thai-customs', name: 'Thai Customs', category: 'government', aliases: ['thai customs', 'customs department of thailand'], domains: ['customs.go.th'], logoPatterns: [] },
+    { id: 'kkp-indonesia', name: 'KKP (Indonesia)', category: 'government', aliases: ['kkp', 'kementerian kelautan dan perikanan'], domains: ['kkp.go.id'], logoPatterns: ['kkp'] },
+    { id: 'urner-barry', name: 'Urner Barry', category: 'price-reporter', aliases: ['urner barry', 'comtell', 'expana'], domains: ['urnerbarry.com', 'expana.com'], logoPatterns: ['urnerbarry', 'urner-barry', 'expana'] },
+    { id: 'undercurrent', name: 'Undercurrent News', category: 'price-reporter', aliases: ['undercurrent', 'undercurrent news'], domains: ['undercurrentnews.com'], logoPatterns: ['undercurrent'] },
+    { id: 'seafoodsource', name: 'SeafoodSource', category: 'news', aliases: ['seafoodsource', 'seafood source'], domains: ['seafoodsource.com'], logoPatterns: ['seafoodsource'] },
+    { id: 'infofish', name: 'INFOFISH', category: 'intergovernmental', aliases: ['infofish'], domains: ['infofish.org'], logoPatterns: ['infofish'] },
+    { id: 'tridge', name: 'Tridge', category: 'price-reporter', aliases: ['tridge'], domains: ['tridge.com'], logoPatterns: ['tridge'] },
+    { id: 'bloomberg', name: 'Bloomberg', category: 'market-data', aliases: ['bloomberg'], domains: ['bloomberg.com', 'bloomberg.net'], logoPatterns: ['bloomberg'] },
+    { id: 'refinitiv', name: 'Reuters / LSEG (Refinitiv)', category: 'market-data', aliases: ['reuters', 'refinitiv', 'lseg', 'eikon'], domains: ['reuters.com', 'refinitiv.com', 'lseg.com'], logoPatterns: ['reuters', 'refinitiv', 'lseg'] },
+    { id: 'cme', name: 'CME Group', category: 'exchange', aliases: ['cme group', 'chicago mercantile exchange'], domains: ['cmegroup.com'], logoPatterns: ['cmegroup'] },
+    { id: 'ice', name: 'Intercontinental Exchange (ICE)', category: 'exchange', aliases: ['intercontinental exchange', 'ice futures'], domains: ['theice.com', 'ice.com'], logoPatterns: ['theice'] },
+    { id: 'openexchangerates', name: 'Open Exchange Rates', category: 'market-data', aliases: ['open exchange rates', 'openexchangerates'], domains: ['openexchangerates.org'], logoPatterns: [] },
+    { id: 'openweathermap', name: 'OpenWeather', category: 'weather', aliases: ['openweathermap', 'openweather'], domains: ['openweathermap.org'], logoPatterns: ['openweather'] },
+    { id: 'copernicus', name: 'Copernicus', category: 'satellite', aliases: ['copernicus', 'sentinel-2', 'sentinel-1'], domains: ['copernicus.eu', 'dataspace.copernicus.eu'], logoPatterns: ['copernicus'] },
+    { id: 'nasa-earthdata', name: 'NASA Earthdata', category: 'satellite', aliases: ['nasa earthdata', 'modis', 'landsat'], domains: ['earthdata.nasa.gov', 'nasa.gov'], logoPatterns: ['nasa'] },
+];
+
+// How much one piece of evidence of each kind says about a provider (combined with noisy-OR)
+const EVIDENCE_WEIGHTS = {
+    api: 0.9,  // The page called the provider's host
+    embed: 0.75,  // Script/iframe/image loaded from the provider's host
+    link: 0.6,  // Outbound link to the provider's domain
+    logo: 0.6,  // Image whose src/alt/title matches a logo pattern or alias
+    mention: 0.35,  // Multi-word or distinctive name in the page text
+    acronym: 0.15,  // Short alias (<= 4 letters) in the page text
+    documented: 0.7,  // Methodology / docs sentence naming the provider as a source
+};
+
+// Evidence of one kind stops adding confidence after this many items
+const MAX_EVIDENCE_PER_KIND = 3;
+
+// Function to build the knowledge base for a profile (built-in entries, then profile additions by id)
+function buildKnowledgeBase(profile) {
+    const entries = new Map(KNOWLEDGE_BASE.map(entry => [entry.id, entry]));
+    ((profile && profile.providers) || []).forEach(entry => {
+        if (!entry || !entry.id || !entry.name) {
+            throw new Error(`Invalid provider entry ${JSON.stringify(entry)}: expected { id, name, aliases, domains, logoPatterns }`);
+        }
+        entries.set(entry.id, { ...entries.get(entry.id), ...entry });
+    });
+
+    return [...entries.values()].map(entry => ({
+        id: entry.id,
+        name: entry.name,
+        category: entry.category || 'other',
+        aliases: [...new Set([entry.name, ...(entry.aliases || [])].map(a => a.toLowerCase()))],
+        domains: (entry.domains || []).map(d => d.toLowerCase()),
+        logoPatterns: (entry.logoPatterns || []).map(p => p.toLowerCase()),
+    }));
+}
+
+// Function to check whether a hostname belongs to one of the domains
+function hostMatchesDomains(hostname, domains) {
+    const host = (hostname || '').toLowerCase();
+    return domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+// Function to collect provider evidence from the page: text mentions, logos, outbound links and embeds (runs in the browser)
+function readProviderEvidenceInPage(knowledgeBase, describe = () => null, elementsWithText = () => []) {
+    const evidence = [];
+    const text = (document.body.innerText || '').toLowerCase();
+    const escape = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const hostOf = url => {
+        try {
+            return new URL(url, window.location.href).hostname.toLowerCase();
+        } catch (error) {
+            return '';
+        }
+    };
+    const onDomain = (host, domains) => domains.some(d => host === d || host.endsWith(`.${d}`));
+    const pageHost = window.location.hostname.toLowerCase();
+
+    knowledgeBase.forEach(provider => {
+        // Text mentions, whole words only so "ice" does not match "price"
+        provider.aliases.forEach(alias => {
+            const regex = new RegExp(`(^|[^\\p{L}\\p{N}])${escape(alias)}(?=$|[^\\p{L}\\p{N}])`, 'gu');
+            let match;
+            let count = 0;
+            const elements = regex.test(text) ? elementsWithText(alias) : [];
+            regex.lastIndex = 0;
+            while ((match = regex.exec(text)) && count < 5) {
+                const start = Math.max(0, match.index - 50);
+                evidence.push({
+                    provider: provider.id,
+                    kind: alias.replace(/[^a-z]/g, '').length <= 4 && !alias.includes(' ') ? 'acronym' : 'mention',
+                    matched: alias,
+                    context: text.slice(start, match.index + match[0].length + 50).replace(/\s+/g, ' ').trim(),
+                    location: describe(elements[Math.min(count, elements.length - 1)]),
+                });
+                count++;
+            }
+        });
+
+        // Logos: image src/alt/title
+        document.querySelectorAll('img').forEach(img => {
+            const haystack = `${img.src || ''} ${img.alt || ''} ${img.title || ''}`.toLowerCase();
+            const pattern = [...provider.logoPatterns, ...provider.aliases.filter(a => a.length > 4)].find(p => haystack.includes(p));
+            if (pattern) {
+                evidence.push({ provider: provider.id, kind: 'logo', matched: pattern, context: img.src || img.alt, location: describe(img) });
+            }
+        });
+
+        if (provider.domains.length === 0 || onDomain(pageHost, provider.domains)) return;
+
+        // Outbound links to the provider's domains
+        document.querySelectorAll('a[href]').forEach(a => {
+            const host = hostOf(a.href);
+            if (onDomain(host, provider.domains)) {
+                evidence.push({ provider: provider.id, kind: 'link', matched: host, context: a.href, location: describe(a) });
+            }
+        });
+
+        // Scripts, iframes and images served from the provider's domains
+        document.querySelectorAll('script[src], iframe[src], img[src]').forEach(el => {
+            const host = hostOf(el.src);
+            if (onDomain(host, provider.domains)) {
+                evidence.push({ provider: provider.id, kind: 'embed', matched: host, context: el.src, location: describe(el) });
+            }
+        });
+    });
+
+    return evidence;
+}
+
+// Function to collect provider evidence on the current page, tagged with the page URL
+async function collectProviderEvidence(page, knowledgeBase, uiState = null) {
+    const evidence = await evaluateWithLocator(page, readProviderEvidenceInPage, [knowledgeBase], [elementsWithTextInPage]);
+    const url = page.url();
+    return evidence.map(item => ({ ...item, url, uiState }));
+}
+
+// Function to turn captured API calls into evidence for providers owning their hostnames
+function networkEvidence(captures, knowledgeBase) {
+    const evidence = [];
+    captures.forEach(capture => {
+        let hostname;
+        try {
+            ({ hostname } = new URL(capture.url));
+        } catch (error) {
+            return;
+        }
+        knowledgeBase.forEach(provider => {
+            if (hostMatchesDomains(hostname, provider.domains)) {
+                evidence.push({
+                    id: findingId('provider_evidence', [provider.id, 'api', capture.url]),
+                    provider: provider.id,
+                    kind: 'api',
+                    matched: hostname,
+                    context: capture.url,
+                    url: capture.pageUrl,
+                    uiState: capture.uiState || null,
+                    // Network evidence has no element: it points at the request (and its stored payload)
+                    provenance: { pageUrl: capture.pageUrl, uiState: capture.uiState || null, extractor: 'network', requestUrl: capture.url, payloadKey: capture.payloadKey || null },
+                });
+            }
+        });
+    });
+    return evidence;
+}
+
+// Function to score a provider's evidence: noisy-OR over kinds, each kind saturating after a few items
+function scoreEvidence(evidence) {
+    const counts = {};
+    evidence.forEach(item => {
+        counts[item.kind] = (counts[item.kind] || 0) + 1;
+    });
+
+    const miss = Object.keys(counts).reduce((product, kind) => {
+        const weight = EVIDENCE_WEIGHTS[kind] || 0;
+        return product * Math.pow(1 - weight, Math.min(counts[kind], MAX_EVIDENCE_PER_KIND));
+    }, 1);
+
+    return { confidence: Math.round((1 - miss) * 100) / 100, counts };
+}
+
+// Function to resolve evidence into provider entities, most confident first
+function resolveProviders(evidence, knowledgeBase) {
+    const byProvider = new Map();
+    evidence.forEach(item => {
+        if (!byProvider.has(item.provider)) byProvider.set(item.provider, []);
+        byProvider.get(item.provider).push(item);
+    });
+
+    return knowledgeBase
+        .filter(provider => byProvider.has(provider.id))
+        .map(provider => {
+            // The same logo or sentence seen again (e.g. in another UI state) is not new evidence, but
+            // where it was seen is kept with the first sighting
+            const seen = new Map();
+            const items = byProvider.get(provider.id).filter(item => {
+                const key = item.id || `${item.kind}|${item.context}|${item.url}`;
+                if (seen.has(key)) {
+                    if (item.provenance) seen.get(key).sightings.push(item.provenance);
+                    return false;
+                }
+                seen.set(key, { sightings: item.provenance ? [item.provenance] : [] });
+                return true;
+            });
+            const { confidence, counts } = scoreEvidence(items);
+
+            return {
+                id: provider.id,
+                name: provider.name,
+                category: provider.category,
+                confidence,
+                evidenceCounts: counts,
+                pages: [...new Set(items.map(item => item.url).filter(Boolean))],
+                evidence: items.map(({ id, kind, matched, context, url, uiState }) => ({
+                    id, kind, matched, context, url, uiState, provenance: seen.get(id || `${kind}|${context}|${url}`).sightings,
+                })),
+            };
+        })
+        .sort((a, b) => b.confidence - a.confidence);
+}
+
+// Function to find the knowledge base entry a taxonomy term refers to, if any
+function providerForTerm(term, knowledgeBase) {
+    const lower = term.toLowerCase();
+    return knowledgeBase.find(provider => provider.aliases.includes(lower) || provider.id === lower) || null;
+}
+
+// Function to list matched data-source keywords that are not providers ("api", "feed", "thailand")
+function genericTerms(dataSources, knowledgeBase) {
+    const counts = new Map();
+    dataSources.forEach(source => {
+        if (!source.source || providerForTerm(source.source, knowledgeBase)) return;
+        counts.set(source.source, (counts.get(source.source) || 0) + 1);
+    });
+    return [...counts.entries()]
+        .map(([term, mentions]) => ({ term, mentions }))
+        .sort((a, b) => b.mentions - a.mentions);
+}
+
+module.exports = {
+    KNOWLEDGE_BASE,
+    EVIDENCE_WEIGHTS,
+    buildKnowledgeBase,
+    hostMatchesDomains,
+    readProviderEvidenceInPage,
+    collectProviderEvidence,
+    networkEvidence,
+    scoreEvidence,
+    resolveProviders,
+    providerForTerm,
+    genericTerms,
+};
@@ -0,0 +1,149 @@
+// Page readiness - waits until a loaded page has finished rendering instead of sleeping a fixed time.
+// Steps run in order within one overall budget: network quiet, loading spinners gone, the profile's
+// ready selectors satisfied (e.g. every chart drawn, every table populated) and DOM mutations
+// settled. A step that runs out of time is recorded and the page is extracted as it is.
+
+const READINESS_STEPS = ['network', 'spinners', 'selectors', 'dom'];
+
+// Function to check the profile's ready rules in the browser: every element matching `when` must
+// match or contain `ready`; returns the rules still waiting
+function pendingReadyRulesInPage(rules) {
+    return rules.filter(({ when, ready }) => Array.from(document.querySelectorAll(when))
+        .some(el => !el.matches(ready) && !el.querySelector(ready)))
+        .map(({ when }) => when);
+}
+
+// Function to count visible loading indicators in the browser
+function visibleSpinnersInPage(selectors) {
+    return selectors.reduce((count, selector) => count + Array.from(document.querySelectorAll(selector)).filter(el => {
+        const style = window.getComputedStyle(el);
+        const rect = el.getBoundingClientRect();
+        return style.display !== 'none' && style.visibility !== 'hidden' && style.opacity !== '0' && rect.width > 0 && rect.height > 0;
+    }).length, 0);
+}
+
+// Function to wait in the browser until no DOM mutation happened for quietMs (or maxMs passed);
+// resolves to true when the DOM went quiet
+function waitForDomQuietInPage(quietMs, maxMs) {
+    return new Promise(resolve => {
+        let quietTimer = null;
+        const finish = (settled) => {
+            observer.disconnect();
+            clearTimeout(quietTimer);
+            clearTimeout(maxTimer);
+            resolve(settled);
+        };
+        const observer = new MutationObserver(() => {
+            clearTimeout(quietTimer);
+            quietTimer = setTimeout(() => finish(true), quietMs);
+        });
+        observer.observe(document.documentElement, { childList: true, subtree: true, attributes: true, characterData: true });
+        quietTimer = setTimeout(() => finish(true), quietMs);
+        const maxTimer = setTimeout(() => finish(false), maxMs);
+    });
+}
+
+// Function to read the browser's navigation timing for the current document
+function navigationTimingInPage() {
+    const [entry] = performance.getEntriesByType('navigation');
+    if (!entry) return null;
+    return {
+        responseMs: Math.round(entry.responseEnd),
+        domContentLoadedMs: Math.round(entry.domContentLoadedEventEnd),
+        loadMs: entry.loadEventEnd > 0 ? Math.round(entry.loadEventEnd) : null,
+    };
+}
+
+// Function to wait until a page is ready for extraction; returns per-step timings and what timed out
+async function waitForPageReady(page, options = {}) {
+    const {
+        timeout = 15000,  // Overall budget for all steps
+        networkQuietMs = 500,
+        domQuietMs = 500,
+        selectors = [],  // [{ when, ready }] from the profile's readiness rules
+        spinnerSelectors = [],
+    } = options;
+
+    const startedAt = Date.now();
+    const remaining = () => Math.max(0, timeout - (Date.now() - startedAt));
+    const steps = {};
+    const timedOut = [];
+
+    // Function to run one step and time it; a step throwing (timeout) counts as timed out
+    async function step(name, run) {
+        const stepStartedAt = Date.now();
+        let completed = false;
+        if (remaining() > 0) {
+            completed = await run().then(result => result !== false, () => false);
+        }
+        steps[name] = Date.now() - stepStartedAt;
+        if (!completed) timedOut.push(name);
+    }
+
+    await step('network', () => page.waitForNetworkIdle({ idleTime: networkQuietMs, timeout: remaining() }));
+
+    // (the in-page checks are passed as expressions so waitForFunction can poll them with their arguments)
+    if (spinnerSelectors.length > 0) {
+        await step('spinners', () => page.waitForFunction(
+            `(${visibleSpinnersInPage})(${JSON.stringify(spinnerSelectors)}) === 0`,
+            { timeout: remaining(), polling: 100 },
+        ));
+    }
+
+    if (selectors.length > 0) {
+        await step('selectors', () => page.waitForFunction(
+            `(${pendingReadyRulesInPage})(${JSON.stringify(selectors)}).length === 0`,
+            { timeout: remaining(), polling: 100 },
+        ));
+    }
+
+    await step('dom', () => page.evaluate(waitForDomQuietInPage, domQuietMs, remaining()));
+
+    const report = {
+        readyMs: Date.now() - startedAt,
+        steps,
+        timedOut,
+        navigation: await page.evaluate(navigationTimingInPage).catch(() => null),
+    };
+    if (timedOut.includes('selectors')) {
+        report.pendingSelectors = await page.evaluate(pendingReadyRulesInPage, selectors).catch(() => []);
+    }
+    if (timedOut.includes('spinners')) {
+        report.spinnersLeft = await page.evaluate(visibleSpinnersInPage, spinnerSelectors).catch(() => null);
+    }
+    return report;
+}
+
+// Function to summarize page timings for the crawl section: averages, slowest pages and timeouts per step
+// (a page that failed during extraction has readiness timings but no total, and is left out of the totals)
+function summarizeTimings(pages) {
+    const timed = pages.filter(p => p && p.timing);
+    if (timed.length === 0) return null;
+    const finished = timed.filter(p => typeof p.timing.totalMs === 'number');
+
+    const numbers = values => values.filter(v => typeof v === 'number');
+    const average = values => (values.length > 0 ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length) : null);
+    const timeouts = {};
+    READINESS_STEPS.forEach(name => {
+        timeouts[name] = timed.filter(p => p.timing.readiness.timedOut.includes(name)).length;
+    });
+
+    return {
+        pages: timed.length,
+        averageNavigationMs: average(numbers(timed.map(p => p.timing.navigationMs))),
+        averageReadyMs: average(timed.map(p => p.timing.readiness.readyMs)),
+        maxReadyMs: Math.max(...timed.map(p => p.timing.readiness.readyMs)),
+        averageTotalMs: average(finished.map(p => p.timing.totalMs)),
+        averageStepMs: Object.fromEntries(READINESS_STEPS.map(name => [name, average(numbers(timed
+            .map(p => p.timing.readiness.steps[name])))])),
+        timeouts,
+        slowest: [...finished].sort((a, b) => b.timing.totalMs - a.timing.totalMs).slice(0, 5)
+            .map(p => ({ url: p.url, totalMs: p.timing.totalMs, readyMs: p.timing.readiness.readyMs, timedOut: p.timing.readiness.timedOut })),
+    };
+}
+
+module.exports = {
+    READINESS_STEPS,
+    waitForPageReady,
+    summarizeTimings,
+};
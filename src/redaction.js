@@ -0,0 +1,222 @@
+// Redaction - removes credentials and personal data from everything the actor stores or logs:
+// configured secrets (the login username and password, cookie values, redactSecrets), custom
+// patterns (customer names, ...), bearer and basic tokens, JWTs, credential-like query parameters
+// and fields, and email addresses. Also masks configured elements (account menus, ...) while
+// screenshots are taken.
+
+const REDACTED = '[REDACTED]';
+
+// Query and form parameter names whose values are credentials or tokens
+const SENSITIVE_PARAM_PATTERN = /pass(word|wd)?|secret|token|api[-_]?key|signature|credential|^(auth|code|key|sid|session(id)?)$/i;
+
+// Object field names whose values are credentials, matched against the whole snake_cased name
+// ("accessToken" -> "access_token"), so data fields such as "passes", "tokenCount" or "secrets"
+// in reports and payloads are kept
+const SECRET_FIELD_PATTERN = /(^|_)(pass|password|passwd|pwd|secret|token|api_?key|credentials?|authorization)$/;
+
+// Secrets shorter than this are not redacted (they would match ordinary words)
+const MIN_SECRET_LENGTH = 4;
+
+// Token rules applied to every string, in order
+const TEXT_RULES = [
+    { pattern: /\b(Bearer)\s+[A-Za-z0-9\-._~+/]+=*/gi, replace: (match, scheme) => `${scheme} ${REDACTED}` },
+    { pattern: /\b(Basic)\s+(?=[A-Za-z0-9+/]*\d)[A-Za-z0-9+/]{8,}={0,2}/g, replace: (match, scheme) => `${scheme} ${REDACTED}` },
+    { pattern: /\beyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]*/g, replace: () => REDACTED },
+    // "apiKey": "...", access_token='...' in text bodies and scripts
+    {
+        pattern: /(["']?)([A-Za-z_][\w-]*)\1(\s*[:=]\s*)(["'])([^"'\n]+)\4/g,
+        replace: (match, nameQuote, name, separator, quote) => (isSecretField(name)
+            ? `${nameQuote}${name}${nameQuote}${separator}${quote}${REDACTED}${quote}`
+            : match),
+    },
+    // ?token=... in URLs anywhere in text
+    {
+        pattern: /([?&;])([\w.[\]-]+)=([^&#\s"'<>]+)/g,
+        replace: (match, separator, name, value) => (SENSITIVE_PARAM_PATTERN.test(name) && !value.includes(REDACTED)
+            ? `${separator}${name}=${encodeURIComponent(REDACTED)}`
+            : match),
+    },
+];
+// Email addresses; the last label must be a TLD, not a file extension, so retina asset names
+// such as "logo@2x.png" are kept
+const FILE_EXTENSIONS = 'png|jpe?g|gif|svg|webp|avif|ico|bmp|css|js|mjs|map|json|woff2?|ttf|otf|eot|pdf|csv|xlsx?|txt|html?';
+const EMAIL_PATTERN = new RegExp(`[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(\\.[A-Za-z0-9-]+)*\\.(?!(?:${FILE_EXTENSIONS})(?![A-Za-z0-9-]))[A-Za-z]{2,}(?![A-Za-z0-9-])`, 'gi');
+
+// Style that blanks masked elements while a screenshot is taken
+const MASK_STYLE_ID = 'redaction-mask';
+
+// Function to redact credential-like query parameters (the same rule is used when matching replayed requests)
+function redactUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return url;
+    }
+    let changed = false;
+    [...parsed.searchParams.keys()].forEach(name => {
+        if (SENSITIVE_PARAM_PATTERN.test(name)) {
+            parsed.searchParams.set(name, REDACTED);
+            changed = true;
+        }
+    });
+    return changed ? parsed.toString() : url;
+}
+
+// Function to redact a JSON value's credential-like fields (request bodies: the parameter rule applies)
+function redactJson(value) {
+    if (Array.isArray(value)) return value.map(redactJson);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+            key,
+            SENSITIVE_PARAM_PATTERN.test(key) && typeof item !== 'object' ? REDACTED : redactJson(item),
+        ]));
+    }
+    return value;
+}
+
+// Function to tell whether an object field or assignment name holds a credential
+function isSecretField(name) {
+    const snake = String(name).replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/[^A-Za-z0-9]+/g, '_').toLowerCase();
+    return SECRET_FIELD_PATTERN.test(snake);
+}
+
+// Function to escape a literal string for a regular expression
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Function to list the string values of injected storage ({ key: value } or { origin: { key: value } })
+function storageValues(storage) {
+    if (typeof storage === 'string') return [storage];
+    if (!storage || typeof storage !== 'object') return [];
+    return Object.values(storage).flatMap(storageValues);
+}
+
+// Function to create the run's redactor; secrets are literal strings (also removed URL-encoded),
+// patterns are regular expressions (case-insensitive)
+function createRedactor({ secrets = [], patterns = [], emails = true } = {}) {
+    const literals = [...new Set(secrets.filter(secret => typeof secret === 'string' && secret.length >= MIN_SECRET_LENGTH)
+        .flatMap(secret => [secret, encodeURIComponent(secret)]))]
+        .sort((a, b) => b.length - a.length);
+    const rules = [];
+    if (literals.length > 0) rules.push({ pattern: new RegExp(literals.map(escapeRegExp).join('|'), 'g'), replace: () => REDACTED });
+    patterns.forEach(source => {
+        try {
+            rules.push({ pattern: new RegExp(source, 'gi'), replace: () => REDACTED });
+        } catch (error) {
+            throw new Error(`Invalid redactPatterns entry "${source}": ${error.message}`);
+        }
+    });
+    rules.push(...TEXT_RULES);
+    if (emails) rules.push({ pattern: EMAIL_PATTERN, replace: () => REDACTED });
+
+    // Function to redact a string
+    function text(value) {
+        if (typeof value !== 'string' || value === '') return value;
+        return rules.reduce((result, rule) => result.replace(rule.pattern, rule.replace), value);
+    }
+
+    // Function to redact every string of a JSON-like value, and the whole value of credential fields
+    function value(item) {
+        if (typeof item === 'string') return text(item);
+        if (Array.isArray(item)) return item.map(value);
+        if (item && typeof item === 'object' && !Buffer.isBuffer(item) && !(item instanceof Date)) {
+            return Object.fromEntries(Object.entries(item).map(([key, field]) => [
+                key,
+                isSecretField(key) && field !== null && typeof field !== 'object' ? REDACTED : value(field),
+            ]));
+        }
+        return item;
+    }
+
+    return {
+        text,
+        value,
+
+        // Function to redact a captured body (JSON bodies field by field, anything else as text)
+        body(content, format) {
+            if (format === 'json') {
+                try {
+                    return JSON.stringify(value(JSON.parse(content)));
+                } catch (error) {
+                    return text(content);
+                }
+            }
+            return text(content);
+        },
+    };
+}
+
+// Function to redact everything written to the console (Crawlee's log writes there too); returns a restore function
+function redactConsole(redactor) {
+    const methods = ['log', 'info', 'warn', 'error', 'debug'];
+    const originals = Object.fromEntries(methods.map(method => [method, console[method]]));
+    const redactArgument = arg => {
+        if (typeof arg === 'string') return redactor.text(arg);
+        if (arg instanceof Error) return redactor.text(arg.stack || String(arg));
+        const isPlain = Array.isArray(arg) || (arg && Object.getPrototypeOf(arg) === Object.prototype);
+        return isPlain ? redactor.value(arg) : arg;
+    };
+    methods.forEach(method => {
+        console[method] = (...args) => originals[method](...args.map(redactArgument));
+    });
+    return () => Object.assign(console, originals);
+}
+
+// Function to blank the elements matching the selectors (background filled, content hidden) until
+// unmaskElements; returns how many elements are masked
+async function maskElements(page, selectors) {
+    if (selectors.length === 0) return 0;
+    return page.evaluate((styleId, list) => {
+        const css = list.map(selector => [
+            `${selector} { background: #000 !important; color: transparent !important; text-shadow: none !important; object-position: -99999px 0 !important; }`,
+            `${selector} * { visibility: hidden !important; }`,
+        ].join('\n')).join('\n');
+        let style = document.getElementById(styleId);
+        if (!style) {
+            style = document.createElement('style');
+            style.id = styleId;
+            document.head.appendChild(style);
+        }
+        style.textContent = css;
+        return list.reduce((count, selector) => {
+            try {
+                return count + document.querySelectorAll(selector).length;
+            } catch (error) {
+                return count;  // invalid selectors are ignored by the style sheet too
+            }
+        }, 0);
+    }, MASK_STYLE_ID, selectors);
+}
+
+// Function to remove the masks
+async function unmaskElements(page) {
+    await page.evaluate(styleId => {
+        const style = document.getElementById(styleId);
+        if (style) style.remove();
+    }, MASK_STYLE_ID).catch(() => {});
+}
+
+// Function to take a screenshot with the selectors masked
+async function maskedScreenshot(page, selectors, take) {
+    const masked = await maskElements(page, selectors);
+    try {
+        return { buffer: await take(), masked };
+    } finally {
+        if (selectors.length > 0) await unmaskElements(page);
+    }
+}
+
+module.exports = {
+    REDACTED,
+    SENSITIVE_PARAM_PATTERN,
+    redactUrl,
+    redactJson,
+    storageValues,
+    createRedactor,
+    redactConsole,
+    maskElements,
+    unmaskElements,
+    maskedScreenshot,
+};
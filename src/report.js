@@ -0,0 +1,438 @@
+// Human-readable reports - renders the analysis results as a standalone HTML report (screenshots
+// inlined) and a Markdown report, both written to the Key-Value store next to the JSON report.
+// Both formats are built from the same section rows so they always show the same content.
+
+const HTML_REPORT_KEY = 'report.html';
+const MARKDOWN_REPORT_KEY = 'report.md';
+
+// Function to escape text for HTML
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Function to escape scraped text for Markdown so it cannot break a table, add a link or open a code span
+function escapeMarkdown(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/[\\`[\]|]/g, '\\$&')
+        .replace(/\s*[\r\n]+\s*/g, ' ');
+}
+
+// Function to shorten long evidence snippets
+function truncate(text, length = 120) {
+    const value = String(text || '');
+    return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+}
+
+// Function to format a duration in milliseconds for the reports
+function formatMs(ms) {
+    if (ms === null || ms === undefined) return '?';
+    return ms >= 1000 ? `${(ms / 1000).toFixed(1)} s` : `${ms} ms`;
+}
+
+// Function to describe a page's load timing (navigation, readiness steps, extraction)
+function pageTiming(timing) {
+    if (!timing) return '';
+    const { readiness } = timing;
+    const steps = Object.entries(readiness.steps).map(([step, ms]) => `${step} ${formatMs(ms)}${readiness.timedOut.includes(step) ? ' (timed out)' : ''}`);
+    return `navigation ${formatMs(timing.navigationMs)}, ready ${formatMs(readiness.readyMs)} (${steps.join(', ')}), extraction ${formatMs(timing.extractionMs)}`;
+}
+
+// Function to list the executive summary lines
+function summaryItems(results) {
+    const pages = results.pages || [];
+    const failed = pages.filter(p => p.failed).length;
+    const providers = (results.summary.likelyDataProviders || []).map(p => (typeof p === 'string' ? p : p.name));
+    const tables = results.methodology.dataTables;
+    const items = [
+        `Target: ${results.platform} (profile ${results.profile}), ${results.url}`,
+        `Analysis date: ${results.analysisDate}`,
+        `Authenticated: ${results.authenticated ? `yes (${results.authentication.method})` : 'no - public areas only'}`,
+        `Pages analyzed: ${pages.length - failed}${failed > 0 ? ` (${failed} failed)` : ''}`,
+        `Likely data providers: ${providers.length > 0 ? providers.join(', ') : 'none identified'}`,
+        `Markets covered: ${results.markets.identified.length > 0 ? results.markets.identified.join(', ') : 'none identified'}`,
+        `API endpoint routes: ${results.endpointCatalog.total} (${results.endpointCatalog.timeSeriesCandidates.length} time-series)`,
+        `Data tables: ${tables.length} (${tables.filter(t => t.isPriceTable).length} price tables)`,
+        `Charts: ${results.charts.total} (${results.charts.forecastSeries} forecast series)`,
+        `${results.commoditySpecific.commodity}-specific content: ${results.commoditySpecific.hasCommodityContent ? 'yes' : 'limited'}`,
+        `Update frequency: ${results.summary.updateFrequency}`,
+    ];
+    if (results.summary.dataTypes && results.summary.dataTypes.length > 0) {
+        items.push(`Data types: ${results.summary.dataTypes.join(', ')}`);
+    }
+
+    if (results.seriesExport) {
+        items.push(`Series exported: ${results.seriesExport.seriesThisRun} this run, ${results.seriesExport.rows} rows across runs (${results.seriesExport.keys.join(', ')})`);
+    }
+    if (results.normalization && results.normalization.priceSeries > 0) {
+        const { converted, priceSeries, baseCurrency, baseUnit, currencies, grades } = results.normalization;
+        items.push(`Prices normalized: ${converted} of ${priceSeries} series to ${baseCurrency}/${baseUnit} (currencies: ${currencies.join(', ') || 'none'}${grades.length > 0 ? `; grades: ${grades.join(', ')}` : ''})`);
+    }
+    if (results.forecasting && results.forecasting.views > 0) {
+        const { horizons, lastUpdated } = results.forecasting;
+        items.push(`Forecast horizon: ${horizons.length > 0 ? horizons.join(' / ') : 'not stated'}${lastUpdated ? ` (last updated ${lastUpdated})` : ''}`);
+    }
+    if (results.downloads && (results.downloads.total > 0 || results.downloads.failed > 0)) {
+        const { total, failed, byFormat, tables } = results.downloads;
+        items.push(`Files downloaded: ${total} (${Object.entries(byFormat).map(([format, count]) => `${format} ${count}`).join(', ') || 'none'}), ${tables} tables read${failed > 0 ? `; ${failed} failed` : ''}`);
+    }
+    if (results.crawl && results.crawl.timing) {
+        const { averageReadyMs, maxReadyMs, averageTotalMs, timeouts } = results.crawl.timing;
+        const timedOut = Object.entries(timeouts).filter(([, count]) => count > 0).map(([step, count]) => `${step} ${count}`);
+        items.push(`Page readiness: ${formatMs(averageReadyMs)} on average (max ${formatMs(maxReadyMs)}), ${formatMs(averageTotalMs)} per page in total${timedOut.length > 0 ? `; timeouts: ${timedOut.join(', ')}` : ''}`);
+    }
+    if (results.crawlErrors && results.crawlErrors.total > 0) {
+        const { total, byKind, retries, recoveredPages, failedPages } = results.crawlErrors;
+        items.push(`Crawl errors: ${total} (${Object.entries(byKind).map(([kind, count]) => `${kind} ${count}`).join(', ')}), ${retries} retried; ${recoveredPages} pages recovered, ${failedPages} failed`);
+    }
+    if (results.redaction) {
+        const { emails, secretCount, patterns, maskedElements } = results.redaction;
+        items.push(`Redaction: credentials and tokens${emails ? ', email addresses' : ''}${secretCount > 0 ? `, ${secretCount} configured secrets` : ''}${patterns > 0 ? `, ${patterns} patterns` : ''} removed; ${maskedElements} elements masked in screenshots`);
+    }
+    if (results.exploration && results.exploration.statesExplored > 0) {
+        items.push(`UI states explored: ${results.exploration.statesExplored}`);
+    }
+    if (results.changes && results.changes.comparedTo) {
+        const { summary } = results.changes;
+        items.push(`Changes since ${results.changes.comparedTo}: +${summary.added} added, -${summary.removed} removed, ~${summary.changed} changed`);
+    }
+
+    return items;
+}
+
+// Function to build the provider table rows
+function providerTable(results) {
+    const providers = results.dataSources.providers || [];
+    return {
+        headers: ['Provider', 'Category', 'Confidence', 'Evidence', 'Examples', 'Pages'],
+        rows: providers.map(provider => [
+            provider.name,
+            provider.category,
+            provider.confidence.toFixed(2),
+            Object.entries(provider.evidenceCounts).map(([kind, count]) => `${kind} ×${count}`).join(', '),
+            provider.evidence.slice(0, 3).map(e => `${e.kind}: ${truncate(e.context, 80)}`).join(' / '),
+            provider.pages.length,
+        ]),
+    };
+}
+
+// Function to build the data source evidence rows: each finding with every place it was seen
+function evidenceTable(results) {
+    const findings = results.dataSources.details || [];
+    const where = e => [e.pageUrl, e.uiState && `(${e.uiState})`, e.selector && `at ${e.selector}`, e.elementScreenshotKey && `[${e.elementScreenshotKey}]`]
+        .filter(Boolean).join(' ');
+    return {
+        headers: ['ID', 'Source', 'Found as', 'Seen', 'Where'],
+        rows: findings.map(finding => [
+            finding.id,
+            finding.source || finding.type,
+            truncate(finding.context || finding.endpoint || finding.imageSrc || '', 100),
+            finding.occurrences,
+            (finding.evidence || []).map(where).join('; '),
+        ]),
+    };
+}
+
+// Function to build the market coverage matrix (markets × pages they were found on)
+function marketMatrix(results) {
+    const pages = (results.pages || []).filter(p => p.findings && p.findings.markets.length > 0);
+    return {
+        headers: ['Market', ...pages.map(p => `P${p.index}`), 'Pages'],
+        rows: results.markets.identified.map(market => {
+            const cells = pages.map(p => (p.findings.markets.includes(market) ? '✓' : ''));
+            return [market, ...cells, cells.filter(Boolean).length];
+        }),
+        legend: pages.map(p => `P${p.index}: ${p.title || p.url}`),
+    };
+}
+
+// Function to build the endpoint catalog rows
+function endpointTable(results) {
+    return {
+        headers: ['Method', 'Route', 'Calls', 'Status', 'Format', 'Time series', 'Query params', 'UI states'],
+        rows: results.endpointCatalog.endpoints.map(endpoint => [
+            endpoint.method,
+            `${endpoint.host}${endpoint.route}`,
+            endpoint.calls,
+            endpoint.statuses.join(', '),
+            endpoint.formats.join(', '),
+            endpoint.looksLikeTimeSeries ? 'yes' : '',
+            endpoint.queryParams.join(', '),
+            (endpoint.uiStates || []).join('; '),
+        ]),
+    };
+}
+
+// Function to build the forecasting rows (one per forecast view: page, API payload or chart)
+function forecastingTable(results) {
+    const views = (results.forecasting && results.forecasting.items) || [];
+    return {
+        headers: ['Source', 'Where', 'Horizon', 'Intervals', 'Accuracy', 'Models', 'Drivers', 'Last updated'],
+        rows: views.map(view => [
+            view.source,
+            `${view.sourceDetail && view.sourceDetail !== 'page' ? `${view.sourceDetail} ` : ''}${view.url || ''}${view.uiState ? ` (${view.uiState})` : ''}`,
+            view.horizon ? view.horizon.value : '',
+            view.confidenceIntervals.map(ci => (ci.level ? `${ci.level}%` : ci.series || 'band')).join(', '),
+            view.accuracy.map(a => `${a.metric}${a.value !== null ? ` ${a.value}${a.unit || ''}` : ''}`).join(', '),
+            view.models.join(', '),
+            truncate(view.drivers.map(d => `${d.name}${d.importance !== null ? ` ${d.importance}${d.unit || ''}` : ''}`).join(', '), 160),
+            view.lastUpdated || '',
+        ]),
+    };
+}
+
+// Function to build the price normalization rows (one per price series: table column, chart line or API series)
+function normalizationTable(results) {
+    const items = (results.normalization && results.normalization.items) || [];
+    return {
+        headers: ['Source', 'Where', 'Series', 'Grade', 'Species', 'Form', 'Unit', 'Conversion'],
+        rows: items.map(item => [
+            item.source,
+            truncate(item.where || ''),
+            item.name || '',
+            item.grade ? item.grade.label : '',
+            item.species || '',
+            item.form || '',
+            [item.currency, item.unit].filter(Boolean).join('/') + (item.normalizedUnit ? ` → ${item.normalizedUnit}` : ''),
+            item.convertible
+                ? `×${item.factor}${item.exchangeRate !== null && item.exchangeRate !== 1 ? ` (rate ${item.exchangeRate})` : ''}`
+                : item.reason,
+        ]),
+    };
+}
+
+// Function to build the downloaded file rows (one per file, with the tables read from it)
+function downloadTable(results) {
+    const files = (results.downloads && results.downloads.files) || [];
+    return {
+        headers: ['File', 'Format', 'Trigger', 'Size', 'Tables', 'Pages'],
+        rows: files.map(file => [
+            file.fileKey ? `${file.fileName || 'unnamed'} (${file.fileKey})` : `${file.fileName || file.label}: ${file.error || 'not stored'}`,
+            file.format || '',
+            `${file.trigger}: ${truncate(file.label || file.url || '', 60)}`,
+            file.bytes ? `${Math.round(file.bytes / 1024)} KB` : '',
+            file.tables.join(', ') || (file.parseError ? truncate(file.parseError, 60) : ''),
+            file.pages.length,
+        ]),
+    };
+}
+
+// Function to build the crawl error rows (one per failed page attempt)
+function crawlErrorTable(results) {
+    const items = (results.crawlErrors && results.crawlErrors.items) || [];
+    return {
+        headers: ['Page', 'Kind', 'Status', 'Attempt', 'Outcome', 'Message'],
+        rows: items.map(item => [
+            item.page ? `P${item.page}` : '',
+            item.kind,
+            item.statusCode || '',
+            item.attempt,
+            item.retried ? `retried after ${formatMs(item.backoffMs)}` : 'gave up',
+            truncate(item.message),
+        ]),
+    };
+}
+
+// Function to list a page's findings as label/value lines
+function pageFindings(page) {
+    if (page.failed) return [['Error', `${page.errorKind ? `${page.errorKind}: ` : ''}${page.error || 'request failed'}`]];
+    const findings = page.findings || {};
+    const lines = [
+        ['Providers', (findings.providers || []).join(', ')],
+        ['Markets', (findings.markets || []).join(', ')],
+        ['Commodity keywords', (findings.commodityKeywords || []).join(', ')],
+        ['Tables', (findings.tables || []).map(t => `${t.caption || 'untitled'} (${t.rowCount} rows, ${t.csvKey}${t.uiState ? `, ${t.uiState}` : ''})`).join('; ')],
+        ['Charts', (findings.charts || []).map(c => `${c.title || 'untitled'} (${c.library}, ${c.seriesCount} series)`).join('; ')],
+        ['Downloads', (findings.downloads || []).map(d => `${d.fileName || 'unnamed'} (${d.fileKey || d.error || 'not stored'}${d.tables.length > 0 ? `, ${d.tables.length} tables` : ''})`).join('; ')],
+        ['Forecast views', findings.forecasts || 0],
+        ['API calls', findings.apiCalls || 0],
+        ['UI states explored', findings.uiStatesExplored || 0],
+        ['Documentation', page.documentation ? `${page.documentation.wordCount} words (${page.documentation.textKey})` : ''],
+        ['Element screenshots', page.evidence ? page.evidence.elementScreenshots : 0],
+        ['Network trace', page.harKey || ''],
+        ['Timing', pageTiming(page.timing)],
+    ];
+    return lines.filter(([, value]) => value !== '' && value !== 0);
+}
+
+// Function to render a Markdown table
+function markdownTable({ headers, rows }) {
+    if (rows.length === 0) return '_None found._\n';
+    const lines = [
+        `| ${headers.map(escapeMarkdown).join(' | ')} |`,
+        `| ${headers.map(() => '---').join(' | ')} |`,
+        ...rows.map(row => `| ${row.map(escapeMarkdown).join(' | ')} |`),
+    ];
+    return `${lines.join('\n')}\n`;
+}
+
+// Function to render an HTML table
+function htmlTable({ headers, rows }) {
+    if (rows.length === 0) return '<p class="empty">None found.</p>';
+    return [
+        '<table>',
+        `<thead><tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>`,
+        '<tbody>',
+        ...rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`),
+        '</tbody>',
+        '</table>',
+    ].join('\n');
+}
+
+// Function to render the Markdown report
+function renderMarkdownReport(results) {
+    const matrix = marketMatrix(results);
+    const generic = results.summary.genericTerms || [];
+    const parts = [
+        `# ${results.platform} data source analysis`,
+        '',
+        '## Executive summary',
+        '',
+        ...summaryItems(results).map(item => `- ${escapeMarkdown(item)}`),
+        '',
+        '### Recommendations',
+        '',
+        ...results.recommendations.map(rec => `- ${escapeMarkdown(rec)}`),
+        '',
+        '## Data providers',
+        '',
+        markdownTable(providerTable(results)),
+        generic.length > 0 ? `Generic terms (not providers): ${escapeMarkdown(generic.join(', '))}\n` : '',
+        '### Data source evidence',
+        '',
+        markdownTable(evidenceTable(results)),
+        '## Market coverage',
+        '',
+        markdownTable(matrix),
+        ...matrix.legend.map(line => `- ${escapeMarkdown(line)}`),
+        '',
+        '## Endpoint catalog',
+        '',
+        markdownTable(endpointTable(results)),
+        '## Forecasting',
+        '',
+        markdownTable(forecastingTable(results)),
+        '## Price normalization',
+        '',
+        markdownTable(normalizationTable(results)),
+        '## Downloads',
+        '',
+        markdownTable(downloadTable(results)),
+        '## Crawl errors',
+        '',
+        markdownTable(crawlErrorTable(results)),
+        '## Pages',
+        '',
+    ];
+
+    (results.pages || []).forEach(page => {
+        parts.push(`### P${page.index}: ${escapeMarkdown(page.title || page.url)}${page.failed ? ' (failed)' : ''}`, '');
+        parts.push(`- URL: ${escapeMarkdown(page.url)}`);
+        if (page.finalUrl && page.finalUrl !== page.url) parts.push(`- Landed on: ${escapeMarkdown(page.finalUrl)}`);
+        if (page.discoveredFrom) parts.push(`- Linked from: ${escapeMarkdown(page.discoveredFrom)} (depth ${page.depth})`);
+        pageFindings(page).forEach(([label, value]) => parts.push(`- ${label}: ${escapeMarkdown(value)}`));
+        parts.push('');
+        if (page.screenshotKey) parts.push(`![Screenshot of P${page.index}](${page.screenshotKey})`, '');
+    });
+
+    return parts.join('\n');
+}
+
+// Function to render the standalone HTML report; screenshots maps keys to PNG buffers to inline
+function renderHtmlReport(results, { screenshots = {} } = {}) {
+    const matrix = marketMatrix(results);
+    const generic = results.summary.genericTerms || [];
+    const list = items => `<ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+
+    const pages = (results.pages || []).map(page => {
+        const screenshot = page.screenshotKey && (screenshots[page.screenshotKey]
+            ? `data:image/png;base64,${screenshots[page.screenshotKey].toString('base64')}`
+            : page.screenshotKey);
+        return [
+            `<section class="page${page.failed ? ' failed' : ''}" id="p${page.index}">`,
+            `<h3>P${page.index}: ${escapeHtml(page.title || page.url)}${page.failed ? ' (failed)' : ''}</h3>`,
+            `<p><a href="${escapeHtml(page.url)}">${escapeHtml(page.url)}</a>` +
+                (page.finalUrl && page.finalUrl !== page.url ? ` → ${escapeHtml(page.finalUrl)}` : '') +
+                (page.discoveredFrom ? `<br><small>Linked from ${escapeHtml(page.discoveredFrom)} (depth ${page.depth})</small>` : '') + '</p>',
+            `<dl>${pageFindings(page).map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('')}</dl>`,
+            screenshot ? `<details><summary>Screenshot</summary><img src="${escapeHtml(screenshot)}" alt="Screenshot of P${page.index}"></details>` : '',
+            '</section>',
+        ].join('\n');
+    });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(results.platform)} data source analysis - ${escapeHtml(results.analysisDate)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 1200px; padding: 0 1rem; color: #222; }
+h1 { border-bottom: 2px solid #333; } h2 { margin-top: 2.5rem; border-bottom: 1px solid #ccc; }
+table { border-collapse: collapse; width: 100%; font-size: 0.9rem; margin: 0.5rem 0 1rem; }
+th, td { border: 1px solid #ddd; padding: 0.3rem 0.5rem; text-align: left; vertical-align: top; }
+th { background: #f3f3f3; } tr:nth-child(even) td { background: #fafafa; }
+.page { border: 1px solid #ddd; border-radius: 4px; padding: 0 1rem 1rem; margin: 1rem 0; }
+.page.failed { border-color: #d33; }
+dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.2rem 1rem; } dt { font-weight: 600; } dd { margin: 0; }
+img { max-width: 100%; border: 1px solid #ccc; margin-top: 0.5rem; }
+.empty, small { color: #777; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(results.platform)} data source analysis</h1>
+<h2>Executive summary</h2>
+${list(summaryItems(results))}
+<h3>Recommendations</h3>
+${list(results.recommendations)}
+<h2>Data providers</h2>
+${htmlTable(providerTable(results))}
+${generic.length > 0 ? `<p>Generic terms (not providers): ${escapeHtml(generic.join(', '))}</p>` : ''}
+<h3>Data source evidence</h3>
+${htmlTable(evidenceTable(results))}
+<h2>Market coverage</h2>
+${htmlTable(matrix)}
+${matrix.rows.length > 0 ? list(matrix.legend) : ''}
+<h2>Endpoint catalog</h2>
+${htmlTable(endpointTable(results))}
+<h2>Forecasting</h2>
+${htmlTable(forecastingTable(results))}
+<h2>Price normalization</h2>
+${htmlTable(normalizationTable(results))}
+<h2>Downloads</h2>
+${htmlTable(downloadTable(results))}
+<h2>Crawl errors</h2>
+${htmlTable(crawlErrorTable(results))}
+<h2>Pages</h2>
+${pages.join('\n')}
+</body>
+</html>
+`;
+}
+
+// Function to render both reports and store them; returns the keys written
+async function writeReports(results, { store, embedScreenshots = true }) {
+    const screenshots = {};
+    if (embedScreenshots) {
+        for (const page of results.pages || []) {
+            if (!page.screenshotKey) continue;
+            const buffer = await store.getValue(page.screenshotKey);
+            if (buffer) screenshots[page.screenshotKey] = buffer;
+        }
+    }
+
+    await store.setValue(HTML_REPORT_KEY, renderHtmlReport(results, { screenshots }), { contentType: 'text/html; charset=utf-8' });
+    await store.setValue(MARKDOWN_REPORT_KEY, renderMarkdownReport(results), { contentType: 'text/markdown; charset=utf-8' });
+
+    return [HTML_REPORT_KEY, MARKDOWN_REPORT_KEY];
+}
+
+module.exports = {
+    HTML_REPORT_KEY,
+    MARKDOWN_REPORT_KEY,
+    renderMarkdownReport,
+    renderHtmlReport,
+    writeReports,
+};
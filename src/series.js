@@ -0,0 +1,541 @@
+// Series export - normalizes every numeric time series found (tables, charts, API payloads) into long
+// rows (series_id, source_page, market, product, date, value, unit, is_forecast, plus the normalized
+// price and its grade, species and form when src/normalize.js could read them) and a series metadata
+// table, and writes them as CSV, NDJSON, columnar JSON and SQLite. Rows are upserted by
+// (series_id, date) into the rows kept from previous runs, so repeated runs never duplicate points.
+// Kept rows are stored one record per series and capped to the latest dates of each series, so the
+// history never outgrows a Key-Value store record.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseNumber, parseDate } = require('./parsers');
+const { parseCsv, toCsv } = require('./csv');
+const { matchTerms } = require('./profiles');
+const { detectUnit } = require('./charts');
+const { normalizeSegment } = require('./network');
+const { SENSITIVE_PARAM_PATTERN } = require('./redaction');
+
+const LONG_COLUMNS = [
+    { name: 'series_id', type: 'string' },
+    { name: 'source_page', type: 'string' },
+    { name: 'market', type: 'string' },
+    { name: 'product', type: 'string' },
+    { name: 'date', type: 'date' },
+    { name: 'value', type: 'double' },
+    { name: 'unit', type: 'string' },
+    { name: 'is_forecast', type: 'boolean' },
+    { name: 'normalized_value', type: 'double' },
+    { name: 'normalized_unit', type: 'string' },
+    { name: 'grade', type: 'string' },
+    { name: 'species', type: 'string' },
+    { name: 'form', type: 'string' },
+];
+
+const METADATA_COLUMNS = [
+    'series_id', 'source_kind', 'source_page', 'source_detail', 'name', 'market', 'product', 'unit',
+    'normalized_unit', 'exchange_rate', 'grade', 'species', 'form', 'ui_state', 'points', 'forecast_points', 'first_date', 'last_date', 'first_seen', 'last_seen',
+];
+
+const SERIES_FORMATS = ['csv', 'ndjson', 'columnar', 'sqlite'];
+
+// Dates kept per series across runs (the oldest are dropped first)
+const DEFAULT_MAX_POINTS_PER_SERIES = 5000;
+
+// SQLite column types for the long rows and the metadata table (other metadata columns are TEXT)
+const SQLITE_TYPES = { string: 'TEXT', date: 'TEXT', double: 'REAL', boolean: 'INTEGER' };
+const METADATA_SQLITE_TYPES = { points: 'INTEGER', forecast_points: 'INTEGER', exchange_rate: 'REAL' };
+
+const EXPORT_KEYS = {
+    csv: 'series.csv',
+    ndjson: 'series.ndjson',
+    columnar: 'series.columns.json',
+    sqlite: 'series.sqlite',
+    metadata: 'series_metadata.csv',
+};
+
+// Payload keys that mark a point (or the array holding it) as forecast
+const FORECAST_HINT = /forecast|predict|projection|outlook|estimate/i;
+const DATE_KEY_HINT = /^(date|day|month|period|time|timestamp|ts|x|week|year|as_?of|observation_?date)$/i;
+// Record fields that describe the product priced (kept as series labels for normalization)
+const PRODUCT_KEY_HINT = /^(grade|size|count|species|product|form|presentation|variety)$/i;
+const MAX_PAYLOAD_DEPTH = 8;
+
+// Query parameters that change on every request (cache-busters, timestamps, tracking) instead of selecting data
+const VOLATILE_PARAM_PATTERN = /^(_|_?t|_?ts|timestamp|cb|cache_?buster|no_?cache|rand(om)?|nonce|_dc|utm_\w+)$/i;
+// Path segment placeholders (see normalizeSegment) for values that differ between requests for the same data
+const VOLATILE_SEGMENTS = [':date', ':hash', ':token'];
+
+// Function to derive a stable series ID from what identifies a series (same inputs across runs, same ID)
+function seriesId(parts) {
+    return crypto.createHash('sha1').update(JSON.stringify(parts)).digest('hex').slice(0, 16);
+}
+
+// Function to identify an API series by its route and the query parameters that select its data, so
+// cache-busters, timestamps and tokens do not make it a new series on every run (numeric and UUID
+// path segments are kept: /api/series/12 and /api/series/13 are different series)
+function payloadIdentity(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return url;
+    }
+    const route = parsed.pathname.split('/').map(segment => {
+        const normalized = segment ? normalizeSegment(segment) : segment;
+        return VOLATILE_SEGMENTS.includes(normalized) ? normalized : segment;
+    }).join('/');
+    const params = [...parsed.searchParams.entries()]
+        .filter(([name, value]) => !VOLATILE_PARAM_PATTERN.test(name) && !SENSITIVE_PARAM_PATTERN.test(name) && !/^\d{10,13}$/.test(value))
+        .map(([name, value]) => `${name}=${value}`)
+        .sort();
+    return `${parsed.host}${route}${params.length > 0 ? `?${params.join('&')}` : ''}`;
+}
+
+// Function to read a date value (ISO/locale string or epoch seconds/milliseconds) as YYYY-MM-DD
+function normalizeDate(value, dateOrder = 'mdy') {
+    if (typeof value === 'number') {
+        const ms = value > 1e11 ? value : (value > 1e8 ? value * 1000 : null);
+        return ms ? new Date(ms).toISOString().slice(0, 10) : null;
+    }
+    if (typeof value !== 'string') return null;
+    return parseDate(value, { dateOrder });
+}
+
+// Function to join a currency and a unit into one label ("USD" + "kg" -> "USD/kg")
+function unitLabel(currency, unit) {
+    if (currency && unit && !String(unit).includes(currency)) return `${currency}/${unit}`;
+    return unit || currency || null;
+}
+
+// Function to tag a series with the market and product its labels mention
+// (market: first market term in taxonomy order; product: the most specific commodity term, else the profile commodity)
+function classifySeries(texts, profile) {
+    let decoded = texts.filter(Boolean).join(' ');
+    try {
+        decoded = decodeURIComponent(decoded);
+    } catch (error) {
+        // Keep the raw text when it holds a stray %
+    }
+    const text = decoded.replace(/[?&=_/.-]+/g, ' ');
+    const [market] = matchTerms(text, profile.taxonomies.markets);
+    const products = matchTerms(text, profile.taxonomies.commodity)
+        .filter(entry => entry.term !== String(profile.commodity).toLowerCase())
+        .sort((a, b) => b.weight - a.weight);
+    return {
+        market: market ? market.term : null,
+        product: products.length > 0 ? products[0].term : profile.commodity || null,
+    };
+}
+
+// Function to turn arrays of records into series: one series per numeric field of records that carry a date
+function seriesFromRecords(records, { name, forecastStart = null, forceForecast = false, dateOrder }) {
+    const sample = records.slice(0, 20).filter(record => record && typeof record === 'object' && !Array.isArray(record));
+    if (sample.length === 0) return [];
+
+    const keys = [...new Set(sample.flatMap(record => Object.keys(record)))];
+    const dateKey = keys
+        .filter(key => sample.every(record => record[key] === undefined || normalizeDate(record[key], dateOrder)))
+        .sort((a, b) => Number(DATE_KEY_HINT.test(b)) - Number(DATE_KEY_HINT.test(a)))[0];
+    if (!dateKey || (typeof sample[0][dateKey] === 'number' && !DATE_KEY_HINT.test(dateKey))) return [];
+
+    const valueKeys = keys.filter(key => key !== dateKey && sample.some(record => {
+        const value = record[key];
+        return typeof value === 'number' || (typeof value === 'string' && /\d/.test(value) && parseNumber(value) && !normalizeDate(value, dateOrder));
+    }));
+    const readText = (record, pattern) => {
+        const key = Object.keys(record).find(k => pattern.test(k) && typeof record[k] === 'string');
+        return key ? record[key] : null;
+    };
+
+    return valueKeys.map(key => {
+        const points = records.map(record => {
+            if (!record || typeof record !== 'object') return null;
+            const date = normalizeDate(record[dateKey], dateOrder);
+            const number = parseNumber(record[key]);
+            if (!date || !number) return null;
+            const flagged = record.isForecast === true || record.is_forecast === true || FORECAST_HINT.test(String(record.type || record.kind || ''));
+            return { date, value: number.value, isForecast: forceForecast || flagged || Boolean(forecastStart && date >= forecastStart) };
+        }).filter(Boolean);
+        const first = sample[0];
+        return {
+            name: valueKeys.length === 1 && /^(value|y|price|close|amount)$/i.test(key) ? name : `${name}.${key}`,
+            unit: unitLabel(readText(first, /^currency$/i), readText(first, /^(unit|units|uom)$/i)),
+            labels: Object.keys(first).filter(k => PRODUCT_KEY_HINT.test(k) && typeof first[k] === 'string').map(k => first[k]),
+            points,
+        };
+    }).filter(s => s.points.length > 0);
+}
+
+// Function to find the time series in a parsed JSON payload
+// (arrays of dated records, or arrays of [date, value] pairs, anywhere in the document)
+function seriesFromPayload(payload, { dateOrder = 'mdy' } = {}) {
+    const found = [];
+
+    const walk = (value, pathName, depth, forecastStart, inForecast) => {
+        if (depth > MAX_PAYLOAD_DEPTH || value === null || typeof value !== 'object') return;
+
+        if (Array.isArray(value)) {
+            const isForecast = inForecast || FORECAST_HINT.test(pathName);
+            const label = pathName || 'series';
+            if (value.length > 0 && value.every(item => Array.isArray(item) && item.length >= 2)) {
+                const points = value.map(([x, y]) => {
+                    const date = normalizeDate(x, dateOrder);
+                    const number = parseNumber(y);
+                    return date && number ? { date, value: number.value, isForecast: isForecast || Boolean(forecastStart && date >= forecastStart) } : null;
+                }).filter(Boolean);
+                if (points.length > 0) found.push({ name: label, unit: null, labels: [], points });
+                return;
+            }
+            const series = seriesFromRecords(value, { name: label, forecastStart, forceForecast: isForecast, dateOrder });
+            if (series.length > 0) {
+                found.push(...series);
+                return;
+            }
+            value.slice(0, 5).forEach((item, index) => walk(item, `${label}[${index}]`, depth + 1, forecastStart, isForecast));
+            return;
+        }
+
+        const startKey = Object.keys(value).find(key => /^forecast_?start(_?date)?$/i.test(key));
+        const start = startKey ? normalizeDate(value[startKey], dateOrder) || forecastStart : forecastStart;
+        Object.entries(value).forEach(([key, item]) => {
+            walk(item, pathName ? `${pathName}.${key}` : key, depth + 1, start, inForecast);
+        });
+    };
+    walk(payload, '', 0, null, false);
+
+    return found;
+}
+
+// Function to find the time series in a captured CSV payload
+function seriesFromCsvPayload(text, { dateOrder = 'mdy' } = {}) {
+    const [headers, ...rows] = parseCsv(text);
+    if (!headers || rows.length === 0) return [];
+    const records = rows.map(row => Object.fromEntries(headers.map((header, i) => [header, row[i]])));
+    return seriesFromRecords(records, { name: 'csv', dateOrder });
+}
+
+// Function to gather series from extracted tables, charts and payload series into one list
+function collectSeries({ tables = [], charts = [], payloads = [], profile, dateOrder = 'mdy' }) {
+    const collected = [];
+    // identity defaults to the detail; tables pass their caption or headers, as their CSV key carries
+    // the page number, which follows dispatch order and changes between runs
+    const add = (kind, { page, detail, identity = detail, name, unit, uiState = null, labels = [], normalization = null }, points) => {
+        if (points.length === 0) return;
+        const { market, product } = classifySeries([name, detail, page, uiState, ...labels], profile);
+        collected.push({
+            seriesId: seriesId([kind, page, identity, name, uiState]),
+            sourceKind: kind,
+            sourcePage: page,
+            sourceDetail: detail,
+            name,
+            market,
+            product,
+            unit,
+            uiState,
+            normalization,
+            points,
+        });
+    };
+
+    tables.forEach(table => (table.series || []).forEach(s => {
+        const isForecast = FORECAST_HINT.test(s.name || '');
+        const points = s.points
+            .filter(p => p.date && typeof p.value === 'number')
+            .map(p => ({ date: p.date, value: p.value, isForecast, normalizedValue: p.normalizedValue }));
+        // Headers such as "Price (USD/kg)" name the unit when cells only carry a currency
+        const labelled = detectUnit([s.name, table.caption]);
+        const unit = labelled && labelled.includes('/') ? labelled : unitLabel(s.currency, s.unit) || labelled;
+        const identity = table.caption || (table.headers || []).join(' | ') || `table ${table.index}`;
+        add('table', { page: table.url, detail: table.csvKey || `table ${table.index}`, identity, name: s.name, unit, uiState: table.uiState, labels: [table.caption], normalization: s.normalization }, points);
+    }));
+
+    charts.forEach(chart => chart.series.filter(s => s.role !== 'interval').forEach(s => {
+        const points = s.points
+            .map(p => ({ date: normalizeDate(p.x, dateOrder), value: p.y, isForecast: Boolean(p.isForecast), normalizedValue: p.normalizedValue }))
+            .filter(p => p.date && typeof p.value === 'number');
+        add('chart', { page: chart.url, detail: `chart ${chart.title || chart.selector}`, name: s.name, unit: s.unit || chart.unit, labels: [chart.title], normalization: s.normalization }, points);
+    }));
+
+    payloads.forEach(payload => payload.series.forEach(s => {
+        const points = s.points.map(p => ({ date: p.date, value: p.value, isForecast: p.isForecast, normalizedValue: p.normalizedValue }));
+        add('api', { page: payload.pageUrl, detail: payload.url, identity: payloadIdentity(payload.url), name: s.name, unit: s.unit, uiState: payload.uiState, labels: s.labels, normalization: s.normalization }, points);
+    }));
+
+    return collected;
+}
+
+// Function to read a series' normalized fields for its rows (empty when it was not normalized)
+function normalizedFields(s) {
+    const normalization = s.normalization || {};
+    return {
+        normalized_unit: normalization.convertible ? normalization.normalizedUnit : null,
+        grade: normalization.grade ? normalization.grade.label : null,
+        species: normalization.species || null,
+        form: normalization.form || null,
+    };
+}
+
+// Function to flatten series into long rows
+function toLongRows(series) {
+    return series.flatMap(s => {
+        const { normalized_unit: normalizedUnit, grade, species, form } = normalizedFields(s);
+        return s.points.map(point => ({
+            series_id: s.seriesId,
+            source_page: s.sourcePage,
+            market: s.market,
+            product: s.product,
+            date: point.date,
+            value: point.value,
+            unit: s.unit,
+            is_forecast: point.isForecast,
+            normalized_value: typeof point.normalizedValue === 'number' ? point.normalizedValue : null,
+            normalized_unit: normalizedUnit,
+            grade,
+            species,
+            form,
+        }));
+    });
+}
+
+// Function to describe each series for the metadata table
+function toMetadataRows(series, runDate) {
+    return series.map(s => {
+        const dates = s.points.map(p => p.date).sort();
+        return {
+            series_id: s.seriesId,
+            source_kind: s.sourceKind,
+            source_page: s.sourcePage,
+            source_detail: s.sourceDetail,
+            name: s.name,
+            market: s.market,
+            product: s.product,
+            unit: s.unit,
+            ...normalizedFields(s),
+            exchange_rate: s.normalization && s.normalization.convertible ? s.normalization.exchangeRate : null,
+            ui_state: s.uiState,
+            points: s.points.length,
+            forecast_points: s.points.filter(p => p.isForecast).length,
+            first_date: dates[0],
+            last_date: dates[dates.length - 1],
+            first_seen: runDate,
+            last_seen: runDate,
+        };
+    });
+}
+
+// Function to upsert rows by (series_id, date): current values replace earlier ones, earlier points are kept
+function mergeRows(previous, current) {
+    const merged = new Map(previous.map(row => [`${row.series_id}|${row.date}`, row]));
+    let added = 0;
+    let updated = 0;
+    current.forEach(row => {
+        const key = `${row.series_id}|${row.date}`;
+        const before = merged.get(key);
+        if (!before) added++;
+        else if (before.value !== row.value || before.is_forecast !== row.is_forecast) updated++;
+        merged.set(key, row);
+    });
+    const rows = [...merged.values()].sort((a, b) => (
+        a.series_id.localeCompare(b.series_id) || a.date.localeCompare(b.date)
+    ));
+    return { rows, added, updated };
+}
+
+// Function to upsert series metadata by series_id, keeping when a series was first seen
+function mergeMetadata(previous, current) {
+    const merged = new Map(previous.map(row => [row.series_id, row]));
+    current.forEach(row => {
+        const before = merged.get(row.series_id);
+        merged.set(row.series_id, before ? { ...row, first_seen: before.first_seen } : row);
+    });
+    return [...merged.values()].sort((a, b) => a.series_id.localeCompare(b.series_id));
+}
+
+// Function to keep the latest maxPoints dates of each series (rows sorted by series and date)
+function capHistory(rows, maxPoints) {
+    const counts = new Map();
+    rows.forEach(row => counts.set(row.series_id, (counts.get(row.series_id) || 0) + 1));
+    const seen = new Map();
+    return rows.filter(row => {
+        const index = seen.get(row.series_id) || 0;
+        seen.set(row.series_id, index + 1);
+        return index >= counts.get(row.series_id) - maxPoints;
+    });
+}
+
+// Function to name the state record holding one series' kept rows
+function shardKey(stateKey, id) {
+    return `${stateKey}-${id}`;
+}
+
+// Function to read the kept rows and metadata: an index record (metadata and series IDs) plus one
+// record of rows per series; earlier versions kept every row in the index record itself
+async function loadSeriesState(stateStore, stateKey) {
+    const index = (stateStore && await stateStore.getValue(stateKey)) || { metadata: [], series: [] };
+    if (index.rows) return { rows: index.rows, metadata: index.metadata || [], legacy: true };
+
+    const rows = [];
+    for (const id of index.series || []) {
+        rows.push(...((await stateStore.getValue(shardKey(stateKey, id))) || []));
+    }
+    return { rows, metadata: index.metadata || [], legacy: false };
+}
+
+// Function to store the kept rows of the series seen this run (every series when converting an old
+// single-record state) and the index record
+async function saveSeriesState(stateStore, stateKey, { rows, metadata, touched, legacy }) {
+    const bySeries = new Map();
+    rows.forEach(row => {
+        if (!bySeries.has(row.series_id)) bySeries.set(row.series_id, []);
+        bySeries.get(row.series_id).push(row);
+    });
+    for (const [id, seriesRows] of bySeries) {
+        if (legacy || touched.has(id)) await stateStore.setValue(shardKey(stateKey, id), seriesRows);
+    }
+    // The SQLite file is rebuilt from the kept rows on every run; older versions also kept a copy
+    if (legacy) await stateStore.setValue(EXPORT_KEYS.sqlite, null);
+    await stateStore.setValue(stateKey, { metadata, series: [...bySeries.keys()] });
+}
+
+// Function to write row objects as CSV with the given columns
+function rowsToCsv(rows, columns) {
+    return toCsv([columns, ...rows.map(row => columns.map(column => row[column]))]);
+}
+
+// Function to write row objects as newline-delimited JSON
+function rowsToNdjson(rows) {
+    return rows.map(row => JSON.stringify(row)).join('\n') + (rows.length > 0 ? '\n' : '');
+}
+
+// Function to write rows column by column (Parquet-style: a schema plus one array per column)
+function rowsToColumnar(rows) {
+    return {
+        format: 'columnar',
+        rowCount: rows.length,
+        columns: LONG_COLUMNS,
+        data: Object.fromEntries(LONG_COLUMNS.map(({ name }) => [name, rows.map(row => row[name])])),
+    };
+}
+
+// Function to load the SQLite driver, which is only needed for the sqlite format
+function loadSqlite() {
+    try {
+        return require('better-sqlite3');
+    } catch (error) {
+        throw new Error(`SQLite export needs the better-sqlite3 package (npm install better-sqlite3): ${error.message}`);
+    }
+}
+
+// Function to write rows and metadata into a new SQLite database
+function writeSqlite({ rows, metadata }) {
+    const Database = loadSqlite();
+    const file = path.join(os.tmpdir(), `series-${process.pid}-${Date.now()}.sqlite`);
+
+    const rowTypes = Object.fromEntries(LONG_COLUMNS.map(({ name, type }) => [name, SQLITE_TYPES[type]]));
+    const metadataTypes = Object.fromEntries(METADATA_COLUMNS.map(column => [column, METADATA_SQLITE_TYPES[column] || 'TEXT']));
+
+    const db = new Database(file);
+    try {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS series (
+                ${Object.entries(rowTypes).map(([column, type]) => `${column} ${type}${['series_id', 'date'].includes(column) ? ' NOT NULL' : ''}`).join(', ')},
+                PRIMARY KEY (series_id, date)
+            );
+            CREATE TABLE IF NOT EXISTS series_metadata (
+                ${Object.entries(metadataTypes).map(([column, type]) => `${column} ${type}`).join(', ')},
+                PRIMARY KEY (series_id)
+            );
+        `);
+        const insertRow = db.prepare(`
+            INSERT INTO series (${LONG_COLUMNS.map(c => c.name).join(', ')})
+            VALUES (${LONG_COLUMNS.map(c => `@${c.name}`).join(', ')})
+            ON CONFLICT (series_id, date) DO UPDATE SET
+                ${LONG_COLUMNS.filter(c => !['series_id', 'date'].includes(c.name)).map(c => `${c.name} = excluded.${c.name}`).join(', ')}
+        `);
+        const insertMetadata = db.prepare(`
+            INSERT INTO series_metadata (${METADATA_COLUMNS.join(', ')})
+            VALUES (${METADATA_COLUMNS.map(c => `@${c}`).join(', ')})
+            ON CONFLICT (series_id) DO UPDATE SET
+                ${METADATA_COLUMNS.filter(c => !['series_id', 'first_seen'].includes(c)).map(c => `${c} = excluded.${c}`).join(', ')}
+        `);
+        // SQLite binds numbers, strings and null only
+        const bindable = (row, columns) => Object.fromEntries(columns.map(column => [column, row[column] === undefined ? null : row[column]]));
+        db.transaction(() => {
+            rows.forEach(row => insertRow.run(bindable({ ...row, is_forecast: row.is_forecast ? 1 : 0 }, LONG_COLUMNS.map(c => c.name))));
+            metadata.forEach(row => insertMetadata.run(bindable(row, METADATA_COLUMNS)));
+        })();
+    } finally {
+        db.close();
+    }
+
+    const buffer = fs.readFileSync(file);
+    fs.unlinkSync(file);
+    return buffer;
+}
+
+// Function to export this run's series, upserting into the rows kept in the state store from earlier runs
+async function writeSeriesExports(series, {
+    store, stateStore = null, stateKey, formats, runDate = new Date().toISOString(), maxPointsPerSeries = DEFAULT_MAX_POINTS_PER_SERIES,
+}) {
+    const state = await loadSeriesState(stateStore, stateKey);
+    const merged = mergeRows(state.rows, toLongRows(series));
+    const rows = capHistory(merged.rows, maxPointsPerSeries);
+    const { added, updated } = merged;
+    const metadata = mergeMetadata(state.metadata, toMetadataRows(series, runDate));
+
+    const outputs = {
+        csv: () => [rowsToCsv(rows, LONG_COLUMNS.map(c => c.name)), 'text/csv'],
+        ndjson: () => [rowsToNdjson(rows), 'application/x-ndjson'],
+        columnar: () => [JSON.stringify(rowsToColumnar(rows)), 'application/json'],
+        sqlite: () => [writeSqlite({ rows, metadata }), 'application/vnd.sqlite3'],
+    };
+
+    const keys = [];
+    for (const format of formats) {
+        const [value, contentType] = await outputs[format]();
+        await store.setValue(EXPORT_KEYS[format], value, { contentType });
+        keys.push(EXPORT_KEYS[format]);
+    }
+    await store.setValue(EXPORT_KEYS.metadata, rowsToCsv(metadata, METADATA_COLUMNS), { contentType: 'text/csv' });
+    keys.push(EXPORT_KEYS.metadata);
+    if (stateStore) {
+        await saveSeriesState(stateStore, stateKey, { rows, metadata, touched: new Set(series.map(s => s.seriesId)), legacy: state.legacy });
+    }
+
+    return {
+        keys,
+        series: metadata.length,
+        seriesThisRun: series.length,
+        rows: rows.length,
+        added,
+        updated,
+    };
+}
+
+module.exports = {
+    LONG_COLUMNS,
+    METADATA_COLUMNS,
+    SERIES_FORMATS,
+    DEFAULT_MAX_POINTS_PER_SERIES,
+    EXPORT_KEYS,
+    seriesId,
+    payloadIdentity,
+    classifySeries,
+    seriesFromPayload,
+    seriesFromCsvPayload,
+    collectSeries,
+    toLongRows,
+    toMetadataRows,
+    mergeRows,
+    mergeMetadata,
+    capHistory,
+    rowsToCsv,
+    rowsToNdjson,
+    rowsToColumnar,
+    loadSqlite,
+    writeSqlite,
+    writeSeriesExports,
+};
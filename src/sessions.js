@@ -0,0 +1,123 @@
+// Session pool - lets parallel crawl pages share one authenticated login. Each login's cookies and
+// localStorage form a session generation that pages receive before they navigate. A page that lands
+// back on the login page (or fails the profile's login check) retires its generation; the first page
+// to notice logs in again while the others wait, then every page picks up the new generation.
+
+// Function to create the session pool for a run
+function createSessionPool({ auth, maxReLogins = 2, log = console }) {
+    const generations = [];
+    const pageGenerations = new WeakMap();  // page -> generation id it was given
+    let firstLogin = null;
+    let rebuild = null;
+    let healthChecks = 0;
+    let loggedOutPages = 0;
+
+    // Function to return the live generation, if any
+    function current() {
+        const latest = generations[generations.length - 1];
+        return latest && !latest.retiredAt ? latest : null;
+    }
+
+    // Function to start a generation after a successful (re)login
+    function openGeneration(method) {
+        const generation = { id: generations.length + 1, method, createdAt: new Date().toISOString(), pages: 0, retiredAt: null, retiredReason: null };
+        generations.push(generation);
+        return generation;
+    }
+
+    // Function to give a page the live generation's cookies and localStorage (once per generation)
+    async function applyTo(page) {
+        const generation = current();
+        if (!generation || pageGenerations.get(page) === generation.id) return;
+        await auth.applySession(page);
+        pageGenerations.set(page, generation.id);
+    }
+
+    return {
+        // Function to inject the saved/live session into a fresh page before it navigates
+        async prepare(page) {
+            await auth.applySession(page);
+            const generation = current();
+            if (generation) pageGenerations.set(page, generation.id);
+        },
+
+        // Function to authenticate once for the whole crawl; pages that start meanwhile wait for that
+        // attempt and then receive its session
+        async authenticate(page, url) {
+            if (!firstLogin) {
+                if (!auth.shouldAuthenticate()) {
+                    firstLogin = Promise.resolve(false);
+                } else {
+                    firstLogin = auth.ensureAuthenticated(page, url).then(ok => {
+                        if (ok) pageGenerations.set(page, openGeneration(auth.state.method).id);
+                        return ok;
+                    });
+                }
+            }
+            const ok = await firstLogin;
+            if (ok) await applyTo(page);
+            return ok;
+        },
+
+        // Function to check that a page is still logged in: no bounce to the login page (also with no
+        // live generation: cookie-only runs and retired sessions), and the profile's success element /
+        // session cookie when a login is live and the profile defines one
+        async isHealthy(page) {
+            healthChecks++;
+            if (auth.isLoginRedirect(page.url())) return false;
+            if (!current()) return true;
+            return auth.hasSuccessCheck() ? auth.isAuthenticated(page) : true;
+        },
+
+        // Function to recover a page whose session was logged out: retire its generation and log in
+        // again (once for all pages that noticed), or just take the newer generation when another
+        // page already rebuilt it. Returns false when no new session could be built.
+        async recover(page, reason = 'logged out') {
+            loggedOutPages++;
+            const stale = pageGenerations.get(page);
+            const live = current();
+            if (live && live.id !== stale) {
+                await applyTo(page);
+                return true;
+            }
+
+            if (!rebuild) {
+                if (live) Object.assign(live, { retiredAt: new Date().toISOString(), retiredReason: reason });
+                if (!auth.hasCredentials() || auth.state.reLogins >= maxReLogins) {
+                    log.info(`🔒 Session ${live ? live.id : '-'} ${reason}; no re-login left (${auth.state.reLogins}/${maxReLogins})`);
+                    return false;
+                }
+                log.info(`🔁 Session ${live ? live.id : '-'} ${reason}, logging in again...`);
+                rebuild = auth.relogin(page).then(ok => {
+                    if (ok) pageGenerations.set(page, openGeneration('credentials').id);
+                    return ok;
+                }).finally(() => {
+                    rebuild = null;
+                });
+            }
+
+            const ok = await rebuild;
+            if (ok) await applyTo(page);
+            return ok;
+        },
+
+        // Function to count a finished page against the generation it used
+        release(page) {
+            const generation = generations.find(g => g.id === pageGenerations.get(page));
+            if (generation) generation.pages++;
+        },
+
+        stats() {
+            return {
+                generations: generations.map(g => ({ ...g })),
+                reLogins: auth.state.reLogins,
+                healthChecks,
+                loggedOutPages,
+            };
+        },
+    };
+}
+
+module.exports = {
+    createSessionPool,
+};
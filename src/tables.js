@@ -0,0 +1,293 @@
+// Table extractor - reads cell values from HTML and ARIA grid tables and turns them into
+// typed records and date-indexed time series
+
+const { parseNumber, parseDate, detectDecimalSeparator } = require('./parsers');
+const { toCsv } = require('./csv');
+
+// Keywords in headers/captions that mark a numeric table as a price table
+const PRICE_HINTS = ['price', 'prix', 'precio', 'preço', 'usd', 'eur', '$', '€', '/kg', '/lb', 'cost', 'value'];
+
+// Function to read the raw cell grid of every table on the page (runs in the browser)
+function readTablesInPage(maxRows) {
+    const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+
+    // Expand colspan/rowspan into a rectangular grid of cell texts
+    const buildGrid = rowElements => {
+        const grid = [];
+
+        rowElements.forEach((rowEl, rowIndex) => {
+            const row = grid[rowIndex] || (grid[rowIndex] = []);
+            let col = 0;
+
+            Array.from(rowEl.children).forEach(cellEl => {
+                while (row[col] !== undefined) col++;
+                const text = clean(cellEl.innerText);
+                const colspan = Math.max(1, parseInt(cellEl.getAttribute('colspan'), 10) || 1);
+                const rowspan = Math.max(1, parseInt(cellEl.getAttribute('rowspan'), 10) || 1);
+
+                for (let r = 0; r < rowspan; r++) {
+                    const target = grid[rowIndex + r] || (grid[rowIndex + r] = []);
+                    for (let c = 0; c < colspan; c++) target[col + c] = text;
+                }
+                col += colspan;
+            });
+        });
+
+        return grid.map(row => Array.from(row, cell => cell || ''));
+    };
+
+    const describe = el => {
+        if (el.id) return `#${el.id}`;
+        const className = typeof el.className === 'string' ? el.className.trim().split(/\s+/)[0] : '';
+        return className ? `${el.tagName.toLowerCase()}.${className}` : el.tagName.toLowerCase();
+    };
+
+    const results = [];
+
+    document.querySelectorAll('table').forEach((table, index) => {
+        const allRows = Array.from(table.rows);
+        const theadRows = table.tHead ? Array.from(table.tHead.rows) : [];
+        let headerCount = theadRows.length;
+
+        if (headerCount === 0) {
+            while (headerCount < allRows.length &&
+                Array.from(allRows[headerCount].cells).every(cell => cell.tagName === 'TH')) {
+                headerCount++;
+            }
+        }
+
+        const grid = buildGrid(allRows.slice(0, headerCount + maxRows));
+        results.push({
+            index,
+            kind: 'html',
+            selector: describe(table),
+            caption: clean(table.caption ? table.caption.innerText : table.getAttribute('aria-label')),
+            headerRows: grid.slice(0, headerCount),
+            bodyRows: grid.slice(headerCount),
+            totalRows: allRows.length - headerCount,
+            url: window.location.href,
+        });
+    });
+
+    document.querySelectorAll('[role="table"], [role="grid"], [role="treegrid"]').forEach((grid, index) => {
+        if (grid.tagName === 'TABLE') return;
+
+        const rowElements = Array.from(grid.querySelectorAll('[role="row"]'));
+        const headerRows = rowElements.filter(row => row.querySelector('[role="columnheader"]'));
+        const bodyRows = rowElements.filter(row => !row.querySelector('[role="columnheader"]'));
+        const readRow = row => Array.from(row.querySelectorAll('[role="columnheader"], [role="cell"], [role="gridcell"], [role="rowheader"]'))
+            .map(cell => clean(cell.innerText));
+
+        results.push({
+            index: `grid-${index}`,
+            kind: 'aria',
+            selector: describe(grid),
+            caption: clean(grid.getAttribute('aria-label')),
+            headerRows: headerRows.map(readRow),
+            bodyRows: bodyRows.slice(0, maxRows).map(readRow),
+            totalRows: bodyRows.length,
+            url: window.location.href,
+        });
+    });
+
+    return results;
+}
+
+// Function to flatten multi-row headers into one label per column ("2024 / Q1")
+function flattenHeaders(headerRows, width) {
+    const headers = [];
+    for (let col = 0; col < width; col++) {
+        const parts = [];
+        headerRows.forEach(row => {
+            const part = row[col];
+            if (part && parts[parts.length - 1] !== part) parts.push(part);
+        });
+        headers.push(parts.join(' / ') || `column_${col + 1}`);
+    }
+
+    // Make duplicate header labels unique so records keep every column
+    const seen = {};
+    return headers.map(header => {
+        seen[header] = (seen[header] || 0) + 1;
+        return seen[header] > 1 ? `${header} (${seen[header]})` : header;
+    });
+}
+
+// Function to check whether a row reads like a header row (labels rather than values)
+function looksLikeHeaderRow(row, nextRow) {
+    if (!row || !nextRow) return false;
+    const rowValues = row.filter(cell => parseNumber(cell) !== null).length;
+    const nextValues = nextRow.filter(cell => parseNumber(cell) !== null).length;
+    return rowValues === 0 && nextValues > 0 && row.every(cell => cell !== '');
+}
+
+// Function to decide the decimal separator used by a column of numeric strings
+function detectColumnDecimal(cells) {
+    for (const cell of cells) {
+        const match = String(cell).match(/\d[\d.,]*\d/);
+        if (!match) continue;
+        const numeric = match[0];
+        if (numeric.includes(',') && numeric.includes('.')) return detectDecimalSeparator(numeric);
+        if (/,\d{1,2}$|,\d{4,}$/.test(numeric)) return ',';
+        if (/\.\d{1,2}$|\.\d{4,}$/.test(numeric)) return '.';
+    }
+    return '.';
+}
+
+// Function to decide whether ambiguous numeric dates in a column are d/m/y or m/d/y
+function detectColumnDateOrder(cells, fallback) {
+    for (const cell of cells) {
+        const match = String(cell).match(/^(\d{1,2})[/.-](\d{1,2})[/.-]\d{2,4}$/);
+        if (!match) continue;
+        if (Number(match[1]) > 12) return 'dmy';
+        if (Number(match[2]) > 12) return 'mdy';
+    }
+    return fallback;
+}
+
+// Function to type a column (date, number or text) from its cells
+function profileColumn(name, cells, options) {
+    const filled = cells.filter(cell => cell !== '' && cell !== null && cell !== undefined);
+    const decimalSeparator = detectColumnDecimal(filled);
+    const dateOrder = detectColumnDateOrder(filled, options.dateOrder);
+
+    const dates = filled.filter(cell => parseDate(cell, { dateOrder }) !== null).length;
+    const numbers = filled.map(cell => parseNumber(cell, { decimalSeparator })).filter(Boolean);
+    const threshold = Math.max(1, Math.ceil(filled.length * 0.8));
+
+    let type = 'text';
+    if (filled.length > 0 && dates >= threshold) type = 'date';
+    else if (filled.length > 0 && numbers.length >= threshold) type = 'number';
+
+    const firstWith = key => (numbers.find(n => n[key]) || {})[key] || null;
+    const currency = type === 'number' ? firstWith('currency') : null;
+    const unit = type === 'number' ? firstWith('unit') : null;
+    const percent = type === 'number' && numbers.some(n => n.percent);
+
+    return { name, type, currency, unit, percent, decimalSeparator, dateOrder };
+}
+
+// Function to parse one cell according to its column profile
+function parseCell(cell, column) {
+    if (column.type === 'date') return parseDate(cell, { dateOrder: column.dateOrder });
+    if (column.type === 'number') {
+        const parsed = parseNumber(cell, { decimalSeparator: column.decimalSeparator });
+        return parsed ? parsed.value : null;
+    }
+    return cell === '' ? null : cell;
+}
+
+// Function to turn a raw cell grid into typed records and, when date-indexed, time series
+function structureTable(rawTable, options = {}) {
+    const settings = { dateOrder: 'mdy', ...options };
+    let headerRows = rawTable.headerRows || [];
+    let bodyRows = (rawTable.bodyRows || []).filter(row => row.some(cell => cell !== ''));
+
+    if (headerRows.length === 0 && looksLikeHeaderRow(bodyRows[0], bodyRows[1])) {
+        headerRows = [bodyRows[0]];
+        bodyRows = bodyRows.slice(1);
+    }
+
+    const width = Math.max(0, ...headerRows.map(row => row.length), ...bodyRows.map(row => row.length));
+    const headers = flattenHeaders(headerRows, width);
+    const columns = headers.map((name, col) => profileColumn(name, bodyRows.map(row => row[col] || ''), settings));
+
+    const records = bodyRows.map(row => {
+        const record = {};
+        columns.forEach((column, col) => {
+            record[column.name] = parseCell(row[col] || '', column);
+        });
+        return record;
+    });
+
+    // Date-indexed by rows: one date column plus numeric value columns
+    const dateColumn = columns.find(column => column.type === 'date');
+    const valueColumns = columns.filter(column => column.type === 'number');
+    let orientation = null;
+    let series = [];
+
+    if (dateColumn && valueColumns.length > 0) {
+        orientation = 'rows';
+        series = valueColumns.map(column => ({
+            name: column.name,
+            currency: column.currency,
+            unit: column.unit,
+            percent: column.percent,
+            points: records
+                .filter(record => record[dateColumn.name] && record[column.name] !== null)
+                .map(record => ({ date: record[dateColumn.name], value: record[column.name] })),
+        }));
+    } else {
+        // Date-indexed by columns: header labels are dates, each row is a series
+        const dateHeaders = headers
+            .map((header, col) => ({ col, date: parseDate(header.split(' / ').pop(), settings) }))
+            .filter(entry => entry.date);
+
+        if (dateHeaders.length >= 2 && dateHeaders.length >= (headers.length - 1) * 0.6) {
+            orientation = 'columns';
+            const labelCol = headers.findIndex((header, col) => !dateHeaders.some(entry => entry.col === col));
+            series = bodyRows.map((row, rowIndex) => {
+                const decimalSeparator = detectColumnDecimal(row);
+                const first = dateHeaders.map(entry => parseNumber(row[entry.col], { decimalSeparator })).find(Boolean) || {};
+                return {
+                    name: labelCol >= 0 ? row[labelCol] : `row_${rowIndex + 1}`,
+                    currency: first.currency || null,
+                    unit: first.unit || null,
+                    percent: Boolean(first.percent),
+                    points: dateHeaders
+                        .map(entry => ({ date: entry.date, value: parseNumber(row[entry.col], { decimalSeparator }) }))
+                        .filter(point => point.value !== null)
+                        .map(point => ({ date: point.date, value: point.value.value })),
+                };
+            }).filter(s => s.points.length > 0);
+        }
+    }
+
+    const isTimeSeries = series.some(s => s.points.length >= 2);
+    const labelText = [rawTable.caption, ...headers, ...series.map(s => s.name)].join(' ').toLowerCase();
+    const isPriceTable = isTimeSeries &&
+        (series.some(s => s.currency) || PRICE_HINTS.some(hint => labelText.includes(hint)));
+
+    return {
+        index: rawTable.index,
+        kind: rawTable.kind,
+        selector: rawTable.selector,
+        caption: rawTable.caption || null,
+        url: rawTable.url,
+        headers,
+        rowCount: rawTable.totalRows !== undefined ? rawTable.totalRows : bodyRows.length,
+        extractedRows: bodyRows.length,
+        columns,
+        rows: bodyRows,
+        records,
+        orientation,
+        dateColumn: orientation === 'rows' ? dateColumn.name : null,
+        isTimeSeries,
+        isPriceTable,
+        series,
+    };
+}
+
+// Function to extract and structure every table on the current page
+async function extractTablesFromPage(page, options = {}) {
+    const { maxRows = 5000 } = options;
+    const rawTables = await page.evaluate(readTablesInPage, maxRows);
+
+    return rawTables
+        .filter(table => table.headerRows.length > 0 || table.bodyRows.length > 0)
+        .map(table => structureTable(table, options));
+}
+
+// Function to serialize a structured table's parsed records as CSV
+function tableToCsv(table) {
+    const rows = table.records.map(record => table.headers.map(header => record[header]));
+    return toCsv([table.headers, ...rows]);
+}
+
+module.exports = {
+    readTablesInPage,
+    flattenHeaders,
+    structureTable,
+    extractTablesFromPage,
+    tableToCsv,
+};
@@ -0,0 +1,52 @@
+// Checks chart normalization: units, x values, series roles and forecast points from library state (no browser)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeX, detectUnit, classifySeriesRole, normalizeLibraryChart } = require('../src/charts');
+
+test('charts: units come from axis titles and series names', () => {
+    assert.equal(detectUnit(['Price (USD/kg)']), 'USD/kg');
+    assert.equal(detectUnit([null, 'USD per kg']), 'USD/kg');
+    assert.equal(detectUnit(['Share %']), '%');
+    assert.equal(detectUnit(['Volume']), null);
+});
+
+test('charts: timestamps become dates, category indexes stay numbers', () => {
+    assert.equal(normalizeX(1704067200000), '2024-01-01');
+    assert.equal(normalizeX(3, 'category'), 3);
+    assert.equal(normalizeX('2024-01-15T00:00:00Z'), '2024-01-15');
+    assert.equal(normalizeX(null), null);
+});
+
+test('charts: series roles come from names, fills and dashes', () => {
+    assert.equal(classifySeriesRole({ name: 'Forecast' }), 'forecast');
+    assert.equal(classifySeriesRole({ name: 'Upper bound' }), 'interval');
+    assert.equal(classifySeriesRole({ name: 'Price', dashed: true }), 'forecast');
+    assert.equal(classifySeriesRole({ name: 'Price' }), 'unknown');
+});
+
+test('charts: points from the forecast marker on are tagged as forecast', () => {
+    const chart = normalizeLibraryChart({
+        library: 'highcharts',
+        selector: '#price-chart',
+        title: 'Ecuador 30/40',
+        yAxisTitle: 'USD/kg',
+        xType: 'datetime',
+        markers: [{ label: 'Forecast', value: 1709251200000 }],
+        series: [{
+            name: 'Price',
+            points: [{ x: 1704067200000, y: 5.1 }, { x: 1706745600000, y: '5.2' }, { x: 1709251200000, y: 5.3 }, { x: 1711929600000, y: null }],
+        }],
+    });
+
+    assert.equal(chart.unit, 'USD/kg');
+    const [series] = chart.series;
+    assert.equal(series.role, 'actual+forecast');
+    assert.equal(series.forecastStart, '2024-03-01');
+    assert.deepEqual(series.points, [
+        { x: '2024-01-01', y: 5.1, isForecast: false },
+        { x: '2024-02-01', y: 5.2, isForecast: false },
+        { x: '2024-03-01', y: 5.3, isForecast: true },
+    ]);
+});
@@ -0,0 +1,163 @@
+// Checks parallel crawl batching in the frontier, the shared login session pool and page timing summaries (no browser)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createFrontier } = require('../src/frontier');
+const { createSessionPool } = require('../src/sessions');
+const { loadProfile } = require('../src/profiles');
+const { DOC_LINK_BOOST } = require('../src/docs');
+const { summarizeTimings } = require('../src/readiness');
+
+const profile = loadProfile('datapred-shrimp');
+const SITE = 'https://app.example.com';
+
+const link = (path, text) => ({ url: `${SITE}${path}`, text, source: 'anchor' });
+
+// Function to crawl a fake site in a given finish order and return the dispatched page list
+function crawlInOrder(reverse) {
+    const frontier = createFrontier({ startUrl: `${SITE}/`, profile, maxPages: 6, maxDocPages: 1, concurrency: 3 });
+    const pages = [frontier.seed(`${SITE}/`)];
+    frontier.offer([link('/markets', 'Markets'), link('/forecast', 'Price forecast')], { pageUrl: `${SITE}/`, depth: 0 });
+    frontier.done();
+
+    const batch = frontier.next();
+    pages.push(...batch);
+    assert.deepEqual(frontier.next(), [], 'the next batch waits for this one');
+
+    const finishing = reverse ? [...batch].reverse() : batch;
+    for (const request of finishing) {
+        const path = new URL(request.url).pathname;
+        frontier.offer([link(`${path}/shrimp-prices`, 'Shrimp prices'), { ...link(`${path}/methodology`, 'Methodology'), kind: 'docs', boost: DOC_LINK_BOOST }],
+            { pageUrl: request.url, depth: 1 });
+    }
+    finishing.forEach(() => frontier.done());
+    pages.push(...frontier.next());
+
+    return { frontier, pages: pages.map(p => [p.userData.pageNumber, p.url]) };
+}
+
+test('frontier: parallel batches dispatch the same pages whatever order pages finish in', () => {
+    const inOrder = crawlInOrder(false);
+    const reversed = crawlInOrder(true);
+
+    assert.deepEqual(inOrder.pages, reversed.pages);
+    assert.deepEqual(inOrder.pages.map(([number]) => number), [1, 2, 3, 4, 5, 6]);
+    assert.equal(inOrder.pages.filter(([, url]) => url.endsWith('/methodology')).length, 1, 'maxDocPages caps docs links');
+    assert.equal(inOrder.frontier.stats().batches, 3);
+});
+
+test('frontier: a URL skipped as too deep or weak is queued by a better link later, and queued ones are re-scored', () => {
+    const frontier = createFrontier({ startUrl: `${SITE}/`, profile, maxDepth: 1, maxPages: 10 });
+    frontier.seed(`${SITE}/`);
+
+    frontier.offer([link('/team', 'Team')], { pageUrl: `${SITE}/`, depth: 0 });
+    frontier.offer([link('/markets', 'Shrimp prices')], { pageUrl: `${SITE}/deep`, depth: 1 });
+    assert.deepEqual(frontier.stats().skipped, { outOfScope: 0, excluded: 0, tooDeep: 1, lowScore: 1 });
+
+    frontier.offer([{ ...link('/team', 'Team'), inNav: true }, link('/markets', 'Shrimp prices')], { pageUrl: `${SITE}/`, depth: 0 });
+    const stats = frontier.stats();
+    assert.deepEqual(stats.skipped, { outOfScope: 0, excluded: 0, tooDeep: 0, lowScore: 0 });
+    assert.equal(stats.discovered, 3);
+    const team = () => frontier.stats().topUnvisited.find(c => c.url.endsWith('/team'));
+    assert.equal(team().score, 1);
+
+    frontier.offer([link('/team', 'Shrimp price team')], { pageUrl: `${SITE}/`, depth: 0 });
+    assert.ok(team().score > 1, 'the better link re-scores the queued URL');
+    assert.equal(frontier.stats().queued, 2);
+    const batch = frontier.next(10);
+    assert.equal(batch.find(r => r.url.endsWith('/team')).userData.linkText, 'Shrimp price team');
+});
+
+// Function to create a fake authenticator whose logins take a tick
+function fakeAuth({ credentials = true } = {}) {
+    const calls = { logins: 0, applied: 0 };
+    const auth = {
+        state: { method: 'credentials', reLogins: 0 },
+        shouldAuthenticate: () => true,
+        hasCredentials: () => credentials,
+        hasSuccessCheck: () => false,
+        isLoginRedirect: url => url.endsWith('/login'),
+        async applySession() {
+            calls.applied++;
+        },
+        async ensureAuthenticated() {
+            calls.logins++;
+            await new Promise(resolve => setImmediate(resolve));
+            return true;
+        },
+        async relogin() {
+            auth.state.reLogins++;
+            await new Promise(resolve => setImmediate(resolve));
+            return true;
+        },
+    };
+    return { auth, calls };
+}
+
+test('sessions: one login is shared, and a logged-out session is rebuilt once for all pages', async () => {
+    const { auth, calls } = fakeAuth();
+    const sessions = createSessionPool({ auth, maxReLogins: 1, log: { info() {} } });
+    const pages = [1, 2, 3].map(n => ({ n, url: () => `${SITE}/page${n}` }));
+
+    await Promise.all(pages.map(page => sessions.prepare(page)));
+    assert.deepEqual(await Promise.all(pages.map(page => sessions.authenticate(page, `${SITE}/`))), [true, true, true]);
+    assert.equal(calls.logins, 1);
+
+    const loggedOut = { url: () => `${SITE}/login` };
+    assert.equal(await sessions.isHealthy(pages[0]), true);
+    assert.equal(await sessions.isHealthy(loggedOut), false);
+
+    assert.deepEqual(await Promise.all([sessions.recover(pages[0]), sessions.recover(pages[1])]), [true, true]);
+    assert.equal(auth.state.reLogins, 1, 'pages that noticed together share the re-login');
+    pages.forEach(page => sessions.release(page));
+
+    const stats = sessions.stats();
+    assert.deepEqual(stats.generations.map(g => [g.id, g.pages, Boolean(g.retiredAt)]), [[1, 1, true], [2, 2, false]]);
+    assert.equal(await sessions.recover(pages[2]), true, 'a page on the old session just takes the new one');
+    assert.equal(await sessions.recover(pages[0]), false, 'no re-login left');
+});
+
+test('sessions: a page bounced to the login form is unhealthy without a live session', async () => {
+    const { auth } = fakeAuth({ credentials: false });
+    auth.shouldAuthenticate = () => false;  // cookie-only run: no login, so no generation is opened
+    const sessions = createSessionPool({ auth, log: { info() {} } });
+    const page = { url: () => `${SITE}/markets` };
+    assert.equal(await sessions.authenticate(page, `${SITE}/`), false);
+
+    assert.equal(await sessions.isHealthy(page), true);
+    assert.equal(await sessions.isHealthy({ url: () => `${SITE}/login` }), false);
+    assert.equal(await sessions.recover(page), false, 'nothing to log in with, so the page fails instead of being extracted');
+});
+
+test('readiness: summarizes page timings, slowest pages and step timeouts', () => {
+    const page = (url, readyMs, totalMs, timedOut = []) => ({
+        url, timing: { navigationMs: 100, readiness: { readyMs, steps: { network: readyMs, dom: 0 }, timedOut }, extractionMs: totalMs - readyMs - 100, totalMs },
+    });
+    const timing = summarizeTimings([
+        page(`${SITE}/`, 600, 1000),
+        null,
+        { url: `${SITE}/broken`, failed: true },
+        page(`${SITE}/forecast`, 15000, 16000, ['spinners']),
+    ]);
+
+    assert.equal(timing.pages, 2);
+    assert.equal(timing.averageReadyMs, 7800);
+    assert.equal(timing.maxReadyMs, 15000);
+    assert.deepEqual(timing.averageStepMs, { network: 7800, spinners: null, selectors: null, dom: 0 });
+    assert.deepEqual(timing.timeouts, { network: 0, spinners: 1, selectors: 0, dom: 0 });
+    assert.deepEqual(timing.slowest.map(p => p.url), [`${SITE}/forecast`, `${SITE}/`]);
+    assert.equal(summarizeTimings([]), null);
+});
+
+test('readiness: pages that failed during extraction or were not navigated are left out of the averages', () => {
+    const finished = { url: `${SITE}/`, timing: { navigationMs: 200, readiness: { readyMs: 600, steps: {}, timedOut: [] }, extractionMs: 200, totalMs: 1000 } };
+    const failed = { url: `${SITE}/forecast`, failed: true, timing: { navigationMs: null, readiness: { readyMs: 900, steps: {}, timedOut: [] } } };
+    const timing = summarizeTimings([failed, finished]);
+
+    assert.equal(timing.pages, 2);
+    assert.equal(timing.averageNavigationMs, 200);
+    assert.equal(timing.averageReadyMs, 750);
+    assert.equal(timing.averageTotalMs, 1000);
+    assert.deepEqual(timing.slowest.map(p => p.url), [`${SITE}/`]);
+});
@@ -0,0 +1,87 @@
+// Checks run-over-run change detection: report snapshots, the structured diff and its recommendations (no browser)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { snapshotReport, diffReports, describeChanges } = require('../src/diff');
+
+const URL = 'https://app.example.com/markets';
+
+// Function to build a minimal stored report
+function report({ analysisDate = '2024-05-01T00:00:00.000Z', providers = ['Urner Barry'], markets = ['ecuador'], fields = ['date', 'value'], tables = [], charts = [] } = {}) {
+    return {
+        analysisDate,
+        summary: { likelyDataProviders: providers.map(name => ({ name })) },
+        markets: { identified: markets },
+        endpointCatalog: {
+            endpoints: [{
+                method: 'GET',
+                host: 'app.example.com',
+                route: '/api/prices',
+                schema: { type: 'array', items: { type: 'object', fields: Object.fromEntries(fields.map(field => [field, { type: 'string' }])) } },
+            }],
+        },
+        methodology: { dataTables: tables },
+        charts: { items: charts },
+    };
+}
+
+// Function to build a price table with one series
+function table({ uiState = null, rowCount = 2, points = [{ date: '2024-03-01', value: 5.4 }, { date: '2024-04-01', value: 5.32 }] } = {}) {
+    return {
+        url: URL,
+        uiState,
+        index: 0,
+        caption: 'Ecuador price',
+        headers: ['Date', 'Price (USD/kg)'],
+        rowCount,
+        series: [{ name: 'Price (USD/kg)', points }],
+    };
+}
+
+test('diff: an identical report has no changes', () => {
+    const previous = report({ tables: [table()] });
+    const diff = diffReports(previous, report({ analysisDate: '2024-06-01T00:00:00.000Z', tables: [table()] }));
+
+    assert.equal(diff.comparedTo, '2024-05-01T00:00:00.000Z');
+    assert.equal(diff.hasChanges, false);
+    assert.deepEqual(diff.summary, { added: 0, removed: 0, changed: 0 });
+    assert.deepEqual(describeChanges(diff), ['🔄 No changes since the previous run (2024-05-01T00:00:00.000Z)']);
+});
+
+test('diff: reports added and removed names, payload fields, table shape and revised values', () => {
+    const previous = report({ tables: [table()] });
+    const current = report({
+        providers: ['Urner Barry', 'USDA'],
+        markets: ['india'],
+        fields: ['date', 'value', 'forecast'],
+        tables: [table({ rowCount: 3, points: [{ date: '2024-03-01', value: 5.4 }, { date: '2024-04-01', value: 5.35 }, { date: '2024-05-01', value: 5.5 }] })],
+    });
+    const diff = diffReports(previous, current);
+
+    assert.deepEqual(diff.providers, { added: ['USDA'], removed: [] });
+    assert.deepEqual(diff.markets, { added: ['india'], removed: ['ecuador'] });
+    assert.deepEqual(diff.endpoints.changed, [{ endpoint: 'GET app.example.com/api/prices', fieldsAdded: ['[].forecast'], fieldsRemoved: [] }]);
+    assert.deepEqual(diff.tables.changed.map(change => change.rowCount), [{ from: 2, to: 3 }]);
+    const [series] = diff.series.changed;
+    assert.deepEqual(series.addedPoints, ['2024-05-01']);
+    assert.deepEqual(series.changedPoints, [{ x: '2024-04-01', from: 5.32, to: 5.35 }]);
+    assert.deepEqual(diff.summary, { added: 2, removed: 1, changed: 3 });
+
+    const lines = describeChanges(diff);
+    assert.ok(lines.includes('🔄 🏢 New providers since 2024-05-01T00:00:00.000Z: USDA'));
+    assert.ok(lines.includes('🔄 🌍 Markets no longer found since 2024-05-01T00:00:00.000Z: ecuador'));
+    assert.ok(lines.includes('🔄 📡 1 API endpoints changed payload schema: GET app.example.com/api/prices'));
+    assert.ok(lines.includes('🔄 📈 1 series updated: 1 new points, 1 revised values'));
+});
+
+test('diff: tables with the same caption in different UI states are kept apart', () => {
+    const snapshot = snapshotReport(report({ tables: [table(), table({ uiState: 'Market: India', rowCount: 5 })] }));
+    assert.equal(Object.keys(snapshot.tables).length, 2);
+    assert.equal(Object.keys(snapshot.series).length, 2);
+
+    const diff = diffReports(report({ tables: [table()] }), report({ tables: [table(), table({ uiState: 'Market: India', rowCount: 5 })] }));
+    assert.deepEqual(diff.tables.changed, [], 'the default-state table is unchanged');
+    assert.equal(diff.tables.added.length, 1);
+    assert.match(diff.tables.added[0], /Market: India/);
+});
@@ -0,0 +1,53 @@
+// Checks fact extraction from documentation text (no browser)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { extractFacts, summarizeFacts, isDocumentationUrl } = require('../src/docs');
+const { buildKnowledgeBase } = require('../src/providers');
+const { loadProfile } = require('../src/profiles');
+
+const profile = loadProfile('datapred-shrimp');
+const knowledgeBase = buildKnowledgeBase(profile);
+
+const GUIDE = [
+    'How our shrimp price forecasts work',
+    'Prices are updated weekly, every Monday, from wholesale price assessments supplied by Urner Barry and export statistics from Vietnam Customs.',
+    'We forecast prices up to 6 months ahead for each market. Our ensemble combines a SARIMA baseline with gradient boosting (LightGBM) and an LSTM neural network.',
+    'Input data includes export volumes, exchange rates and weather indicators for the main farming regions.',
+    'Over the last two years, the 3-month-ahead forecast achieved a MAPE of 4.2% and an RMSE of 0.18 USD/kg.',
+].join('\n');
+
+test('extracts providers, frequency, horizons, models, metrics and data types', () => {
+    const facts = extractFacts(GUIDE, { knowledgeBase });
+
+    assert.deepEqual(facts.providers.map(p => p.provider).sort(), ['urner-barry', 'vietnam-customs']);
+    assert.deepEqual(facts.updateFrequencies.map(f => f.value), ['weekly']);
+    assert.deepEqual(facts.forecastHorizons.map(h => [h.value, h.days]), [['6 months', 180], ['3 months', 90]]);
+    assert.deepEqual(facts.modelFamilies.map(m => m.family), ['ARIMA', 'Gradient boosting', 'Neural networks', 'Ensembles']);
+    assert.deepEqual(facts.accuracyMetrics.map(m => [m.metric, m.value, m.unit]), [['MAPE', 4.2, '%'], ['RMSE', 0.18, null]]);
+    assert.deepEqual(facts.dataTypes.map(d => d.type), ['prices', 'export volumes', 'exchange rates', 'weather']);
+    assert.match(facts.modelFamilies[0].sentence, /SARIMA baseline/);
+});
+
+test('needs context cues: granularity is not an update frequency, a bare name is not a source', () => {
+    const facts = extractFacts('Weekly prices for Ecuador. USDA publishes a monthly outlook.\nBi-weekly reports are published by the team.', { knowledgeBase });
+
+    assert.deepEqual(facts.updateFrequencies.map(f => f.value), ['monthly', 'bi-weekly']);
+    assert.deepEqual(facts.providers, []);
+});
+
+test('summarizes facts across documents and recognizes documentation URLs', () => {
+    const summary = summarizeFacts([
+        { url: 'https://app.example.com/help/methodology', facts: extractFacts(GUIDE, { knowledgeBase }) },
+        { url: 'https://app.example.com/about', facts: extractFacts('Forecasts are updated weekly.', { knowledgeBase }) },
+    ]);
+    assert.deepEqual(summary.updateFrequencies.map(f => [f.value, f.documents.length]), [['weekly', 2]]);
+    assert.deepEqual(summary.forecastHorizons.map(h => h.value), ['3 months', '6 months']);
+    assert.deepEqual(summary.accuracyMetrics[0].values, ['4.2%']);
+
+    const keywords = profile.docs.linkKeywords;
+    assert.equal(isDocumentationUrl('https://app.example.com/help/methodology', keywords), true);
+    assert.equal(isDocumentationUrl('https://app.example.com/data-sources', keywords), true);
+    assert.equal(isDocumentationUrl('https://app.example.com/markets', keywords), false);
+});
@@ -0,0 +1,95 @@
+// Checks reading downloaded files: format detection, file names and CSV/XLSX files as structured tables (no browser)
+
+const http = require('http');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { downloadSignature, detectFormat, dispositionFileName, fetchLinkedFile, redactWorkbook, parseDownloadedFile } = require('../src/downloads');
+
+const CSV = 'Date,Vietnam price (USD/kg)\n2024-01-01,4.6\n2024-02-01,4.7\n2024-03-01,4.75\n';
+
+test('downloads: tells formats from names, URLs and content types', () => {
+    assert.equal(detectFormat({ fileName: 'prices.CSV' }), 'csv');
+    assert.equal(detectFormat({ url: 'https://app.example.com/exports/report.xls?v=2' }), 'xlsx');
+    assert.equal(detectFormat({ url: 'https://app.example.com/export?id=4', contentType: 'application/pdf' }), 'pdf');
+    assert.equal(detectFormat({ fileName: 'archive.zip', contentType: 'application/zip' }), null);
+    assert.equal(dispositionFileName('attachment; filename="ecuador-prices.csv"'), 'ecuador-prices.csv');
+    assert.equal(dispositionFileName("attachment; filename*=UTF-8''prix%20crevette.csv"), 'prix crevette.csv');
+    assert.equal(dispositionFileName(null), null);
+});
+
+test('downloads: the same export button on several pages is one target', () => {
+    const headerButton = { trigger: 'button', label: 'Export', url: null, location: { selector: 'header > button.export' } };
+    assert.equal(downloadSignature({ ...headerButton }), downloadSignature(headerButton));
+    assert.notEqual(downloadSignature({ ...headerButton, label: 'Export CSV' }), downloadSignature(headerButton));
+    assert.notEqual(downloadSignature({ ...headerButton, location: { selector: '#export-vietnam' } }), downloadSignature(headerButton));
+    assert.equal(downloadSignature({ trigger: 'link', label: 'CSV', url: 'https://app.example.com/exports/a.csv' }), 'https://app.example.com/exports/a.csv');
+});
+
+test('downloads: linked files fetched outside the page respect the size limit and the timeout', async () => {
+    const server = http.createServer((req, res) => {
+        if (req.url === '/stalled.csv') return res.writeHead(200, { 'content-type': 'text/csv' });  // never sends a body
+        if (req.url === '/declared.csv') res.writeHead(200, { 'content-type': 'text/csv', 'content-length': 4096 });
+        else res.writeHead(200, { 'content-type': 'text/csv' });  // chunked, size unknown up front
+        return res.end(Buffer.alloc(4096, 'a'));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    // A page whose own fetch fails (e.g. another origin), so the file is fetched from Node
+    const page = { evaluate: async () => { throw new Error('blocked'); }, cookies: async () => [] };
+    try {
+        const file = await fetchLinkedFile(page, `${base}/small.csv`, { maxBytes: 8192, timeout: 5000 });
+        assert.equal(file.buffer.length, 4096);
+        assert.equal(file.fileName, 'small.csv');
+        await assert.rejects(fetchLinkedFile(page, `${base}/declared.csv`, { maxBytes: 1024, timeout: 5000 }), /over the 1024 byte limit/);
+        await assert.rejects(fetchLinkedFile(page, `${base}/chunked.csv`, { maxBytes: 1024, timeout: 5000 }), /over the 1024 byte limit/);
+        await assert.rejects(fetchLinkedFile(page, `${base}/stalled.csv`, { maxBytes: 1024, timeout: 200 }), /timeout|aborted/i);
+    } finally {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+test('downloads: reads a CSV file into the page-table format', () => {
+    const file = { format: 'csv', fileName: 'vietnam-prices.csv', url: null, buffer: Buffer.from(`﻿${CSV}`) };
+    const [table] = parseDownloadedFile(file, { dateOrder: 'mdy' });
+
+    assert.equal(table.kind, 'csv');
+    assert.equal(table.caption, 'vietnam-prices.csv');
+    assert.deepEqual(table.headers, ['Date', 'Vietnam price (USD/kg)']);
+    assert.equal(table.rowCount, 3);
+    assert.equal(table.orientation, 'rows');
+    assert.ok(table.isPriceTable);
+    assert.deepEqual(table.series[0].points.map(p => p.value), [4.6, 4.7, 4.75]);
+
+    assert.deepEqual(parseDownloadedFile({ ...file, buffer: Buffer.from('') }), []);
+    assert.deepEqual(parseDownloadedFile({ format: 'pdf', fileName: 'report.pdf', buffer: Buffer.from('%PDF-1.4') }), []);
+});
+
+test('downloads: reads each XLSX sheet as a table', (t) => {
+    let XLSX;
+    try {
+        XLSX = require('xlsx');
+    } catch (error) {
+        // xlsx is a dev dependency: only a production-only install may lack it, never CI
+        if (process.env.CI) throw error;
+        return t.skip('the optional xlsx package is not installed');
+    }
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Date', 'Price (USD/kg)'], ['2024-01-01', 5.1], ['2024-02-01', 5.25]]), 'Ecuador');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Count', 'Price (INR/kg)'], ['30 count', 520]]), 'India');
+    const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+
+    const tables = parseDownloadedFile({ format: 'xlsx', fileName: 'prices.xlsx', url: null, buffer });
+    assert.deepEqual(tables.map(table => table.caption), ['prices.xlsx / Ecuador', 'prices.xlsx / India']);
+    assert.equal(tables[0].kind, 'xlsx');
+    assert.ok(tables[0].isTimeSeries);
+    assert.equal(tables[1].rowCount, 1);
+
+    workbook.Props = { Author: 'analyst@example.com' };
+    XLSX.utils.sheet_add_aoa(workbook.Sheets.India, [['Prepared for analyst@example.com']], { origin: 'A3' });
+    const redacted = XLSX.read(redactWorkbook(XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }), text => text.replace(/\S+@\S+/g, '[REDACTED]')), { type: 'buffer' });
+    assert.equal(redacted.Sheets.India.A3.v, 'Prepared for [REDACTED]');
+    assert.equal(redacted.Sheets.Ecuador.B2.v, 5.1, 'numbers are kept');
+    assert.ok(!(redacted.Props && redacted.Props.Author));
+});
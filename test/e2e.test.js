@@ -0,0 +1,223 @@
+// Runs the whole actor against the mock DataPred site (headless Chromium, no outside network)
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { startFixtureSite, USERNAME, PASSWORD } = require('./fixtures/datapred-site');
+const { launchBrowser } = require('./fixtures/browser');
+const { runActor } = require('./fixtures/run-actor');
+
+let site;
+let skipReason;
+const runs = [];
+
+before(async () => {
+    site = await startFixtureSite();
+    const { browser, reason } = await launchBrowser();
+    skipReason = reason;
+    if (browser) await browser.close();
+});
+
+after(async () => {
+    runs.forEach(run => run.cleanup());
+    await site.close();
+});
+
+// Function to run the actor against the fixture site with test-friendly defaults
+async function runAgainstSite(input) {
+    const run = await runActor({
+        startUrl: `${site.url}/`,
+        loginUrl: `${site.url}/login`,
+        waitForTimeout: 200,
+        loginTimeout: 15000,
+        persistSession: false,
+        compareWithPrevious: false,
+        maxPages: 10,
+        ...input,
+    });
+    runs.push(run);
+    assert.equal(run.exitCode, 0, run.output.slice(-4000));
+    return run;
+}
+
+test('logs in, crawls the app and reports what it found', async (t) => {
+    if (skipReason) return t.skip(skipReason);
+    const run = await runAgainstSite({ username: USERNAME, password: PASSWORD, harvestDownloads: true });
+    const { report } = run;
+
+    // Login
+    assert.equal(report.authenticated, true);
+    assert.equal(report.authentication.method, 'credentials');
+    assert.equal(report.authentication.lastError, null);
+
+    // Crawl discovery: every nav page and the footer methodology guide, never the logout link or the external provider site
+    const crawled = report.pages.map(p => new URL(p.url).pathname).sort();
+    assert.deepEqual(crawled, ['/', '/data-sources', '/forecast', '/help/methodology', '/markets']);
+    assert.ok(report.pages.every(p => !p.failed));
+    assert.ok(report.crawl.skipped.excluded >= 1);
+    assert.ok(report.crawl.skipped.outOfScope >= 1);
+
+    // Pages share one login, and the forecast page is extracted only once its chart spinner is gone
+    assert.equal(report.authentication.sessions.generations.length, 1);
+    const forecastPage = report.pages.find(p => p.url.endsWith('/forecast'));
+    assert.deepEqual(forecastPage.timing.readiness.timedOut, []);
+    assert.ok(forecastPage.timing.readiness.steps.spinners >= 500);
+    assert.equal(report.crawl.timing.pages, 5);
+
+    // Network capture: the price API is cataloged as a time series and its payload stored
+    const endpoint = report.endpointCatalog.endpoints.find(e => e.route === '/api/prices');
+    assert.ok(endpoint, 'price API cataloged');
+    assert.equal(endpoint.looksLikeTimeSeries, true);
+    assert.ok(report.endpointCatalog.timeSeriesCandidates.some(c => c.endsWith('/api/prices')));
+    assert.equal(endpoint.payloadKeys.length, 1);
+    assert.equal(run.readJson(endpoint.payloadKeys[0]).market, 'ecuador');
+
+    // Extraction
+    assert.equal(report.methodology.dataTables.filter(t => t.isPriceTable && !t.sourceFile).length, 2);
+    assert.equal(report.charts.forecastSeries, 1);
+    assert.ok(report.markets.identified.includes('ecuador'));
+    assert.equal(report.commoditySpecific.hasCommodityContent, true);
+
+    // Provenance: every data source keeps each page it was seen on, and tables point at their element
+    const usdaMention = report.dataSources.details.find(s => s.source === 'usda' && !s.type);
+    assert.ok(usdaMention.id.startsWith('data_source_'));
+    assert.equal(usdaMention.evidence.length, usdaMention.occurrences);
+    assert.equal(usdaMention.evidence[0].extractor, 'dataSources');
+    assert.ok(usdaMention.evidence[0].xpath.startsWith('/html/body/'));
+    const farmGate = report.methodology.dataTables.find(t => t.caption.startsWith('India farm-gate'));
+    assert.equal(farmGate.provenance.selector, '#farm-gate');
+    assert.ok(run.keys().includes(farmGate.provenance.elementScreenshotKey));
+
+    // Downloads: both CSV exports are stored and read as price tables, linked from the markets page
+    assert.deepEqual(report.downloads.byFormat, { csv: 2, pdf: 1 });
+    assert.equal(report.downloads.files.find(f => f.format === 'pdf').fileKey, null, 'PDF files cannot be redacted, so they are only listed');
+    const vietnamExport = report.downloads.files.find(f => f.fileName === 'vietnam-prices.csv');
+    assert.equal(vietnamExport.trigger, 'button');
+    assert.equal(vietnamExport.evidence[0].selector, '#export-vietnam');
+    assert.match(run.readText(vietnamExport.fileKey), /^Date,Vietnam price \(USD\/kg\)\n2024-01-01,4\.6/);
+    const vietnamTable = report.methodology.dataTables.find(t => t.csvKey === vietnamExport.tables[0]);
+    assert.equal(vietnamTable.sourceFile, vietnamExport.fileKey);
+    assert.ok(vietnamTable.isPriceTable);
+    const marketsPage = report.pages.find(p => p.url.endsWith('/markets'));
+    assert.deepEqual(marketsPage.findings.downloads.map(d => d.fileName).sort(), ['ecuador-prices.csv', 'market-report.pdf', 'vietnam-prices.csv']);
+
+    // Documentation facts fill the summary
+    const guide = report.methodology.documents.find(d => d.url.endsWith('/help/methodology'));
+    assert.equal(guide.title, 'How our shrimp price forecasts work');
+    assert.equal(report.summary.updateFrequency, 'weekly');
+    assert.ok(report.summary.dataTypes.includes('exchange rates'));
+    assert.deepEqual(report.methodology.facts.forecastHorizons.map(h => h.value), ['3 months', '6 months']);
+    assert.deepEqual(report.methodology.facts.accuracyMetrics.find(m => m.metric === 'MAPE').values, ['4.2%']);
+
+    // Forecast metadata from the forecast panel and the price API payload
+    const forecastSources = report.forecasting.items.map(v => v.source).sort();
+    assert.deepEqual(forecastSources.filter(source => source !== 'chart'), ['api', 'page']);
+    assert.ok(report.forecasting.horizons.includes('1–6 months'));
+    assert.deepEqual(report.forecasting.confidenceLevels, [80, 95]);
+    assert.ok(report.forecasting.models.includes('Gradient boosting ensemble'));
+    assert.equal(report.forecasting.drivers[0].name, 'Feed costs');
+    assert.equal(report.forecasting.lastUpdated, '2024-04-29T06:00:00.000Z');
+
+    // Long-format series export: the price table, the chart and the price API
+    assert.ok(report.seriesExport.seriesThisRun >= 4);
+    const seriesCsv = run.readText('series.csv');
+    assert.match(seriesCsv, /^series_id,source_page,market,product,date,value,unit,is_forecast,normalized_value,normalized_unit,grade,species,form\n/);
+    assert.match(seriesCsv, /\/markets,ecuador,vannamei,2024-01-01,5\.1,USD\/kg,false,5\.1,USD\/kg,,vannamei,\n/);
+    assert.match(seriesCsv, /\/forecast,ecuador,shrimp,2024-07-01,5\.7,USD\/kg,true,5\.7,USD\/kg,,,\n/);
+
+    // Price normalization: the INR farm-gate table is converted with the rate quoted on the page
+    const { normalization } = report;
+    assert.deepEqual(normalization.exchangeRates.map(r => [r.base, r.quote, r.rate, r.source]), [['USD', 'INR', 83.2, 'page']]);
+    assert.deepEqual(normalization.unconverted, []);
+    assert.deepEqual(normalization.currencies.sort(), ['INR', 'USD']);
+    const fiftyCount = normalization.items.find(item => item.name === '50 count');
+    assert.equal(fiftyCount.grade.label, '50 pcs/kg');
+    assert.equal(fiftyCount.species, 'vannamei');
+    assert.equal(fiftyCount.form, 'headless');
+    assert.equal(fiftyCount.normalizedUnit, 'USD/kg');
+    assert.match(seriesCsv, /\/markets,india,vannamei,2024-03-01,440,INR\/kg,false,5\.2885,USD\/kg,50 pcs\/kg,vannamei,headless\n/);
+
+    // Providers are resolved entities; generic keywords are kept apart
+    const providerNames = report.summary.likelyDataProviders.map(p => p.name);
+    assert.ok(providerNames.includes('Urner Barry'));
+    assert.ok(providerNames.includes('USDA'));
+    assert.ok(!providerNames.includes('source'));
+    assert.ok(report.summary.genericTerms.includes('source'));
+});
+
+test('report shape: JSON sections, per-page screenshots and human-readable reports', async (t) => {
+    if (skipReason) return t.skip(skipReason);
+    const run = runs[0] || await runAgainstSite({ username: USERNAME, password: PASSWORD });
+    const { report } = run;
+
+    [
+        'analysisDate', 'platform', 'profile', 'url', 'authenticated', 'authentication', 'dataSources', 'crawl', 'pages', 'crawlErrors',
+        'endpointCatalog', 'charts', 'forecasting', 'downloads', 'exploration', 'markets', 'methodology', 'commoditySpecific', 'summary',
+        'normalization', 'seriesExport', 'redaction', 'recommendations', 'changes',
+    ].forEach(key => assert.ok(key in report, `report.${key}`));
+    assert.equal(report.changes.firstRun, true);
+    assert.deepEqual(run.keys('analysis-history'), [], 'a run that does not compare is not saved to the history');
+
+    const keys = run.keys();
+    report.pages.forEach(page => {
+        assert.equal(page.screenshotKey, `screenshot_${page.index}.png`);
+        assert.ok(keys.includes(page.screenshotKey));
+    });
+    assert.ok(keys.includes('report.html'));
+    assert.ok(keys.includes('report.md'));
+    assert.match(run.readText('report.md'), /## Endpoint catalog[\s\S]*\/api\/prices/);
+    assert.match(run.readText('report.md'), /## Price normalization[\s\S]*\| 50 count \| 50 pcs\/kg \| vannamei \| headless \|/);
+    assert.match(run.readText('report.html'), /<img src="data:image\/png;base64,/);
+});
+
+test('keeps the login email and password out of every output and masks the account menu', async (t) => {
+    if (skipReason) return t.skip(skipReason);
+    const run = runs[0] || await runAgainstSite({ username: USERNAME, password: PASSWORD });
+    const { report } = run;
+
+    const datasetDir = path.join(run.storageDir, 'datasets', 'default');
+    const outputs = [
+        ...run.keys().filter(key => key !== 'INPUT.json' && !key.endsWith('.png')).map(key => [key, run.readText(key)]),
+        ...fs.readdirSync(datasetDir).map(file => [`dataset/${file}`, fs.readFileSync(path.join(datasetDir, file), 'utf8')]),
+        ['log', run.output],
+    ];
+    outputs.forEach(([name, text]) => {
+        assert.ok(!text.includes(USERNAME), `${name} contains the username`);
+        assert.ok(!text.includes(PASSWORD), `${name} contains the password`);
+    });
+    assert.ok(outputs.some(([name]) => name.startsWith('payload_')), 'payloads are checked too');
+    assert.ok(outputs.some(([name]) => name.endsWith('.har')), 'HAR traces are checked too');
+
+    assert.equal(report.redaction.emails, true);
+    assert.ok(report.redaction.maskedElements > 0, 'the account menu is masked in screenshots');
+});
+
+test('reports a rejected login and falls back to public pages', async (t) => {
+    if (skipReason) return t.skip(skipReason);
+    const { report } = await runAgainstSite({ username: USERNAME, password: 'wrong-password', maxReLogins: 0 });
+
+    assert.equal(report.authenticated, false);
+    assert.equal(report.authentication.loginAttempts, 1);
+    assert.match(report.authentication.lastError, /Invalid email or password/);
+    assert.ok(report.recommendations.some(r => r.startsWith('🔐 Login failed')));
+    assert.equal(report.endpointCatalog.endpoints.filter(e => e.route === '/api/prices').length, 0);
+});
+
+test('compares a later run with the previous report', async (t) => {
+    if (skipReason) return t.skip(skipReason);
+    const first = runs[0] || await runAgainstSite({ username: USERNAME, password: PASSWORD, harvestDownloads: true });
+    // Without harvestDownloads the tables read from the exported files are gone; everything on the pages is unchanged
+    const run = await runAgainstSite({ username: USERNAME, password: PASSWORD, compareWithPrevious: true, previousReport: first.report });
+    const { changes } = run.report;
+
+    assert.equal(changes.source, 'input');
+    assert.equal(changes.comparedTo, first.report.analysisDate);
+    assert.ok(changes.tables.removed.some(key => key.includes('vietnam-prices.csv')));
+    assert.deepEqual(changes.tables.added, []);
+    assert.deepEqual(changes.tables.changed, []);
+    assert.deepEqual(changes.endpoints.changed, []);
+    assert.ok(run.report.recommendations.some(r => r.startsWith('🔄 📋 Tables no longer found')));
+    assert.equal(run.keys('analysis-history').length, 1, 'the compared run is saved to the history');
+});
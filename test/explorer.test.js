@@ -0,0 +1,139 @@
+// Checks interactive exploration: state planning, state labels and putting the page back afterwards (no browser)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { planStates, describeState, isExplorable, exploreInteractiveStates } = require('../src/explorer');
+const { loadProfile } = require('../src/profiles');
+
+const MARKET = {
+    kind: 'select',
+    label: 'Market',
+    selector: '#market',
+    options: [{ label: 'Ecuador', value: 'ecuador' }, { label: 'India', value: 'india' }, { label: 'Vietnam', value: 'vietnam' }],
+    defaultIndex: 0,
+};
+const VIEW = {
+    kind: 'select',
+    label: 'View',
+    selector: '#view',
+    options: [{ label: 'Chart', value: 'chart' }, { label: 'Table', value: 'table' }],
+    defaultIndex: 1,
+};
+
+// Function to create a page whose selects only record their values
+function fakePage(controls, url = 'https://app.example.com/markets') {
+    const values = Object.fromEntries(controls.map(control => [control.selector, control.options[control.defaultIndex].value]));
+    const page = {
+        values,
+        gotos: [],
+        url: () => url,
+        evaluate: async () => controls,
+        select: async (selector, value) => {
+            values[selector] = value;
+        },
+        waitForNetworkIdle: async () => {},
+        goto: async (target) => {
+            page.gotos.push(target);
+        },
+    };
+    return page;
+}
+
+test('explorer: plans single-control changes first, then combinations, never the default state', () => {
+    const states = planStates([MARKET, VIEW], 20);
+
+    assert.deepEqual(states.slice(0, 3), [[1, 1], [2, 1], [0, 0]]);
+    assert.deepEqual(states.slice(3), [[1, 0], [2, 0]]);
+    assert.ok(!states.some(state => state.join(',') === '0,1'));
+    assert.equal(new Set(states.map(state => state.join(','))).size, states.length);
+});
+
+test('explorer: the plan stops at the state budget and is empty without controls', () => {
+    assert.deepEqual(planStates([MARKET, VIEW], 2), [[1, 1], [2, 1]]);
+    assert.deepEqual(planStates([], 20), []);
+    assert.deepEqual(planStates([{ ...VIEW, options: VIEW.options.slice(0, 1), defaultIndex: 0 }], 20), []);
+});
+
+test('explorer: a state is labeled by the controls that differ from their defaults', () => {
+    const state = describeState([MARKET, VIEW], [2, 0], 4);
+    assert.equal(state.id, 'state-5');
+    assert.equal(state.label, 'Market=Vietnam; View=Chart');
+    assert.deepEqual(describeState([MARKET, VIEW], [1, 1], 0).changes, [{ kind: 'select', control: 'Market', value: 'India' }]);
+});
+
+test('explorer: settings and account pages are not explored', () => {
+    const { excludePatterns } = loadProfile('datapred-shrimp').explore;
+    assert.equal(isExplorable('https://app.example.com/markets', excludePatterns), true);
+    assert.equal(isExplorable('https://app.example.com/Settings/notifications', excludePatterns), false);
+    assert.equal(isExplorable('https://app.example.com/account', excludePatterns), false);
+    assert.equal(isExplorable('https://app.example.com/account', []), true);
+    assert.deepEqual(loadProfile({ name: 'bare', extends: 'datapred-shrimp', explore: null }).explore, { toggleSelectors: [], excludePatterns: [] });
+});
+
+test('explorer: every control is back at its default once exploration ends', async () => {
+    const page = fakePage([MARKET, VIEW]);
+    const seen = [];
+    const restoredAt = [];
+    const result = await exploreInteractiveStates(page, {
+        settleMs: 0,
+        onState: async (uiState) => seen.push({ label: uiState.label, market: page.values['#market'], view: page.values['#view'] }),
+        onRestore: () => restoredAt.push(seen.length),
+    });
+
+    assert.equal(result.states.length, 5);
+    assert.deepEqual(seen[4], { label: 'Market=Vietnam; View=Chart', market: 'vietnam', view: 'chart' });
+    assert.deepEqual(restoredAt, [5]);
+    assert.equal(result.restored, 'controls');
+    assert.deepEqual(page.values, { '#market': 'ecuador', '#view': 'table' });
+    assert.deepEqual(page.gotos, []);
+});
+
+test('explorer: the page is reloaded when a control cannot be reset', async () => {
+    const page = fakePage([MARKET]);
+    const select = page.select;
+    page.select = async (selector, value) => {
+        if (value === 'ecuador') throw new Error('select is detached');
+        return select(selector, value);
+    };
+    const warnings = [];
+    const result = await exploreInteractiveStates(page, {
+        settleMs: 0,
+        onState: async () => {},
+        log: { warning: message => warnings.push(message) },
+    });
+
+    assert.equal(result.restored, 'reloaded');
+    assert.deepEqual(page.gotos, ['https://app.example.com/markets']);
+    assert.match(warnings[0], /select is detached/);
+});
+
+test('explorer: a state that fails partway is followed by a reload, not built on a half-changed page', async () => {
+    const page = fakePage([MARKET, VIEW]);
+    const select = page.select;
+    let failed = false;
+    page.select = async (selector, value) => {
+        // Going from Vietnam/Table to Ecuador/Chart: the market changes, then the view control fails once
+        if (selector === '#view' && value === 'chart' && page.values['#market'] === 'ecuador' && !failed) {
+            failed = true;
+            throw new Error('view select is detached');
+        }
+        return select(selector, value);
+    };
+    page.goto = async (target) => {
+        page.gotos.push(target);
+        page.values['#market'] = 'ecuador';
+        page.values['#view'] = 'table';
+    };
+    const seen = [];
+    const result = await exploreInteractiveStates(page, {
+        settleMs: 0,
+        onState: async (uiState) => seen.push({ label: uiState.label, market: page.values['#market'], view: page.values['#view'] }),
+        log: { warning() {} },
+    });
+
+    assert.deepEqual(result.failures.map(f => f.label), ['View=Chart']);
+    assert.deepEqual(page.gotos, ['https://app.example.com/markets']);
+    assert.deepEqual(seen.at(-1), { label: 'Market=Vietnam; View=Chart', market: 'vietnam', view: 'chart' });
+    assert.equal(result.restored, 'controls');
+});
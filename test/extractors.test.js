@@ -0,0 +1,365 @@
+// Runs each page extractor against the mock DataPred site in headless Chromium
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startFixtureSite, USERNAME, PASSWORD, SESSION_COOKIE, SESSION_TOKEN } = require('./fixtures/datapred-site');
+const { launchBrowser } = require('./fixtures/browser');
+const { loadProfile } = require('../src/profiles');
+const { extractTablesFromPage } = require('../src/tables');
+const { extractChartsFromPage } = require('../src/charts');
+const { extractDataSources, extractMarkets, extractMethodologyLinks, extractCommodityContent } = require('../src/extractors');
+const { buildKnowledgeBase, collectProviderEvidence, resolveProviders } = require('../src/providers');
+const { discoverLinks, createFrontier } = require('../src/frontier');
+const { createNetworkCapture, buildEndpointCatalog } = require('../src/network');
+const { createAuthenticator } = require('../src/auth');
+const { createHarRecorder, createHarReplay, REDACTED } = require('../src/har');
+const { extractMainContent } = require('../src/docs');
+const { extractForecastMetadata } = require('../src/forecasting');
+const { waitForPageReady } = require('../src/readiness');
+const { createProvenanceRecorder } = require('../src/provenance');
+const { maskedScreenshot } = require('../src/redaction');
+const { harvestDownloads, parseDownloadedFile } = require('../src/downloads');
+const { readControlsInPage } = require('../src/explorer');
+
+const profile = loadProfile('datapred-shrimp');
+const silentLog = { info() {}, warning() {}, error() {} };
+
+let site;
+let browser;
+let skipReason;
+
+before(async () => {
+    site = await startFixtureSite();
+    ({ browser, reason: skipReason } = await launchBrowser());
+});
+
+after(async () => {
+    if (browser) await browser.close();
+    await site.close();
+});
+
+// Function to open a fixture page with a logged-in session, once it is ready
+async function openPage(pathname) {
+    const page = await browser.newPage();
+    await page.setCookie({ name: SESSION_COOKIE, value: SESSION_TOKEN, url: site.url });
+    await page.goto(`${site.url}${pathname}`, { waitUntil: 'domcontentloaded' });
+    await waitForPageReady(page, profile.readiness);
+    return page;
+}
+
+test('tables: reads the market price tables as priced time series', async (t) => {
+    if (!browser) return t.skip(skipReason);
+    const page = await openPage('/markets');
+
+    const tables = await extractTablesFromPage(page, { maxRows: 100, dateOrder: 'mdy' });
+    assert.equal(tables.length, 2);
+    const [table, farmGate] = tables;
+    assert.equal(table.caption, 'Ecuador vannamei shrimp export price');
+    assert.deepEqual(table.headers, ['Date', 'Price (USD/kg)']);
+    assert.equal(table.isTimeSeries, true);
+    assert.equal(table.isPriceTable, true);
+    assert.deepEqual(table.series[0].points[0], { date: '2024-01-01', value: 5.1 });
+    assert.equal(table.series[0].points.length, 4);
+
+    // Dates across the header, one row per count grade
+    assert.equal(farmGate.orientation, 'columns');
+    assert.deepEqual(farmGate.series.map(s => s.name), ['30 count', '50 count', '100 count']);
+    assert.equal(farmGate.series[1].currency, 'INR');
+    assert.deepEqual(farmGate.series[1].points[0], { date: '2024-03-01', value: 440 });
+
+    await page.close();
+});
+
+test('charts: reads actual and forecast series from chart library state', async (t) => {
+    if (!browser) return t.skip(skipReason);
+    const page = await openPage('/forecast');
+    await page.waitForSelector('#forecast-chart[data-ready]');
+
+    const { charts } = await extractChartsFromPage(page);
+    assert.equal(charts.length, 1);
+    const [chart] = charts;
+    assert.equal(chart.library, 'highcharts');
+    assert.equal(chart.title, 'Ecuador shrimp price forecast');
+    assert.equal(chart.unit, 'USD/kg');
+
+    const actual = chart.series.find(s => s.name === 'Actual');
+    const forecast = chart.series.find(s => s.name === 'Forecast');
+    assert.equal(actual.role, 'actual');
+    assert.equal(actual.pointCount, 4);
+    assert.equal(forecast.role, 'forecast');
+    assert.equal(forecast.forecastStart, '2024-05-01');
+    assert.deepEqual(forecast.points.map(p => p.x), ['2024-05-01', '2024-06-01', '2024-07-01']);
+
+    await page.close();
+});
+
+test('forecasting: reads horizon, intervals, backtest, model and drivers from the forecast panel', async (t) => {
+    if (!browser) return t.skip(skipReason);
+    const page = await openPage('/forecast');
+
+    const view = await extractForecastMetadata(page, { dateOrder: 'mdy' });
+    assert.equal(view.source, 'page');
+    assert.deepEqual(view.horizon, { value: '1–6 months', minDays: 30, days: 180 });
+    assert.deepEqual(view.confidenceIntervals.map(ci => ci.level), [80, 95]);
+    assert.deepEqual(view.accuracy.map(a => [a.metric, a.value, a.unit]), [['MAPE', 4.8, '%']]);
+    assert.ok(view.models.includes('Gradient boosting ensemble'));
+    assert.deepEqual(view.drivers.map(d => [d.name, d.importance]), [['Feed costs', 32], ['Ecuador export volumes', 21], ['Exchange rates', 12]]);
+    assert.equal(view.lastUpdated, '2024-04-29');
+
+    const markets = await openPage('/markets');
+    assert.equal(await extractForecastMetadata(markets), null);
+
+    await page.close();
+    await markets.close();
+});
+
+test('extractors: data source, market, methodology and commodity keywords', async (t) => {
+    if (!browser) return t.skip(skipReason);
+    const page = await openPage('/');
+
+    const sources = await extractDataSources(page, profile.taxonomies.dataSources);
+    assert.ok(sources.some(s => s.source === 'usda' && s.context.includes('sourced from usda')));
+    assert.ok(sources.some(s => s.type === 'logo/image' && s.source === 'usda'));
+
+    const commodity = await extractCommodityContent(page, profile.taxonomies.commodity);
+    assert.deepEqual(commodity.map(c => c.keyword).sort(), ['shrimp', 'vannamei']);
+
+    const methodologyLinks = await extractMethodologyLinks(page, profile.docs.linkKeywords);
+    assert.ok(methodologyLinks.some(link => link.url === `${site.url}/data-sources`));
+    await page.close();
+
+    const marketsPage = await openPage('/markets');
+    const markets = await extractMarkets(marketsPage, profile.taxonomies.markets, profile.selectors.markets);
+    assert.ok(markets.some(m => m.market === 'ecuador' && m.element === 'select'));
+    await marketsPage.close();
+});
+
+test('docs: keeps the article text and drops navigation, footer and sidebar', async (t) => {
+    if (!browser) return t.skip(skipReason);
+    const page = await openPage('/help/methodology');
+
+    const content = await extractMainContent(page);
+    assert.equal(content.heading, 'How our shrimp price forecasts work');
+    assert.match(content.text, /^How our shrimp price forecasts work\nPrices are updated weekly/);
+    assert.match(content.text, /MAPE of 4\.2%/);
+    assert.doesNotMatch(content.text, /Dashboard|Log out|Methodology guide|Related/);
+    assert.equal(content.wordCount, content.text.split(/\s+/).length);
+
+    await page.close();
+});
+
+test('providers: resolves mentions, logos and outbound links into entities', async (t) => {
+    if (!browser) return t.skip(skipReason);
+    const knowledgeBase = buildKnowledgeBase(profile);
+    const evidence = [];
+    for (const pathname of ['/', '/data-sources']) {
+        const page = await openPage(pathname);
+        evidence.push(...await collectProviderEvidence(page, knowledgeBase));
+        await page.close();
+    }
+
+    const providers = resolveProviders(evidence, knowledgeBase);
+    const urnerBarry = providers.find(p => p.id === 'urner-barry');
+    assert.deepEqual(Object.keys(urnerBarry.evidenceCounts).sort(), ['link', 'mention']);
+    assert.ok(urnerBarry.confidence > 0.7);
+
+    const usda = providers.find(p => p.id === 'usda');
+    assert.ok(usda.evidenceCounts.logo >= 1);
+    assert.ok(providers.find(p => p.id === 'fao').confidence < 0.3, 'a lone acronym is weak evidence');
+});
+
+test('provenance: findings point at the element they were read from, with a cropped screenshot', async (t) => {
+    if (!browser) return t.skip(skipReason);
+    const page = await openPage('/');
+    const stored = new Map();
+    const store = { async setValue(key, value) { stored.set(key, value); } };
+    const provenance = createProvenanceRecorder({ page, pageNumber: 1, pageUrl: page.url(), pageTitle: await page.title(), depth: 0, store, maxElementScreenshots: 5 });
+
+    const sources = await provenance.attach(await extractDataSources(page, profile.taxonomies.dataSources), { extractor: 'dataSources', kind: 'data_source' });
+    const logo = sources.find(s => s.type === 'logo/image');
+    assert.equal(logo.provenance.selector, 'body > main > img');
+    assert.equal(logo.provenance.xpath, '/html/body/main/img');
+    assert.ok(stored.has(logo.provenance.elementScreenshotKey));
+
+    const mention = sources.find(s => s.source === 'usda' && !s.type);
+    const text = await page.$eval(mention.provenance.selector, el => el.textContent.toLowerCase());
+    assert.ok(text.includes(mention.matched), 'the selector finds the mentioning element');
+    assert.equal(mention.provenance.extractor, 'dataSources');
+    assert.ok(!('location' in mention));
+
+    const again = await provenance.attach(await extractDataSources(page, profile.taxonomies.dataSources), { extractor: 'dataSources', kind: 'data_source' });
+    assert.deepEqual(again.map(s => s.id), sources.map(s => s.id), 'IDs are stable');
+    assert.equal(provenance.stats().elementScreenshots, stored.size);
+
+    await page.close();
+});
+
+test('frontier: discovers nav links, skips logout and external links', async (t) => {
+    if (!browser) return t.skip(skipReason);
+    const page = await openPage('/data-sources');
+    const frontier = createFrontier({ startUrl: `${site.url}/`, profile, excludeUrls: [`${site.url}/login`], maxPages: 10 });
+    frontier.seed(`${site.url}/`);
+
+    frontier.offer(await discoverLinks(page, profile), { pageUrl: page.url(), depth: 0 });
+    const urls = frontier.next(10).map(r => r.url);
+    assert.ok(urls.includes(`${site.url}/markets`));
+    assert.ok(urls.includes(`${site.url}/forecast`));
+    assert.ok(!urls.some(url => url.includes('logout')));
+    assert.equal(frontier.stats().skipped.outOfScope, 1);
+
+    await page.close();
+});
+
+test('readiness: waits for the forecast chart spinner instead of a fixed sleep', async (t) => {
+    if (!browser) return t.skip(skipReason);
+    const page = await browser.newPage();
+    await page.setCookie({ name: SESSION_COOKIE, value: SESSION_TOKEN, url: site.url });
+    await page.goto(`${site.url}/forecast`, { waitUntil: 'domcontentloaded' });
+    const readiness = await waitForPageReady(page, { ...profile.readiness, networkQuietMs: 300, domQuietMs: 300 });
+
+    assert.deepEqual(readiness.timedOut, []);
+    assert.ok(readiness.steps.spinners > 0);
+    assert.equal(await page.$eval('#forecast-chart', el => el.dataset.ready), 'true');
+
+    const rushed = await waitForPageReady(page, { timeout: 200, selectors: [{ when: '#forecast-chart', ready: '.never' }] });
+    assert.ok(rushed.timedOut.includes('selectors'));
+    assert.deepEqual(rushed.pendingSelectors, ['#forecast-chart']);
+
+    await page.close();
+});
+
+test('explorer: lists view controls but only the toggles in allowed chart areas', async (t) => {
+    if (!browser) return t.skip(skipReason);
+    const page = await browser.newPage();
+    await page.setContent(`
+        <select id="market" aria-label="Market"><option>Ecuador</option><option>India</option></select>
+        <div class="chart-legend"><label><input type="checkbox" id="show-forecast" checked> Forecast</label></div>
+        <div class="chart-legend"><form><label><input type="checkbox" id="legend-save"> Remember</label></form></div>
+        <label><input type="checkbox" id="email-alerts"> Email alerts</label>
+        <button role="switch" aria-checked="true" id="dark-mode">Dark mode</button>`);
+    const read = toggleSelectors => page.evaluate(readControlsInPage, { maxOptions: 10, presetPattern: '^$', toggleSelectors });
+
+    assert.deepEqual((await read([])).map(c => c.kind), ['select'], 'no toggles without an allowlist');
+    const controls = await read(profile.explore.toggleSelectors);
+    assert.deepEqual(controls.filter(c => c.kind === 'toggle').map(c => c.selector), ['#show-forecast']);
+
+    await page.close();
+});
+
+test('network: captures the JSON price API and catalogs it as a time series', async (t) => {
+    if (!browser) return t.skip(skipReason);
+    const page = await browser.newPage();
+    await page.setCookie({ name: SESSION_COOKIE, value: SESSION_TOKEN, url: site.url });
+    const capture = createNetworkCapture(page);
+    await page.goto(`${site.url}/forecast`, { waitUntil: 'networkidle0' });
+    await capture.settle();
+
+    const catalog = buildEndpointCatalog(capture.captures);
+    const endpoint = catalog.find(e => e.route === '/api/prices');
+    assert.equal(catalog[0], endpoint, 'time-series endpoints sort first');
+    assert.equal(endpoint.method, 'GET');
+    assert.deepEqual(endpoint.queryParams, ['horizon', 'market']);
+    assert.equal(endpoint.looksLikeTimeSeries, true);
+
+    const apiCall = capture.captures.find(c => c.url.includes('/api/prices'));
+    assert.equal(apiCall.format, 'json');
+    assert.ok(apiCall.body.includes('"forecastStart"'));
+
+    await page.close();
+});
+
+test('har: records a redacted trace and replays the page from it offline', async (t) => {
+    if (!browser) return t.skip(skipReason);
+    const page = await browser.newPage();
+    await page.setCookie({ name: SESSION_COOKIE, value: SESSION_TOKEN, url: site.url });
+    const recorder = createHarRecorder(page, { bodies: 'text' });
+    await page.goto(`${site.url}/forecast`, { waitUntil: 'networkidle0' });
+    await recorder.settle();
+    const har = recorder.toHar({ id: 'page_1', title: await page.title() });
+    await page.close();
+
+    assert.equal(har.log.version, '1.2');
+    const apiEntry = har.log.entries.find(e => e.request.url.includes('/api/prices'));
+    assert.equal(apiEntry.pageref, 'page_1');
+    assert.equal(apiEntry.response.status, 200);
+    assert.match(apiEntry.response.content.text, /"forecastStart"/);
+    const cookieHeader = apiEntry.request.headers.find(h => h.name.toLowerCase() === 'cookie');
+    assert.equal(cookieHeader.value, REDACTED);
+    assert.deepEqual(apiEntry.request.cookies, [{ name: SESSION_COOKIE, value: REDACTED }]);
+    assert.ok(!JSON.stringify(har).includes(SESSION_TOKEN));
+
+    // A fresh context without the session cookie still renders the chart, served from the HAR
+    const replay = createHarReplay(har.log.entries);
+    const context = await browser.createIncognitoBrowserContext();
+    const replayPage = await context.newPage();
+    await replay.attach(replayPage);
+    await replayPage.goto(`${site.url}/forecast`, { waitUntil: 'networkidle0' });
+    await replayPage.waitForSelector('#forecast-chart[data-ready]');
+    assert.ok(replay.stats.served >= 2);
+    await context.close();
+});
+
+test('redaction: blanks the account menu while the screenshot is taken', async (t) => {
+    if (!browser) return t.skip(skipReason);
+    const page = await openPage('/');
+    const menuTextColor = () => page.$eval('.account-menu', el => getComputedStyle(el).color);
+    const visible = await menuTextColor();
+
+    const { buffer, masked } = await maskedScreenshot(page, profile.privacy.maskSelectors, async () => {
+        assert.equal(await menuTextColor(), 'rgba(0, 0, 0, 0)', 'the email is hidden during the screenshot');
+        return page.screenshot();
+    });
+    assert.equal(masked, 1);
+    assert.ok(buffer.length > 0);
+    assert.equal(await menuTextColor(), visible, 'the page is restored for extraction');
+    assert.ok((await page.$eval('.account-menu', el => el.textContent)).includes(USERNAME));
+
+    await page.close();
+});
+
+test('auth: logs in with valid credentials and reports rejected ones', async (t) => {
+    if (!browser) return t.skip(skipReason);
+    const options = { profile, startUrl: `${site.url}/`, loginUrl: `${site.url}/login`, persistSession: false, loginTimeout: 15000, log: silentLog };
+
+    const good = createAuthenticator({ ...options, username: USERNAME, password: PASSWORD });
+    const page = await browser.newPage();
+    assert.equal(await good.login(page), true);
+    assert.equal(good.state.method, 'credentials');
+    assert.equal(new URL(page.url()).pathname, '/');
+    await page.close();
+
+    const bad = createAuthenticator({ ...options, username: USERNAME, password: 'wrong' });
+    const otherContext = await browser.createIncognitoBrowserContext();
+    const otherPage = await otherContext.newPage();
+    assert.equal(await bad.login(otherPage), false);
+    assert.match(bad.state.lastError, /Login rejected: Invalid email or password/);
+    await otherContext.close();
+});
+
+test('downloads: fetches file links, clicks the export button and reads the CSV files as tables', async (t) => {
+    if (!browser) return t.skip(skipReason);
+    const page = await openPage('/markets');
+    const files = await harvestDownloads(page, { ...profile.downloads, timeout: 15000 });
+
+    assert.deepEqual(files.map(f => [f.trigger, f.fileName, f.format]), [
+        ['link', 'ecuador-prices.csv', 'csv'],
+        ['link', 'market-report.pdf', 'pdf'],
+        ['button', 'vietnam-prices.csv', 'csv'],
+    ]);
+    assert.ok(files.every(f => !f.error && f.bytes > 0));
+    assert.equal(files[2].label, 'Export CSV');
+    assert.equal(files[2].location.selector, '#export-vietnam');
+    assert.ok(files[1].buffer.toString('latin1').startsWith('%PDF'));
+
+    const [table] = parseDownloadedFile(files[2]);
+    assert.equal(table.kind, 'csv');
+    assert.ok(table.isPriceTable);
+    assert.equal(table.series[0].points.length, 4);
+    assert.equal(new URL(page.url()).pathname, '/markets', 'the page stays where it was');
+
+    const onlyCsv = await harvestDownloads(page, { ...profile.downloads, formats: ['csv'], skip: target => target.trigger === 'button' });
+    assert.deepEqual(onlyCsv.map(f => f.fileName), ['ecuador-prices.csv']);
+
+    await page.close();
+});
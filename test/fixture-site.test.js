@@ -0,0 +1,55 @@
+// Checks the mock DataPred site itself (plain HTTP, no browser) so browser test failures point at the actor
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startFixtureSite, USERNAME, PASSWORD, SESSION_COOKIE } = require('./fixtures/datapred-site');
+
+let site;
+
+before(async () => {
+    site = await startFixtureSite();
+});
+
+after(async () => {
+    await site.close();
+});
+
+// Function to post the login form
+function login(email, password) {
+    return fetch(`${site.url}/login`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ email, password }).toString(),
+        redirect: 'manual',
+    });
+}
+
+test('pages redirect to the login form without a session', async () => {
+    const response = await fetch(`${site.url}/markets`, { redirect: 'manual' });
+    assert.equal(response.status, 302);
+    assert.equal(response.headers.get('location'), '/login');
+
+    const api = await fetch(`${site.url}/api/prices`);
+    assert.equal(api.status, 401);
+});
+
+test('valid credentials set the session cookie', async () => {
+    const response = await login(USERNAME, PASSWORD);
+    assert.equal(response.status, 302);
+    assert.match(response.headers.get('set-cookie'), new RegExp(`^${SESSION_COOKIE}=`));
+
+    const cookie = response.headers.get('set-cookie').split(';')[0];
+    const api = await fetch(`${site.url}/api/prices?market=india`, { headers: { cookie } });
+    const body = await api.json();
+    assert.equal(body.market, 'india');
+    assert.equal(body.actual.length, 4);
+    assert.equal(body.forecast[0].date, body.forecastStart);
+});
+
+test('invalid credentials re-render the form with an error', async () => {
+    const response = await login(USERNAME, 'wrong');
+    assert.equal(response.status, 401);
+    assert.equal(response.headers.get('set-cookie'), null);
+    assert.match(await response.text(), /class="error"[^>]*>Invalid email or password/);
+});
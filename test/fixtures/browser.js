@@ -0,0 +1,18 @@
+// Headless Chromium for browser tests; tests skip themselves when no browser can be launched
+// (set PUPPETEER_EXECUTABLE_PATH to use a system Chromium).
+
+const puppeteer = require('puppeteer');
+
+// Function to launch a browser, resolving to { browser } or { browser: null, reason }
+async function launchBrowser() {
+    try {
+        const browser = await puppeteer.launch({ headless: 'new', args: ['--no-sandbox', '--disable-setuid-sandbox'] });
+        return { browser, reason: null };
+    } catch (error) {
+        return { browser: null, reason: `Chromium unavailable: ${error.message.split('\n')[0]}` };
+    }
+}
+
+module.exports = {
+    launchBrowser,
+};
@@ -0,0 +1,258 @@
+// Mock DataPred site for offline tests - login form with a session cookie, navigation with the signed-in email, price
+// tables (USD by date rows, INR by count grade with a quoted exchange rate), file exports (a CSV link, a PDF link and an
+// "Export CSV" button that downloads a generated file), a Highcharts-style forecast chart fed by a JSON API with a model info panel, a data sources
+// page, and a methodology guide linked only from the footer.
+// Run directly (`node test/fixtures/datapred-site.js [port]`) to browse it by hand.
+
+const http = require('http');
+
+const USERNAME = 'analyst@example.com';
+const PASSWORD = 'shrimp-secret';
+const SESSION_COOKIE = 'dp_session';
+const SESSION_TOKEN = 'fixture-session-token';
+
+const PRICES = {
+    ecuador: [['2024-01-01', 5.1], ['2024-02-01', 5.25], ['2024-03-01', 5.4], ['2024-04-01', 5.32]],
+    india: [['2024-01-01', 4.8], ['2024-02-01', 4.9], ['2024-03-01', 5.05], ['2024-04-01', 5.0]],
+};
+// Only available through the "Export CSV" button
+const VIETNAM_EXPORT = [['2024-01-01', 4.6], ['2024-02-01', 4.7], ['2024-03-01', 4.75], ['2024-04-01', 4.9]];
+const FARM_GATE = {
+    dates: ['2024-03-01', '2024-04-01'],
+    grades: [['30 count', 520, 535], ['50 count', 440, 450], ['100 count', 310, 305]],
+};
+const FORECAST = [['2024-05-01', 5.45], ['2024-06-01', 5.6], ['2024-07-01', 5.7]];
+const FORECAST_MODEL = {
+    model: 'Gradient boosting ensemble',
+    confidenceLevel: 0.8,
+    updatedAt: '2024-04-29T06:00:00Z',
+    backtest: { mape: 4.8, rmse: 0.21 },
+    drivers: [{ name: 'Feed costs', importance: 0.32 }, { name: 'Ecuador export volumes', importance: 0.21 }],
+};
+
+// Function to wrap page content in the app layout (navigation on every page)
+function layout(title, body) {
+    return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${title} - DataPred</title></head>
+<body>
+<nav id="main-nav">
+  <a href="/">Dashboard</a>
+  <a href="/markets">Shrimp market prices</a>
+  <a href="/forecast">Price forecast</a>
+  <a href="/data-sources">Data sources &amp; methodology</a>
+  <a href="/logout">Log out</a>
+  <span class="account-menu">Signed in as ${USERNAME}</span>
+</nav>
+<main>${body}</main>
+<footer><a href="/help/methodology">Methodology guide</a> &middot; &copy; DataPred</footer>
+</body>
+</html>`;
+}
+
+// Function to render the login form, optionally with an error message
+function loginPage(error) {
+    return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>Login - DataPred</title></head>
+<body>
+<form method="post" action="/login">
+  ${error ? `<div class="error" role="alert">${error}</div>` : ''}
+  <input type="email" name="email" placeholder="Email">
+  <input type="password" name="password" placeholder="Password">
+  <button type="submit">Sign in</button>
+</form>
+</body>
+</html>`;
+}
+
+const PAGES = {
+    '/': () => layout('Dashboard', `
+<h1>Shrimp price intelligence</h1>
+<p>Vannamei shrimp prices for Ecuador, India and Vietnam export markets, updated weekly.</p>
+<p>Trade flows are sourced from USDA and FAO GLOBEFISH reports.</p>
+<img src="/static/usda-logo.png" alt="USDA logo" width="40" height="20">`),
+
+    '/markets': () => layout('Markets', `
+<h1>Market prices</h1>
+<label for="market">Market</label>
+<select id="market"><option value="ecuador">Ecuador</option><option value="india">India</option></select>
+<table id="prices">
+  <caption>Ecuador vannamei shrimp export price</caption>
+  <thead><tr><th>Date</th><th>Price (USD/kg)</th></tr></thead>
+  <tbody>${PRICES.ecuador.map(([date, value]) => `<tr><td>${date}</td><td>$${value.toFixed(2)}</td></tr>`).join('')}</tbody>
+</table>
+<table id="farm-gate">
+  <caption>India farm-gate prices, Andhra Pradesh vannamei headless (INR/kg)</caption>
+  <thead><tr><th>Count</th>${FARM_GATE.dates.map(date => `<th>${date}</th>`).join('')}</tr></thead>
+  <tbody>${FARM_GATE.grades.map(([grade, ...values]) => `<tr><td>${grade}</td>${values.map(value => `<td>₹${value}</td>`).join('')}</tr>`).join('')}</tbody>
+</table>
+<p class="fx">Exchange rate: USD/INR 83.20</p>
+<div class="exports">
+  <a href="/exports/ecuador-prices.csv" download>Download CSV</a>
+  <a href="/exports/market-report.pdf">Monthly market report</a>
+  <button type="button" id="export-vietnam">Export CSV</button>
+</div>
+<script>
+  // Client-side export: the file is built in the page and saved through a temporary link
+  document.getElementById('export-vietnam').addEventListener('click', () => {
+    const csv = 'Date,Vietnam price (USD/kg)\n' + ${JSON.stringify(VIETNAM_EXPORT)}.map(([date, value]) => date + ',' + value).join('\n');
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+    link.download = 'vietnam-prices.csv';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+  });
+</script>`),
+
+    '/forecast': () => layout('Forecast', `
+<h1>Shrimp price forecast</h1>
+<div id="forecast-chart" style="width:600px;height:300px"><div class="spinner">Loading forecast…</div></div>
+<section class="model-info">
+  <dl>
+    <dt>Last updated</dt><dd>April 29, 2024</dd>
+    <dt>Forecast horizon</dt><dd>1–6 months</dd>
+    <dt>Confidence intervals</dt><dd>80% / 95%</dd>
+    <dt>Backtest MAPE (12 months)</dt><dd>4.8%</dd>
+    <dt>Model</dt><dd>Gradient boosting ensemble</dd>
+  </dl>
+  <h3>Key drivers</h3>
+  <ul><li>Feed costs — 32%</li><li>Ecuador export volumes — 21%</li><li>Exchange rates — 12%</li></ul>
+</section>
+<script>
+  // The chart is drawn a while after its data arrives, behind a loading spinner
+  fetch('/api/prices?market=ecuador&horizon=3').then(r => r.json()).then(data => new Promise(resolve => setTimeout(() => resolve(data), 1500))).then(data => {
+    const toX = date => Date.parse(date);
+    const series = (name, points, dashStyle) => ({
+      name, type: 'line', options: { dashStyle }, tooltipOptions: { valuePrefix: '$', valueSuffix: '/kg' },
+      xData: points.map(p => toX(p.date)), yData: points.map(p => p.value),
+    });
+    window.Highcharts = { charts: [{
+      renderTo: document.getElementById('forecast-chart'),
+      title: { textStr: 'Ecuador shrimp price forecast' },
+      yAxis: [{ options: { title: { text: 'USD/kg' } } }],
+      xAxis: [{ options: { type: 'datetime', plotLines: [{ value: toX(data.forecastStart), label: { text: 'Forecast' } }] } }],
+      series: [series('Actual', data.actual, 'Solid'), series('Forecast', data.forecast, 'Dash')],
+    }] };
+    document.getElementById('forecast-chart').setAttribute('data-ready', 'true');
+    document.querySelector('#forecast-chart .spinner').remove();
+  });
+</script>`),
+
+    '/data-sources': () => layout('Data sources', `
+<h1>Methodology</h1>
+<p>Our models combine customs statistics with wholesale price assessments from Urner Barry.</p>
+<p>Exchange rates come from the European Central Bank.</p>
+<a href="https://www.urnerbarry.com/">Urner Barry</a>`),
+
+    '/help/methodology': () => layout('How our forecasts work', `
+<article>
+<h1>How our shrimp price forecasts work</h1>
+<p>Prices are updated weekly, every Monday, from wholesale price assessments supplied by Urner Barry and export statistics from Vietnam Customs.</p>
+<p>We forecast prices up to 6 months ahead for each market. Our ensemble combines a SARIMA baseline with gradient boosting (LightGBM) and an LSTM neural network.</p>
+<p>Input data includes export volumes, exchange rates and weather indicators for the main farming regions.</p>
+<p>Over the last two years, the 3-month-ahead forecast achieved a MAPE of 4.2% and an RMSE of 0.18 USD/kg.</p>
+</article>
+<aside class="related">Related: <a href="/forecast">Price forecast</a></aside>`),
+};
+
+// Function to read the session cookie from a request
+function hasSession(req) {
+    return (req.headers.cookie || '').split(/;\s*/).includes(`${SESSION_COOKIE}=${SESSION_TOKEN}`);
+}
+
+// Function to read a url-encoded form body
+function readForm(req) {
+    return new Promise(resolve => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => resolve(new URLSearchParams(body)));
+    });
+}
+
+// Function to handle one request
+async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const send = (status, contentType, body, headers = {}) => {
+        res.writeHead(status, { 'content-type': contentType, ...headers });
+        res.end(body);
+    };
+
+    if (url.pathname === '/login' && req.method === 'POST') {
+        const form = await readForm(req);
+        if (form.get('email') === USERNAME && form.get('password') === PASSWORD) {
+            return send(302, 'text/plain', '', {
+                location: '/',
+                'set-cookie': `${SESSION_COOKIE}=${SESSION_TOKEN}; Path=/; HttpOnly`,
+            });
+        }
+        return send(401, 'text/html', loginPage('Invalid email or password'));
+    }
+    if (url.pathname === '/login') return send(200, 'text/html', loginPage());
+    if (url.pathname === '/logout') {
+        return send(302, 'text/plain', '', { location: '/login', 'set-cookie': `${SESSION_COOKIE}=; Path=/; Max-Age=0` });
+    }
+    if (url.pathname.startsWith('/static/')) {
+        // 1x1 transparent GIF for logos
+        return send(200, 'image/gif', Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64'));
+    }
+
+    if (!hasSession(req)) {
+        if (url.pathname.startsWith('/api/')) return send(401, 'application/json', JSON.stringify({ error: 'unauthorized' }));
+        return send(302, 'text/plain', '', { location: '/login' });
+    }
+
+    if (url.pathname === '/api/prices') {
+        const market = url.searchParams.get('market') || 'ecuador';
+        const actual = (PRICES[market] || []).map(([date, value]) => ({ date, value, currency: 'USD', unit: 'kg' }));
+        const forecast = FORECAST.map(([date, value]) => ({ date, value, lower: Math.round((value - 0.3) * 100) / 100, upper: Math.round((value + 0.3) * 100) / 100, currency: 'USD', unit: 'kg' }));
+        return send(200, 'application/json', JSON.stringify({ market, forecastStart: forecast[0].date, actual, forecast, ...FORECAST_MODEL }));
+    }
+    if (url.pathname === '/exports/ecuador-prices.csv') {
+        const csv = ['Date,Ecuador price (USD/kg)', ...PRICES.ecuador.map(([date, value]) => `${date},${value}`)].join('\n');
+        return send(200, 'text/csv', csv, { 'content-disposition': 'attachment; filename="ecuador-prices.csv"' });
+    }
+    if (url.pathname === '/exports/market-report.pdf') {
+        return send(200, 'application/pdf', '%PDF-1.4\n1 0 obj << /Type /Catalog >> endobj\ntrailer << /Root 1 0 R >>\n%%EOF\n');
+    }
+    if (PAGES[url.pathname]) return send(200, 'text/html', PAGES[url.pathname]());
+
+    return send(404, 'text/html', layout('Not found', '<h1>Not found</h1>'));
+}
+
+// Function to start the fixture site on a free port; resolves to { url, close }
+function startFixtureSite(port = 0) {
+    const server = http.createServer((req, res) => {
+        handle(req, res).catch(error => {
+            res.writeHead(500);
+            res.end(error.message);
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(port, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                close: () => new Promise(done => {
+                    server.close(done);
+                    server.closeAllConnections();  // Browsers keep connections alive
+                }),
+            });
+        });
+    });
+}
+
+if (require.main === module) {
+    startFixtureSite(Number(process.argv[2]) || 8787).then(({ url }) => console.log(`Mock DataPred site at ${url}`));
+}
+
+module.exports = {
+    USERNAME,
+    PASSWORD,
+    SESSION_COOKIE,
+    SESSION_TOKEN,
+    startFixtureSite,
+};
@@ -0,0 +1,83 @@
+// Runs main.js as a child process against a throwaway local storage directory and reads back
+// the stored report and Key-Value store records.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+// Function to run the actor with the given input; resolves once the process exits
+function runActor(input, { timeout = 180000 } = {}) {
+    const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'datapred-actor-'));
+    const defaultStore = path.join(storageDir, 'key_value_stores', 'default');
+    fs.mkdirSync(defaultStore, { recursive: true });
+    fs.writeFileSync(path.join(defaultStore, 'INPUT.json'), JSON.stringify(input));
+
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [path.join(ROOT, 'main.js')], {
+            cwd: ROOT,
+            env: { ...process.env, CRAWLEE_STORAGE_DIR: storageDir, APIFY_LOCAL_STORAGE_DIR: storageDir },
+        });
+
+        let output = '';
+        child.stdout.on('data', chunk => {
+            output += chunk;
+        });
+        child.stderr.on('data', chunk => {
+            output += chunk;
+        });
+
+        const timer = setTimeout(() => {
+            child.kill('SIGKILL');
+            reject(new Error(`Actor did not finish within ${timeout} ms:\n${output.slice(-4000)}`));
+        }, timeout);
+
+        child.on('exit', exitCode => {
+            clearTimeout(timer);
+            resolve(createRunResult(storageDir, exitCode, output));
+        });
+    });
+}
+
+// Function to wrap a finished run's storage directory
+function createRunResult(storageDir, exitCode, output) {
+    const storePath = name => path.join(storageDir, 'key_value_stores', name);
+
+    // Function to list record keys (file names) in a store
+    function keys(store = 'default') {
+        return fs.existsSync(storePath(store)) ? fs.readdirSync(storePath(store)) : [];
+    }
+
+    // Function to read a record as text, or null when missing
+    function readText(key, store = 'default') {
+        const file = path.join(storePath(store), key);
+        return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+    }
+
+    // Function to read a JSON record; the report is stored as a JSON string
+    function readJson(key, store = 'default') {
+        const text = readText(key, store) || readText(`${key}.json`, store);
+        if (text === null) return null;
+        const value = JSON.parse(text);
+        return typeof value === 'string' ? JSON.parse(value) : value;
+    }
+
+    return {
+        exitCode,
+        output,
+        storageDir,
+        keys,
+        readText,
+        readJson,
+        report: readJson('analysis_report.json'),
+        cleanup() {
+            fs.rmSync(storageDir, { recursive: true, force: true });
+        },
+    };
+}
+
+module.exports = {
+    runActor,
+};
@@ -0,0 +1,76 @@
+// Checks forecast metadata parsing from panels, JSON payloads and charts (no browser)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseHorizon, parseDriver, parseForecastPanels, forecastMetadataFromPayload, forecastViewsFromCharts, buildForecastingSection } = require('../src/forecasting');
+
+test('parses horizons and driver entries', () => {
+    assert.deepEqual(parseHorizon('1–6 months'), { value: '1–6 months', minDays: 30, days: 180 });
+    assert.deepEqual(parseHorizon('12 weeks'), { value: '12 weeks', minDays: null, days: 84 });
+    assert.deepEqual(parseHorizon(3), { value: '3 months', minDays: null, days: 90 });
+    assert.equal(parseHorizon('n/a'), null);
+
+    assert.deepEqual(parseDriver('Feed costs — 32%'), { name: 'Feed costs', importance: 32, unit: '%' });
+    assert.deepEqual(parseDriver('USD/INR (0.12)'), { name: 'USD/INR', importance: 0.12, unit: null });
+    assert.deepEqual(parseDriver('Weather'), { name: 'Weather', importance: null, unit: null });
+});
+
+test('reads label/value pairs, driver lists and sentences from a forecast panel', () => {
+    const view = parseForecastPanels({
+        pairs: [
+            { label: 'Last updated', value: '04/29/2024 at 06:00' },
+            { label: 'Horizon', value: 'up to 6 months' },
+            { label: 'Backtest RMSE', value: '0.21' },
+            { label: 'Model', value: 'LightGBM, SARIMA' },
+        ],
+        driverLists: [{ heading: 'Feature importance', items: ['Feed costs: 0.32', 'Export volumes: 0.21'] }],
+        timestamps: [],
+        text: 'Shrimp price forecast. Shaded bands show the 90% prediction interval.',
+        isForecastView: true,
+    }, { dateOrder: 'mdy', url: 'https://app.example.com/forecast' });
+
+    assert.equal(view.horizon.days, 180);
+    assert.deepEqual(view.confidenceIntervals.map(ci => ci.level), [90]);
+    assert.deepEqual(view.accuracy.map(a => [a.metric, a.value, a.period]), [['RMSE', 0.21, 'Backtest RMSE']]);
+    assert.deepEqual(view.models, ['LightGBM', 'SARIMA']);
+    assert.deepEqual(view.drivers.map(d => [d.name, d.importance, d.list]), [['Feed costs', 0.32, 'Feature importance'], ['Export volumes', 0.21, 'Feature importance']]);
+    assert.equal(view.lastUpdated, '2024-04-29');
+});
+
+test('finds forecast metadata in JSON payloads and charts and merges the views', () => {
+    const api = forecastMetadataFromPayload({
+        forecastStart: '2024-05-01',
+        forecast: [{ date: '2024-05-01', value: 5.45, lower_80: 5.2, upper_80: 5.7 }],
+        model: { name: 'ensemble', algorithm: 'LightGBM', horizon_months: 6 },
+        validation: { mape: 4.8 },
+        feature_importance: { feed_costs: 0.32, exports: 0.21 },
+        updated_at: 1714370400,
+    }, { url: 'https://app.example.com/api/prices' });
+
+    assert.equal(api.source, 'api');
+    assert.equal(api.horizon.days, 180);
+    assert.deepEqual(api.confidenceIntervals.map(ci => [ci.level, ci.fields]), [[80, { lower: 'lower_80', upper: 'upper_80' }]]);
+    assert.deepEqual(api.accuracy.map(a => [a.metric, a.value, a.period]), [['MAPE', 4.8, 'validation']]);
+    assert.deepEqual(api.models, ['LightGBM']);
+    assert.deepEqual(api.drivers.map(d => d.name), ['feed_costs', 'exports']);
+    assert.equal(api.lastUpdated, '2024-04-29T06:00:00.000Z');
+
+    const [chart] = forecastViewsFromCharts([{
+        title: 'Price forecast',
+        series: [
+            { name: 'Actual', points: [{ x: '2024-04-01', y: 5.3 }] },
+            { name: 'Forecast', points: [{ x: '2024-05-01', y: 5.45, isForecast: true }, { x: '2024-07-01', y: 5.7, isForecast: true }] },
+            { name: '95% interval', role: 'interval', points: [{ x: '2024-05-01', low: 5.1, high: 5.8 }] },
+        ],
+    }]);
+    assert.equal(chart.horizon.days, 61);
+    assert.deepEqual(chart.confidenceIntervals.map(ci => ci.level), [95]);
+
+    const section = buildForecastingSection([api, chart]);
+    assert.equal(section.views, 2);
+    assert.equal(section.maxHorizonDays, 180);
+    assert.deepEqual(section.confidenceLevels, [80, 95]);
+    assert.deepEqual(section.drivers.map(d => d.name), ['feed_costs', 'exports']);
+    assert.equal(section.lastUpdated, '2024-04-29T06:00:00.000Z');
+});
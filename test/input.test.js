@@ -0,0 +1,55 @@
+// Checks input validation against INPUT_SCHEMA.json and the CLI flag mapping (no browser)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateInput } = require('../src/input');
+const { parseCliArgs } = require('../src/cli');
+
+test('fills schema defaults and treats null as unset', () => {
+    const input = validateInput({ maxPages: 5, previousReport: null });
+    assert.equal(input.maxPages, 5);
+    assert.equal(input.profile, 'datapred-shrimp');
+    assert.equal(input.dateOrder, 'mdy');
+    assert.equal(input.previousReport, undefined);
+    assert.deepEqual(validateInput(undefined).excludeGlobs, []);
+});
+
+test('reports every problem at once with field names', () => {
+    assert.throws(
+        () => validateInput({ maxPage: 3, dateOrder: 'ymd', startUrl: 'app.datapred.com', maxDepth: -1, password: 42 }),
+        (error) => {
+            assert.match(error.message, /^Invalid input \(5 problems\)/);
+            assert.match(error.message, /Unknown field "maxPage" - did you mean "maxPages"\?/);
+            assert.match(error.message, /"dateOrder" must be one of "mdy", "dmy"/);
+            assert.match(error.message, /"startUrl" does not look valid/);
+            assert.match(error.message, /"maxDepth" must be at least 0/);
+            assert.match(error.message, /"password" must be a string/);
+            return true;
+        },
+    );
+});
+
+test('maps CLI flags to typed input fields', () => {
+    assert.equal(parseCliArgs([]), null);
+
+    const cli = parseCliArgs([
+        '--start-url', 'https://app.datapred.com/', '--profile', 'datapred-shrimp', '--out', './out',
+        '--max-pages=5', '--no-screenshot-enabled', '--explore-interactions',
+        '--exclude-globs', '**/settings/**', '--exclude-globs', '**/admin/**',
+        '--login-selectors', '{"submit":"#go"}', '--max-pagez', '3',
+    ]);
+    assert.equal(cli.outDir, './out');
+    assert.deepEqual(cli.input, {
+        startUrl: 'https://app.datapred.com/',
+        profile: 'datapred-shrimp',
+        maxPages: 5,
+        screenshotEnabled: false,
+        exploreInteractions: true,
+        excludeGlobs: ['**/settings/**', '**/admin/**'],
+        loginSelectors: { submit: '#go' },
+        maxPagez: '3',
+    });
+    assert.throws(() => validateInput(cli.input), /Unknown field "maxPagez" - did you mean "maxPages"\?/);
+    assert.throws(() => parseCliArgs(['--max-pages']), /--max-pages needs a value/);
+});
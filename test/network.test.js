@@ -0,0 +1,64 @@
+// Checks network capture helpers: data call detection, payload formats, route templates, schemas and the endpoint catalog (no browser)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isDataRequest, detectPayloadFormat, payloadFileType, normalizeRoute, inferSchema, mergeSchemas, inferCsvSchema, looksLikeTimeSeries, buildEndpointCatalog } = require('../src/network');
+
+test('network: payloads are stored with the file type of their format', () => {
+    assert.deepEqual(payloadFileType(detectPayloadFormat('application/json; charset=utf-8', 'https://app.example.com/api/prices')), { extension: 'json', contentType: 'application/json' });
+    assert.deepEqual(payloadFileType(detectPayloadFormat('text/csv', 'https://app.example.com/export')), { extension: 'csv', contentType: 'text/csv' });
+    assert.deepEqual(payloadFileType(detectPayloadFormat('text/plain', 'https://app.example.com/api/status')), { extension: 'txt', contentType: 'text/plain' });
+});
+
+test('network: tells data calls from assets and classifies payloads', () => {
+    assert.equal(isDataRequest('https://app.example.com/static/app.js', 'script'), false);
+    assert.equal(isDataRequest('https://app.example.com/graphql', 'xhr'), true);
+    assert.equal(isDataRequest('https://cdn.example.com/prices/chart.png', 'image'), false);
+    assert.equal(isDataRequest('https://app.example.com/forecast/latest', 'other'), true);
+    assert.equal(detectPayloadFormat('', 'https://app.example.com/exports/prices.csv?v=2'), 'csv');
+    assert.equal(detectPayloadFormat('text/html', 'https://app.example.com/markets'), null);
+});
+
+test('network: turns concrete URLs into route templates', () => {
+    assert.deepEqual(normalizeRoute('https://app.example.com/api/series/42/points?to=2024-06-01&from=2024-01-01'), {
+        host: 'app.example.com',
+        route: '/api/series/:id/points',
+        queryParams: ['from', 'to'],
+    });
+    assert.equal(normalizeRoute('https://app.example.com/api/markets/1b4e28ba-2fa1-11d2-883f-0016d3cca427/2024-05').route, '/api/markets/:uuid/:date');
+    assert.equal(normalizeRoute('https://app.example.com/files/9f86d081884c7d659a2feaa0c55ad015').route, '/files/:hash');
+});
+
+test('network: infers and merges payload schemas and spots time series', () => {
+    const first = inferSchema([{ date: '2024-01-01', price: 5.1 }]);
+    const second = inferSchema([{ date: '2024-02-01', price: null, note: 'revised' }]);
+    const merged = mergeSchemas(first, second);
+
+    assert.equal(merged.items.fields.date.format, 'date');
+    assert.deepEqual(merged.items.fields.price.anyOf.map(variant => variant.type).sort(), ['null', 'number']);
+    assert.equal(merged.items.fields.note.type, 'string');
+    assert.equal(looksLikeTimeSeries(merged), true);
+    assert.equal(looksLikeTimeSeries(inferSchema([[1704067200000, 101.5]])), true);
+    assert.equal(looksLikeTimeSeries(inferSchema({ user: { name: 'analyst' } })), false);
+    assert.equal(looksLikeTimeSeries(inferCsvSchema('Date,Price\n2024-01-01,5.1\n2024-02-01,5.2\n')), true);
+});
+
+test('network: groups calls by route in the endpoint catalog', () => {
+    const capture = (url, extra = {}) => ({ method: 'GET', url, status: 200, contentType: 'application/json', format: 'json', pageUrl: 'https://app.example.com/forecast', schema: inferSchema([{ date: '2024-01-01', value: 1 }]), ...extra });
+    const catalog = buildEndpointCatalog([
+        capture('https://app.example.com/api/series/1?market=ecuador', { payloadKey: 'payload_1_1.json', uiState: 'Market=Ecuador' }),
+        capture('https://app.example.com/api/series/2?market=india', { size: 2048, truncated: true }),
+        capture('https://app.example.com/api/me', { schema: inferSchema({ name: 'analyst' }) }),
+    ]);
+    const series = catalog.find(endpoint => endpoint.route === '/api/series/:id');
+
+    assert.equal(catalog.length, 2);
+    assert.equal(series.calls, 2);
+    assert.deepEqual(series.queryParams, ['market']);
+    assert.deepEqual(series.payloadKeys, ['payload_1_1.json']);
+    assert.deepEqual(series.uiStates, ['Market=Ecuador']);
+    assert.deepEqual([series.maxPayloadBytes, series.truncatedPayloads], [2048, 1]);
+    assert.equal(series.looksLikeTimeSeries, true);
+    assert.equal(catalog.find(endpoint => endpoint.route === '/api/me').looksLikeTimeSeries, false);
+});
@@ -0,0 +1,95 @@
+// Checks price normalization: count grades, product labels, exchange rates and unit conversion (no browser)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    parseCountGrade,
+    parseProductLabels,
+    parseExchangeRates,
+    exchangeRatesFromPayload,
+    exchangeRatesFromInput,
+    createRateTable,
+    normalizeFindings,
+} = require('../src/normalize');
+const { loadProfile } = require('../src/profiles');
+
+const profile = loadProfile('datapred-shrimp');
+
+test('normalize: reads count grades per lb or kg and ignores dates', () => {
+    const grade = text => (parseCountGrade(text).grade || {}).label || null;
+
+    assert.equal(grade('HLSO 31/40'), '31/40 pcs/lb');
+    assert.equal(grade('21-25 pcs/kg'), '21/25 pcs/kg');
+    assert.equal(grade('U15 shell-on'), 'U15 pcs/lb');
+    assert.equal(grade('50 count'), '50 pcs/kg');
+    assert.deepEqual(parseCountGrade('26/30').grade.perKg, { min: 57.3, max: 66.1 });
+    assert.equal(grade('Price on 2024-05-12'), null);
+    assert.equal(grade('Week 05/12/2024'), null);
+    assert.equal(grade('Ecuador price week of 12/25 (USD/kg)'), null);
+    assert.equal(grade('Price as of 6/14'), null);
+    assert.equal(grade('Week of 12/25: 16/20 count'), '16/20 pcs/lb');
+    assert.equal(grade('Price on 8/12 pcs/kg'), '8/12 pcs/kg');
+    assert.equal(grade('Updated weekly: 21/25 HLSO'), '21/25 pcs/lb');
+});
+
+test('normalize: reads currency, unit, species and form from price labels', () => {
+    assert.deepEqual(parseProductLabels(['40 count', 'Vannamei HLSO (INR/kg)'], profile), {
+        currency: 'INR',
+        unit: 'kg',
+        grade: parseCountGrade('40 count').grade,
+        species: 'vannamei',
+        form: 'headless',
+    });
+    const tiger = parseProductLabels(['Black tiger, cooked & peeled, USD per lb'], profile);
+    assert.equal(tiger.species, 'monodon');
+    assert.equal(tiger.form, 'cooked');
+    assert.equal(tiger.unit, 'lb');
+});
+
+test('normalize: finds exchange rates in text, payloads and input', () => {
+    assert.deepEqual(parseExchangeRates('Exchange rate: USD/INR 83.20 · 1 EUR = 1.08 USD').map(r => [r.base, r.quote, r.rate]),
+        [['USD', 'INR', 83.2], ['EUR', 'USD', 1.08]]);
+    assert.deepEqual(exchangeRatesFromPayload({ fx: { base: 'USD', rates: { INR: 83.2, VND: 24500 } }, prices: [] })
+        .map(r => [r.base, r.quote, r.rate]), [['USD', 'INR', 83.2], ['USD', 'VND', 24500]]);
+    assert.deepEqual(exchangeRatesFromInput({ 'usd/ecs': 25000 }).map(r => [r.base, r.quote]), [['USD', 'ECS']]);
+    assert.throws(() => exchangeRatesFromInput({ 'USD to INR': 83 }), /Invalid exchange rate "USD to INR"/);
+
+    const rates = createRateTable([{ base: 'USD', quote: 'INR', rate: 80 }, { base: 'USD', quote: 'INR', rate: 83.2 }, { base: 'EUR', quote: 'USD', rate: 1.08 }]);
+    assert.equal(rates.rates.length, 2, 'later rates override earlier ones');
+    assert.equal(rates.convert('INR', 'USD'), 1 / 83.2);
+    assert.equal(Math.round(rates.convert('EUR', 'INR') * 100) / 100, 89.86, 'converted via USD');
+    assert.equal(rates.convert('VND', 'USD'), null);
+});
+
+test('normalize: converts price series to the base currency and unit', () => {
+    const tables = [{
+        csvKey: 'table_1_1.csv',
+        caption: 'India farm-gate prices, vannamei headless (INR/kg)',
+        series: [{ name: '50 count', currency: 'INR', unit: null, percent: false, points: [{ date: '2024-03-01', value: 440 }] }],
+    }, {
+        csvKey: 'table_1_2.csv',
+        caption: 'US wholesale',
+        series: [
+            { name: 'HLSO 31/40 (USD/lb)', currency: 'USD', unit: null, percent: false, points: [{ date: '2024-03-01', value: 4.5 }] },
+            { name: 'Ecuador (VND/kg)', currency: 'VND', unit: null, percent: false, points: [{ date: '2024-03-01', value: 120000 }] },
+            { name: 'Change', currency: null, unit: null, percent: true, points: [{ date: '2024-03-01', value: 2.1 }] },
+        ],
+    }];
+    const summary = normalizeFindings({
+        tables,
+        profile,
+        rates: createRateTable([{ base: 'USD', quote: 'INR', rate: 83.2 }]),
+        baseCurrency: 'USD',
+        baseUnit: 'kg',
+    });
+
+    assert.equal(tables[0].series[0].points[0].normalizedValue, 5.2885);
+    assert.equal(tables[1].series[0].points[0].normalizedValue, 9.9208);
+    assert.equal(tables[1].series[0].normalization.grade.label, '31/40 pcs/lb');
+    assert.equal(tables[1].series[1].points[0].normalizedValue, undefined);
+    assert.equal(summary.priceSeries, 3, 'percent series are not prices');
+    assert.equal(summary.converted, 2);
+    assert.deepEqual(summary.unconverted.map(item => item.reason), ['no VND/USD exchange rate']);
+    assert.deepEqual(summary.currencies, ['INR', 'USD', 'VND']);
+});
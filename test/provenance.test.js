@@ -0,0 +1,44 @@
+// Checks stable finding IDs and evidence-keeping merges (no browser)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { FINDING_KEYS, findingId, mergeFindings } = require('../src/provenance');
+
+const SITE = 'https://app.example.com';
+
+// Function to build a data source finding as the actor records it
+function mention(page, context, uiState = null) {
+    const finding = { source: 'usda', matched: 'usda', weight: 3, context, found: true };
+    return {
+        id: findingId('data_source', FINDING_KEYS.data_source(finding)),
+        ...finding,
+        page,
+        uiState,
+        provenance: { pageUrl: `${SITE}/p${page}`, uiState, extractor: 'dataSources', selector: 'main > p', xpath: '/html/body/main/p' },
+    };
+}
+
+test('provenance: finding IDs depend on what a finding says, not on spacing or case', () => {
+    const id = findingId('data_source', ['mention', 'usda', 'usda', 'Sourced from USDA  reports']);
+    assert.match(id, /^data_source_[0-9a-f]{12}$/);
+    assert.equal(findingId('data_source', ['mention', 'usda', 'usda', 'sourced from usda reports']), id);
+    assert.notEqual(findingId('market', ['mention', 'usda', 'usda', 'sourced from usda reports']), id);
+});
+
+test('provenance: merging keeps every sighting of a finding', () => {
+    const findings = [
+        mention(1, 'sourced from usda reports'),
+        mention(2, 'sourced from usda reports'),
+        mention(2, 'sourced from usda reports', 'Market: India'),
+        mention(3, 'usda export sales'),
+    ];
+    const merged = mergeFindings(findings);
+
+    assert.equal(merged.length, 2);
+    assert.equal(merged[0].occurrences, 3);
+    assert.deepEqual(merged[0].pages, [`${SITE}/p1`, `${SITE}/p2`]);
+    assert.deepEqual(merged[0].evidence.map(e => e.uiState), [null, null, 'Market: India']);
+    assert.ok(!('page' in merged[0]) && !('provenance' in merged[0]));
+    assert.deepEqual(mergeFindings(findings), merged, 'merging is deterministic');
+});
@@ -0,0 +1,53 @@
+// Checks profile taxonomies and provider resolution: term matching, evidence scoring and deduplication (no browser)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadProfile, mergeProfiles, matchTerms } = require('../src/profiles');
+const { buildKnowledgeBase, hostMatchesDomains, networkEvidence, scoreEvidence, resolveProviders, genericTerms } = require('../src/providers');
+
+const profile = loadProfile('datapred-shrimp');
+const knowledgeBase = buildKnowledgeBase(profile);
+
+test('profiles: objects merge, arrays replace', () => {
+    assert.deepEqual(mergeProfiles({ crawl: { maxDepth: 2, seeds: ['/a'] }, name: 'base' }, { crawl: { seeds: ['/b'] }, name: 'child' }), {
+        crawl: { maxDepth: 2, seeds: ['/b'] },
+        name: 'child',
+    });
+});
+
+test('profiles: taxonomy terms match whole words only', () => {
+    const markets = profile.taxonomies.markets;
+    assert.deepEqual(matchTerms('Prices for Ecuador and China', markets).map(entry => entry.term), ['china', 'ecuador']);
+    assert.deepEqual(matchTerms('Chinatown', markets), []);
+});
+
+test('providers: API hosts become evidence for the provider owning the domain', () => {
+    assert.equal(hostMatchesDomains('api.usda.gov', ['usda.gov']), true);
+    assert.equal(hostMatchesDomains('notusda.gov', ['usda.gov']), false);
+
+    const evidence = networkEvidence([
+        { url: 'https://api.usda.gov/data?commodity=shrimp', pageUrl: 'https://app.example.com/markets' },
+        { url: 'not a url' },
+        { url: 'https://cdn.example.com/app.js' },
+    ], knowledgeBase);
+    assert.equal(evidence.length, 1);
+    assert.equal(evidence[0].provider, 'usda');
+    assert.equal(evidence[0].provenance.requestUrl, 'https://api.usda.gov/data?commodity=shrimp');
+});
+
+test('providers: repeated evidence counts once and providers are ranked by confidence', () => {
+    assert.deepEqual(scoreEvidence([{ kind: 'mention' }, { kind: 'mention' }]), { confidence: 0.58, counts: { mention: 2 } });
+
+    const api = networkEvidence([{ url: 'https://api.usda.gov/data', pageUrl: 'https://app.example.com/markets' }], knowledgeBase);
+    const providers = resolveProviders([
+        { provider: 'noaa', kind: 'mention', context: 'NOAA Fisheries', url: 'https://app.example.com/about' },
+        ...api,
+        ...api,
+    ], knowledgeBase);
+
+    assert.deepEqual(providers.map(provider => [provider.id, provider.confidence]), [['usda', 0.9], ['noaa', 0.35]]);
+    assert.equal(providers[0].evidence.length, 1);
+    assert.equal(providers[0].evidence[0].provenance.length, 2, 'the second sighting is kept as provenance');
+    assert.deepEqual(genericTerms([{ source: 'usda' }, { source: 'api' }, { source: 'api' }], knowledgeBase), [{ term: 'api', mentions: 2 }]);
+});
@@ -0,0 +1,114 @@
+// Checks that secrets, tokens and emails are removed from text, reports, payloads and the log (no browser)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { REDACTED, storageValues, createRedactor, redactConsole } = require('../src/redaction');
+const { redactUrl, redactPostData, redactHar, createHarReplay } = require('../src/har');
+
+const redactor = createRedactor({
+    secrets: ['analyst@example.com', 'shrimp-secret', ...storageValues({ 'https://app.example.com': { authToken: 'ls-0123456789' } })],
+    patterns: ['Acme Seafoods?'],
+});
+
+test('redaction: removes secrets, tokens, credential parameters and emails from text', () => {
+    assert.equal(redactor.text('Signed in as analyst@example.com'), `Signed in as ${REDACTED}`);
+    assert.equal(redactor.text('email=analyst%40example.com&password=shrimp-secret'), `email=${REDACTED}&password=${REDACTED}`);
+    assert.equal(redactor.text('Authorization: Bearer abc.DEF-123'), `Authorization: Bearer ${REDACTED}`);
+    assert.equal(redactor.text('GET /api/prices?market=india&api_key=k-42'), `GET /api/prices?market=india&api_key=${encodeURIComponent(REDACTED)}`);
+    assert.equal(redactor.text('Prices for ACME Seafood, contact sales@vendor.io'), `Prices for ${REDACTED}, contact ${REDACTED}`);
+    assert.equal(redactor.text('stored ls-0123456789'), `stored ${REDACTED}`);
+    assert.equal(redactor.text('Basic information, code USD, key markets'), 'Basic information, code USD, key markets');
+    assert.equal(createRedactor({ emails: false }).text('contact sales@vendor.io'), 'contact sales@vendor.io');
+    assert.equal(redactor.text('<img src="/img/logo@2x.png"> hero@3x.webp'), '<img src="/img/logo@2x.png"> hero@3x.webp');
+    assert.throws(() => createRedactor({ patterns: ['(unclosed'] }), /Invalid redactPatterns entry "\(unclosed"/);
+});
+
+test('redaction: walks reports and JSON payloads, keeping data fields', () => {
+    const report = { url: 'https://app.example.com/?token=abc', csvKey: 'table_1_1.csv', code: 'USD', accessToken: 'xyz', rows: [['analyst@example.com', 4.2]] };
+    assert.deepEqual(redactor.value(report), {
+        url: `https://app.example.com/?token=${encodeURIComponent(REDACTED)}`,
+        csvKey: 'table_1_1.csv',
+        code: 'USD',
+        accessToken: REDACTED,
+        rows: [[REDACTED, 4.2]],
+    });
+    assert.deepEqual(JSON.parse(redactor.body('{"user":{"email":"analyst@example.com"},"jwt":"eyJhbGciOi.eyJzdWIiOi.sig"}', 'json')),
+        { user: { email: REDACTED }, jwt: REDACTED });
+    assert.equal(redactor.body('date,price\n2024-03-01,4.2', 'csv'), 'date,price\n2024-03-01,4.2');
+});
+
+test('redaction: only whole credential field names are redacted', () => {
+    const fields = { passes: 3, bypassCache: true, tokenCount: 120, keyPassages: 'Feed costs rose', secrets: 2, client_secret: 's-1', userPassword: 'p-1', 'x-api-key': 'k-1', csrfToken: 't-1' };
+    assert.deepEqual(redactor.value(fields), {
+        passes: 3,
+        bypassCache: true,
+        tokenCount: 120,
+        keyPassages: 'Feed costs rose',
+        secrets: 2,
+        client_secret: REDACTED,
+        userPassword: REDACTED,
+        'x-api-key': REDACTED,
+        csrfToken: REDACTED,
+    });
+    assert.equal(redactor.text('{"tokenCount": "120", "apiKey": "k-42"}'), `{"tokenCount": "120", "apiKey": "${REDACTED}"}`);
+    assert.deepEqual(redactor.value({ redaction: { emails: true, secretCount: 2, patterns: 1 } }), { redaction: { emails: true, secretCount: 2, patterns: 1 } });
+});
+
+test('redaction: the log is redacted until restored', () => {
+    const original = console.log;
+    const lines = [];
+    console.log = (...args) => lines.push(args);
+    const restore = redactConsole(redactor);
+    try {
+        console.log('Logging in as analyst@example.com', { password: 'shrimp-secret' }, new Error('rejected shrimp-secret'));
+    } finally {
+        restore();
+        console.log = original;
+    }
+    assert.equal(lines[0][0], `Logging in as ${REDACTED}`);
+    assert.deepEqual(lines[0][1], { password: REDACTED });
+    assert.match(lines[0][2], new RegExp(`^Error: rejected \\${REDACTED}`));
+});
+
+test('redaction: a replayed request matches the HAR entry it was saved as', async () => {
+    const url = 'https://app.example.com/api/users/analyst@example.com/prices?market=ecuador';
+    const body = '{"account":"shrimp-secret","market":"ecuador"}';
+    const har = { log: { entries: [{
+        request: { method: 'POST', url: redactUrl(url), postData: { mimeType: 'application/json', text: redactPostData(body, 'application/json') } },
+        response: { status: 200, headers: [], content: { text: '{"price":4.2}' } },
+    }] } };
+    const saved = redactor.value(har).log.entries;
+    assert.ok(!saved[0].request.url.includes('analyst@example.com'));
+
+    // Function to send the live request through a replay and return the response status
+    async function replayStatus(replay) {
+        let handler;
+        await replay.attach({ setRequestInterception: async () => {}, on: (event, listener) => { handler = listener; } });
+        return new Promise(resolve => handler({
+            url: () => url,
+            method: () => 'POST',
+            postData: () => body,
+            headers: () => ({ 'content-type': 'application/json' }),
+            isInterceptResolutionHandled: () => false,
+            respond: async response => resolve(response.status),
+        }));
+    }
+
+    assert.equal(await replayStatus(createHarReplay(saved, { redact: redactor.text })), 200);
+    assert.equal(await replayStatus(createHarReplay(saved)), 404, 'keys built without the redactor miss');
+});
+
+test('redaction: binary HAR bodies are stored as recorded', () => {
+    const image = Buffer.from('PNG shrimp-secret analyst@example.com').toString('base64');
+    const entry = (url, content) => ({ request: { method: 'GET', url }, response: { status: 200, headers: [], content } });
+    const har = { log: { entries: [
+        entry('https://app.example.com/img/logo@2x.png', { mimeType: 'image/png', text: image, encoding: 'base64' }),
+        entry('https://app.example.com/api/me', { mimeType: 'application/json', text: '{"email":"analyst@example.com"}' }),
+    ] } };
+    const [binary, json] = redactHar(har, redactor).log.entries;
+
+    assert.equal(binary.request.url, 'https://app.example.com/img/logo@2x.png');
+    assert.equal(binary.response.content.text, image);
+    assert.equal(json.response.content.text, `{"email":"${REDACTED}"}`);
+});
@@ -0,0 +1,45 @@
+// Checks report rendering: scraped titles and labels cannot break Markdown tables or add links (no browser)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { renderMarkdownReport } = require('../src/report');
+
+const TITLE = 'Prices | [click](https://evil.example) `code`\nsecond line';
+
+// Function to build a minimal results object with one scraped page
+function results() {
+    return {
+        platform: 'Datapred',
+        profile: 'datapred-shrimp',
+        url: 'https://app.example.com',
+        analysisDate: '2024-05-01T00:00:00.000Z',
+        authenticated: false,
+        summary: { likelyDataProviders: [], dataTypes: [], updateFrequency: 'unknown' },
+        recommendations: [],
+        dataSources: { providers: [], details: [] },
+        markets: { identified: ['ecuador'] },
+        endpointCatalog: { total: 0, endpoints: [], timeSeriesCandidates: [] },
+        methodology: { dataTables: [] },
+        charts: { total: 1, forecastSeries: 0 },
+        commoditySpecific: { commodity: 'shrimp', hasCommodityContent: true },
+        pages: [{
+            index: 1,
+            url: 'https://app.example.com/markets',
+            title: TITLE,
+            findings: { markets: ['ecuador'], charts: [{ title: TITLE, library: 'echarts', seriesCount: 1 }] },
+        }],
+    };
+}
+
+test('report: scraped text is escaped in Markdown headings, lists and tables', () => {
+    const markdown = renderMarkdownReport(results());
+    const escaped = 'Prices \\| \\[click\\](https://evil.example) \\`code\\` second line';
+
+    assert.ok(markdown.includes(`### P1: ${escaped}`));
+    assert.ok(markdown.includes(`- P1: ${escaped}`));
+    assert.ok(markdown.includes(`- Charts: ${escaped} (echarts, 1 series)`));
+    assert.ok(!markdown.includes('[click]('));
+    assert.ok(!markdown.includes('\nsecond line'));
+    assert.ok(markdown.includes('| ecuador | ✓ | 1 |'));
+});
@@ -0,0 +1,90 @@
+// Checks crawl error classification and retry backoff, the error log, run checkpoints and frontier snapshots (no browser)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { crawlError, classifyError, resolveRetryPolicies, retryDecision, maxRetries, createErrorLog } = require('../src/errors');
+const { removeMatching, createCheckpoint } = require('../src/checkpoint');
+const { createFrontier } = require('../src/frontier');
+const { loadProfile } = require('../src/profiles');
+
+const profile = loadProfile('datapred-shrimp');
+const SITE = 'https://app.example.com';
+
+test('errors: sorts errors into kinds and backs off exponentially per kind', () => {
+    const timeout = Object.assign(new Error('Navigation timeout of 60000 ms exceeded'), { name: 'TimeoutError' });
+    assert.equal(classifyError(timeout), 'timeout');
+    assert.equal(classifyError(new Error('Request blocked - received 403 status code.')), 'http_4xx');
+    assert.equal(classifyError(crawlError('http_5xx', 'HTTP 502', { statusCode: 502 })), 'http_5xx');
+    assert.equal(classifyError(new Error('net::ERR_BLOCKED_BY_CLIENT at https://app.example.com/')), 'navigation_blocked');
+    assert.equal(classifyError(new TypeError('Cannot read properties of null'), { stage: 'extraction' }), 'extractor');
+    assert.equal(classifyError(new TypeError('Cannot read properties of null'), { stage: 'navigation' }), 'unknown');
+
+    const policies = resolveRetryPolicies({ http_5xx: { backoffMs: 1000 } });
+    assert.deepEqual([1, 2, 3, 4].map(attempt => retryDecision('http_5xx', { attempt, policies })), [
+        { retry: true, backoffMs: 1000 },
+        { retry: true, backoffMs: 2000 },
+        { retry: true, backoffMs: 4000 },
+        { retry: false, backoffMs: 0 },
+    ]);
+    assert.equal(retryDecision('http_4xx', { attempt: 1, statusCode: 404, policies }).retry, false);
+    assert.equal(retryDecision('http_4xx', { attempt: 1, statusCode: 429, policies }).retry, true, 'rate limits are retried');
+    assert.equal(maxRetries(resolveRetryPolicies({ timeout: { retries: 5 } })), 5);
+    assert.throws(() => resolveRetryPolicies({ slow: { retries: 1 } }), /Unknown error kind "slow"/);
+    assert.throws(() => resolveRetryPolicies({ timeout: { retries: -1 } }), /whole number/);
+});
+
+test('errors: the log tells recovered pages from failed ones', () => {
+    const errorLog = createErrorLog();
+    errorLog.record({ url: `${SITE}/markets`, page: 2, kind: 'timeout', message: 'timed out', attempt: 1, retry: true, backoffMs: 2000 });
+    errorLog.record({ url: `${SITE}/gone`, page: 3, kind: 'http_4xx', message: 'HTTP 404\n    at stack', statusCode: 404, attempt: 1, retry: false });
+    const summary = errorLog.summarize([{ index: 1 }, { index: 2 }, { index: 3, failed: true }]);
+
+    assert.equal(summary.total, 2);
+    assert.deepEqual(summary.byKind, { timeout: 1, http_4xx: 1 });
+    assert.equal(summary.retries, 1);
+    assert.equal(summary.recoveredPages, 1);
+    assert.equal(summary.failedPages, 1);
+    assert.equal(summary.items[1].message, 'HTTP 404');
+});
+
+test('checkpoint: resumes only the same crawl, and drops what unfinished pages found', async () => {
+    const records = new Map();
+    const store = { getValue: async key => records.get(key) || null, setValue: async (key, value) => records.set(key, value) };
+    const checkpoint = createCheckpoint({ store, identity: { startUrl: `${SITE}/`, profile: profile.name } });
+    assert.equal(await checkpoint.load(), null);
+
+    await checkpoint.save({ finishedPages: [1, 3] });
+    assert.deepEqual((await checkpoint.load()).finishedPages, [1, 3]);
+    const otherCrawl = createCheckpoint({ store, identity: { startUrl: `${SITE}/other`, profile: profile.name } });
+    assert.equal(await otherCrawl.load(), null);
+
+    const sources = [{ page: 1 }, { page: 2 }, { page: 3 }];
+    const markets = [{ page: 2 }];
+    removeMatching([sources, markets], item => item.page === 2);
+    assert.deepEqual(sources, [{ page: 1 }, { page: 3 }]);
+    assert.deepEqual(markets, []);
+
+    await checkpoint.clear();
+    assert.equal(await checkpoint.load(), null);
+});
+
+test('frontier: a restored snapshot dispatches the same pages as the original', () => {
+    const options = { startUrl: `${SITE}/`, profile, maxPages: 5, concurrency: 2 };
+    const original = createFrontier(options);
+    original.seed(`${SITE}/`);
+    original.offer([
+        { url: `${SITE}/markets`, text: 'Markets', source: 'anchor' },
+        { url: `${SITE}/forecast`, text: 'Price forecast', source: 'anchor' },
+        { url: `${SITE}/about`, text: 'About', source: 'anchor' },
+    ], { pageUrl: `${SITE}/`, depth: 0 });
+    original.done();
+
+    const resumed = createFrontier(options);
+    resumed.restore(JSON.parse(JSON.stringify(original.snapshot())));
+    const urls = requests => requests.map(r => [r.userData.pageNumber, r.url]);
+    const batch = urls(original.next());
+    assert.equal(batch.length, 2);
+    assert.deepEqual(urls(resumed.next()), batch);
+    assert.deepEqual(resumed.stats(), original.stats());
+});
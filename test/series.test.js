@@ -0,0 +1,135 @@
+// Checks long-format series export: payload series, classification, CSV/columnar output and upserts (no browser)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { seriesFromPayload, payloadIdentity, collectSeries, rowsToColumnar, writeSeriesExports, LONG_COLUMNS } = require('../src/series');
+const { loadProfile } = require('../src/profiles');
+
+const profile = loadProfile('datapred-shrimp');
+
+const PAYLOAD = {
+    market: 'ecuador',
+    forecastStart: '2024-05-01',
+    actual: [{ date: '2024-03-01', value: 5.4, currency: 'USD', unit: 'kg' }, { date: '2024-04-01', value: 5.32, currency: 'USD', unit: 'kg' }],
+    forecast: [{ date: '2024-05-01', value: 5.45, currency: 'USD', unit: 'kg' }],
+    index: [[1704067200000, 101.5], [1706745600000, 102.1]],
+    drivers: [{ name: 'Feed costs', importance: 0.32 }],
+};
+
+const TABLE = {
+    url: 'https://app.example.com/markets',
+    caption: 'Ecuador vannamei shrimp export price',
+    csvKey: 'table_3_1.csv',
+    headers: ['Date', 'Price (USD/kg)'],
+    index: 0,
+    series: [{ name: 'Price (USD/kg)', currency: 'USD', unit: 'kg', points: [{ date: '2024-03-01', value: 5.4 }] }],
+};
+
+// Function to create an in-memory Key-Value store
+function memoryStore() {
+    const records = new Map();
+    return {
+        records,
+        async getValue(key) {
+            return records.has(key) ? records.get(key) : null;
+        },
+        async setValue(key, value) {
+            records.set(key, value);
+        },
+    };
+}
+
+test('finds dated records and [date, value] pairs in payloads', () => {
+    const series = seriesFromPayload(PAYLOAD);
+
+    assert.deepEqual(series.map(s => [s.name, s.unit, s.points.length]), [['actual', 'USD/kg', 2], ['forecast', 'USD/kg', 1], ['index', null, 2]]);
+    assert.deepEqual(series[1].points[0], { date: '2024-05-01', value: 5.45, isForecast: true });
+    assert.equal(series[0].points.some(p => p.isForecast), false);
+    assert.deepEqual(series[2].points.map(p => p.date), ['2024-01-01', '2024-02-01']);
+});
+
+test('tags series with market, product and stable IDs', () => {
+    const payloads = [{ url: 'https://app.example.com/api/prices?market=india', pageUrl: 'https://app.example.com/forecast', series: seriesFromPayload(PAYLOAD) }];
+    const series = collectSeries({ tables: [TABLE], payloads, profile });
+    const again = collectSeries({ tables: [TABLE], payloads, profile });
+
+    assert.deepEqual(series.map(s => [s.sourceKind, s.name, s.market, s.product]), [
+        ['table', 'Price (USD/kg)', 'ecuador', 'vannamei'],
+        ['api', 'actual', 'india', 'shrimp'],
+        ['api', 'forecast', 'india', 'shrimp'],
+        ['api', 'index', 'india', 'shrimp'],
+    ]);
+    assert.deepEqual(series.map(s => s.seriesId), again.map(s => s.seriesId));
+    assert.equal(new Set(series.map(s => s.seriesId)).size, 4);
+});
+
+test('a table keeps its series ID when it is found as a different page number', () => {
+    const [first] = collectSeries({ tables: [TABLE], profile });
+    const [later] = collectSeries({ tables: [{ ...TABLE, csvKey: 'table_5_1.csv' }], profile });
+    assert.equal(later.seriesId, first.seriesId);
+    assert.equal(later.sourceDetail, 'table_5_1.csv');
+
+    const [otherState] = collectSeries({ tables: [{ ...TABLE, uiState: 'Market=India' }], profile });
+    assert.notEqual(otherState.seriesId, first.seriesId);
+});
+
+test('an API series keeps its ID when cache-busters, timestamps or tokens in its URL change', () => {
+    const ids = url => collectSeries({ payloads: [{ url, pageUrl: 'https://app.example.com/forecast', series: seriesFromPayload(PAYLOAD) }], profile }).map(s => s.seriesId);
+    const first = ids('https://app.example.com/api/prices?market=india&_=1714000000000');
+    assert.deepEqual(ids('https://app.example.com/api/prices?_=1714000999000&market=india&token=t-2'), first);
+    assert.notDeepEqual(ids('https://app.example.com/api/prices?market=ecuador'), first);
+
+    assert.equal(payloadIdentity('https://app.example.com/api/series/12/2024-05-01?cb=99&region=asia&utm_source=mail'), 'app.example.com/api/series/12/:date?region=asia');
+    assert.notEqual(payloadIdentity('https://app.example.com/api/series/13'), payloadIdentity('https://app.example.com/api/series/12'));
+});
+
+test('repeated runs upsert rows by series and date instead of duplicating them', async () => {
+    const store = memoryStore();
+    const stateStore = memoryStore();
+    const options = { store, stateStore, stateKey: 'series-test', formats: ['csv', 'ndjson', 'columnar'] };
+
+    const first = collectSeries({ tables: [TABLE], profile });
+    const run1 = await writeSeriesExports(first, { ...options, runDate: '2024-04-01T00:00:00Z' });
+    assert.deepEqual([run1.rows, run1.added, run1.updated], [1, 1, 0]);
+
+    const revised = { ...TABLE, csvKey: 'table_5_1.csv', series: [{ ...TABLE.series[0], points: [{ date: '2024-03-01', value: 5.5 }, { date: '2024-04-01', value: 5.32 }] }] };
+    const run2 = await writeSeriesExports(collectSeries({ tables: [revised], profile }), { ...options, runDate: '2024-05-01T00:00:00Z' });
+    assert.deepEqual([run2.rows, run2.added, run2.updated, run2.series], [2, 1, 1, 1]);
+    assert.deepEqual(run2.keys, ['series.csv', 'series.ndjson', 'series.columns.json', 'series_metadata.csv']);
+
+    const csv = store.records.get('series.csv').trim().split('\n');
+    assert.equal(csv[0], LONG_COLUMNS.map(c => c.name).join(','));
+    assert.deepEqual(csv.slice(1).map(line => line.split(',').slice(4, 6)), [['2024-03-01', '5.5'], ['2024-04-01', '5.32']]);
+    assert.equal(store.records.get('series.ndjson').trim().split('\n').length, 2);
+    assert.match(store.records.get('series_metadata.csv'), /,2024-04-01T00:00:00Z,2024-05-01T00:00:00Z\n$/);
+
+    const columnar = JSON.parse(store.records.get('series.columns.json'));
+    assert.deepEqual(columnar.data.value, [5.5, 5.32]);
+    assert.deepEqual(rowsToColumnar([]).data.is_forecast, []);
+});
+
+test('kept rows are stored one record per series and capped to the latest dates', async () => {
+    const stateStore = memoryStore();
+    const options = { store: memoryStore(), stateStore, stateKey: 'series-test', formats: ['csv'], maxPointsPerSeries: 2 };
+    const points = dates => dates.map((date, i) => ({ date, value: 5 + i / 10 }));
+    const table = dates => ({ ...TABLE, series: [{ ...TABLE.series[0], points: points(dates) }] });
+
+    const [series] = collectSeries({ tables: [table(['2024-01-01', '2024-02-01'])], profile });
+    // A state written by an earlier version: every row in the index record
+    const legacyRow = { series_id: series.seriesId, date: '2023-12-01', value: 4.9 };
+    stateStore.records.set('series-test', { rows: [legacyRow], metadata: [] });
+    stateStore.records.set('series.sqlite', Buffer.from('old'));
+
+    const run = await writeSeriesExports(collectSeries({ tables: [table(['2024-01-01', '2024-02-01', '2024-03-01'])], profile }), options);
+    assert.equal(run.rows, 2);
+    const index = stateStore.records.get('series-test');
+    assert.deepEqual(index.series, [series.seriesId]);
+    assert.ok(!('rows' in index));
+    assert.deepEqual(stateStore.records.get(`series-test-${series.seriesId}`).map(row => row.date), ['2024-02-01', '2024-03-01']);
+    assert.equal(stateStore.records.get('series.sqlite'), null, 'the old SQLite copy is dropped');
+
+    const next = await writeSeriesExports(collectSeries({ tables: [table(['2024-04-01'])], profile }), options);
+    assert.deepEqual([next.rows, next.added], [2, 1]);
+    assert.deepEqual(stateStore.records.get(`series-test-${series.seriesId}`).map(row => row.date), ['2024-03-01', '2024-04-01']);
+});
@@ -0,0 +1,62 @@
+// Checks table structuring and value parsing: header detection, orientation, priced series and CSV (no browser)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { flattenHeaders, structureTable, tableToCsv } = require('../src/tables');
+const { parseNumber, parseDate, extractCurrency } = require('../src/parsers');
+
+test('parsers: numbers keep their currency and percent marks', () => {
+    assert.deepEqual(parseNumber('$1,234.50'), { value: 1234.5, currency: 'USD', percent: false, unit: null });
+    assert.deepEqual(parseNumber('12,5 %'), { value: 12.5, currency: null, percent: true, unit: null });
+    assert.equal(parseNumber('(3.2)').value, -3.2);
+    assert.deepEqual(parseNumber('1.234.567 VND'), { value: 1234567, currency: 'VND', percent: false, unit: null });
+    assert.equal(parseNumber('n/a'), null);
+    assert.equal(extractCurrency('Rs 450').currency, 'INR');
+});
+
+test('parsers: dates become ISO days, months or quarters', () => {
+    assert.equal(parseDate('2024-03-01'), '2024-03-01');
+    assert.equal(parseDate('03/04/2024'), '2024-03-04');
+    assert.equal(parseDate('03/04/2024', { dateOrder: 'dmy' }), '2024-04-03');
+    assert.equal(parseDate('Mar 2024'), '2024-03');
+    assert.equal(parseDate('Q2 2024'), '2024-Q2');
+    assert.equal(parseDate('31/02/2024', { dateOrder: 'dmy' }), null);
+});
+
+test('tables: multi-row headers flatten into unique labels', () => {
+    assert.deepEqual(flattenHeaders([['', '2024', '2024'], ['Market', 'Q1', 'Q2']], 3), ['Market', '2024 / Q1', '2024 / Q2']);
+    assert.deepEqual(flattenHeaders([['Price', 'Price', '']], 3), ['Price', 'Price (2)', 'column_3']);
+});
+
+test('tables: a date-per-row table becomes priced series, with the header row found in the body', () => {
+    const table = structureTable({
+        index: 0,
+        caption: 'Farm-gate price',
+        headerRows: [],
+        bodyRows: [['Month', 'Ecuador (USD/kg)', 'India'], ['Jan 2024', '$5.10', '₹420'], ['Feb 2024', '$5.25', '₹431'], ['', '', '']],
+    });
+
+    assert.deepEqual(table.headers, ['Month', 'Ecuador (USD/kg)', 'India']);
+    assert.equal(table.orientation, 'rows');
+    assert.equal(table.dateColumn, 'Month');
+    assert.equal(table.rowCount, 2);
+    assert.equal(table.isPriceTable, true);
+    assert.deepEqual(table.series.map(s => [s.name, s.currency]), [['Ecuador (USD/kg)', 'USD'], ['India', 'INR']]);
+    assert.deepEqual(table.series[0].points, [{ date: '2024-01', value: 5.1 }, { date: '2024-02', value: 5.25 }]);
+    assert.equal(tableToCsv(table), 'Month,Ecuador (USD/kg),India\n2024-01,5.1,420\n2024-02,5.25,431\n');
+});
+
+test('tables: a date-per-column table is read one series per row, skipping empty cells', () => {
+    const table = structureTable({
+        index: 1,
+        headerRows: [['Market', '2024-01', '2024-02', '2024-03']],
+        bodyRows: [['Ecuador', '5,10', '5,20', '5,30'], ['India', '4,00', '', '4,10']],
+    }, { dateOrder: 'dmy' });
+
+    assert.equal(table.orientation, 'columns');
+    assert.equal(table.isTimeSeries, true);
+    assert.equal(table.isPriceTable, false);
+    assert.deepEqual(table.series.map(s => s.name), ['Ecuador', 'India']);
+    assert.deepEqual(table.series[1].points, [{ date: '2024-01', value: 4 }, { date: '2024-03', value: 4.1 }]);
+});